@@ -0,0 +1,57 @@
+/* =========================================================
+ *  a11y.js
+ *  Screen-reader plumbing: an ARIA live region for
+ *  announcements, the text alternative for the 3D scene,
+ *  and the reduced-motion preference.
+ * ========================================================= */
+
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+/* ---------------------------------------------------------
+ *  createA11y(root)
+ *
+ *  Binds the live region and scene summary of one viewer.
+ *
+ *  @param {Document|ShadowRoot} root — holds #a11y-live and
+ *         #scene-summary
+ *  @returns {{ announce, setSceneSummary }}
+ * --------------------------------------------------------- */
+export function createA11y(root) {
+
+    // ── DOM refs ──
+    const liveRegion = root.getElementById('a11y-live');
+    const sceneSummary = root.getElementById('scene-summary');
+
+    /* -----------------------------------------------------
+     *  announce(message)
+     *
+     *  Speaks `message` through the polite live region. The
+     *  region is cleared first so a repeated message (e.g.
+     *  the same stage twice) is still read out.
+     * ----------------------------------------------------- */
+    function announce(message) {
+        if (!liveRegion) return;
+        liveRegion.textContent = '';
+        requestAnimationFrame(() => {
+            liveRegion.textContent = message;
+        });
+    }
+
+    /* -----------------------------------------------------
+     *  setSceneSummary(text)
+     *  Text alternative for the canvas (aria-describedby).
+     * ----------------------------------------------------- */
+    function setSceneSummary(text) {
+        if (sceneSummary) sceneSummary.textContent = text;
+    }
+
+    return { announce, setSceneSummary };
+}
+
+/* ---------------------------------------------------------
+ *  prefersReducedMotion()
+ *  Read live so a change in OS settings applies at once.
+ * --------------------------------------------------------- */
+export function prefersReducedMotion() {
+    return reducedMotionQuery?.matches ?? false;
+}
@@ -1,39 +1,63 @@
 /* =========================================================
  *  atoms.js
- *  Builds the [Al(H₂O)₆]³⁺ octahedral complex.
+ *  Builds the [M(H₂O)₆]ⁿ⁺ octahedral complex for any cation
+ *  in the table in cations.js (Al³⁺ by default).
  *
  *  Geometry reference
  *  ──────────────────
- *  • Al³⁺ at the origin.
- *  • 6 water molecules along ±x, ±y, ±z at distance R_AL_O.
- *  • Each water: O faces Al (lone pair donation),
+ *  • Metal cation at the origin.
+ *  • 6 water molecules along ±x, ±y, ±z at the cation's M–O
+ *    distance (rMO; rMOAxial along ±z when Jahn–Teller).
+ *  • Each water: O faces M (lone pair donation),
  *    two H atoms at the tetrahedral H-O-H angle (≈104.5°).
+ *  • userData.lonePairs on each water group: unit vectors
+ *    from O, in the group's frame, along its two sp³ lone
+ *    pairs (drawn by orbitals.js).
+ *
+ *  Sphere sizes follow the chosen representation (see
+ *  representations.js); the default is ball-and-stick.
  *
  *  All distances in Ångströms (1 Å  ≈  1 scene unit).
+ *  Atom roles are message keys — see atomRole().
  * ========================================================= */
 
 import * as THREE from 'three';
 import {
-    aluminumMaterial,
+    createMetalMaterial,
+    createElementMaterial,
     oxygenMaterial,
     hydrogenMaterial,
 } from './materials.js';
+import { CATIONS, getCation, formatIon } from './cations.js';
+import { COVALENT_RADII, isMetal } from './molfile.js';
+import {
+    getRepresentation,
+    VDW_RADII,
+    DEFAULT_VDW_RADIUS,
+    POINT_RADIUS,
+} from './representations.js';
 
 // ── Physical Constants (Å) ──────────────────────────────────
-const R_AL_O = 1.90;       // Al–O coordination bond length
 const R_O_H = 0.96;       // O–H covalent bond length
 const H_O_H_ANGLE = THREE.MathUtils.degToRad(104.5);
+const LONE_PAIR_ANGLE = THREE.MathUtils.degToRad(109.5);   // sp³, between the two pairs
 
 // ── Sphere Detail ───────────────────────────────────────────
 const SPHERE_SEGMENTS = 32;
 
 // ── Radii (van der Waals ÷ 3 for clarity) ───────────────────
 export const RADII = {
-    Al: 0.45,
     O: 0.30,
     H: 0.18,
 };
 
+// Metal spheres are drawn from the ionic radius, scaled so that
+// Al³⁺ (0.535 Å) keeps its original 0.45 display radius.
+const ION_DISPLAY_SCALE = 0.84;
+
+// Imported elements without a RADII entry: covalent radius × this
+const COVALENT_DISPLAY_SCALE = 0.45;
+
 // ── Octahedral Directions ───────────────────────────────────
 const OCTA_DIRS = [
     new THREE.Vector3(1, 0, 0),
@@ -45,54 +69,84 @@ const OCTA_DIRS = [
 ];
 
 /* ---------------------------------------------------------
- *  createAlCenter()
- *  Returns the Al³⁺ mesh at the origin.
+ *  atomRadius(element, representation, ionicRadius)
+ *  Sphere radius for one atom in the given representation.
+ *
+ *  @param {number} [ionicRadius] — set for the metal centre
  * --------------------------------------------------------- */
-export function createAlCenter() {
-    const geo = new THREE.SphereGeometry(RADII.Al, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
-    const mesh = new THREE.Mesh(geo, aluminumMaterial);
-    mesh.name = 'Al';
+export function atomRadius(element, representation = getRepresentation(), ionicRadius) {
+    switch (representation.atoms) {
+        case 'vdw':
+            return ionicRadius ?? VDW_RADII[element] ?? DEFAULT_VDW_RADIUS;
+        case 'stick':
+            return representation.bondRadius;
+        case 'point':
+            return POINT_RADIUS;
+        default:
+            if (ionicRadius) return ionicRadius * ION_DISPLAY_SCALE;
+            return RADII[element] ?? (COVALENT_RADII[element] ?? 1.5) * COVALENT_DISPLAY_SCALE;
+    }
+}
+
+function sphere(radius) {
+    return new THREE.SphereGeometry(radius, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+}
+
+/* ---------------------------------------------------------
+ *  createMetalCenter(cation, representation)
+ *  Returns the metal-ion mesh at the origin.
+ *
+ *  @param {object} cation — entry from CATIONS
+ *  @param {object} [representation] — entry from REPRESENTATIONS
+ * --------------------------------------------------------- */
+export function createMetalCenter(cation, representation) {
+    const radius = atomRadius(cation.symbol, representation, cation.ionicRadius);
+    const mesh = new THREE.Mesh(sphere(radius), createMetalMaterial(cation.color));
+    mesh.name = cation.symbol;
     mesh.userData = {
-        element: 'Al',
-        role: 'Metal center (Lewis acid)',
-        charge: '+3',
+        element: cation.symbol,
+        role: 'role.metal',
+        charge: `+${cation.charge}`,
+        label: formatIon(cation),
+        isMetal: true,
     };
     return mesh;
 }
 
 /* ---------------------------------------------------------
- *  createWaterMolecule(direction)
+ *  createWaterMolecule(direction, distance, representation)
  *
  *  Returns a THREE.Group containing O + 2 × H positioned
- *  so that O faces the Al center along `direction`.
+ *  so that O faces the metal center along `direction`.
  *
  *  @param {THREE.Vector3} direction — unit vector from origin
+ *  @param {number}        distance  — M–O bond length (Å)
+ *  @param {object}        [representation]
  * --------------------------------------------------------- */
-export function createWaterMolecule(direction) {
+export function createWaterMolecule(direction, distance, representation) {
     const group = new THREE.Group();
     group.name = 'Water';
 
     // ── Oxygen ──
-    const oGeo = new THREE.SphereGeometry(RADII.O, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
-    const oMesh = new THREE.Mesh(oGeo, oxygenMaterial.clone());
+    const oMesh = new THREE.Mesh(sphere(atomRadius('O', representation)), oxygenMaterial.clone());
     oMesh.name = 'O';
     oMesh.userData = {
         element: 'O',
-        role: 'Electron-pair donor (Lewis base)',
+        role: 'role.donor',
         charge: 'δ−',
     };
 
-    // Place oxygen at R_AL_O along direction
-    const oPos = direction.clone().multiplyScalar(R_AL_O);
+    // Place oxygen at the M–O distance along direction
+    const oPos = direction.clone().multiplyScalar(distance);
     oMesh.position.copy(oPos);
     group.add(oMesh);
 
     // ── Hydrogens ──
-    // Two H atoms arranged symmetrically about the Al–O axis,
-    // opening AWAY from Al (O lone pairs face Al).
+    // Two H atoms arranged symmetrically about the M–O axis,
+    // opening AWAY from M (O lone pairs face M).
     const halfAngle = H_O_H_ANGLE / 2;
 
-    // Build a local coordinate frame where Z = direction (Al→O)
+    // Build a local coordinate frame where Z = direction (M→O)
     const zAxis = direction.clone().normalize();
     // Pick an arbitrary perpendicular
     let arbitrary = new THREE.Vector3(0, 1, 0);
@@ -101,52 +155,258 @@ export function createWaterMolecule(direction) {
     const yAxis = new THREE.Vector3().crossVectors(xAxis, zAxis).normalize();
 
     for (let i = 0; i < 2; i++) {
-        const hGeo = new THREE.SphereGeometry(RADII.H, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
-        const hMesh = new THREE.Mesh(hGeo, hydrogenMaterial.clone());
+        const hMesh = new THREE.Mesh(sphere(atomRadius('H', representation)), hydrogenMaterial.clone());
         hMesh.name = `H${i + 1}`;
         hMesh.userData = {
             element: 'H',
-            role: 'Proton (may dissociate in hydrolysis)',
+            role: 'role.proton',
             charge: 'δ+',
         };
 
-        // Angle from the O→Al axis (pointing away from Al)
+        // Angle from the O→M axis (pointing away from M)
         const phi = (i === 0) ? halfAngle : -halfAngle;
         const hDir = new THREE.Vector3()
-            .addScaledVector(zAxis, Math.cos(Math.PI - halfAngle))   // component away from Al
-            .addScaledVector(i === 0 ? xAxis : xAxis.clone().negate(), Math.sin(Math.PI - halfAngle))
+            .addScaledVector(zAxis, Math.cos(halfAngle))   // component away from M
+            .addScaledVector(i === 0 ? xAxis : xAxis.clone().negate(), Math.sin(halfAngle))
             .normalize();
 
         hMesh.position.copy(oPos).addScaledVector(hDir, R_O_H);
         group.add(hMesh);
     }
 
+    // ── Lone pairs ──
+    // Perpendicular to the H–O–H plane, either side of O→M
+    group.userData.lonePairs = lonePairDirections(zAxis.clone().negate(), yAxis);
+
     return group;
 }
 
 /* ---------------------------------------------------------
- *  buildComplex()
+ *  lonePairDirections(toward, across)
+ *  The two sp³ lone pairs, splayed by LONE_PAIR_ANGLE about
+ *  `toward` in the plane it shares with `across` (unit
+ *  vectors, perpendicular).
+ * --------------------------------------------------------- */
+function lonePairDirections(toward, across) {
+    const half = LONE_PAIR_ANGLE / 2;
+    return [1, -1].map((side) => new THREE.Vector3()
+        .addScaledVector(toward, Math.cos(half))
+        .addScaledVector(across, side * Math.sin(half)));
+}
+
+// Lone pairs of an imported water: opposite its protons, or
+// towards the metal for a hydroxide / bare oxygen
+function importedLonePairs(o, hydrogens, metal) {
+    const bonds = hydrogens.map((h) => new THREE.Vector3().subVectors(h.position, o.position).normalize());
+
+    let toward = new THREE.Vector3();
+    if (bonds.length >= 2) toward.addVectors(bonds[0], bonds[1]).negate();
+    if (toward.lengthSq() < 1e-6) toward.subVectors(metal.position, o.position);
+    toward.normalize();
+
+    // Normal to the H–O–H plane; any perpendicular otherwise
+    const across = new THREE.Vector3();
+    if (bonds.length >= 2) across.crossVectors(bonds[0], bonds[1]);
+    for (const axis of [bonds[0], new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0)]) {
+        if (across.lengthSq() > 1e-6 || !axis) continue;
+        across.crossVectors(toward, axis);
+    }
+    return lonePairDirections(toward, across.normalize());
+}
+
+/* ---------------------------------------------------------
+ *  buildComplex(cation, representation)
  *
- *  Assembles the full [Al(H₂O)₆]³⁺ complex and returns
+ *  Assembles the full [M(H₂O)₆]ⁿ⁺ complex and returns
  *  a THREE.Group ready to be added to the scene.
  *
  *  Also returns references for bonds & interaction modules.
+ *
+ *  @param {object} [cation] — entry from CATIONS (default Al³⁺)
+ *  @param {object} [representation] — entry from REPRESENTATIONS
  * --------------------------------------------------------- */
-export function buildComplex() {
+export function buildComplex(cation = getCation(), representation = getRepresentation()) {
     const complex = new THREE.Group();
-    complex.name = 'AlComplex';
+    complex.name = `${cation.symbol}Complex`;
 
-    // Central Al³⁺
-    const al = createAlCenter();
-    complex.add(al);
+    // Central metal ion
+    const metal = createMetalCenter(cation, representation);
+    complex.add(metal);
 
     // 6 coordinated water molecules
     const waters = [];
     for (const dir of OCTA_DIRS) {
-        const water = createWaterMolecule(dir);
+        // Jahn–Teller ions (Cu²⁺) have elongated axial bonds
+        const axial = Math.abs(dir.z) > 0.5 && cation.rMOAxial;
+        const water = createWaterMolecule(dir, axial ? cation.rMOAxial : cation.rMO, representation);
         waters.push(water);
         complex.add(water);
     }
 
-    return { complex, al, waters };
+    return { complex, metal, waters };
+}
+
+/* ---------------------------------------------------------
+ *  buildFromMolecule(mol, representation)
+ *
+ *  Builds the same { complex, metal, waters } structure as
+ *  buildComplex() from parsed file geometry (molfile.js), so
+ *  stages, labels and the info panel work unchanged.
+ *
+ *  • The first metal atom becomes the centre and is moved
+ *    to the origin.
+ *  • Every O bonded to it, with its bonded H atoms, becomes
+ *    a 'Water' group (O, H1, H2 …). With six waters they are
+ *    ordered to match OCTA_DIRS so Stage 3+ pick the same
+ *    ligands as the built-in model.
+ *  • Anything else is added to the complex as a loose atom.
+ *
+ *  @param {{ title, atoms, bonds }} mol — bonds already inferred
+ *  @param {object} [representation] — entry from REPRESENTATIONS
+ *  @returns {{ complex, metal, waters, cation, atomMeshes }}
+ *           atomMeshes[i] is the mesh for mol.atoms[i]
+ * --------------------------------------------------------- */
+export function buildFromMolecule(mol, representation = getRepresentation()) {
+    const metalIndex = mol.atoms.findIndex((a) => isMetal(a.element));
+    if (metalIndex === -1) throw new Error('No metal centre found in file');
+
+    const centre = mol.atoms[metalIndex];
+    const cation = CATIONS[centre.element] || null;
+    const offset = new THREE.Vector3(centre.x, centre.y, centre.z);
+
+    // Adjacency from the inferred bond list
+    const neighbours = mol.atoms.map(() => []);
+    for (const [i, j] of mol.bonds) {
+        neighbours[i].push(j);
+        neighbours[j].push(i);
+    }
+
+    const complex = new THREE.Group();
+    complex.name = `${centre.element}Complex`;
+    const atomMeshes = new Array(mol.atoms.length);
+
+    const place = (mesh, i) => {
+        const a = mol.atoms[i];
+        mesh.position.set(a.x, a.y, a.z).sub(offset);
+        atomMeshes[i] = mesh;
+        return mesh;
+    };
+
+    // ── Metal centre ──
+    const metal = cation
+        ? createMetalCenter(cation, representation)
+        : createImportedAtom(centre.element, true, representation);
+    complex.add(place(metal, metalIndex));
+
+    // ── Coordinated waters ──
+    let waters = [];
+    for (const oi of neighbours[metalIndex]) {
+        if (mol.atoms[oi].element !== 'O') continue;
+
+        const group = new THREE.Group();
+        group.name = 'Water';
+
+        const oMesh = new THREE.Mesh(sphere(atomRadius('O', representation)), oxygenMaterial.clone());
+        oMesh.name = 'O';
+        oMesh.userData = {
+            element: 'O',
+            role: 'role.donor',
+            charge: 'δ−',
+        };
+        group.add(place(oMesh, oi));
+
+        neighbours[oi]
+            .filter((hi) => mol.atoms[hi].element === 'H')
+            .forEach((hi, n) => {
+                const hMesh = new THREE.Mesh(sphere(atomRadius('H', representation)), hydrogenMaterial.clone());
+                hMesh.name = `H${n + 1}`;
+                hMesh.userData = {
+                    element: 'H',
+                    role: 'role.proton',
+                    charge: 'δ+',
+                };
+                group.add(place(hMesh, hi));
+            });
+
+        const hydrogens = group.children.filter((c) => c.userData.element === 'H');
+        group.userData.lonePairs = importedLonePairs(oMesh, hydrogens, metal);
+        waters.push(group);
+    }
+    if (waters.length === OCTA_DIRS.length) waters = orderByOctahedron(waters);
+    waters.forEach((w) => complex.add(w));
+
+    // ── Everything else ──
+    mol.atoms.forEach((a, i) => {
+        if (atomMeshes[i]) return;
+        complex.add(place(createImportedAtom(a.element, isMetal(a.element), representation), i));
+    });
+
+    return { complex, metal, waters, cation, atomMeshes };
+}
+
+/* ---------------------------------------------------------
+ *  createImportedAtom(element, metal, representation)
+ *  Generic sphere for elements outside the built-in model.
+ * --------------------------------------------------------- */
+function createImportedAtom(element, metal, representation) {
+    const mesh = new THREE.Mesh(
+        sphere(atomRadius(element, representation)),
+        element === 'O' ? oxygenMaterial.clone()
+            : element === 'H' ? hydrogenMaterial.clone()
+                : createElementMaterial(element),
+    );
+    mesh.name = element;
+    mesh.userData = {
+        element,
+        role: metal ? 'role.metal' : 'role.imported',
+        charge: '—',
+        label: element,
+        isMetal: metal,
+    };
+    return mesh;
+}
+
+/* ---------------------------------------------------------
+ *  orderByOctahedron(waters)
+ *  Greedy match of each OCTA_DIRS entry to the unused water
+ *  whose oxygen points most nearly along it.
+ * --------------------------------------------------------- */
+function orderByOctahedron(waters) {
+    const remaining = [...waters];
+    return OCTA_DIRS.map((dir) => {
+        let best = 0;
+        let bestDot = -Infinity;
+        remaining.forEach((w, i) => {
+            const o = w.children.find((c) => c.name === 'O');
+            const dot = o.position.clone().normalize().dot(dir);
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = i;
+            }
+        });
+        return remaining.splice(best, 1)[0];
+    });
+}
+
+/* ---------------------------------------------------------
+ *  isDisplayed(obj)
+ *  An object is drawn only if it and all its ancestors are
+ *  visible (stages hide protons and bond groups).
+ * --------------------------------------------------------- */
+export function isDisplayed(obj) {
+    for (let o = obj; o; o = o.parent) {
+        if (!o.visible) return false;
+    }
+    return true;
+}
+
+/* ---------------------------------------------------------
+ *  atomRole(mesh, i18n)
+ *  userData.role is a message key (locales/en.js, "role.*")
+ *  with optional userData.roleParams; returns it in the
+ *  viewer's language, or '' for a mesh without one.
+ * --------------------------------------------------------- */
+export function atomRole(mesh, i18n) {
+    const { role, roleParams } = mesh.userData;
+    return role ? i18n.t(role, roleParams) : '';
 }
@@ -1,73 +1,242 @@
 /* =========================================================
  *  bonds.js
- *  Creates visual bonds for the [Al(H₂O)₆]³⁺ complex.
+ *  Creates visual bonds for the [M(H₂O)₆]ⁿ⁺ complex.
  *
- *  • Coordination bonds (Al ← O):  dashed lines
- *  • Covalent bonds     (O – H):   solid lines
+ *  • Coordination bonds (M ← O):   dashed lines / striped
+ *                                  cylinders
+ *  • Covalent bonds     (O – H):   solid lines / cylinders
+ *
+ *  Lines or cylinders per the representation (see
+ *  representations.js); space-filling draws no bonds.
+ *
+ *  Each bond keeps its atom pair in userData.bond and
+ *  updateBonds() re-reads their world positions every frame,
+ *  so bonds follow the stage animations. A bond stretched
+ *  past its rest length weakens — coordination bonds fade,
+ *  covalent bonds thin — and breaks at BREAK_STRETCH; moving
+ *  the atoms back together forms it again.
+ *
+ *  userData.bond.kind names the bond for the info panel
+ *  (interaction.js): 'coordinate' or 'covalent', or 'ionic'
+ *  for the M–Cl contacts of a salt crystal (lattice.js),
+ *  which are drawn like coordination bonds.
  * ========================================================= */
 
 import * as THREE from 'three';
 import {
     coordinationBondMaterial,
     covalentBondMaterial,
+    coordinationCylinderMaterial,
+    covalentCylinderMaterial,
 } from './materials.js';
+import { isDisplayed } from './atoms.js';
+import { getRepresentation } from './representations.js';
+
+const CYLINDER_SEGMENTS = 12;
+const STRIPE_PERIOD = 0.2;     // Å per opaque + clear stripe pair
+const UP = new THREE.Vector3(0, 1, 0);
+
+// ── Bond strength vs stretch (length ÷ rest length) ─────────
+const FULL_STRETCH = 1.05;     // full strength up to here
+const BREAK_STRETCH = 1.6;     // gone from here on
+const MIN_THICKNESS = 0.3;     // covalent radius just before it snaps
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _dir = new THREE.Vector3();
 
 /* ---------------------------------------------------------
- *  createDashedBond(from, to)
- *  Returns a THREE.Line with dashed material.
+ *  createLineBond(coordination)
+ *  Two-point THREE.Line, dashed for coordination bonds.
  * --------------------------------------------------------- */
-function createDashedBond(from, to) {
-    const geo = new THREE.BufferGeometry().setFromPoints([from, to]);
-    const line = new THREE.Line(geo, coordinationBondMaterial.clone());
-    line.computeLineDistances();   // required for dashes to render
-    line.name = 'CoordBond';
+function createLineBond(coordination) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    const material = coordination ? coordinationBondMaterial : covalentBondMaterial;
+    const line = new THREE.Line(geo, material.clone());
+    line.frustumCulled = false;    // endpoints move every frame
     return line;
 }
 
 /* ---------------------------------------------------------
- *  createSolidBond(from, to)
- *  Returns a THREE.Line with solid material.
+ *  createCylinderBond(radius, coordination)
+ *  Open-ended unit-height cylinder, scaled to the bond
+ *  length by updateBond(). Coordination bonds get their own
+ *  copy of the stripe map so the stripe count can follow
+ *  the length.
  * --------------------------------------------------------- */
-function createSolidBond(from, to) {
-    const geo = new THREE.BufferGeometry().setFromPoints([from, to]);
-    const line = new THREE.Line(geo, covalentBondMaterial.clone());
-    line.name = 'CovalentBond';
-    return line;
+function createCylinderBond(radius, coordination) {
+    const geo = new THREE.CylinderGeometry(radius, radius, 1, CYLINDER_SEGMENTS, 1, true);
+    const material = (coordination ? coordinationCylinderMaterial : covalentCylinderMaterial).clone();
+    if (coordination) material.alphaMap = material.alphaMap.clone();
+    return new THREE.Mesh(geo, material);
 }
 
 /* ---------------------------------------------------------
- *  buildBonds(al, waters)
+ *  createBond(a, b, coordination, representation, rest)
+ *
+ *  One bond between two atom meshes in the representation's
+ *  style, or null when it draws none (space-filling).
  *
- *  @param {THREE.Mesh}    al      – Al center mesh
+ *  @param {THREE.Mesh} a, b
+ *  @param {boolean}    coordination — M ← O rather than covalent
+ *  @param {object}     [representation] — from REPRESENTATIONS
+ *  @param {number}     [rest] — unstrained length (Å); default
+ *                      the current distance between a and b
+ * --------------------------------------------------------- */
+export function createBond(a, b, coordination, representation = getRepresentation(), rest) {
+    let bond;
+    switch (representation.bonds) {
+        case 'cylinder': bond = createCylinderBond(representation.bondRadius, coordination); break;
+        case 'line': bond = createLineBond(coordination); break;
+        default: return null;
+    }
+
+    bond.name = coordination ? 'CoordBond' : 'CovalentBond';
+    bond.userData.bond = {
+        a,
+        b,
+        coordination,
+        kind: coordination ? 'coordinate' : 'covalent',
+        rest: rest ?? a.getWorldPosition(new THREE.Vector3()).distanceTo(b.getWorldPosition(new THREE.Vector3())),
+    };
+    updateBond(bond);
+    return bond;
+}
+
+/* ---------------------------------------------------------
+ *  bondStrength(stretch)
+ *  1 up to FULL_STRETCH, easing to 0 at BREAK_STRETCH.
+ * --------------------------------------------------------- */
+export function bondStrength(stretch) {
+    return 1 - THREE.MathUtils.smoothstep(stretch, FULL_STRETCH, BREAK_STRETCH);
+}
+
+/* ---------------------------------------------------------
+ *  bondLength(bond)
+ *  Current distance between the bond's atoms (Å) and its
+ *  ratio to the rest length.
+ *
+ *  @returns {{ length: number, stretch: number }}
+ * --------------------------------------------------------- */
+export function bondLength(bond) {
+    const { a, b, rest } = bond.userData.bond;
+    const length = a.getWorldPosition(_a).distanceTo(b.getWorldPosition(_b));
+    return { length, stretch: length / rest };
+}
+
+/* ---------------------------------------------------------
+ *  updateBond(bond)
+ *  Re-fits one bond to its atoms' current world positions.
+ * --------------------------------------------------------- */
+export function updateBond(bond) {
+    const { a, b, coordination, rest } = bond.userData.bond;
+    a.getWorldPosition(_a);
+    b.getWorldPosition(_b);
+
+    const strength = bondStrength(_a.distanceTo(_b) / rest);
+
+    // Hidden with either atom (e.g. a proton lost in an earlier step)
+    bond.visible = strength > 0 && isDisplayed(a) && isDisplayed(b);
+    if (!bond.visible) return;
+
+    // Into the bond's parent frame (a bond may live in a moving group)
+    if (bond.parent) {
+        bond.parent.updateWorldMatrix(true, false);
+        bond.parent.worldToLocal(_a);
+        bond.parent.worldToLocal(_b);
+    }
+
+    if (bond.isLine) {
+        const pos = bond.geometry.attributes.position;
+        pos.setXYZ(0, _a.x, _a.y, _a.z);
+        pos.setXYZ(1, _b.x, _b.y, _b.z);
+        pos.needsUpdate = true;
+        bond.computeLineDistances();   // required for dashes to render
+        bond.material.opacity = strength;
+        return;
+    }
+
+    const length = _a.distanceTo(_b);
+    bond.position.addVectors(_a, _b).multiplyScalar(0.5);
+    if (length > 0) bond.quaternion.setFromUnitVectors(UP, _dir.subVectors(_b, _a).divideScalar(length));
+
+    if (coordination) {
+        bond.scale.set(1, length, 1);
+        bond.material.opacity = strength;
+        bond.material.alphaMap.repeat.y = length / STRIPE_PERIOD;
+    } else {
+        const thickness = MIN_THICKNESS + (1 - MIN_THICKNESS) * strength;
+        bond.scale.set(thickness, length, thickness);
+    }
+}
+
+/* ---------------------------------------------------------
+ *  updateBonds(root)
+ *  Called from the render loop for every bond under `root`.
+ * --------------------------------------------------------- */
+export function updateBonds(root) {
+    root.traverse((obj) => {
+        if (obj.userData.bond) updateBond(obj);
+    });
+}
+
+/* ---------------------------------------------------------
+ *  buildBonds(metal, waters, representation)
+ *
+ *  @param {THREE.Mesh}    metal   – metal center mesh
  *  @param {THREE.Group[]} waters  – array of 6 water groups
- *  @returns {THREE.Group} containing all bond lines
+ *  @param {object}        [representation] – from REPRESENTATIONS
+ *  @returns {THREE.Group} containing all bonds
  * --------------------------------------------------------- */
-export function buildBonds(al, waters) {
+export function buildBonds(metal, waters, representation) {
     const bondsGroup = new THREE.Group();
     bondsGroup.name = 'Bonds';
 
-    const alPos = new THREE.Vector3();
-    al.getWorldPosition(alPos);
-
     for (const water of waters) {
         // Find oxygen in this water group
         const oxygen = water.children.find((c) => c.name === 'O');
         if (!oxygen) continue;
 
-        const oPos = new THREE.Vector3();
-        oxygen.getWorldPosition(oPos);
-
-        // ── Coordination bond:  Al ← O  (dashed) ──
-        bondsGroup.add(createDashedBond(alPos, oPos));
+        // ── Coordination bond:  M ← O  (dashed) ──
+        addBond(bondsGroup, createBond(metal, oxygen, true, representation));
 
         // ── Covalent bonds:  O – H  (solid) ──
         const hydrogens = water.children.filter((c) => c.name.startsWith('H'));
         for (const h of hydrogens) {
-            const hPos = new THREE.Vector3();
-            h.getWorldPosition(hPos);
-            bondsGroup.add(createSolidBond(oPos, hPos));
+            addBond(bondsGroup, createBond(oxygen, h, false, representation));
         }
     }
 
     return bondsGroup;
 }
+
+/* ---------------------------------------------------------
+ *  buildBondsFromPairs(atomMeshes, pairs, representation)
+ *
+ *  Bonds for an imported structure (see molfile.js).
+ *  Pairs touching a metal are drawn as dashed coordination
+ *  bonds, everything else as solid covalent bonds.
+ *
+ *  @param {THREE.Mesh[]}             atomMeshes – index-aligned with the file
+ *  @param {Array<[number, number]>}  pairs      – inferred bonds
+ *  @param {object}                   [representation]
+ *  @returns {THREE.Group} containing all bonds
+ * --------------------------------------------------------- */
+export function buildBondsFromPairs(atomMeshes, pairs, representation) {
+    const bondsGroup = new THREE.Group();
+    bondsGroup.name = 'Bonds';
+
+    for (const [i, j] of pairs) {
+        const a = atomMeshes[i];
+        const b = atomMeshes[j];
+        const coordination = a.userData.isMetal || b.userData.isMetal;
+        addBond(bondsGroup, createBond(a, b, coordination, representation));
+    }
+
+    return bondsGroup;
+}
+
+function addBond(group, bond) {
+    if (bond) group.add(bond);
+}
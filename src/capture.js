@@ -0,0 +1,397 @@
+/* =========================================================
+ *  capture.js
+ *  High-resolution stills and stage recordings of one
+ *  viewer: a PNG snapshot of the WebGL canvas with the CSS2D
+ *  labels (labels.js, measure.js) drawn in, and a stage's
+ *  whole GSAP timeline as WebM or as a ZIP of PNG frames.
+ *
+ *  Recordings step the timeline frame by frame (time i/fps)
+ *  instead of filming it in real time, so every frame shows
+ *  exactly its moment whatever the machine's speed. PNG
+ *  frames are therefore deterministic; WebM frames are fed
+ *  to a MediaRecorder at the frame rate, so a frame that
+ *  takes longer than 1/fps to draw is held a little longer.
+ *
+ *  Frames are drawn by the viewer's own renderer, resized for
+ *  the frame and restored before the next screen update.
+ *  Transparent frames drop the scene background and fog
+ *  (WebM keeps them: encoders drop the alpha channel).
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { isDisplayed } from './atoms.js';
+import { createZip } from './zip.js';
+import { download } from './fileio.js';
+
+// ── Config ──────────────────────────────────────────────────
+export const FRAME_RATES = [24, 30, 60];
+const DEFAULT_FPS = 30;
+const MIN_SIZE = 16;
+const MAX_SIZE = 8192;                // px per side
+const DEFAULT_SCALE = 2;              // default size × the view
+const BITS_PER_PIXEL = 0.15;          // WebM bitrate per pixel per frame
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/* ---------------------------------------------------------
+ *  createCapture({ root, renderer, scene, camera, i18n,
+ *                  getTimeline, getName, update, render })
+ *
+ *  @param {Document|ShadowRoot} root — holds #capture-*
+ *  @param {THREE.WebGLRenderer} renderer — the viewer's
+ *         (created with alpha: true for transparent frames)
+ *  @param {THREE.Scene}  scene
+ *  @param {THREE.Camera} camera
+ *  @param {object}       i18n — from createI18n()
+ *  @param {() => gsap.core.Timeline|null} getTimeline —
+ *         the active stage timeline
+ *  @param {() => string} getName — file name without extension
+ *  @param {() => void}   update — brings bonds, measurements,
+ *         surface and camera up to date for a frame
+ *  @param {() => void}   render — the normal screen render
+ *  @returns {{ snapshot, record, isBusy, relocalize }}
+ * --------------------------------------------------------- */
+export function createCapture({ root, renderer, scene, camera, i18n, getTimeline, getName, update, render }) {
+
+    // ── State ──
+    let busy = false;
+    let abort = null;          // AbortController of the running UI export
+
+    // ── DOM refs ──
+    const details = root.getElementById('capture-tools');
+    const widthInput = root.getElementById('capture-width');
+    const heightInput = root.getElementById('capture-height');
+    const transparentToggle = root.getElementById('capture-transparent');
+    const fpsSelect = root.getElementById('capture-fps');
+    const pngBtn = root.getElementById('capture-png');
+    const webmBtn = root.getElementById('capture-webm');
+    const framesBtn = root.getElementById('capture-frames');
+    const cancelBtn = root.getElementById('capture-cancel');
+    const progressBar = root.getElementById('capture-progress');
+    const statusEl = root.getElementById('capture-status');
+
+    // ── Wire the controls ──
+    if (fpsSelect) {
+        for (const fps of FRAME_RATES) {
+            const opt = document.createElement('option');
+            opt.value = String(fps);
+            fpsSelect.appendChild(opt);
+        }
+        fpsSelect.value = String(DEFAULT_FPS);
+    }
+
+    // Sizes default to twice the view when the panel opens
+    details?.addEventListener('toggle', () => {
+        if (!details.open) return;
+        const view = renderer.getSize(new THREE.Vector2());
+        if (widthInput && !widthInput.value) widthInput.value = String(Math.round(view.x * DEFAULT_SCALE));
+        if (heightInput && !heightInput.value) heightInput.value = String(Math.round(view.y * DEFAULT_SCALE));
+    });
+
+    pngBtn?.addEventListener('click', () => runExport('png', (settings) => snapshot(settings)));
+    webmBtn?.addEventListener('click', () => runExport('webm', (settings) => record({ ...settings, format: 'webm' })));
+    framesBtn?.addEventListener('click', () => runExport('zip', (settings) => record({ ...settings, format: 'png' })));
+    cancelBtn?.addEventListener('click', () => abort?.abort());
+
+    function readSettings() {
+        const view = renderer.getSize(new THREE.Vector2());
+        return {
+            width: clampSize(parseInt(widthInput?.value, 10) || view.x * DEFAULT_SCALE),
+            height: clampSize(parseInt(heightInput?.value, 10) || view.y * DEFAULT_SCALE),
+            transparent: !!transparentToggle?.checked,
+            fps: parseInt(fpsSelect?.value, 10) || DEFAULT_FPS,
+        };
+    }
+
+    // Runs one export from the panel and downloads the result
+    async function runExport(extension, exporter) {
+        if (busy) return;
+        abort = new AbortController();
+        setRunning(true);
+        try {
+            const blob = await exporter({
+                ...readSettings(),
+                signal: abort.signal,
+                onProgress: (done, count) => {
+                    if (!progressBar) return;
+                    progressBar.max = count;
+                    progressBar.value = done;
+                },
+            });
+            const file = `${getName()}.${extension}`;
+            download(file, blob, blob.type);
+            setStatus(i18n.t('capture.saved', { file }));
+        } catch (err) {
+            if (err.name === 'AbortError') setStatus(i18n.t('capture.cancelled'));
+            else setStatus(i18n.t('capture.failed', { error: err.message }), true);
+        } finally {
+            abort = null;
+            setRunning(false);
+        }
+    }
+
+    function setRunning(running) {
+        for (const btn of [pngBtn, webmBtn, framesBtn]) {
+            if (btn) btn.disabled = running;
+        }
+        if (cancelBtn) cancelBtn.hidden = !running;
+        if (progressBar) {
+            progressBar.hidden = !running;
+            progressBar.removeAttribute('value');     // indeterminate until the first frame
+        }
+        if (running) setStatus('');
+    }
+
+    function setStatus(message, isError = false) {
+        if (!statusEl) return;
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    /* -----------------------------------------------------
+     *  snapshot({ width, height, transparent })
+     *
+     *  The current view as a PNG at the given size (default
+     *  twice the view's CSS size), labels included.
+     *
+     *  @returns {Promise<Blob>} image/png
+     * ----------------------------------------------------- */
+    async function snapshot({ width, height, transparent = false } = {}) {
+        const out = createFrameCanvas(width, height);
+        drawFrame(out, transparent);
+        return toPNG(out);
+    }
+
+    /* -----------------------------------------------------
+     *  record({ format, fps, width, height, transparent,
+     *           signal, onProgress })
+     *
+     *  Steps the active stage timeline from 0 to its end and
+     *  returns it as a WebM video (format 'webm') or a ZIP of
+     *  numbered PNG frames (format 'png'). The timeline is put
+     *  back where it was afterwards.
+     *
+     *  @param {AbortSignal} [signal] — cancels between frames
+     *  @param {(done: number, count: number) => void} [onProgress]
+     *  @returns {Promise<Blob>} video/webm or application/zip
+     * ----------------------------------------------------- */
+    async function record({
+        format = 'webm', fps = DEFAULT_FPS, width, height, transparent = false,
+        signal, onProgress,
+    } = {}) {
+        const timeline = getTimeline();
+        if (!timeline) throw new Error('Capture: no stage timeline to record');
+        if (busy) throw new Error('Capture: an export is already running');
+
+        const out = createFrameCanvas(width, height);
+        const count = Math.floor(timeline.duration() * fps + 1e-6) + 1;
+        const saved = { time: timeline.time(), paused: timeline.paused() };
+
+        busy = true;
+        timeline.pause();
+        try {
+            return format === 'png'
+                ? await recordFrames(timeline, out, { fps, count, transparent, signal, onProgress })
+                : await recordWebM(timeline, out, { fps, count, signal, onProgress });
+        } finally {
+            // suppressEvents = false so discrete changes are undone too
+            timeline.time(saved.time, false);
+            timeline.paused(saved.paused);
+            busy = false;
+            update();
+            render();
+        }
+    }
+
+    async function recordFrames(timeline, out, { fps, count, transparent, signal, onProgress }) {
+        const digits = String(count).length;
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            signal?.throwIfAborted();
+            timeline.time(i / fps, false);
+            drawFrame(out, transparent);
+            const data = new Uint8Array(await (await toPNG(out)).arrayBuffer());
+            files.push({ name: `${getName()}-${String(i).padStart(digits, '0')}.png`, data });
+            onProgress?.(i + 1, count);
+        }
+        return createZip(files);
+    }
+
+    async function recordWebM(timeline, out, { fps, count, signal, onProgress }) {
+        const mimeType = WEBM_TYPES.find((type) => window.MediaRecorder?.isTypeSupported(type));
+        if (!mimeType || !out.captureStream) throw new Error('Capture: this browser cannot record WebM');
+
+        // A frame is sent only on requestFrame()
+        const stream = out.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(out.width * out.height * fps * BITS_PER_PIXEL),
+        });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve, { once: true }));
+
+        recorder.start();
+        const start = performance.now();
+        try {
+            for (let i = 0; i < count; i++) {
+                signal?.throwIfAborted();
+                timeline.time(i / fps, false);
+                drawFrame(out, false);
+                track.requestFrame();
+                onProgress?.(i + 1, count);
+                // Hold each frame for 1/fps of recording time
+                await wait(start + ((i + 1) * 1000) / fps - performance.now());
+            }
+        } finally {
+            recorder.stop();
+            track.stop();
+        }
+        await stopped;
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /* -----------------------------------------------------
+     *  drawFrame(out, transparent)
+     *
+     *  Renders the scene at the size of the 2D canvas `out`
+     *  and copies it there with the labels, then puts the
+     *  renderer, camera and background back and redraws the
+     *  screen.
+     * ----------------------------------------------------- */
+    function drawFrame(out, transparent) {
+        const { width, height } = out;
+        const view = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const { background, fog } = scene;
+        const aspect = camera.aspect;
+
+        update();
+        try {
+            renderer.setPixelRatio(1);
+            renderer.setSize(width, height, false);
+            const gl = renderer.getContext();
+            if (gl.drawingBufferWidth < width || gl.drawingBufferHeight < height) {
+                throw new Error(`Capture: ${width} × ${height} is larger than this GPU can draw`);
+            }
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+            if (transparent) {
+                scene.background = null;
+                scene.fog = null;
+            }
+            renderer.render(scene, camera);
+
+            // Copied in the same task, before the buffer is cleared
+            const ctx = out.getContext('2d');
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(renderer.domElement, 0, 0, width, height);
+            // Labels keep their size relative to the view height
+            drawLabels(ctx, width, height, height / view.y);
+        } finally {
+            scene.background = background;
+            scene.fog = fog;
+            camera.aspect = aspect;
+            camera.updateProjectionMatrix();
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(view.x, view.y, false);
+            render();
+        }
+    }
+
+    // Every shown CSS2D label, far to near, where CSS2DRenderer puts it
+    function drawLabels(ctx, width, height, scale) {
+        const found = [];
+        scene.traverse((obj) => {
+            if (obj.isCSS2DObject && isDisplayed(obj)) found.push(obj);
+        });
+
+        const pos = new THREE.Vector3();
+        const placed = found
+            .map((label) => {
+                pos.setFromMatrixPosition(label.matrixWorld).project(camera);
+                return { label, x: ((pos.x + 1) / 2) * width, y: ((1 - pos.y) / 2) * height, z: pos.z };
+            })
+            .filter((p) => p.z >= -1 && p.z <= 1)
+            .sort((a, b) => b.z - a.z);
+
+        for (const { label, x, y } of placed) drawLabel(ctx, label, x, y, scale);
+    }
+
+    // One label box from its computed style, scaled to the frame
+    function drawLabel(ctx, label, x, y, scale) {
+        const el = label.element;
+        const text = el.textContent;
+        if (!text) return;
+        const style = getComputedStyle(el);
+        const px = (value) => (parseFloat(value) || 0) * scale;
+
+        const fontSize = px(style.fontSize);
+        ctx.font = `${style.fontStyle} ${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+        ctx.direction = style.direction;
+        const border = px(style.borderTopWidth);
+        const lineHeight = px(style.lineHeight) || fontSize * 1.2;
+        const w = ctx.measureText(text).width + 2 * (px(style.paddingLeft) + border);
+        const h = lineHeight + 2 * (px(style.paddingTop) + border);
+        const left = x - w * label.center.x;
+        const top = y - h * label.center.y;
+
+        ctx.save();
+        ctx.globalAlpha = parseFloat(style.opacity);
+        ctx.beginPath();
+        ctx.roundRect(left + border / 2, top + border / 2, w - border, h - border, px(style.borderTopLeftRadius));
+        ctx.fillStyle = style.backgroundColor;
+        ctx.fill();
+        if (border > 0) {
+            ctx.lineWidth = border;
+            ctx.strokeStyle = style.borderTopColor;
+            ctx.stroke();
+        }
+        ctx.fillStyle = style.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, left + w / 2, top + h / 2);
+        ctx.restore();
+    }
+
+    /* -----------------------------------------------------
+     *  relocalize()
+     *  Re-reads the frame-rate option texts.
+     * ----------------------------------------------------- */
+    function relocalize() {
+        for (const opt of fpsSelect?.options ?? []) {
+            opt.textContent = i18n.t('capture.fpsOption', { fps: opt.value });
+        }
+    }
+
+    function createFrameCanvas(width, height) {
+        const view = renderer.getSize(new THREE.Vector2());
+        const out = document.createElement('canvas');
+        out.width = clampSize(width ?? view.x * DEFAULT_SCALE);
+        out.height = clampSize(height ?? view.y * DEFAULT_SCALE);
+        return out;
+    }
+
+    return {
+        snapshot,
+        record,
+        isBusy: () => busy,
+        relocalize,
+    };
+}
+
+function clampSize(n) {
+    return Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.round(n)));
+}
+
+function toPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Capture: could not encode the PNG'))), 'image/png');
+    });
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
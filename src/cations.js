@@ -0,0 +1,196 @@
+/* =========================================================
+ *  cations.js
+ *  Data table of hydrated metal cations used to teach the
+ *  hydrolysis trend, plus formula-formatting helpers.
+ *
+ *  Data reference
+ *  ──────────────
+ *  • ionicRadius — Shannon effective ionic radius, CN 6 (Å)
+ *  • rMO         — mean M–O distance in [M(H₂O)₆]ⁿ⁺ (Å)
+ *  • rMOAxial    — optional elongated axial M–O (Jahn–Teller)
+ *  • rMOTetra    — optional M–O in tetrahedral [M(OH)₄]
+ *  • pKa         — stepwise hydrolysis constants pKa₁…pKaₙ for
+ *                  the monomeric species at 25 °C (Baes &
+ *                  Mesmer); Na⁺ and Mg²⁺ list only pKa₁
+ * ========================================================= */
+
+// ── Cation Table ────────────────────────────────────────────
+export const CATIONS = {
+    Na: {
+        symbol: 'Na', name: 'Sodium', charge: 1,
+        ionicRadius: 1.02, rMO: 2.43, coordination: 6,
+        color: 0xab5cf2, pKa: [14.2],
+    },
+    Mg: {
+        symbol: 'Mg', name: 'Magnesium', charge: 2,
+        ionicRadius: 0.72, rMO: 2.07, coordination: 6,
+        color: 0x8aff00, pKa: [11.4],
+    },
+    Zn: {
+        symbol: 'Zn', name: 'Zinc', charge: 2,
+        ionicRadius: 0.74, rMO: 2.08, coordination: 6,
+        color: 0x7d80b0, pKa: [9.0, 7.9, 11.5, 12.8],
+    },
+    Cu: {
+        symbol: 'Cu', name: 'Copper(II)', charge: 2,
+        ionicRadius: 0.73, rMO: 1.97, rMOAxial: 2.38, coordination: 6,
+        color: 0xc88033, pKa: [8.0, 9.3, 10.5, 11.8],
+    },
+    Fe: {
+        symbol: 'Fe', name: 'Iron(III)', charge: 3,
+        ionicRadius: 0.645, rMO: 2.00, coordination: 6,
+        color: 0xe06633, pKa: [2.2, 3.5, 6.3, 9.6],
+    },
+    Cr: {
+        symbol: 'Cr', name: 'Chromium(III)', charge: 3,
+        ionicRadius: 0.615, rMO: 1.96, coordination: 6,
+        color: 0x8a99c7, pKa: [4.0, 5.7, 8.3, 9.4],
+    },
+    Al: {
+        symbol: 'Al', name: 'Aluminium', charge: 3,
+        ionicRadius: 0.535, rMO: 1.90, rMOTetra: 1.76, coordination: 6,
+        color: 0xc0c0c0, pKa: [5.0, 4.3, 5.7, 8.0],
+    },
+};
+
+export const DEFAULT_CATION = 'Al';
+
+// Successive deprotonations modelled, ending at tetrahedral [M(OH)₄]
+export const HYDROLYSIS_STEPS = 4;
+
+// ── Superscript / subscript digits ──────────────────────────
+const SUPERSCRIPT = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+const SUBSCRIPT = ['₀', '₁', '₂', '₃', '₄', '₅', '₆', '₇', '₈', '₉'];
+
+/* ---------------------------------------------------------
+ *  getCation(id)
+ *  Looks up a cation by symbol, falling back to Al³⁺.
+ * --------------------------------------------------------- */
+export function getCation(id) {
+    return CATIONS[id] || CATIONS[DEFAULT_CATION];
+}
+
+/* ---------------------------------------------------------
+ *  formatCharge(n)
+ *  1 → '⁺', 3 → '³⁺', −1 → '⁻', 0 → ''
+ * --------------------------------------------------------- */
+export function formatCharge(n) {
+    if (n === 0) return '';
+    const sign = n > 0 ? '⁺' : '⁻';
+    const mag = Math.abs(n);
+    const digits = mag === 1 ? '' : String(mag).split('').map((d) => SUPERSCRIPT[d]).join('');
+    return digits + sign;
+}
+
+/* ---------------------------------------------------------
+ *  formatCount(n)
+ *  Subscript count, omitted when 1 (H₂O, not H₂O₁).
+ * --------------------------------------------------------- */
+export function formatCount(n) {
+    if (n === 1) return '';
+    return String(n).split('').map((d) => SUBSCRIPT[d]).join('');
+}
+
+/* ---------------------------------------------------------
+ *  formatIon(cation)          → 'Al³⁺'
+ *  complexFormula(cation)     → '[Al(H₂O)₆]³⁺'
+ * --------------------------------------------------------- */
+export function formatIon(cation) {
+    return cation.symbol + formatCharge(cation.charge);
+}
+
+export function complexFormula(cation) {
+    return `[${cation.symbol}(H₂O)${formatCount(cation.coordination)}]${formatCharge(cation.charge)}`;
+}
+
+/** The cation's chloride salt: 'AlCl₃', 'MgCl₂', 'NaCl' */
+export function saltFormula(cation) {
+    return `${cation.symbol}Cl${formatCount(cation.charge)}`;
+}
+
+/* ---------------------------------------------------------
+ *  maxSpecies(cation)
+ *  Deprotonations the table has a pKa for (at most
+ *  HYDROLYSIS_STEPS): 1 for Na⁺ and Mg²⁺, 4 for Al³⁺.
+ *  Species and stages past it are not shown.
+ * --------------------------------------------------------- */
+export function maxSpecies(cation) {
+    return Math.min(HYDROLYSIS_STEPS, cation.pKa.length);
+}
+
+/* ---------------------------------------------------------
+ *  speciesFormula(cation, k)
+ *
+ *  Formula after k deprotonations:
+ *    0 → [Al(H₂O)₆]³⁺      1 → [Al(H₂O)₅OH]²⁺
+ *    2 → [Al(H₂O)₄(OH)₂]⁺  3 → Al(OH)₃(H₂O)₃
+ *    4 → [Al(OH)₄]⁻  (final step is tetrahedral)
+ *  Throws for k past maxSpecies(cation).
+ * --------------------------------------------------------- */
+export function speciesFormula(cation, k) {
+    if (!Number.isInteger(k) || k < 0 || k > maxSpecies(cation)) {
+        throw new Error(`Cations: no pKa for species ${k} of ${formatIon(cation)}`);
+    }
+    if (k === 0) return complexFormula(cation);
+
+    const M = cation.symbol;
+    const charge = cation.charge - k;
+    const waters = cation.coordination - k;
+
+    if (k === HYDROLYSIS_STEPS) return `[${M}(OH)${formatCount(k)}]${formatCharge(charge)}`;
+
+    const oh = k === 1 ? 'OH' : `(OH)${formatCount(k)}`;
+    if (charge === 0) return `${M}${oh}(H₂O)${formatCount(waters)}`;
+    return `[${M}(H₂O)${formatCount(waters)}${oh}]${formatCharge(charge)}`;
+}
+
+/* ---------------------------------------------------------
+ *  hydrolysisEquation(cation, step)
+ *  Equation for the `step`-th deprotonation (1-based).
+ *  The last step also releases the two surplus waters.
+ *  Throws for a step past maxSpecies(cation).
+ * --------------------------------------------------------- */
+export function hydrolysisEquation(cation, step = 1) {
+    if (!Number.isInteger(step) || step < 1 || step > maxSpecies(cation)) {
+        throw new Error(`Cations: no pKa for hydrolysis step ${step} of ${formatIon(cation)}`);
+    }
+    const lhs = `${speciesFormula(cation, step - 1)} + H₂O`;
+    let rhs = `${speciesFormula(cation, step)} + H₃O⁺`;
+    if (step === HYDROLYSIS_STEPS) {
+        const released = cation.coordination - HYDROLYSIS_STEPS;
+        if (released > 0) rhs += ` + ${released > 1 ? released : ''}H₂O`;
+    }
+    return `${lhs} ⇌ ${rhs}`;
+}
+
+/* ---------------------------------------------------------
+ *  hydrolysisFreeEnergy(cation, step)
+ *  ΔG° (kJ mol⁻¹) of the `step`-th deprotonation from its
+ *  pKa: ΔG° = RT ln 10 · pKa at 25 °C. NaN where the table
+ *  has no pKa for the step.
+ * --------------------------------------------------------- */
+const RT_LN10 = 8.314462618e-3 * 298.15 * Math.LN10;
+
+export function hydrolysisFreeEnergy(cation, step = 1) {
+    const pKa = cation.pKa[step - 1];
+    return pKa === undefined ? NaN : RT_LN10 * pKa;
+}
+
+/* ---------------------------------------------------------
+ *  chargeDensity(cation)
+ *  Charge / ionic radius (e Å⁻¹) — the polarising power.
+ * --------------------------------------------------------- */
+export function chargeDensity(cation) {
+    return cation.charge / cation.ionicRadius;
+}
+
+/* ---------------------------------------------------------
+ *  polarisingStrength(cation)
+ *  Charge density normalised to the strongest cation in the
+ *  table (0 → 1). Drives the Stage 3 glow intensity.
+ * --------------------------------------------------------- */
+const MAX_CHARGE_DENSITY = Math.max(...Object.values(CATIONS).map(chargeDensity));
+
+export function polarisingStrength(cation) {
+    return chargeDensity(cation) / MAX_CHARGE_DENSITY;
+}
@@ -0,0 +1,151 @@
+/* =========================================================
+ *  charges.js
+ *  Point-charge model of the shown atoms, shared by the ESP
+ *  surface (surface.js) and the field overlays (field.js).
+ *
+ *  Charges (e)
+ *  ───────────
+ *  Water atoms (userData.charge δ− / δ+) start as O²⁻ and H⁺;
+ *  each O–H bond, weighted 0–1 by stretch as in bonds.js,
+ *  gives BOND_SHARE of the proton's charge back to it:
+ *
+ *      q(H) = 1 − BOND_SHARE · min(1, Σ w)
+ *      q(O) = −2 + BOND_SHARE · Σ w
+ *
+ *  That is TIP3P water (O −0.834, H +0.417) at rest, −1 on a
+ *  hydroxide and +1 on H₃O⁺, and a leaving proton takes its
+ *  +1 with it as the bond breaks. Every other atom has its
+ *  formal charge (metal +n, Cl⁻ −1, imported atoms 0).
+ *
+ *  Polarisation (stages.getPolarisation(), Stages 3–6) then
+ *  moves POLARISATION_CHARGE from the metal onto the target
+ *  oxygen's protons, so the O–H bonds grow more polar as
+ *  Stage 3 plays.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { isDisplayed } from './atoms.js';
+import { bondStrength } from './bonds.js';
+import { COVALENT_RADII } from './molfile.js';
+
+export const COULOMB = 14.4;           // V·Å per e  (e / 4πε₀)
+
+const ION_CHARGES = { O: -2, H: 1 };   // water atoms with no bonds
+const BOND_SHARE = 0.583;              // 1 − TIP3P q(H)
+const POLARISATION_CHARGE = 0.3;       // e moved at full polarisation
+const MIN_DISTANCE = 0.3;              // Å, softens 1/r² at the nuclei
+
+const _d = new THREE.Vector3();
+
+/* ---------------------------------------------------------
+ *  collectAtoms(scene)
+ *  Shown atoms with world position and starting charge.
+ *
+ *  @returns {Array<{ mesh, element, isMetal, water, position,
+ *                    charge }>}
+ * --------------------------------------------------------- */
+export function collectAtoms(scene) {
+    const atoms = [];
+    scene.traverse((obj) => {
+        if (!obj.isMesh || !obj.userData.element || !isDisplayed(obj)) return;
+        const { element, isMetal, charge } = obj.userData;
+        const water = typeof charge === 'string' && charge.startsWith('δ');
+        atoms.push({
+            mesh: obj,
+            element,
+            isMetal: !!isMetal,
+            water,
+            position: obj.getWorldPosition(new THREE.Vector3()),
+            charge: water ? ION_CHARGES[element] ?? 0 : formalCharge(charge),
+        });
+    });
+    return atoms;
+}
+
+// '+3', '−1' (U+2212) or '—'
+function formalCharge(text) {
+    const value = parseFloat(String(text ?? '').replace('−', '-'));
+    return Number.isNaN(value) ? 0 : value;
+}
+
+/* ---------------------------------------------------------
+ *  findPairs(atoms)
+ *  Bonded pairs with a 0–1 weight: the covalent-radius sum
+ *  is the rest length, and the weight fades with stretch as
+ *  in bonds.js. Metal–H pairs are skipped (see molfile.js).
+ * --------------------------------------------------------- */
+export function findPairs(atoms) {
+    const pairs = [];
+    for (let i = 0; i < atoms.length; i++) {
+        const a = atoms[i];
+        for (let j = i + 1; j < atoms.length; j++) {
+            const b = atoms[j];
+            if ((a.isMetal && b.element === 'H') || (b.isMetal && a.element === 'H')) continue;
+
+            const rest = (COVALENT_RADII[a.element] ?? 1.5) + (COVALENT_RADII[b.element] ?? 1.5);
+            const weight = bondStrength(a.position.distanceTo(b.position) / rest);
+            if (weight > 0) pairs.push({ a, b, weight });
+        }
+    }
+    return pairs;
+}
+
+/* ---------------------------------------------------------
+ *  assignCharges(atoms, pairs, { atom, amount })
+ *  Shares the water charges out over the O–H bonds, then
+ *  applies the polarisation of the target oxygen.
+ * --------------------------------------------------------- */
+export function assignCharges(atoms, pairs, { atom, amount }) {
+    const bonded = new Map();      // water H → Σ w of its O–H bonds
+    for (const { a, b, weight } of pairs) {
+        const [o, h] = a.element === 'O' ? [a, b] : [b, a];
+        if (!o.water || !h.water || o.element !== 'O' || h.element !== 'H') continue;
+        o.charge += BOND_SHARE * weight;
+        bonded.set(h, (bonded.get(h) ?? 0) + weight);
+    }
+    for (const [h, total] of bonded) h.charge -= BOND_SHARE * Math.min(1, total);
+
+    // Electron density flows from the O–H bonds toward the cation
+    const target = atoms.find((a) => a.mesh === atom);
+    if (!target || amount <= 0) return;
+
+    const protons = [];
+    const metals = [];
+    for (const { a, b } of pairs) {
+        if (a !== target && b !== target) continue;
+        const other = a === target ? b : a;
+        if (other.element === 'H') protons.push(other);
+        else if (other.isMetal) metals.push(other);
+    }
+    if (protons.length === 0 || metals.length === 0) return;
+
+    const moved = amount * POLARISATION_CHARGE;
+    for (const h of protons) h.charge += moved / protons.length;
+    for (const m of metals) m.charge -= moved / metals.length;
+}
+
+/* ---------------------------------------------------------
+ *  pointCharges(scene, polarisation)
+ *  collectAtoms() + findPairs() + assignCharges().
+ * --------------------------------------------------------- */
+export function pointCharges(scene, polarisation) {
+    const atoms = collectAtoms(scene);
+    const pairs = findPairs(atoms);
+    assignCharges(atoms, pairs, polarisation);
+    return { atoms, pairs };
+}
+
+/* ---------------------------------------------------------
+ *  fieldAt(point, atoms, target)
+ *  E = Σ COULOMB · qᵢ (r − rᵢ) / |r − rᵢ|³  in V/Å.
+ * --------------------------------------------------------- */
+export function fieldAt(point, atoms, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    for (const { position, charge } of atoms) {
+        if (charge === 0) continue;
+        _d.subVectors(point, position);
+        const r = Math.max(MIN_DISTANCE, _d.length());
+        target.addScaledVector(_d, (COULOMB * charge) / (r * r * r));
+    }
+    return target;
+}
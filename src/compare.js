@@ -0,0 +1,505 @@
+/* =========================================================
+ *  compare.js
+ *  createComparison(container, options) — two complexes
+ *  side by side, e.g. [Na(H₂O)₆]⁺ next to [Al(H₂O)₆]³⁺,
+ *  stepping through the same lesson together.
+ *
+ *  One WebGLRenderer draws both halves of one canvas
+ *  (scissor rendering), so the page holds a single WebGL
+ *  context. Each pane has its own scene, camera, orbit
+ *  controls, labels and stage machine; one row of stage
+ *  buttons drives both goToStage() timelines, one play /
+ *  pause / replay pair drives both playheads, and "Link
+ *  cameras" keeps the two views turned the same way.
+ *
+ *  Events (dispatched on `container`; bubble, composed)
+ *  ──────
+ *  stagechange   detail: { stage }
+ *  localechange  detail: { locale }
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import template from './compare.html?raw';
+import styles from './styles.css?inline';
+import { buildComplex } from './atoms.js';
+import { buildBonds, updateBonds } from './bonds.js';
+import { createScene, addLighting, disposeTree } from './scene.js';
+import { createLabels } from './labels.js';
+import { createStages } from './stages.js';
+import defaultLesson from './lessons/default.json';
+import { createA11y, prefersReducedMotion } from './a11y.js';
+import { createI18n } from './i18n.js';
+import { createStageNav } from './stage-nav.js';
+import { fillLocaleSelect, fillCationSelect, localizeCationOptions } from './pickers.js';
+import { getRepresentation } from './representations.js';
+import {
+    CATIONS,
+    DEFAULT_CATION,
+    getCation,
+    formatIon,
+    complexFormula,
+} from './cations.js';
+
+const SIDES = ['left', 'right'];
+const DEFAULT_CATIONS = { left: 'Na', right: DEFAULT_CATION };
+
+/* ---------------------------------------------------------
+ *  createComparison(container, options)
+ *
+ *  @param {HTMLElement} container — gets the shadow root;
+ *         the comparison fills it (min-height 360px)
+ *  @param {object}  [options]
+ *  @param {string}  [options.left]   — cation id of the left
+ *         pane (default Na)
+ *  @param {string}  [options.right]  — cation id of the right
+ *         pane (default Al)
+ *  @param {number}  [options.stage]  — initial stage
+ *  @param {boolean} [options.linkCameras] — turn both views
+ *         together (default on)
+ *  @param {boolean} [options.autoRotate] — default: on unless
+ *         the user prefers reduced motion
+ *  @param {string}  [options.locale] — UI language (see
+ *         createViewer)
+ *  @param {boolean} [options.page]   — full-page mode:
+ *         document title and window-wide digit shortcuts
+ *  @returns {object} comparison API (see the end of this
+ *           function)
+ * --------------------------------------------------------- */
+export function createComparison(container, options = {}) {
+    const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${styles}</style>${template}`;
+
+    const abort = new AbortController();
+    const { signal } = abort;
+
+    function emit(type, detail) {
+        container.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  1.  RENDERER  (shared by both panes)
+    // ═══════════════════════════════════════════════════════
+    const canvas = root.getElementById('webgl-canvas');
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.2;
+
+    // ═══════════════════════════════════════════════════════
+    //  2.  LOCALE
+    // ═══════════════════════════════════════════════════════
+    const i18n = createI18n(options.locale ?? navigator.language);
+
+    // ═══════════════════════════════════════════════════════
+    //  3.  PANES  (scene, camera, controls, labels, stages)
+    // ═══════════════════════════════════════════════════════
+    const paneTemplate = root.getElementById('compare-pane');
+    const representation = getRepresentation();
+    const autoRotate = options.autoRotate ?? !prefersReducedMotion();
+    let currentStage = 0;
+    let ready = false;          // set once both panes are built
+
+    const panes = SIDES.map((side) => createPane(side));
+
+    /* -----------------------------------------------------
+     *  createPane(side)
+     *  One half of the canvas: the scene is lit and fogged
+     *  like the single viewer's, and the pane's shadow root
+     *  holds the stage text and live region its stage
+     *  machine writes to.
+     * ----------------------------------------------------- */
+    function createPane(side) {
+        const host = root.querySelector(`.compare-pane[data-side="${side}"]`);
+        const paneRoot = host.attachShadow({ mode: 'open' });
+        paneRoot.innerHTML = `<style>${styles}</style>`;
+        paneRoot.append(paneTemplate.content.cloneNode(true));
+
+        const scene = createScene();
+        addLighting(scene);
+
+        const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+        camera.position.set(4, 3, 5);
+        camera.lookAt(0, 0, 0);
+
+        // Drags on this half turn this pane's camera
+        const controls = new OrbitControls(camera, paneRoot.querySelector('.pane-view'));
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.08;
+        controls.minDistance = 2;
+        controls.maxDistance = 15;
+        controls.autoRotate = autoRotate;
+        controls.autoRotateSpeed = 0.8;
+        controls.update();
+
+        const labels = createLabels(paneRoot, i18n);
+        const a11y = createA11y(paneRoot);
+        const stages = createStages({
+            scene, camera, controls, root: paneRoot, labels, a11y, i18n,
+            lesson: defaultLesson,
+        });
+
+        const pane = {
+            side, host, root: paneRoot, scene, camera, controls, labels, stages,
+            titleEl: paneRoot.querySelector('#title-bar h2'),
+            cationSelect: paneRoot.getElementById('cation-select'),
+            overlay: paneRoot.getElementById('ui-overlay'),
+            cation: null,
+            complex: null,
+            bonds: null,
+            viewport: { x: 0, width: 0 },
+        };
+
+        controls.addEventListener('start', () => { leader = pane; });
+
+        if (pane.cationSelect) fillCationSelect(pane.cationSelect);
+        pane.cationSelect?.addEventListener('change', () => loadCation(pane, pane.cationSelect.value));
+
+        return pane;
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  4.  BUILD THE COMPLEXES  (rebuilt per cation)
+    // ═══════════════════════════════════════════════════════
+    function loadCation(pane, id) {
+        const cation = getCation(id);
+        const built = buildComplex(cation, representation);
+        const { scene, labels, stages } = pane;
+
+        if (pane.complex) {
+            labels.detachLabels(pane.complex);
+            scene.remove(pane.complex, pane.bonds);
+            disposeTree(pane.complex);
+            disposeTree(pane.bonds);
+        }
+
+        pane.complex = built.complex;
+        pane.bonds = buildBonds(built.metal, built.waters, representation);
+        pane.cation = cation;
+        scene.add(pane.complex, pane.bonds);
+        labels.attachLabels(pane.complex);
+
+        stages.init(pane.complex, built.metal, built.waters, cation, representation);
+        if (pane.cationSelect) pane.cationSelect.value = cation.symbol;
+        renderTitle(pane);
+        stageNav.sync();
+
+        // Same stage as the other pane, or the last one both
+        // cations have pKa data for
+        if (!isStageAvailable(currentStage)) {
+            let stage = currentStage;
+            while (stage > 0 && !isStageAvailable(stage)) stage--;
+            currentStage = -1;
+            goToStage(stage);
+        } else if (ready) {
+            // Restart both, not just this pane, so they stay in step
+            restartStage();
+        }
+    }
+
+    function renderTitle(pane) {
+        if (pane.titleEl) pane.titleEl.textContent = i18n.t('app.title', { complex: complexFormula(pane.cation) });
+        if (!options.page) return;
+        const [left, right] = panes.map((p) => (p.cation ? formatIon(p.cation) : ''));
+        document.title = i18n.t('compare.documentTitle', { left, right });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  5.  STAGE BUTTONS + SHORTCUTS  (drive both panes)
+    // ═══════════════════════════════════════════════════════
+    const stageNav = createStageNav({
+        root, i18n,
+        nav: root.getElementById('stage-controls'),
+        getLesson: () => panes[0].stages.getLesson(),
+        getStage: () => currentStage,
+        missingData: (stage) => panes
+            .filter((p) => p.cation && !p.stages.isStageAvailable(stage))
+            .map((p) => formatIon(p.cation)),
+        onSelect: goToStage,
+        keyTarget: options.page ? window : root,
+        signal,
+    });
+
+    // A stage runs only where both cations have its pKa data
+    function isStageAvailable(stage) {
+        return panes.every((pane) => pane.stages.isStageAvailable(stage));
+    }
+
+    /* -----------------------------------------------------
+     *  goToStage(stage)
+     *  Starts the same stage in both panes, so their
+     *  timelines run side by side from the same moment.
+     * ----------------------------------------------------- */
+    function goToStage(stage) {
+        if (stage === currentStage || !isStageAvailable(stage)) return;
+        currentStage = stage;
+        stageNav.sync();
+        for (const pane of panes) pane.stages.goToStage(stage);
+        emit('stagechange', { stage });
+    }
+
+    /* -----------------------------------------------------
+     *  restartStage()
+     *  Replays the current stage from the start in both
+     *  panes — after either pane's cation changes, and from
+     *  the replay button.
+     * ----------------------------------------------------- */
+    function restartStage() {
+        for (const pane of panes) {
+            if (pane.cation) pane.stages.goToStage(currentStage);
+        }
+    }
+
+    // ── Play / pause / replay (both timelines together) ──
+    const playBtn = root.getElementById('compare-play');
+    const replayBtn = root.getElementById('compare-replay');
+
+    playBtn?.addEventListener('click', togglePlay);
+    replayBtn?.addEventListener('click', restartStage);
+
+    const activeTimelines = () => panes.map((p) => p.stages.getActiveTimeline()).filter(Boolean);
+    const isPlaying = () => activeTimelines().some((tl) => !tl.paused() && tl.progress() < 1);
+
+    function play() {
+        for (const tl of activeTimelines()) tl.play();
+    }
+
+    function pause() {
+        for (const tl of activeTimelines()) tl.pause();
+    }
+
+    // Pauses or resumes both panes; replays them once both
+    // have finished
+    function togglePlay() {
+        const timelines = activeTimelines();
+        if (timelines.every((tl) => tl.progress() >= 1)) restartStage();
+        else if (isPlaying()) pause();
+        else play();
+    }
+
+    function updatePlayButton() {
+        if (!playBtn) return;
+        const playing = isPlaying();
+        if (playBtn.dataset.playing === String(playing)) return;
+        playBtn.dataset.playing = String(playing);
+        playBtn.textContent = playing ? '❚❚' : '▶';
+        playBtn.setAttribute('aria-label', i18n.t(playing ? 'transport.pause' : 'transport.play'));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  6.  LINKED CAMERAS + AUTO-ROTATE
+    // ═══════════════════════════════════════════════════════
+    const linkToggle = root.getElementById('link-cameras');
+    const rotateToggle = root.getElementById('toggle-rotate');
+    let camerasLinked = options.linkCameras ?? true;
+    let leader = panes[0];     // the pane last dragged; the other follows it
+
+    if (linkToggle) linkToggle.checked = camerasLinked;
+    linkToggle?.addEventListener('change', () => setCamerasLinked(linkToggle.checked));
+    if (rotateToggle) rotateToggle.checked = autoRotate;
+    rotateToggle?.addEventListener('change', () => setAutoRotate(rotateToggle.checked));
+
+    function setCamerasLinked(on) {
+        camerasLinked = on;
+        if (linkToggle) linkToggle.checked = on;
+    }
+
+    function setAutoRotate(on) {
+        for (const { controls } of panes) controls.autoRotate = on;
+        if (rotateToggle) rotateToggle.checked = on;
+    }
+
+    // After both controls have updated: the follower takes the
+    // leader's eye and target
+    function syncCameras() {
+        if (!camerasLinked) return;
+        for (const pane of panes) {
+            if (pane === leader) continue;
+            pane.camera.position.copy(leader.camera.position);
+            pane.controls.target.copy(leader.controls.target);
+            pane.camera.lookAt(pane.controls.target);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  7.  LANGUAGE
+    // ═══════════════════════════════════════════════════════
+    const localeSelect = root.getElementById('locale-select');
+
+    if (localeSelect) {
+        fillLocaleSelect(localeSelect);
+        localeSelect.addEventListener('change', () => setLocale(localeSelect.value));
+    }
+
+    /* -----------------------------------------------------
+     *  setLocale(tag)
+     *  Switches both panes' language and replays the stage
+     *  at the same point so its text follows.
+     *
+     *  @returns {string} the locale now in use
+     * ----------------------------------------------------- */
+    function setLocale(tag) {
+        const before = i18n.getLocale();
+        const locale = i18n.setLocale(tag ?? navigator.language);
+        if (localeSelect) localeSelect.value = locale;
+        if (locale === before) return locale;
+
+        localizeUI();
+        for (const pane of panes) replayStage(pane);
+        emit('localechange', { locale });
+        return locale;
+    }
+
+    function localizeUI() {
+        const overlays = [root.getElementById('ui-overlay'), ...panes.map((p) => p.overlay)];
+        for (const el of overlays.filter(Boolean)) {
+            el.lang = i18n.getLocale();
+            el.dir = i18n.getDir();
+        }
+        if (localeSelect) localeSelect.value = i18n.getLocale();
+        i18n.translateDOM(root);
+
+        for (const pane of panes) {
+            i18n.translateDOM(pane.root);
+            localizeCationOptions(pane.cationSelect, i18n);
+            if (pane.cation) renderTitle(pane);
+            pane.labels.relocalize();
+        }
+        stageNav.render();
+        if (playBtn) delete playBtn.dataset.playing;   // relabel on the next frame
+    }
+
+    // Restarts the pane's stage, then returns its timeline and
+    // camera to where they were
+    function replayStage(pane) {
+        const { stages, camera, controls } = pane;
+        const timeline = stages.getActiveTimeline();
+        const time = timeline?.time();
+        const paused = timeline?.paused();
+        const view = { camera: camera.position.clone(), target: controls.target.clone() };
+
+        stages.goToStage(currentStage);
+
+        const next = stages.getActiveTimeline();
+        if (next && time !== undefined) {
+            next.time(Math.min(time, next.duration()), true);
+            next.paused(paused);
+        }
+        camera.position.copy(view.camera);
+        controls.target.copy(view.target);
+        controls.update();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  8.  INITIAL STATE
+    // ═══════════════════════════════════════════════════════
+    localizeUI();
+    for (const pane of panes) {
+        const id = options[pane.side];
+        loadCation(pane, CATIONS[id] ? id : DEFAULT_CATIONS[pane.side]);
+    }
+    ready = true;
+    if (Number.isInteger(options.stage)) goToStage(options.stage);
+
+    // ═══════════════════════════════════════════════════════
+    //  9.  RESIZE  (each pane gets half the canvas)
+    // ═══════════════════════════════════════════════════════
+    function resize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (width === 0 || height === 0) return;
+        renderer.setSize(width, height);
+
+        const half = Math.floor(width / 2);
+        panes[0].viewport = { x: 0, width: half };
+        panes[1].viewport = { x: half, width: width - half };
+        for (const { camera, labels, viewport } of panes) {
+            camera.aspect = viewport.width / height;
+            camera.updateProjectionMatrix();
+            labels.renderer.setSize(viewport.width, height);
+        }
+    }
+
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(container);
+    resize();
+
+    // ═══════════════════════════════════════════════════════
+    //  10. RENDER LOOP  (scissor: one viewport per pane)
+    // ═══════════════════════════════════════════════════════
+    let frame = 0;
+
+    function animate() {
+        for (const { controls, scene } of panes) {
+            controls.update();
+            updateBonds(scene);
+        }
+        syncCameras();
+        updatePlayButton();
+        render();
+        frame = requestAnimationFrame(animate);
+    }
+
+    function render() {
+        const height = container.clientHeight;
+        renderer.setScissorTest(true);
+        for (const { scene, camera, labels, viewport } of panes) {
+            renderer.setViewport(viewport.x, 0, viewport.width, height);
+            renderer.setScissor(viewport.x, 0, viewport.width, height);
+            renderer.render(scene, camera);
+            labels.renderer.render(scene, camera);
+        }
+        renderer.setScissorTest(false);
+    }
+
+    animate();
+
+    /* -----------------------------------------------------
+     *  dispose()
+     *  Stops the loop, removes listeners and frees both
+     *  scenes and the shared WebGL context.
+     * ----------------------------------------------------- */
+    function dispose() {
+        cancelAnimationFrame(frame);
+        resizeObserver.disconnect();
+        abort.abort();
+
+        for (const { stages, controls, labels, scene } of panes) {
+            stages.dispose();
+            controls.dispose();
+            labels.dispose();
+            disposeTree(scene);
+        }
+        renderer.dispose();
+        renderer.forceContextLoss();
+
+        root.replaceChildren();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  PUBLIC API
+    // ═══════════════════════════════════════════════════════
+    const bySide = (side) => panes.find((p) => p.side === side);
+
+    return {
+        element: container,
+        renderer,
+        goToStage,
+        getStage: () => currentStage,
+        setCation(side, id) {
+            const pane = bySide(side);
+            if (pane && CATIONS[id]) loadCation(pane, id);
+        },
+        getCation: (side) => bySide(side)?.cation.symbol,
+        getTimeline: (side) => bySide(side)?.stages.getActiveTimeline(),
+        setCamerasLinked,
+        getCamerasLinked: () => camerasLinked,
+        setAutoRotate,
+        setLocale,
+        getLocale: i18n.getLocale,
+        play,
+        pause,
+        replay: restartStage,
+        dispose,
+    };
+}
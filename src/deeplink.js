@@ -0,0 +1,135 @@
+/* =========================================================
+ *  deeplink.js
+ *  Encode / decode the view state in the URL hash so a
+ *  teacher can share a link that opens on a given stage,
+ *  camera angle and selected atom.
+ *
+ *  Hash format (every key optional)
+ *  ────────────────────────────────
+ *  #cation=Al&rep=licorice&stage=3&cam=3.5,1.5,3
+ *   &target=1.5,0,0&sel=w0.O&labels=1&rotate=0&solvent=1&orbitals=1
+ *   &hops=3
+ *
+ *  Atom paths
+ *  ──────────
+ *  M          metal centre
+ *  w<i>.<n>   atom <n> (O, H1, H2) of coordinated water i
+ *  free.<n>   atom of the free water (O_free, H_free_1 …)
+ * ========================================================= */
+
+const DECIMALS = 3;
+
+/* ---------------------------------------------------------
+ *  encodeViewState(state)
+ *
+ *  @param {object} state
+ *  @param {string}   [state.cation]
+ *  @param {string}   [state.representation]
+ *  @param {number}   [state.stage]
+ *  @param {THREE.Vector3} [state.camera]
+ *  @param {THREE.Vector3} [state.target]
+ *  @param {string}   [state.selection] — atom path
+ *  @param {boolean}  [state.labels]
+ *  @param {boolean}  [state.rotate]
+ *  @param {boolean}  [state.solvent] — bulk water shown
+ *  @param {boolean}  [state.orbitals] — orbital layer shown
+ *  @param {number}   [state.hops]    — Grotthuss proton hops
+ *  @returns {string} hash including the leading '#'
+ * --------------------------------------------------------- */
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+    if (state.cation) params.set('cation', state.cation);
+    if (state.representation) params.set('rep', state.representation);
+    if (state.stage !== undefined) params.set('stage', String(state.stage));
+    if (state.camera) params.set('cam', encodeVector(state.camera));
+    if (state.target) params.set('target', encodeVector(state.target));
+    if (state.selection) params.set('sel', state.selection);
+    if (state.labels !== undefined) params.set('labels', state.labels ? '1' : '0');
+    if (state.rotate !== undefined) params.set('rotate', state.rotate ? '1' : '0');
+    if (state.solvent !== undefined) params.set('solvent', state.solvent ? '1' : '0');
+    if (state.orbitals !== undefined) params.set('orbitals', state.orbitals ? '1' : '0');
+    if (state.hops !== undefined) params.set('hops', String(state.hops));
+
+    // Keep commas and dots readable in shared links
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+/* ---------------------------------------------------------
+ *  decodeViewState(hash)
+ *
+ *  Inverse of encodeViewState(). Missing or malformed keys
+ *  are left out, so callers restore only what is present.
+ *  Vectors come back as plain { x, y, z } objects.
+ * --------------------------------------------------------- */
+export function decodeViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    if (params.has('cation')) state.cation = params.get('cation');
+    if (params.has('rep')) state.representation = params.get('rep');
+
+    const stage = parseInt(params.get('stage'), 10);
+    if (!Number.isNaN(stage)) state.stage = stage;
+
+    const cam = decodeVector(params.get('cam'));
+    if (cam) state.camera = cam;
+
+    const target = decodeVector(params.get('target'));
+    if (target) state.target = target;
+
+    if (params.has('sel')) state.selection = params.get('sel');
+    if (params.has('labels')) state.labels = params.get('labels') !== '0';
+    if (params.has('rotate')) state.rotate = params.get('rotate') !== '0';
+    if (params.has('solvent')) state.solvent = params.get('solvent') !== '0';
+    if (params.has('orbitals')) state.orbitals = params.get('orbitals') !== '0';
+
+    const hops = parseInt(params.get('hops'), 10);
+    if (!Number.isNaN(hops)) state.hops = hops;
+
+    return state;
+}
+
+/* ---------------------------------------------------------
+ *  atomPath(mesh, waters)
+ *  Stable path for a selected atom, or null when the atom
+ *  can't be addressed (e.g. a proton mid-transfer).
+ * --------------------------------------------------------- */
+export function atomPath(mesh, waters) {
+    if (!mesh) return null;
+    if (mesh.userData.isMetal) return 'M';
+
+    const parent = mesh.parent;
+    const i = waters.indexOf(parent);
+    if (i !== -1) return `w${i}.${mesh.name}`;
+    if (parent?.name === 'FreeWater') return `free.${mesh.name}`;
+    return null;
+}
+
+/* ---------------------------------------------------------
+ *  resolveAtomPath(path, { metal, waters, scene })
+ *  Inverse of atomPath(); returns the mesh or null.
+ * --------------------------------------------------------- */
+export function resolveAtomPath(path, { metal, waters, scene }) {
+    if (!path) return null;
+    if (path === 'M') return metal;
+
+    const [group, name] = path.split('.');
+    if (group === 'free') {
+        return scene.getObjectByName('FreeWater')?.getObjectByName(name) || null;
+    }
+    const water = waters[parseInt(group.slice(1), 10)];
+    return water?.children.find((c) => c.name === name) || null;
+}
+
+// ── Vector helpers ──────────────────────────────────────────
+function encodeVector(v) {
+    return [v.x, v.y, v.z].map((n) => +n.toFixed(DECIMALS)).join(',');
+}
+
+function decodeVector(text) {
+    if (!text) return null;
+    const parts = text.split(',').map(Number);
+    if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+    const [x, y, z] = parts;
+    return { x, y, z };
+}
@@ -0,0 +1,327 @@
+/* =========================================================
+ *  energy-panel.js
+ *  Reaction-coordinate energy diagram for a deprotonation
+ *  step: reactants, transition state (‡) and products, with
+ *  ΔG° and Eₐ marked.
+ *
+ *  Shown while a lesson step with `energy` plays (lesson.js;
+ *  Stage 3 in the built-in lesson). A marker rides the curve
+ *  with the step's timeline — reactants at its start, the
+ *  transition state at `ts`, products at `products` — and
+ *  dragging it (or the arrow keys) scrubs the 3D animation
+ *  to the matching moment, like the transport scrubber.
+ * ========================================================= */
+
+import { hydrolysisEquation, hydrolysisFreeEnergy } from './cations.js';
+
+// ── Profile ─────────────────────────────────────────────────
+const REVERSE_BARRIER = 12;     // kJ mol⁻¹ — H₃O⁺ + OH⁻ complex back again, near diffusion control
+const SAMPLES = 96;
+const KEY_STEP = 0.05;          // reaction coordinate per arrow key
+
+// ── Chart styling ───────────────────────────────────────────
+const CURVE_COLOR = '#4a90e2';
+const MARKER_COLOR = '#ffcc00';
+const ANNOTATION_COLOR = '#ff9f40';
+const AXIS_COLOR = 'rgba(224, 230, 240, 0.45)';
+const TEXT_COLOR = 'rgba(224, 230, 240, 0.75)';
+const FONT = '10px Inter, "Segoe UI", "Noto Sans Arabic", system-ui, sans-serif';
+const PAD = { left: 14, right: 10, top: 26, bottom: 30 };
+const MARKER_RADIUS = 5;
+
+/* ---------------------------------------------------------
+ *  createEnergyPanel(root, i18n, getTimeline)
+ *
+ *  @param {Document|ShadowRoot} root — holds #energy-*
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => gsap.core.Timeline|null} getTimeline —
+ *         the active stage timeline
+ *  @returns {{ setCation, setStep, update, redraw,
+ *              relocalize }} — call update() every frame
+ * --------------------------------------------------------- */
+export function createEnergyPanel(root, i18n, getTimeline) {
+
+    // ── State ──
+    let _cation = null;
+    let _step = null;
+    let _profile = null;        // { dG, Ea, barrier, reactants, products } while shown
+    let _timeline = null;
+    let _times = null;          // { ts, products } in timeline seconds
+    let _progress = 0;          // 0 reactants · 0.5 transition state · 1 products
+    let _dragging = false;
+    let _dirty = true;          // redraw even if the marker hasn't moved
+
+    // ── DOM refs ──
+    const panel = root.getElementById('energy-panel');
+    const chart = root.getElementById('energy-chart');
+
+    // ── Drag / keys scrub the timeline ──
+    chart?.addEventListener('pointerdown', (event) => {
+        if (!_profile || event.button !== 0) return;
+        _dragging = true;
+        chart.setPointerCapture(event.pointerId);
+        scrubTo(progressFromPointer(event));
+    });
+    chart?.addEventListener('pointermove', (event) => {
+        if (_dragging) scrubTo(progressFromPointer(event));
+    });
+    chart?.addEventListener('pointerup', () => { _dragging = false; });
+    chart?.addEventListener('pointercancel', () => { _dragging = false; });
+
+    chart?.addEventListener('keydown', (event) => {
+        if (!_profile) return;
+        const next = {
+            ArrowLeft: _progress - KEY_STEP,
+            ArrowDown: _progress - KEY_STEP,
+            ArrowRight: _progress + KEY_STEP,
+            ArrowUp: _progress + KEY_STEP,
+            Home: 0,
+            End: 1,
+        }[event.key];
+        if (next === undefined) return;
+        event.preventDefault();
+        scrubTo(Math.min(1, Math.max(0, next)));
+    });
+
+    /* -----------------------------------------------------
+     *  setCation(cation) / setStep(step)
+     *  The profile follows the cation's pKa and the lesson
+     *  step on screen; steps without `energy` hide the panel.
+     * ----------------------------------------------------- */
+    function setCation(cation) {
+        _cation = cation;
+        rebuild();
+    }
+
+    function setStep(step) {
+        _step = step;
+        rebuild();
+    }
+
+    function rebuild() {
+        const energy = _step?.energy;
+        _profile = null;
+        if (energy && _cation) {
+            const dG = energy.dG ?? hydrolysisFreeEnergy(_cation, _step.equation);
+            if (Number.isFinite(dG)) {
+                const [reactants, products] = hydrolysisEquation(_cation, _step.equation).split(' ⇌ ');
+                const Ea = energy.Ea ?? Math.max(0, dG) + REVERSE_BARRIER;
+                _profile = { dG, Ea, barrier: Math.max(Ea, dG, 0), reactants, products };
+            }
+        }
+        if (panel) panel.hidden = !_profile;
+        _timeline = null;       // re-time against the step's timeline
+        _dirty = true;
+        update();
+    }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Called from the render loop: moves the marker with
+     *  the timeline.
+     * ----------------------------------------------------- */
+    function update() {
+        if (!_profile) return;
+        const tl = getTimeline();
+        if (tl !== _timeline) {
+            _timeline = tl;
+            _times = tl ? timesFor(tl.duration()) : null;
+        }
+        const progress = _timeline ? progressAt(_timeline.time()) : 0;
+        if (progress === _progress && !_dirty) return;
+        _progress = progress;
+        _dirty = !draw();
+        updateAria();
+    }
+
+    // Key moments in timeline seconds, kept in order
+    function timesFor(duration) {
+        const products = Math.min(_step.energy.products ?? duration, duration);
+        let ts = _step.energy.ts ?? products / 2;
+        if (ts >= products) ts = products / 2;
+        return { ts, products };
+    }
+
+    // Timeline seconds → reaction coordinate, piecewise linear
+    function progressAt(time) {
+        const { ts, products } = _times;
+        if (time <= ts) return ts > 0 ? (0.5 * time) / ts : 0.5;
+        return Math.min(1, 0.5 + (0.5 * (time - ts)) / (products - ts));
+    }
+
+    function timeAt(progress) {
+        const { ts, products } = _times;
+        if (progress <= 0.5) return 2 * progress * ts;
+        return ts + 2 * (progress - 0.5) * (products - ts);
+    }
+
+    function scrubTo(progress) {
+        if (!_timeline) return;
+        _timeline.pause();
+        // suppressEvents = false so every tween re-renders
+        _timeline.time(timeAt(progress), false);
+        update();
+    }
+
+    function progressFromPointer(event) {
+        const rect = chart.getBoundingClientRect();
+        const x = (event.clientX - rect.left - PAD.left) / (rect.width - PAD.left - PAD.right);
+        return Math.min(1, Math.max(0, x));
+    }
+
+    /* -----------------------------------------------------
+     *  draw()
+     *  2D-canvas plot, DPR-aware like the speciation chart.
+     *  G(ξ) runs sin²-smooth from reactants to the barrier
+     *  and on down to ΔG°, flat at both ends. Returns whether
+     *  it drew (not while the panel is hidden).
+     * ----------------------------------------------------- */
+    function draw() {
+        if (!chart || !_profile) return false;
+
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const width = chart.clientWidth;
+        const height = chart.clientHeight;
+        if (width === 0 || height === 0) return false;
+        chart.width = width * dpr;
+        chart.height = height * dpr;
+
+        const ctx = chart.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = FONT;
+        ctx.direction = 'ltr';      // formulas and numbers read left to right
+
+        const { dG, Ea, barrier } = _profile;
+        const low = Math.min(0, dG);
+        const plotW = width - PAD.left - PAD.right;
+        const plotH = height - PAD.top - PAD.bottom;
+        const xOf = (s) => PAD.left + s * plotW;
+        const yOf = (g) => PAD.top + (1 - (g - low) / (barrier - low || 1)) * plotH;
+        const gAt = (s) => {
+            const bump = Math.sin(Math.PI * s) ** 2;
+            return s <= 0.5 ? barrier * bump : dG + (barrier - dG) * bump;
+        };
+
+        // ── Axes ──
+        ctx.strokeStyle = AXIS_COLOR;
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PAD.left, PAD.top - 10);
+        ctx.lineTo(PAD.left, PAD.top + plotH);
+        ctx.lineTo(PAD.left + plotW, PAD.top + plotH);
+        ctx.stroke();
+
+        // (species under the ends of the axis, its title below)
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(i18n.t('energy.axis'), PAD.left + 4, 2);
+        ctx.fillText(_profile.reactants, xOf(0), PAD.top + plotH + 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(_profile.products, xOf(1), PAD.top + plotH + 4);
+        ctx.textAlign = 'center';
+        ctx.fillText(i18n.t('energy.coordinate'), PAD.left + plotW / 2, height - 12);
+
+        // ── Reactant level, carried across for ΔG° / Eₐ ──
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xOf(0), yOf(0));
+        ctx.lineTo(xOf(1), yOf(0));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // ── Profile ──
+        ctx.strokeStyle = CURVE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i <= SAMPLES; i++) {
+            const s = i / SAMPLES;
+            if (i === 0) ctx.moveTo(xOf(s), yOf(gAt(s)));
+            else ctx.lineTo(xOf(s), yOf(gAt(s)));
+        }
+        ctx.stroke();
+
+        // ── Transition state ──
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('‡', xOf(0.5), yOf(barrier) - 2);
+
+        // ── Eₐ (at the barrier) and ΔG° (at the products) ──
+        ctx.strokeStyle = ANNOTATION_COLOR;
+        ctx.fillStyle = ANNOTATION_COLOR;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        drawSpan(ctx, xOf(0.5) - 14, yOf(0), yOf(barrier));
+        ctx.textAlign = 'right';
+        ctx.fillText(i18n.t('energy.Ea', { value: i18n.number(Ea, 1) }), xOf(0.5) - 18, (yOf(0) + yOf(barrier)) / 2);
+        drawSpan(ctx, xOf(0.88), yOf(0), yOf(dG));
+        ctx.fillText(i18n.t('energy.dG', { value: signed(dG) }), xOf(0.88) - 4, (yOf(0) + yOf(dG)) / 2 + (dG >= 0 ? 0 : 8));
+
+        // ── Marker ──
+        const mx = xOf(_progress);
+        const my = yOf(gAt(_progress));
+        ctx.strokeStyle = MARKER_COLOR;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(mx, my);
+        ctx.lineTo(mx, PAD.top + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = MARKER_COLOR;
+        ctx.beginPath();
+        ctx.arc(mx, my, MARKER_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        return true;
+    }
+
+    // ΔG° with its sign — endergonic steps read "+"
+    function signed(value) {
+        const text = i18n.number(Math.abs(value), 1);
+        return `${value < 0 ? '−' : '+'}${text}`;
+    }
+
+    // The chart is a slider for assistive tech
+    function updateAria() {
+        if (!chart) return;
+        const percent = Math.round(_progress * 100);
+        chart.setAttribute('aria-valuenow', String(percent));
+        let point = null;
+        if (_progress < KEY_STEP / 2) point = 'energy.reactants';
+        else if (Math.abs(_progress - 0.5) < KEY_STEP / 2) point = 'energy.transition';
+        else if (_progress > 1 - KEY_STEP / 2) point = 'energy.products';
+        chart.setAttribute('aria-valuetext', point
+            ? i18n.t(point)
+            : i18n.t('energy.progress', { percent: i18n.number(percent, 0) }));
+    }
+
+    function redraw() {
+        _dirty = !draw();
+    }
+
+    // Axis text, annotations and slider text after a language change
+    function relocalize() {
+        _dirty = !draw();
+        updateAria();
+    }
+
+    return { setCation, setStep, update, redraw, relocalize };
+}
+
+// Vertical double-headed arrow between two heights
+function drawSpan(ctx, x, y0, y1) {
+    if (Math.abs(y1 - y0) < 6) return;
+    const dir = Math.sign(y1 - y0);
+    ctx.beginPath();
+    ctx.moveTo(x, y0);
+    ctx.lineTo(x, y1);
+    ctx.moveTo(x - 3, y0 + 4 * dir);
+    ctx.lineTo(x, y0);
+    ctx.lineTo(x + 3, y0 + 4 * dir);
+    ctx.moveTo(x - 3, y1 - 4 * dir);
+    ctx.lineTo(x, y1);
+    ctx.lineTo(x + 3, y1 - 4 * dir);
+    ctx.stroke();
+}
@@ -0,0 +1,467 @@
+/* =========================================================
+ *  field.js
+ *  Electrostatics overlays on the point charges of
+ *  charges.js: the cation's electric field, molecular and
+ *  O–H bond dipoles, and live partial charges.
+ *
+ *  • Field lines:  traced from each positive charge of at
+ *                  least SEED_CHARGE (LINES_PER_CHARGE per e)
+ *                  along E until they reach a negative atom
+ *                  or leave the view
+ *  • Slice plane:  |E| on a plane through the metal — the
+ *                  plane of the polarised O–H bond while a
+ *                  stage polarises one, the xy plane (four of
+ *                  the waters) otherwise
+ *  • Dipoles:      one arrow per water, hydroxide or H₃O⁺ and
+ *                  one per O–H bond, drawn the chemists' way
+ *                  (towards the negative end). A bond's arrow
+ *                  is its proton's charge × length, so it
+ *                  grows as the metal polarises the bond
+ *  • Charges:      a label per atom, red (−) to blue (+)
+ *
+ *  Field strength is coloured on a log scale from FIELD_MIN
+ *  to FIELD_MAX V/Å. Charges, dipoles and labels follow the
+ *  atoms every frame; the lines and plane are retraced when
+ *  the atoms or polarisation change (at most every
+ *  RECOMPUTE_INTERVAL ms, like the surface).
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { PALETTE } from './materials.js';
+import { pointCharges, fieldAt } from './charges.js';
+
+export const FIELD_MODES = ['off', 'lines', 'plane'];
+
+// ── Field strength colours (V/Å, log scale) ─────────────────
+export const FIELD_MIN = 0.1;
+export const FIELD_MAX = 10;
+const FIELD_STOPS = [PALETTE.field_weak, PALETTE.field_mid, PALETTE.field_strong].map((c) => new THREE.Color(c));
+
+// ── Field lines ─────────────────────────────────────────────
+const SEED_CHARGE = 0.5;           // e — weaker charges start no lines
+const LINES_PER_CHARGE = 8;
+const START_RADIUS = 0.35;         // Å from the source
+const SINK_RADIUS = 0.3;           // Å — a line ends this close to a negative atom
+const STEP = 0.1;                  // Å per integration step
+const MAX_STEPS = 200;
+const MAX_LINES = 64;
+const REACH = 9;                   // Å from the metal before a line stops
+
+// ── Slice plane ─────────────────────────────────────────────
+const PLANE_SIZE = 11;             // Å per side
+const PLANE_RESOLUTION = 96;       // texels per side
+const PLANE_OPACITY = 0.75;
+
+// ── Dipole arrows ───────────────────────────────────────────
+const DIPOLE_SCALE = 3;            // Å of arrow per e·Å
+const BOND_DIPOLE_SCALE = 1.5;
+const MIN_DIPOLE = 0.02;           // e·Å — smaller draws no arrow
+const HEAD = 0.16;                 // Å arrow-head length
+
+// ── Charge labels ───────────────────────────────────────────
+const LABEL_DROP = 0.35;           // Å below the atom
+const CHARGE_NEGATIVE = new THREE.Color(PALETTE.esp_negative);
+const CHARGE_NEUTRAL = new THREE.Color(PALETTE.esp_neutral);
+const CHARGE_POSITIVE = new THREE.Color(PALETTE.esp_positive);
+
+const RECOMPUTE_INTERVAL = 150;    // ms
+
+/* ---------------------------------------------------------
+ *  createField({ scene, root, i18n, getPolarisation })
+ *
+ *  @param {Document|ShadowRoot} root — holds #field-*
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => { atom, amount }} getPolarisation — from
+ *         createStages()
+ *  @returns {{ update, setMode, getMode, setDipolesShown,
+ *              setChargesShown, relocalize, dispose }}
+ * --------------------------------------------------------- */
+export function createField({ scene, root, i18n, getPolarisation }) {
+
+    // ── State ──
+    let mode = 'off';
+    let dipolesShown = false;
+    let chargesShown = false;
+    let lastKey = '';
+    let lastCompute = -Infinity;
+
+    const group = new THREE.Group();
+    group.name = 'FieldOverlays';
+    scene.add(group);
+
+    const lines = createLines();
+    const plane = createPlane();
+    const arrows = [];             // ArrowHelper pool
+    const labels = [];             // CSS2DObject pool
+    group.add(lines, plane);
+
+    const _e = new THREE.Vector3();
+    const _p = new THREE.Vector3();
+    const _mid = new THREE.Vector3();
+    const _dir = new THREE.Vector3();
+    const _colour = new THREE.Color();
+
+    // ── DOM refs ──
+    const modeSelect = root.getElementById('field-mode');
+    const dipolesToggle = root.getElementById('field-dipoles');
+    const chargesToggle = root.getElementById('field-charges');
+    const legend = root.getElementById('field-legend');
+    const legendMin = root.getElementById('field-legend-min');
+    const legendMax = root.getElementById('field-legend-max');
+    const note = root.getElementById('field-note');
+
+    modeSelect?.addEventListener('change', () => setMode(modeSelect.value));
+    dipolesToggle?.addEventListener('change', () => setDipolesShown(dipolesToggle.checked));
+    chargesToggle?.addEventListener('change', () => setChargesShown(chargesToggle.checked));
+    relocalize();
+    syncControls();
+
+    /* -----------------------------------------------------
+     *  update(force)
+     *  Called from the render loop. `force` retraces the
+     *  field without waiting (exported frames, capture.js).
+     * ----------------------------------------------------- */
+    function update(force = false) {
+        if (mode === 'off' && !dipolesShown && !chargesShown) return;
+
+        const polarisation = getPolarisation();
+        const { atoms, pairs } = pointCharges(scene, polarisation);
+
+        if (mode !== 'off') {
+            const now = performance.now();
+            const key = signature(atoms, polarisation, mode);
+            if (key !== lastKey && (force || now - lastCompute >= RECOMPUTE_INTERVAL)) {
+                lastKey = key;
+                lastCompute = now;
+                if (mode === 'lines') traceLines(atoms);
+                else paintPlane(atoms, pairs, polarisation);
+            }
+        }
+
+        let used = 0;
+        if (dipolesShown) used = placeDipoles(atoms, pairs);
+        for (let i = used; i < arrows.length; i++) arrows[i].visible = false;
+
+        used = chargesShown ? placeCharges(atoms) : 0;
+        for (let i = used; i < labels.length; i++) labels[i].visible = false;
+    }
+
+    // ── Field lines ─────────────────────────────────────────
+
+    function createLines() {
+        const geo = new THREE.BufferGeometry();
+        const capacity = MAX_LINES * MAX_STEPS * 2;
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        geo.setDrawRange(0, 0);
+        const mesh = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false,
+        }));
+        mesh.name = 'FieldLines';
+        mesh.frustumCulled = false;    // rewritten as the atoms move
+        mesh.visible = false;
+        return mesh;
+    }
+
+    function traceLines(atoms) {
+        const pos = lines.geometry.attributes.position;
+        const col = lines.geometry.attributes.color;
+        const sinks = atoms.filter((a) => a.charge < 0);
+        const centre = atoms.find((a) => a.isMetal)?.position ?? atoms[0]?.position ?? _mid.set(0, 0, 0);
+
+        let count = 0;
+        let traced = 0;
+        for (const source of atoms) {
+            if (source.charge < SEED_CHARGE) continue;
+            const n = Math.round(source.charge * LINES_PER_CHARGE);
+            for (const dir of sphereDirections(n)) {
+                if (traced++ >= MAX_LINES) break;
+                _p.copy(source.position).addScaledVector(dir, START_RADIUS);
+
+                for (let step = 0; step < MAX_STEPS; step++) {
+                    // Midpoint (RK2) step along the field direction
+                    if (fieldAt(_p, atoms, _e).lengthSq() === 0) break;
+                    _mid.copy(_p).addScaledVector(_e.normalize(), STEP / 2);
+                    const strength = fieldAt(_mid, atoms, _e).length();
+                    if (strength === 0) break;
+
+                    fieldColour(strength, _colour);
+                    pos.setXYZ(count, _p.x, _p.y, _p.z);
+                    col.setXYZ(count++, _colour.r, _colour.g, _colour.b);
+                    _p.addScaledVector(_e.normalize(), STEP);
+                    pos.setXYZ(count, _p.x, _p.y, _p.z);
+                    col.setXYZ(count++, _colour.r, _colour.g, _colour.b);
+
+                    if (_p.distanceTo(centre) > REACH) break;
+                    if (sinks.some((a) => a.position.distanceTo(_p) < SINK_RADIUS)) break;
+                }
+            }
+        }
+
+        pos.needsUpdate = true;
+        col.needsUpdate = true;
+        lines.geometry.setDrawRange(0, count);
+    }
+
+    // ── Slice plane ─────────────────────────────────────────
+
+    function createPlane() {
+        const n = PLANE_RESOLUTION;
+        const texture = new THREE.DataTexture(new Uint8Array(n * n * 4), n, n);
+        texture.magFilter = THREE.LinearFilter;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(PLANE_SIZE, PLANE_SIZE),
+            new THREE.MeshBasicMaterial({
+                map: texture,
+                transparent: true,
+                side: THREE.DoubleSide,
+                depthWrite: false,     // atoms stay visible through it
+            }),
+        );
+        mesh.name = 'FieldPlane';
+        mesh.visible = false;
+        return mesh;
+    }
+
+    function paintPlane(atoms, pairs, polarisation) {
+        const metal = atoms.find((a) => a.isMetal);
+        if (!metal) {
+            plane.visible = false;
+            return;
+        }
+        plane.visible = true;
+
+        // Through the metal and, while one is polarised, the
+        // target oxygen and its first proton
+        const u = new THREE.Vector3(1, 0, 0);
+        const v = new THREE.Vector3(0, 1, 0);
+        const target = atoms.find((a) => a.mesh === polarisation.atom);
+        const proton = target && pairs.find((p) => (p.a === target && p.b.element === 'H') || (p.b === target && p.a.element === 'H'));
+        if (target && proton) {
+            const h = proton.a === target ? proton.b : proton.a;
+            u.subVectors(target.position, metal.position).normalize();
+            v.subVectors(h.position, metal.position);
+            v.addScaledVector(u, -v.dot(u));
+            if (v.lengthSq() < 1e-6) v.set(0, 1, 0).addScaledVector(u, -u.y);
+            v.normalize();
+        }
+        const normal = new THREE.Vector3().crossVectors(u, v);
+        plane.position.copy(metal.position);
+        plane.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(u, v, normal));
+
+        const n = PLANE_RESOLUTION;
+        const data = plane.material.map.image.data;
+        const cell = PLANE_SIZE / n;
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                _p.copy(metal.position)
+                    .addScaledVector(u, -PLANE_SIZE / 2 + (i + 0.5) * cell)
+                    .addScaledVector(v, -PLANE_SIZE / 2 + (j + 0.5) * cell);
+                const strength = fieldAt(_p, atoms, _e).length();
+                const t = fieldColour(strength, _colour);
+                const k = (j * n + i) * 4;
+                data[k] = _colour.r * 255;
+                data[k + 1] = _colour.g * 255;
+                data[k + 2] = _colour.b * 255;
+                data[k + 3] = PLANE_OPACITY * 255 * (0.25 + 0.75 * t);
+            }
+        }
+        plane.material.map.needsUpdate = true;
+    }
+
+    // ── Dipoles ─────────────────────────────────────────────
+
+    // Arrows for every water-like group and O–H bond; returns
+    // how many of the pool were used
+    function placeDipoles(atoms, pairs) {
+        const protonsOf = new Map();       // water O → [{ h, weight }]
+        for (const { a, b, weight } of pairs) {
+            const [o, h] = a.element === 'O' ? [a, b] : [b, a];
+            if (!o.water || o.element !== 'O' || h.element !== 'H') continue;
+            if (!protonsOf.has(o)) protonsOf.set(o, []);
+            protonsOf.get(o).push({ h, weight });
+        }
+
+        let used = 0;
+        const moment = new THREE.Vector3();
+        for (const [o, protons] of protonsOf) {
+            // μ about the oxygen: Σ q w (rₕ − rₒ)
+            moment.set(0, 0, 0);
+            for (const { h, weight } of protons) {
+                _dir.subVectors(h.position, o.position);
+                moment.addScaledVector(_dir, h.charge * weight);
+
+                // Bond dipole: proton charge × length, towards O
+                const size = h.charge * weight * _dir.length();
+                if (size < MIN_DIPOLE) continue;
+                _mid.addVectors(h.position, o.position).multiplyScalar(0.5);
+                placeArrow(used++, _mid, _dir.negate().normalize(), size * BOND_DIPOLE_SCALE, PALETTE.bond_dipole);
+            }
+
+            const size = moment.length();
+            if (size < MIN_DIPOLE) continue;
+            // Centred just off the oxygen on the protons' side
+            _dir.copy(moment).divideScalar(size);
+            _mid.copy(o.position).addScaledVector(_dir, 0.3);
+            placeArrow(used++, _mid, _dir.negate(), size * DIPOLE_SCALE, PALETTE.dipole);
+        }
+        return used;
+    }
+
+    // Arrow `index` of the pool, centred on `centre`
+    function placeArrow(index, centre, dir, length, colour) {
+        let arrow = arrows[index];
+        if (!arrow) {
+            arrow = new THREE.ArrowHelper(dir, centre, length, colour);
+            for (const part of [arrow.line, arrow.cone]) {
+                part.material.depthTest = false;   // readable through the atoms
+                part.material.transparent = true;
+                part.renderOrder = 10;
+            }
+            arrows.push(arrow);
+            group.add(arrow);
+        }
+        arrow.visible = true;
+        arrow.position.copy(centre).addScaledVector(dir, -length / 2);
+        arrow.setDirection(dir);
+        arrow.setLength(length, Math.min(HEAD, length * 0.5), Math.min(HEAD, length * 0.5) * 0.6);
+        arrow.setColor(colour);
+    }
+
+    // ── Partial charges ─────────────────────────────────────
+
+    function placeCharges(atoms) {
+        atoms.forEach((atom, i) => {
+            let label = labels[i];
+            if (!label) {
+                const div = document.createElement('div');
+                div.className = 'atom-label label-charge';
+                label = new CSS2DObject(div);
+                labels.push(label);
+                group.add(label);
+            }
+            label.visible = true;
+            label.position.copy(atom.position);
+            label.position.y -= LABEL_DROP;
+
+            const text = formatCharge(atom.charge);
+            if (label.element.textContent !== text) {
+                label.element.textContent = text;
+                chargeColour(atom.charge, _colour);
+                label.element.style.color = `#${_colour.getHexString()}`;
+                label.element.style.borderColor = `#${_colour.getHexString()}80`;
+            }
+        });
+        return atoms.length;
+    }
+
+    function formatCharge(q) {
+        const value = i18n.number(Math.abs(q), 2);
+        if (value === i18n.number(0, 2)) return value;
+        return `${q < 0 ? '−' : '+'}${value}`;
+    }
+
+    // ── Controls ────────────────────────────────────────────
+
+    function setMode(next) {
+        mode = FIELD_MODES.includes(next) ? next : 'off';
+        lastKey = '';
+        lastCompute = -Infinity;
+        lines.visible = mode === 'lines';
+        plane.visible = mode === 'plane';
+        if (mode === 'lines') lines.geometry.setDrawRange(0, 0);
+        syncControls();
+        update(true);
+    }
+
+    function getMode() {
+        return mode;
+    }
+
+    function setDipolesShown(on) {
+        dipolesShown = on;
+        if (!on) for (const arrow of arrows) arrow.visible = false;
+        syncControls();
+        update();
+    }
+
+    function setChargesShown(on) {
+        chargesShown = on;
+        if (!on) for (const label of labels) label.visible = false;
+        syncControls();
+        update();
+    }
+
+    function syncControls() {
+        if (modeSelect) modeSelect.value = mode;
+        if (dipolesToggle) dipolesToggle.checked = dipolesShown;
+        if (chargesToggle) chargesToggle.checked = chargesShown;
+        if (legend) legend.hidden = mode === 'off';
+        if (note) note.hidden = !dipolesShown;
+    }
+
+    // Legend numbers, after a language change (and labels,
+    // whose decimal separator may change)
+    function relocalize() {
+        if (legendMin) legendMin.textContent = i18n.t('field.unit', { value: i18n.number(FIELD_MIN, 1) });
+        if (legendMax) legendMax.textContent = i18n.t('field.unit', { value: i18n.number(FIELD_MAX, 0) });
+        for (const label of labels) label.element.textContent = '';
+        update();
+    }
+
+    function dispose() {
+        for (const label of labels) label.removeFromParent();   // also drops its DOM element
+        scene.remove(group);
+        group.traverse((obj) => {
+            obj.geometry?.dispose();
+            obj.material?.map?.dispose();
+            obj.material?.dispose();
+        });
+    }
+
+    return { update, setMode, getMode, setDipolesShown, setChargesShown, relocalize, dispose };
+}
+
+/* ---------------------------------------------------------
+ *  fieldColour(strength, target)
+ *  |E| (V/Å) on the log colour scale; returns the 0–1
+ *  position on it.
+ * --------------------------------------------------------- */
+function fieldColour(strength, target) {
+    const t = THREE.MathUtils.clamp(
+        Math.log(strength / FIELD_MIN) / Math.log(FIELD_MAX / FIELD_MIN), 0, 1);
+    if (t < 0.5) target.lerpColors(FIELD_STOPS[0], FIELD_STOPS[1], t * 2);
+    else target.lerpColors(FIELD_STOPS[1], FIELD_STOPS[2], t * 2 - 1);
+    return t;
+}
+
+// Red (−1 and below) – white – blue (+1 and above)
+function chargeColour(q, target) {
+    const t = THREE.MathUtils.clamp(q, -1, 1);
+    if (t < 0) return target.lerpColors(CHARGE_NEUTRAL, CHARGE_NEGATIVE, -t);
+    return target.lerpColors(CHARGE_NEUTRAL, CHARGE_POSITIVE, t);
+}
+
+// Evenly spread unit vectors (Fibonacci sphere)
+function sphereDirections(n) {
+    const dirs = [];
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    for (let i = 0; i < n; i++) {
+        const y = 1 - (2 * (i + 0.5)) / n;
+        const r = Math.sqrt(1 - y * y);
+        dirs.push(new THREE.Vector3(Math.cos(golden * i) * r, y, Math.sin(golden * i) * r));
+    }
+    return dirs;
+}
+
+// Changes whenever the field would look different
+function signature(atoms, polarisation, mode) {
+    const parts = atoms.map((a) => `${a.position.x.toFixed(3)},${a.position.y.toFixed(3)},${a.position.z.toFixed(3)}`);
+    parts.push(polarisation.atom ? polarisation.amount.toFixed(3) : '-', mode);
+    return parts.join(';');
+}
@@ -0,0 +1,161 @@
+/* =========================================================
+ *  fileio.js
+ *  Drag-and-drop / file-picker import and download export
+ *  of molecular geometry (XYZ, PDB, MOL, MOL2). JSON and
+ *  YAML files are lesson scripts (lesson.js) instead.
+ *
+ *  Parsing and writing live in molfile.js; this module only
+ *  handles the DOM side and snapshots the live scene.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import {
+    FORMATS,
+    formatFromName,
+    parseMolecule,
+    writeMolecule,
+    inferBonds,
+} from './molfile.js';
+import { isDisplayed } from './atoms.js';
+
+const LESSON_EXTENSIONS = ['json', 'yaml', 'yml'];
+
+/* ---------------------------------------------------------
+ *  createFileIO({ root, host, canvas, scene, i18n, onLoad, onLesson })
+ *
+ *  @param {Document|ShadowRoot} root — holds #file-*
+ *  @param {HTMLElement}       host   — gets .drop-active
+ *  @param {HTMLCanvasElement} canvas — drop target
+ *  @param {THREE.Scene}       scene  — exported as shown
+ *  @param {object}            i18n   — from createI18n()
+ *  @param {(mol, name: string) => void} onLoad — receives a
+ *         parsed molecule; may throw to reject it
+ *  @param {(text: string, name: string) => object} [onLesson] —
+ *         receives a lesson script's text and returns the
+ *         loaded lesson; may throw to reject it
+ *  @returns {{ setStatus }} — for lessons loaded from
+ *           elsewhere (the element's lesson attribute)
+ * --------------------------------------------------------- */
+export function createFileIO({ root, host, canvas, scene, i18n, onLoad, onLesson }) {
+
+    // ── DOM refs ──
+    const fileInput = root.getElementById('file-input');
+    const openBtn = root.getElementById('file-open');
+    const exportSelect = root.getElementById('export-format');
+    const exportBtn = root.getElementById('file-export');
+    const statusEl = root.getElementById('file-status');
+
+    // ── Import: drag & drop onto the canvas ──
+    canvas.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        host.classList.add('drop-active');
+    });
+    canvas.addEventListener('dragleave', () => {
+        host.classList.remove('drop-active');
+    });
+    canvas.addEventListener('drop', (event) => {
+        event.preventDefault();
+        host.classList.remove('drop-active');
+        const file = event.dataTransfer?.files[0];
+        if (file) readFile(file);
+    });
+
+    // ── Import: file picker ──
+    openBtn?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) readFile(file);
+        fileInput.value = '';
+    });
+
+    // ── Export ──
+    if (exportSelect) {
+        for (const format of FORMATS) {
+            const opt = document.createElement('option');
+            opt.value = format;
+            opt.textContent = format.toUpperCase();
+            exportSelect.appendChild(opt);
+        }
+    }
+    exportBtn?.addEventListener('click', () => {
+        const format = exportSelect?.value || 'xyz';
+        const mol = snapshotScene(scene);
+        download(`${mol.title}.${format}`, writeMolecule(mol, format));
+        setStatus(i18n.t('file.exported', { atoms: mol.atoms.length, format: format.toUpperCase() }));
+    });
+
+    /* -----------------------------------------------------
+     *  readFile(file)
+     * ----------------------------------------------------- */
+    async function readFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (onLesson && LESSON_EXTENSIONS.includes(extension)) {
+            try {
+                const lesson = onLesson(await file.text(), file.name);
+                const title = i18n.localize(lesson.title) || file.name;
+                setStatus(i18n.t('file.lessonLoaded', { title, steps: lesson.steps.length }));
+            } catch (err) {
+                setStatus(i18n.t('file.failed', { file: file.name, error: err.message }), true);
+            }
+            return;
+        }
+
+        const format = formatFromName(file.name);
+        if (!format) {
+            setStatus(i18n.t('file.unsupported', { file: file.name }), true);
+            return;
+        }
+        try {
+            const mol = parseMolecule(await file.text(), format);
+            onLoad(mol, file.name);
+            setStatus(i18n.t('file.loaded', { file: file.name, atoms: mol.atoms.length, bonds: mol.bonds.length }));
+        } catch (err) {
+            setStatus(i18n.t('file.failed', { file: file.name, error: err.message }), true);
+        }
+    }
+
+    function setStatus(message, isError = false) {
+        if (!statusEl) return;
+        delete statusEl.dataset.i18n;     // a language change keeps the message
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    return { setStatus };
+}
+
+/* ---------------------------------------------------------
+ *  snapshotScene(scene)
+ *
+ *  Collects every visible atom mesh at its current world
+ *  position — mid-animation frames export as displayed.
+ * --------------------------------------------------------- */
+export function snapshotScene(scene) {
+    const atoms = [];
+    const pos = new THREE.Vector3();
+    let title = 'structure';
+
+    scene.traverse((obj) => {
+        if (obj.name.endsWith('Complex')) title = obj.name;
+        if (!obj.isMesh || !obj.userData.element || !isDisplayed(obj)) return;
+        obj.getWorldPosition(pos);
+        atoms.push({ element: obj.userData.element, x: pos.x, y: pos.y, z: pos.z });
+    });
+
+    return { title, atoms, bonds: inferBonds(atoms) };
+}
+
+/* ---------------------------------------------------------
+ *  download(filename, text, type)
+ *  Saves `text` (or a Blob) as a file; the MIME type
+ *  defaults to the chemical/x-<extension> of a structure
+ *  file.
+ * --------------------------------------------------------- */
+export function download(filename, text, type = 'chemical/x-' + filename.split('.').pop()) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,174 @@
+/* =========================================================
+ *  hydrolysis-viewer.js
+ *  <hydrolysis-viewer> custom element — a thin wrapper around
+ *  createViewer() for LMS pages and course sites:
+ *
+ *    <script type="module" src=".../hydrolysis-viewer.js"></script>
+ *    <hydrolysis-viewer cation="Fe" stage="3" autorotate="false"
+ *                       style="height: 480px"></hydrolysis-viewer>
+ *
+ *  Attributes   cation (Al, Fe, …), stage (0–6),
+ *               autorotate ("false" / "off" / "0" to disable),
+ *               representation (ball-and-stick, space-filling,
+ *               licorice, wireframe), solvent (boolean: show
+ *               the bulk-water box), orbitals (boolean: show
+ *               lone pairs and metal acceptor orbitals), hops
+ *               (Grotthuss proton hops after H₃O⁺ forms, 0–6),
+ *               quiz (boolean: prediction questions before each
+ *               stage), lesson (URL of a JSON / YAML lesson script;
+ *               stage then counts its steps), lang (en, es,
+ *               fr, ar; default the browser's language)
+ *  Properties   cation, stage, representation, lang, viewer
+ *               (the createViewer() API)
+ *  Methods      goToStage(n), play(), pause(), dispose()
+ *  Events       stagechange, atomselect, bondselect,
+ *               timelinecomplete, quizanswer, localechange
+ *               (see viewer.js); lessonerror, detail:
+ *               { url, error } — the lesson attribute's script
+ *               could not be fetched or parsed
+ * ========================================================= */
+
+import { createViewer } from './viewer.js';
+
+const AUTOROTATE_OFF = ['false', 'off', '0'];
+
+export class HydrolysisViewer extends HTMLElement {
+    static observedAttributes = ['cation', 'stage', 'autorotate', 'representation', 'solvent', 'orbitals', 'hops', 'quiz', 'lesson', 'lang'];
+
+    #viewer = null;
+
+    constructor() {
+        super();
+        // Keep the attributes in step with the viewer's own
+        // controls (stage buttons, language picker) and API calls
+        this.addEventListener('stagechange', (event) => {
+            if (this.getAttribute('stage') !== String(event.detail.stage)) {
+                this.setAttribute('stage', String(event.detail.stage));
+            }
+        });
+        this.addEventListener('localechange', (event) => {
+            if (this.getAttribute('lang') !== event.detail.locale) {
+                this.setAttribute('lang', event.detail.locale);
+            }
+        });
+    }
+
+    connectedCallback() {
+        this.#viewer = createViewer(this, {
+            cation: this.getAttribute('cation') || undefined,
+            stage: parseStage(this.getAttribute('stage')),
+            autoRotate: parseAutoRotate(this.getAttribute('autorotate')),
+            representation: this.getAttribute('representation') || undefined,
+            solvent: this.hasAttribute('solvent'),
+            orbitals: this.hasAttribute('orbitals'),
+            protonHops: parseInt(this.getAttribute('hops'), 10) || 0,
+            quiz: this.hasAttribute('quiz'),
+            locale: this.getAttribute('lang') || undefined,
+        });
+        if (this.hasAttribute('lesson')) this.#loadLesson(this.getAttribute('lesson'));
+    }
+
+    disconnectedCallback() {
+        this.dispose();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        const viewer = this.#viewer;
+        if (!viewer || oldValue === value) return;
+
+        switch (name) {
+            case 'cation':
+                if (value) viewer.setCation(value);
+                break;
+            case 'stage': {
+                const stage = parseStage(value);
+                if (stage !== undefined) viewer.goToStage(stage);
+                break;
+            }
+            case 'autorotate':
+                viewer.setAutoRotate(parseAutoRotate(value) ?? true);
+                break;
+            case 'representation':
+                viewer.setRepresentation(value || undefined);
+                break;
+            case 'solvent':
+                viewer.setSolventShown(value !== null);
+                break;
+            case 'orbitals':
+                viewer.setOrbitalsShown(value !== null);
+                break;
+            case 'hops':
+                viewer.setProtonHops(parseInt(value, 10) || 0);
+                break;
+            case 'quiz':
+                viewer.setQuizActive(value !== null);
+                break;
+            case 'lesson':
+                if (value) this.#loadLesson(value);
+                break;
+            case 'lang':
+                viewer.setLocale(value || undefined);
+                break;
+        }
+    }
+
+    // Fetches a lesson script, then returns to the stage
+    // attribute (which counts the new lesson's steps). A
+    // failure shows in the viewer and fires lessonerror.
+    async #loadLesson(url) {
+        const viewer = this.#viewer;
+        const stage = parseStage(this.getAttribute('stage'));
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            if (this.#viewer !== viewer) return;
+            viewer.loadLesson(text);
+            if (stage) viewer.goToStage(stage);
+        } catch (err) {
+            if (this.#viewer !== viewer) return;
+            viewer.reportLessonError(url, err);
+            this.dispatchEvent(new CustomEvent('lessonerror', { detail: { url, error: err }, bubbles: true, composed: true }));
+        }
+    }
+
+    get viewer() { return this.#viewer; }
+
+    get cation() { return this.#viewer?.getCation() ?? this.getAttribute('cation'); }
+    set cation(id) { this.setAttribute('cation', id); }
+
+    get stage() { return this.#viewer?.getStage() ?? parseStage(this.getAttribute('stage')) ?? 0; }
+    set stage(n) { this.setAttribute('stage', String(n)); }
+
+    get representation() { return this.#viewer?.getRepresentation() ?? this.getAttribute('representation'); }
+    set representation(id) { this.setAttribute('representation', id); }
+
+    get lang() { return this.#viewer?.getLocale() ?? this.getAttribute('lang') ?? ''; }
+    set lang(tag) { this.setAttribute('lang', tag); }
+
+    goToStage(n) { this.stage = n; }
+    play() { this.#viewer?.play(); }
+    pause() { this.#viewer?.pause(); }
+
+    dispose() {
+        this.#viewer?.dispose();
+        this.#viewer = null;
+    }
+}
+
+function parseStage(value) {
+    const stage = parseInt(value, 10);
+    return Number.isNaN(stage) ? undefined : stage;
+}
+
+// Absent attribute → undefined (viewer default)
+function parseAutoRotate(value) {
+    if (value === null) return undefined;
+    return !AUTOROTATE_OFF.includes(value.trim().toLowerCase());
+}
+
+if (!customElements.get('hydrolysis-viewer')) {
+    customElements.define('hydrolysis-viewer', HydrolysisViewer);
+}
+
+export { createViewer };
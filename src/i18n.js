@@ -0,0 +1,194 @@
+/* =========================================================
+ *  i18n.js
+ *  Locales: message catalogs (locales/*.js), a translator
+ *  per viewer and right-to-left support.
+ *
+ *  Messages
+ *  ────────
+ *  Keys are dotted ('measure.hint.pick') and text fills
+ *  {name} params. With a `count` param, `key.one` /
+ *  `key.other` … are tried first (Intl.PluralRules
+ *  categories; Arabic also uses zero / two / few / many).
+ *  A key missing from a catalog falls back to English, then
+ *  to the key itself.
+ *
+ *  Chemistry notation
+ *  ──────────────────
+ *  Formulas keep their Unicode sub- and superscripts (H₂O,
+ *  [Al(H₂O)₆]³⁺, δ−) in every language. Inside right-to-left
+ *  text each formula is wrapped in a left-to-right isolate
+ *  (LRI … PDI), so its brackets don't mirror and a charge
+ *  stays after its symbol.
+ * ========================================================= */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import ar from './locales/ar.js';
+
+// ── Locale table (switcher order) ───────────────────────────
+export const LOCALES = {
+    en: { name: 'English', dir: 'ltr', messages: en },
+    es: { name: 'Español', dir: 'ltr', messages: es },
+    fr: { name: 'Français', dir: 'ltr', messages: fr },
+    ar: { name: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// Left-to-right isolate / pop directional isolate
+const LRI = '\u2066';
+const PDI = '\u2069';
+
+// A run already isolated, or a formula, symbol or pKa in
+// running text: from a capital letter (or "[", δ, pH, pKa)
+// through its digits, charges, brackets and bond dashes
+const FORMULA = /\u2066[^\u2069]*\u2069|\[*(?:[A-Z]|δ|p[HK])[A-Za-z0-9₀-₉⁰¹²³⁴-⁹⁺⁻−()[\]·–]*/g;
+
+/* ---------------------------------------------------------
+ *  resolveLocale(tag)
+ *  'es-MX' → 'es'; unsupported or missing → 'en'.
+ * --------------------------------------------------------- */
+export function resolveLocale(tag) {
+    const code = String(tag ?? '').toLowerCase();
+    if (LOCALES[code]) return code;
+    const base = code.split(/[-_]/)[0];
+    return LOCALES[base] ? base : DEFAULT_LOCALE;
+}
+
+/* ---------------------------------------------------------
+ *  translate(locale, key, params)
+ *
+ *  @param {string} locale — a LOCALES code
+ *  @param {string} key
+ *  @param {object} [params] — {name} values; `count` also
+ *         picks the plural form
+ *  @returns {string}
+ * --------------------------------------------------------- */
+export function translate(locale, key, params = {}) {
+    const { messages, dir } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+    const text = lookup(messages, key, locale, params.count)
+        ?? lookup(en, key, DEFAULT_LOCALE, params.count)
+        ?? key;
+    const filled = text.replace(/\{(\w+)\}/g, (field, name) => (name in params ? String(params[name]) : field));
+    return dir === 'rtl' ? isolateFormulas(filled) : filled;
+}
+
+function lookup(messages, key, locale, count) {
+    if (typeof count === 'number') {
+        const form = new Intl.PluralRules(locale).select(count);
+        const plural = messages[`${key}.${form}`] ?? messages[`${key}.other`];
+        if (plural !== undefined) return plural;
+    }
+    return messages[key];
+}
+
+/* ---------------------------------------------------------
+ *  isolateFormulas(text)
+ *
+ *  Wraps each formula in LRI … PDI, leaving any closing
+ *  bracket it doesn't open outside ("(pKa₁ 5.0)" isolates
+ *  only pKa₁). Runs already isolated are left alone.
+ * --------------------------------------------------------- */
+export function isolateFormulas(text) {
+    return text.replace(FORMULA, (match) => {
+        if (match.startsWith(LRI)) return match;
+        let end = match.length;
+        while (end > 0 && /[)\]]/.test(match[end - 1]) && !balanced(match.slice(0, end))) end--;
+        return `${LRI}${match.slice(0, end)}${PDI}${match.slice(end)}`;
+    });
+}
+
+function balanced(text) {
+    let depth = 0;
+    for (const c of text) {
+        if (c === '(' || c === '[') depth++;
+        else if (c === ')' || c === ']') depth--;
+        if (depth < 0) return false;
+    }
+    return depth === 0;
+}
+
+/* ---------------------------------------------------------
+ *  createI18n(locale)
+ *
+ *  The translator one viewer shares with its modules; they
+ *  read the locale at call time, so setLocale() takes effect
+ *  on their next update (the viewer re-renders the rest).
+ *
+ *  @param {string} [locale] — a BCP 47 tag (resolveLocale)
+ *  @returns {{ t, number, localize, bidi, setLocale,
+ *              getLocale, getDir, translateDOM }}
+ * --------------------------------------------------------- */
+export function createI18n(locale) {
+
+    // ── State ──
+    let _locale = resolveLocale(locale);
+    let _numbers = new Map();      // digits → Intl.NumberFormat
+
+    function t(key, params) {
+        return translate(_locale, key, params);
+    }
+
+    /* -----------------------------------------------------
+     *  number(value, digits)
+     *  Fixed decimals with the locale's separator (5,0 in
+     *  es / fr); Western digits everywhere, as in formulas.
+     * ----------------------------------------------------- */
+    function number(value, digits = 0) {
+        if (!_numbers.has(digits)) {
+            _numbers.set(digits, new Intl.NumberFormat(_locale, {
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits,
+                numberingSystem: 'latn',
+                useGrouping: false,
+            }));
+        }
+        return _numbers.get(digits).format(value);
+    }
+
+    /* -----------------------------------------------------
+     *  localize(text)
+     *  Lesson text: a plain string, or a map of locale →
+     *  string (falls back to English, then any entry).
+     * ----------------------------------------------------- */
+    function localize(text) {
+        if (text === null || typeof text !== 'object') return String(text ?? '');
+        return text[_locale] ?? text[DEFAULT_LOCALE] ?? Object.values(text)[0] ?? '';
+    }
+
+    // Isolates the formulas of right-to-left text
+    function bidi(text) {
+        return getDir() === 'rtl' ? isolateFormulas(text) : text;
+    }
+
+    function setLocale(tag) {
+        _locale = resolveLocale(tag);
+        _numbers = new Map();
+        return _locale;
+    }
+
+    function getLocale() {
+        return _locale;
+    }
+
+    function getDir() {
+        return LOCALES[_locale].dir;
+    }
+
+    /* -----------------------------------------------------
+     *  translateDOM(root)
+     *  Fills the markup's static text: data-i18n (text
+     *  content) and data-i18n-aria-label.
+     * ----------------------------------------------------- */
+    function translateDOM(root) {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+            el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+        });
+    }
+
+    return { t, number, localize, bidi, setLocale, getLocale, getDir, translateDOM };
+}
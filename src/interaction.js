@@ -1,34 +1,120 @@
 /* =========================================================
  *  interaction.js
  *  Raycaster-based click-to-highlight + info panel display.
+ *
+ *  Atoms and bonds (userData.bond, see bonds.js) can both be
+ *  picked. A bond counts as hit within PICK_TOLERANCE pixels
+ *  of its axis, so the thin dashed lines are easy to click;
+ *  the nearer of an atom and a bond wins. Hovering shows a
+ *  tooltip naming what a click would select.
+ *
+ *  Keyboard (canvas focused)
+ *  ─────────────────────────
+ *  ← / →  or  ↑ / ↓   previous / next atom
+ *  Home / End          first (metal centre) / last atom
+ *  Enter               pick the selected atom (measure mode)
+ *  Escape              clear the selection
  * ========================================================= */
 
 import * as THREE from 'three';
-import { highlightMaterial } from './materials.js';
-
-// ── State ───────────────────────────────────────────────────
-let previousSelection = null;
-let previousMaterial = null;
+import { highlightAtom, unhighlightAtom, PALETTE } from './materials.js';
+import { isDisplayed, atomRole } from './atoms.js';
+import { bondLength } from './bonds.js';
 
-const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2();
+const PICK_TOLERANCE = 6;      // px either side of a bond's axis
+const TIP_OFFSET = 14;         // px from the pointer to the tooltip
+const SHOW_STRETCH = 1.02;     // bond lengths past this say how stretched
 
-// ── DOM refs ────────────────────────────────────────────────
-const infoPanel = document.getElementById('info-panel');
-const infoTitle = document.getElementById('info-title');
-const infoElement = document.getElementById('info-element');
-const infoRole = document.getElementById('info-role');
-const infoCharge = document.getElementById('info-charge');
-const infoClose = document.getElementById('info-close');
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _onRay = new THREE.Vector3();
 
 /* ---------------------------------------------------------
- *  initInteraction(camera, scene, canvas)
+ *  createInteraction({ camera, scene, canvas, root, a11y, i18n,
+ *                      onSelect, onSelectBond, onPick })
  *
- *  Sets up pointer events for atom selection / highlighting.
+ *  Sets up pointer / keyboard selection for one viewer.
+ *
+ *  @param {Document|ShadowRoot} root — holds the info panel
+ *         and the hover tooltip
+ *  @param {{ announce }} a11y — from createA11y()
+ *  @param {object} i18n — from createI18n()
+ *  @param {(mesh: THREE.Mesh|null) => void} [onSelect] —
+ *         called after every atom selection change
+ *  @param {(bond: THREE.Object3D|null) => void} [onSelectBond]
+ *         — likewise for bonds
+ *  @param {(mesh: THREE.Mesh) => boolean} [onPick] — sees
+ *         each clicked atom first (for a clicked bond, its
+ *         atom nearer the pointer); return true to consume
+ *         the click (measure mode) instead of selecting
+ *  @returns {{ selectAtom, getSelectedAtom, selectBond,
+ *              getSelectedBond, deselectAtom, update,
+ *              relocalize }}
  * --------------------------------------------------------- */
-export function initInteraction(camera, scene, canvas) {
+export function createInteraction({
+    camera, scene, canvas, root, a11y, i18n,
+    onSelect = () => {}, onSelectBond = () => {}, onPick = () => false,
+}) {
+
+    // ── State ──
+    let previousSelection = null;
+    let selectedBond = null;
+    let bondColor = null;          // the selected bond's own colour
+    let shownLength = '';          // length text in the open panel
+    let hoverEvent = null;         // last pointer move, picked next frame
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    // ── DOM refs ──
+    const infoPanel = root.getElementById('info-panel');
+    const infoTitle = root.getElementById('info-title');
+    const infoAtom = root.getElementById('info-atom');
+    const infoElement = root.getElementById('info-element');
+    const infoRole = root.getElementById('info-role');
+    const infoCharge = root.getElementById('info-charge');
+    const infoBond = root.getElementById('info-bond');
+    const infoBondType = root.getElementById('info-bond-type');
+    const infoBondLength = root.getElementById('info-bond-length');
+    const infoNote = root.getElementById('info-note');
+    const infoClose = root.getElementById('info-close');
+    const hoverTip = root.getElementById('hover-tip');
 
     canvas.addEventListener('pointerdown', (event) => {
+        hideTip();
+        const hit = pickAt(event);
+
+        if (!hit) {
+            deselectAtom();
+        } else if (hit.userData.bond) {
+            // Measure / quiz modes take the end nearer the pointer
+            if (!onPick(nearerEnd(hit))) selectBond(hit);
+        } else if (!onPick(hit)) {
+            selectAtom(hit);
+        }
+    });
+
+    // ── Hover tooltip (mouse / pen, not while dragging) ──
+    canvas.addEventListener('pointermove', (event) => {
+        if (event.pointerType === 'touch' || event.buttons !== 0) {
+            hideTip();
+            return;
+        }
+        // One pick per frame however fast the pointer moves
+        if (!hoverEvent) requestAnimationFrame(updateHover);
+        hoverEvent = event;
+    });
+
+    canvas.addEventListener('pointerleave', () => {
+        hoverEvent = null;
+        hideTip();
+    });
+
+    /* -----------------------------------------------------
+     *  pickAt(event)
+     *  The shown atom or bond under the pointer, or null.
+     * ----------------------------------------------------- */
+    function pickAt(event) {
         // Normalised device coordinates (-1 … +1)
         const rect = canvas.getBoundingClientRect();
         pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -36,58 +122,299 @@ export function initInteraction(camera, scene, canvas) {
 
         raycaster.setFromCamera(pointer, camera);
 
-        // Only test meshes (atoms), not lines (bonds)
-        const meshes = [];
+        // Atoms by their spheres; bonds by distance to their
+        // axis (lines have no surface to hit)
+        const atoms = [];
+        const bonds = [];
         scene.traverse((obj) => {
-            if (obj.isMesh) meshes.push(obj);
+            if (obj.isMesh && obj.userData.element && isDisplayed(obj)) atoms.push(obj);
+            else if (obj.userData.bond && isDisplayed(obj)) bonds.push(obj);
         });
 
-        const hits = raycaster.intersectObjects(meshes, false);
+        const atomHit = raycaster.intersectObjects(atoms, false)[0];
+        const bondHit = nearestBond(bonds, rect.height);
+        if (bondHit && (!atomHit || bondHit.distance < atomHit.distance)) return bondHit.bond;
+        return atomHit?.object ?? null;
+    }
 
-        if (hits.length > 0) {
-            selectAtom(hits[0].object);
-        } else {
-            deselectAtom();
+    // The nearest bond whose axis passes within its radius or
+    // PICK_TOLERANCE pixels of the ray
+    function nearestBond(bonds, viewHeight) {
+        const { ray } = raycaster;
+        const perPixel = (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / (camera.zoom * viewHeight);
+        let best = null;
+
+        for (const bond of bonds) {
+            const { a, b } = bond.userData.bond;
+            a.getWorldPosition(_a);
+            b.getWorldPosition(_b);
+            const gapSq = ray.distanceSqToSegment(_a, _b, _onRay);
+            const distance = _onRay.distanceTo(ray.origin);
+            const radius = (bond.geometry.parameters?.radiusTop ?? 0) * bond.scale.x;
+            const tolerance = Math.max(radius, PICK_TOLERANCE * perPixel * distance);
+            if (gapSq <= tolerance * tolerance && (!best || distance < best.distance)) {
+                best = { bond, distance };
+            }
         }
+        return best;
+    }
+
+    // The bond's atom nearer the last picked ray
+    function nearerEnd(bond) {
+        const { a, b } = bond.userData.bond;
+        const { ray } = raycaster;
+        return ray.distanceSqToPoint(a.getWorldPosition(_a)) <= ray.distanceSqToPoint(b.getWorldPosition(_b)) ? a : b;
+    }
+
+    function updateHover() {
+        const event = hoverEvent;
+        hoverEvent = null;
+        if (!event) return;
+
+        const hit = pickAt(event);
+        canvas.style.cursor = hit ? 'pointer' : '';
+        if (!hit || !hoverTip) {
+            hideTip();
+            return;
+        }
+
+        hoverTip.textContent = i18n.bidi(hit.userData.bond ? bondSummary(hit) : atomSummary(hit));
+        hoverTip.hidden = false;
+
+        // Beside the pointer, kept inside the viewer
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.min(event.clientX - rect.left + TIP_OFFSET, rect.width - hoverTip.offsetWidth - 4);
+        const y = Math.min(event.clientY - rect.top + TIP_OFFSET, rect.height - hoverTip.offsetHeight - 4);
+        hoverTip.style.left = `${Math.max(0, x)}px`;
+        hoverTip.style.top = `${Math.max(0, y)}px`;
+    }
+
+    function hideTip() {
+        if (hoverTip) hoverTip.hidden = true;
+    }
+
+    function atomSummary(mesh) {
+        const role = atomRole(mesh, i18n);
+        return [atomName(mesh), role].filter(Boolean).join(' · ');
+    }
+
+    function bondSummary(bond) {
+        return [bondAtoms(bond), i18n.t(`bond.${bond.userData.bond.kind}`), lengthText(bond)].join(' · ');
+    }
+
+    canvas.addEventListener('keydown', (event) => {
+        const atoms = listAtoms(scene);
+        if (atoms.length === 0) return;
+
+        const current = atoms.indexOf(previousSelection);
+        let next;
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown': next = (current + 1) % atoms.length; break;
+            case 'ArrowLeft':
+            case 'ArrowUp': next = current <= 0 ? atoms.length - 1 : current - 1; break;
+            case 'Home': next = 0; break;
+            case 'End': next = atoms.length - 1; break;
+            case 'Enter':
+                if (previousSelection && onPick(previousSelection)) event.preventDefault();
+                return;
+            case 'Escape':
+                deselectAtom();
+                a11y.announce(i18n.t('info.cleared'));
+                event.preventDefault();
+                return;
+            default: return;
+        }
+        event.preventDefault();
+        selectAtom(atoms[next]);
+        a11y.announce(describeAtom(atoms[next], next, atoms.length, i18n));
     });
 
     // Close button
     infoClose?.addEventListener('click', deselectAtom);
-}
 
-/* ---------------------------------------------------------
- *  selectAtom(mesh)
- * --------------------------------------------------------- */
-function selectAtom(mesh) {
-    // Restore previous selection
-    if (previousSelection && previousMaterial) {
-        previousSelection.material = previousMaterial;
+    /* -----------------------------------------------------
+     *  selectAtom(mesh)
+     *  Also used by the viewer to restore a deep-linked
+     *  selection.
+     * ----------------------------------------------------- */
+    function selectAtom(mesh) {
+        releaseBond();
+
+        // Restore previous selection
+        if (previousSelection) unhighlightAtom(previousSelection);
+
+        // Swap in the highlight (materials.js keeps the atom's own)
+        previousSelection = mesh;
+        highlightAtom(mesh);
+
+        fillInfoPanel();
+        infoPanel?.classList.remove('hidden');
+        onSelect(mesh);
+    }
+
+    /* -----------------------------------------------------
+     *  selectBond(bond)
+     *  Tints the bond (its material is its own, see
+     *  bonds.js) and shows its details.
+     * ----------------------------------------------------- */
+    function selectBond(bond) {
+        if (previousSelection) {
+            unhighlightAtom(previousSelection);
+            previousSelection = null;
+            onSelect(null);
+        }
+        releaseBond();
+
+        selectedBond = bond;
+        bondColor = bond.material.color.getHex();
+        bond.material.color.setHex(PALETTE.highlight);
+
+        fillInfoPanel();
+        infoPanel?.classList.remove('hidden');
+        onSelectBond(bond);
     }
 
-    // Store & swap material
-    previousSelection = mesh;
-    previousMaterial = mesh.material;
-    mesh.material = highlightMaterial;
+    // Un-tints the selected bond; true when there was one
+    function releaseBond() {
+        if (!selectedBond) return false;
+        selectedBond.material.color.setHex(bondColor);
+        selectedBond = null;
+        bondColor = null;
+        onSelectBond(null);
+        return true;
+    }
+
+    function fillInfoPanel() {
+        if (!infoPanel) return;
+        const bond = selectedBond;
+        if (infoAtom) infoAtom.hidden = !!bond;
+        if (infoBond) infoBond.hidden = !bond;
 
-    // Populate info panel
-    const data = mesh.userData;
-    if (infoPanel) {
+        if (bond) {
+            const { kind } = bond.userData.bond;
+            infoTitle.textContent = i18n.bidi(bondAtoms(bond));
+            infoBondType.textContent = i18n.t(`bond.${kind}`);
+            shownLength = lengthText(bond);
+            infoBondLength.textContent = shownLength;
+            if (infoNote) {
+                infoNote.textContent = i18n.bidi(explainBond(bond));
+                infoNote.hidden = false;
+            }
+            return;
+        }
+
+        const mesh = previousSelection;
+        const data = mesh.userData;
         infoTitle.textContent = mesh.name || '—';
         infoElement.textContent = data.element || '—';
-        infoRole.textContent = data.role || '—';
+        infoRole.textContent = atomRole(mesh, i18n) || '—';
         infoCharge.textContent = data.charge || '—';
-        infoPanel.classList.remove('hidden');
+        if (infoNote) infoNote.hidden = true;
+    }
+
+    function lengthText(bond) {
+        const { length, stretch } = bondLength(bond);
+        const value = i18n.number(length, 2);
+        if (!bond.visible) return i18n.t('bond.broken', { length: value });
+        if (stretch < SHOW_STRETCH) return i18n.t('bond.length', { length: value });
+        return i18n.t('bond.stretched', { length: value, percent: i18n.number((stretch - 1) * 100, 0) });
+    }
+
+    function explainBond(bond) {
+        const { a, b, kind } = bond.userData.bond;
+        if (kind === 'coordinate') {
+            const [metal, donor] = b.userData.isMetal && !a.userData.isMetal ? [b, a] : [a, b];
+            return i18n.t('bond.coordinate.explain', { donor: atomName(donor), metal: atomName(metal) });
+        }
+        if (kind === 'ionic') {
+            const salt = a.userData.roleParams?.salt ?? b.userData.roleParams?.salt ?? '';
+            return i18n.t('bond.ionic.explain', { a: atomName(a), b: atomName(b), salt });
+        }
+        const text = i18n.t('bond.covalent.explain', { a: atomName(a), b: atomName(b) });
+        const elements = [a.userData.element, b.userData.element].sort().join('');
+        return elements === 'HO' ? `${text} ${i18n.t('bond.covalent.OH')}` : text;
     }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Keeps a selected bond's length current while the
+     *  stage animates; called from the render loop.
+     * ----------------------------------------------------- */
+    function update() {
+        if (!selectedBond || !infoBondLength) return;
+        const text = lengthText(selectedBond);
+        if (text === shownLength) return;
+        shownLength = text;
+        infoBondLength.textContent = text;
+    }
+
+    /* -----------------------------------------------------
+     *  relocalize()
+     *  Re-reads the open info panel after a language change.
+     * ----------------------------------------------------- */
+    function relocalize() {
+        if (previousSelection || selectedBond) fillInfoPanel();
+    }
+
+    /* -----------------------------------------------------
+     *  getSelectedAtom() / getSelectedBond()
+     * ----------------------------------------------------- */
+    function getSelectedAtom() {
+        return previousSelection;
+    }
+
+    function getSelectedBond() {
+        return selectedBond;
+    }
+
+    /* -----------------------------------------------------
+     *  deselectAtom()
+     *  Clears the selection, atom or bond. Also called by the
+     *  viewer before the complex is rebuilt.
+     * ----------------------------------------------------- */
+    function deselectAtom() {
+        const hadSelection = !!previousSelection;
+        if (previousSelection) {
+            unhighlightAtom(previousSelection);
+            previousSelection = null;
+        }
+        releaseBond();
+        if (infoPanel) infoPanel.classList.add('hidden');
+        if (hadSelection) onSelect(null);
+    }
+
+    return { selectAtom, getSelectedAtom, selectBond, getSelectedBond, deselectAtom, update, relocalize };
 }
 
 /* ---------------------------------------------------------
- *  deselectAtom()
+ *  listAtoms(scene)
+ *  Shown atom meshes in keyboard order, metal centre first.
  * --------------------------------------------------------- */
-function deselectAtom() {
-    if (previousSelection && previousMaterial) {
-        previousSelection.material = previousMaterial;
-        previousSelection = null;
-        previousMaterial = null;
-    }
-    if (infoPanel) infoPanel.classList.add('hidden');
+function listAtoms(scene) {
+    const atoms = [];
+    scene.traverse((obj) => {
+        if (obj.isMesh && obj.userData.element && isDisplayed(obj)) atoms.push(obj);
+    });
+    return atoms.sort((a, b) => Number(!!b.userData.isMetal) - Number(!!a.userData.isMetal));
+}
+
+function describeAtom(mesh, index, count, i18n) {
+    const { charge } = mesh.userData;
+    const parts = [atomName(mesh)];
+    const role = atomRole(mesh, i18n);
+    if (role) parts.push(role);
+    if (charge && charge !== '—') parts.push(i18n.t('info.atomCharge', { charge }));
+    return i18n.t('info.atomPosition', { atom: parts.join(', '), index: index + 1, count });
+}
+
+// Label (Al³⁺, Cl⁻), element or mesh name
+function atomName(mesh) {
+    return mesh.userData.label || mesh.userData.element || mesh.name;
+}
+
+// "Al³⁺–O" for a bond's two atoms
+function bondAtoms(bond) {
+    const { a, b } = bond.userData.bond;
+    return `${atomName(a)}–${atomName(b)}`;
 }
@@ -2,6 +2,9 @@
  *  labels.js
  *  CSS2DRenderer-based atom labels.
  *  Shows element symbols and partial charges in the 3D view.
+ *
+ *  createLabels() returns one label layer per viewer, so
+ *  several viewers on a page keep separate label sets.
  * ========================================================= */
 
 import {
@@ -9,100 +12,157 @@ import {
     CSS2DObject,
 } from 'three/addons/renderers/CSS2DRenderer.js';
 
-// ── Label text lookup ───────────────────────────────────────
-const LABEL_TEXT = {
-    Al: 'Al³⁺',
-    O: 'O  δ−',
-    H1: 'H  δ+',
-    H2: 'H  δ+',
+// ── Label text lookup (message keys, see i18n.js) ───────────
+// (the metal centre carries its own text in userData.label)
+const LABEL_KEYS = {
+    O: 'label.O',
+    H1: 'label.H',
+    H2: 'label.H',
 };
 
-// ── Module state ────────────────────────────────────────────
-let labelRenderer = null;
-const allLabels = [];
-
 /* ---------------------------------------------------------
- *  initLabels()
+ *  createLabels(container, i18n)
  *
- *  Creates the CSS2DRenderer and appends its DOM element.
- *  Returns the renderer so main.js can call render() on it.
- * --------------------------------------------------------- */
-export function initLabels() {
-    labelRenderer = new CSS2DRenderer();
-    labelRenderer.setSize(window.innerWidth, window.innerHeight);
-    labelRenderer.domElement.id = 'label-renderer';
-    labelRenderer.domElement.style.position = 'fixed';
-    labelRenderer.domElement.style.top = '0';
-    labelRenderer.domElement.style.left = '0';
-    labelRenderer.domElement.style.pointerEvents = 'none';
-    labelRenderer.domElement.style.zIndex = '5';        // below UI overlay (10)
-    document.body.appendChild(labelRenderer.domElement);
-
-    return labelRenderer;
-}
-
-/* ---------------------------------------------------------
- *  attachLabels(complex)
+ *  Creates a CSS2DRenderer whose DOM element is appended to
+ *  `container`, plus the functions that add / remove labels.
  *
- *  Walks the complex scene graph and adds a CSS2DObject
- *  label to every atom mesh (Al, O, H).
+ *  @param {HTMLElement|ShadowRoot} container
+ *  @param {object} i18n — from createI18n()
+ *  @returns {{ renderer, attachLabels, detachLabels,
+ *              createFreeLabel, setLabelsVisible,
+ *              getLabelsVisible, relocalize, dispose }}
  * --------------------------------------------------------- */
-export function attachLabels(complex) {
-    complex.traverse((obj) => {
-        if (!obj.isMesh) return;
+export function createLabels(container, i18n) {
+
+    // ── Instance state ──
+    const allLabels = [];
+    let labelsVisible = true;      // applied to labels created later too
+
+    const renderer = new CSS2DRenderer();
+    renderer.domElement.className = 'label-renderer';
+    renderer.domElement.style.position = 'absolute';
+    renderer.domElement.style.top = '0';
+    renderer.domElement.style.left = '0';
+    renderer.domElement.style.pointerEvents = 'none';
+    renderer.domElement.style.zIndex = '5';        // below UI overlay (10)
+    container.appendChild(renderer.domElement);
+
+    /* -----------------------------------------------------
+     *  attachLabels(complex)
+     *
+     *  Walks the complex scene graph and adds a CSS2DObject
+     *  label to every atom mesh (metal, O, H).
+     * ----------------------------------------------------- */
+    function attachLabels(complex) {
+        complex.traverse((obj) => {
+            if (!obj.isMesh) return;
 
-        const text = LABEL_TEXT[obj.name];
-        if (!text) return;
+            const key = obj.userData.label ? null : LABEL_KEYS[obj.name];
+            if (!obj.userData.label && !key) return;
 
+            const div = document.createElement('div');
+            div.className = 'atom-label';
+            if (key) div.dataset.label = key;
+            div.textContent = key ? i18n.t(key) : obj.userData.label;
+
+            // Colour-code by element
+            if (obj.userData.isMetal) div.classList.add('label-metal');
+            else if (obj.name === 'O') div.classList.add('label-o');
+            else div.classList.add('label-h');
+
+            const label = new CSS2DObject(div);
+            // Offset slightly above the atom
+            label.position.set(0, 0.35, 0);
+            label.name = 'label';
+            label.visible = labelsVisible;
+            obj.add(label);
+
+            allLabels.push(label);
+        });
+    }
+
+    /* -----------------------------------------------------
+     *  detachLabels(complex)
+     *
+     *  Removes every label under `complex` (used before the
+     *  complex is rebuilt for a different cation). Removing
+     *  a CSS2DObject also removes its DOM element.
+     * ----------------------------------------------------- */
+    function detachLabels(complex) {
+        const found = [];
+        complex.traverse((obj) => {
+            if (obj.isCSS2DObject) found.push(obj);
+        });
+        for (const label of found) {
+            label.removeFromParent();
+            const idx = allLabels.indexOf(label);
+            if (idx !== -1) allLabels.splice(idx, 1);
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  createFreeLabel(mesh, text, cssClass)
+     *
+     *  Attach a label to any mesh (used for free water / H₃O⁺).
+     * ----------------------------------------------------- */
+    function createFreeLabel(mesh, text, cssClass = 'label-o') {
         const div = document.createElement('div');
-        div.className = 'atom-label';
+        div.className = `atom-label ${cssClass}`;
         div.textContent = text;
 
-        // Colour-code by element
-        if (obj.name === 'Al') div.classList.add('label-al');
-        else if (obj.name === 'O') div.classList.add('label-o');
-        else div.classList.add('label-h');
-
         const label = new CSS2DObject(div);
-        // Offset slightly above the atom
-        label.position.set(0, 0.35, 0);
+        label.position.set(0, 0.45, 0);
         label.name = 'label';
-        obj.add(label);
-
+        label.visible = labelsVisible;
+        mesh.add(label);
         allLabels.push(label);
-    });
-}
+        return label;
+    }
 
-/* ---------------------------------------------------------
- *  createFreeLabel(mesh, text, cssClass)
- *
- *  Attach a label to any mesh (used for free water / H₃O⁺).
- * --------------------------------------------------------- */
-export function createFreeLabel(mesh, text, cssClass = 'label-o') {
-    const div = document.createElement('div');
-    div.className = `atom-label ${cssClass}`;
-    div.textContent = text;
-
-    const label = new CSS2DObject(div);
-    label.position.set(0, 0.45, 0);
-    label.name = 'label';
-    mesh.add(label);
-    allLabels.push(label);
-    return label;
-}
+    /* -----------------------------------------------------
+     *  setLabelsVisible(visible) / getLabelsVisible()
+     * ----------------------------------------------------- */
+    function setLabelsVisible(visible) {
+        labelsVisible = visible;
+        for (const lbl of allLabels) {
+            lbl.visible = visible;
+        }
+    }
 
-/* ---------------------------------------------------------
- *  setLabelsVisible(visible)
- * --------------------------------------------------------- */
-export function setLabelsVisible(visible) {
-    for (const lbl of allLabels) {
-        lbl.visible = visible;
+    function getLabelsVisible() {
+        return labelsVisible;
     }
-}
 
-/* ---------------------------------------------------------
- *  getLabelRenderer()
- * --------------------------------------------------------- */
-export function getLabelRenderer() {
-    return labelRenderer;
+    /* -----------------------------------------------------
+     *  relocalize()
+     *  Re-reads the translated labels (formulas and symbols
+     *  from userData.label stay as they are).
+     * ----------------------------------------------------- */
+    function relocalize() {
+        for (const label of allLabels) {
+            const { label: key } = label.element.dataset;
+            if (key) label.element.textContent = i18n.t(key);
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  dispose()
+     *  Removes every label and the renderer's DOM element.
+     * ----------------------------------------------------- */
+    function dispose() {
+        for (const label of allLabels) label.removeFromParent();
+        allLabels.length = 0;
+        renderer.domElement.remove();
+    }
+
+    return {
+        renderer,
+        attachLabels,
+        detachLabels,
+        createFreeLabel,
+        setLabelsVisible,
+        getLabelsVisible,
+        relocalize,
+        dispose,
+    };
 }
@@ -0,0 +1,216 @@
+/* =========================================================
+ *  lattice.js
+ *  A fragment of the cation's chloride crystal for Stage 1
+ *  (Dissolution), built from crystallographic cell data.
+ *
+ *  Structure types
+ *  ───────────────
+ *  M³⁺  AlCl₃   monoclinic C2/m — Al in ⅔ of the octahedral
+ *               holes of close-packed Cl⁻ layers (FeCl₃ and
+ *               CrCl₃ layers are built the same way)
+ *  M²⁺  MgCl₂   trigonal R-3m (CdCl₂ type) — every octahedral
+ *               hole of alternate layers
+ *  M⁺   NaCl    cubic Fm-3m (rock salt)
+ *
+ *  Other cations of the same charge are drawn in the same
+ *  structure type. The fragment is every ion within
+ *  FRAGMENT_RADIUS of one metal site, which is placed on the
+ *  complex's own metal mesh — so when the lattice breaks up,
+ *  that ion stays behind as the free cation Stage 2 hydrates.
+ *  M–Cl contacts are drawn as coordination bonds and break
+ *  as the ions separate (bonds.js).
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { createMetalMaterial, createElementMaterial } from './materials.js';
+import { atomRadius } from './atoms.js';
+import { createBond } from './bonds.js';
+import { getCation, formatIon } from './cations.js';
+import { getRepresentation } from './representations.js';
+
+// ── Crystal data (cell in Å and degrees, fractional sites) ──
+export const SALT_LATTICES = {
+    AlCl3: {
+        name: 'AlCl₃',
+        structure: 'monoclinic C2/m',
+        cell: { a: 5.93, b: 10.24, c: 6.17, alpha: 90, beta: 108.0, gamma: 90 },
+        centring: [[0, 0, 0], [0.5, 0.5, 0]],
+        metal: [[0, 0.166, 0], [0, -0.166, 0]],                   // 4g
+        anion: [
+            [0.2147, 0, 0.2263], [-0.2147, 0, -0.2263],               // 4i
+            [0.2518, 0.3213, 0.2308], [-0.2518, 0.3213, -0.2308],     // 8j
+            [-0.2518, -0.3213, -0.2308], [0.2518, -0.3213, 0.2308],
+        ],
+    },
+    MgCl2: {
+        name: 'MgCl₂',
+        structure: 'trigonal R-3m (hexagonal axes)',
+        cell: { a: 3.641, b: 3.641, c: 17.67, alpha: 90, beta: 90, gamma: 120 },
+        centring: [[0, 0, 0], [2 / 3, 1 / 3, 1 / 3], [1 / 3, 2 / 3, 2 / 3]],
+        metal: [[0, 0, 0]],                                         // 3a
+        anion: [[0, 0, 0.2578], [0, 0, -0.2578]],                   // 6c
+    },
+    NaCl: {
+        name: 'NaCl',
+        structure: 'cubic Fm-3m',
+        cell: { a: 5.640, b: 5.640, c: 5.640, alpha: 90, beta: 90, gamma: 90 },
+        centring: [[0, 0, 0], [0, 0.5, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0]],
+        metal: [[0, 0, 0]],                                         // 4a
+        anion: [[0.5, 0, 0]],                                       // 4b
+    },
+};
+
+const LATTICE_BY_CHARGE = { 1: 'NaCl', 2: 'MgCl2', 3: 'AlCl3' };
+
+const FRAGMENT_RADIUS = 6.0;   // Å around the central metal
+const CONTACT_TOLERANCE = 1.2; // M–Cl bonded up to 1.2 × the shortest
+const CHLORIDE_RADIUS = 1.81;  // Å, Cl⁻ ionic radius (Shannon, CN 6)
+
+/** The structure type drawn for a cation (by its charge) */
+export function latticeFor(cation) {
+    return SALT_LATTICES[LATTICE_BY_CHARGE[cation.charge] ?? 'AlCl3'];
+}
+
+/* ---------------------------------------------------------
+ *  cellMatrix(cell)
+ *  Fractional → Cartesian: a along x, b in the xy plane.
+ * --------------------------------------------------------- */
+export function cellMatrix({ a, b, c, alpha, beta, gamma }) {
+    const [ca, cb, cg] = [alpha, beta, gamma].map((d) => Math.cos(THREE.MathUtils.degToRad(d)));
+    const sg = Math.sin(THREE.MathUtils.degToRad(gamma));
+    const cx = c * cb;
+    const cy = c * (ca - cb * cg) / sg;
+    const cz = Math.sqrt(c * c - cx * cx - cy * cy);
+    return new THREE.Matrix3().set(
+        a, b * cg, cx,
+        0, b * sg, cy,
+        0, 0, cz,
+    );
+}
+
+/* ---------------------------------------------------------
+ *  latticeFragment(lattice, radius)
+ *
+ *  Every ion within `radius` of the first metal site, with
+ *  that metal at the origin (index 0 of metals). Chlorides
+ *  left without a metal neighbour are dropped.
+ *
+ *  @returns {{ metals: Vector3[], anions: Vector3[],
+ *              pairs: Array<[number, number, number]> }}
+ *           pairs are [metal index, anion index, distance]
+ * --------------------------------------------------------- */
+export function latticeFragment(lattice, radius = FRAGMENT_RADIUS) {
+    const m = cellMatrix(lattice.cell);
+    const { a, b, c } = lattice.cell;
+    const reach = Math.ceil(radius / Math.min(a, b, c)) + 1;
+    const origin = new THREE.Vector3(...lattice.metal[0]).applyMatrix3(m);
+
+    const sites = (list) => {
+        const out = [];
+        for (const site of list) {
+            for (const t of lattice.centring) {
+                for (let i = -reach; i <= reach; i++) {
+                    for (let j = -reach; j <= reach; j++) {
+                        for (let k = -reach; k <= reach; k++) {
+                            const p = new THREE.Vector3(site[0] + t[0] + i, site[1] + t[1] + j, site[2] + t[2] + k)
+                                .applyMatrix3(m).sub(origin);
+                            if (p.length() <= radius) out.push(p);
+                        }
+                    }
+                }
+            }
+        }
+        return out;
+    };
+
+    const metals = sites(lattice.metal).sort((p, q) => p.length() - q.length());
+    let anions = sites(lattice.anion);
+
+    // Bonded contacts: up to CONTACT_TOLERANCE × the shortest M–Cl
+    const shortest = Math.min(...anions.map((p) => p.length()));
+    const cutoff = shortest * CONTACT_TOLERANCE;
+    anions = anions.filter((p) => metals.some((q) => p.distanceTo(q) <= cutoff));
+
+    const pairs = [];
+    metals.forEach((p, i) => anions.forEach((q, j) => {
+        const d = p.distanceTo(q);
+        if (d <= cutoff) pairs.push([i, j, d]);
+    }));
+
+    return { metals, anions, pairs };
+}
+
+/* ---------------------------------------------------------
+ *  buildLattice(cation, metal, representation)
+ *
+ *  @param {object}     [cation] — entry from CATIONS
+ *  @param {THREE.Mesh} metal — the complex's metal, which
+ *         stands in for the central lattice site
+ *  @param {object}     [representation]
+ *  @returns {{ group, ions: Array<{ mesh, home }>, name }}
+ *           ions excludes the central metal; home is its
+ *           position in the group
+ * --------------------------------------------------------- */
+export function buildLattice(cation = getCation(), metal, representation = getRepresentation()) {
+    const lattice = latticeFor(cation);
+    const { metals, anions, pairs } = latticeFragment(lattice);
+
+    const group = new THREE.Group();
+    group.name = 'Lattice';
+    group.position.copy(metal.getWorldPosition(new THREE.Vector3()));
+
+    const ions = [];
+    const place = (mesh, position) => {
+        mesh.position.copy(position);
+        group.add(mesh);
+        ions.push({ mesh, home: position.clone() });
+        return mesh;
+    };
+
+    // ── Cations (the first is the complex's own metal) ──
+    const metalRadius = atomRadius(cation.symbol, representation, cation.ionicRadius);
+    const metalMeshes = metals.map((position, i) => {
+        if (i === 0) return metal;
+        const mesh = new THREE.Mesh(sphere(metalRadius), createMetalMaterial(cation.color));
+        mesh.name = `${cation.symbol}_lattice`;
+        mesh.userData = {
+            element: cation.symbol,
+            role: 'role.latticeCation',
+            roleParams: { salt: lattice.name },
+            charge: `+${cation.charge}`,
+            label: formatIon(cation),
+        };
+        return place(mesh, position);
+    });
+
+    // ── Chloride counter-ions ──
+    const clRadius = atomRadius('Cl', representation, CHLORIDE_RADIUS);
+    const clMaterial = createElementMaterial('Cl');
+    const anionMeshes = anions.map((position) => {
+        const mesh = new THREE.Mesh(sphere(clRadius), clMaterial.clone());
+        mesh.name = 'Cl';
+        mesh.userData = {
+            element: 'Cl',
+            role: 'role.chloride',
+            roleParams: { salt: lattice.name },
+            charge: '−1',
+            label: 'Cl⁻',
+        };
+        return place(mesh, position);
+    });
+    clMaterial.dispose();
+
+    // ── M–Cl contacts ──
+    for (const [i, j, d] of pairs) {
+        const bond = createBond(metalMeshes[i], anionMeshes[j], true, representation, d);
+        if (!bond) continue;
+        bond.userData.bond.kind = 'ionic';
+        group.add(bond);
+    }
+
+    return { group, ions, name: lattice.name };
+}
+
+function sphere(radius) {
+    return new THREE.SphereGeometry(radius, 24, 24);
+}
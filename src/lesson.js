@@ -0,0 +1,284 @@
+/* =========================================================
+ *  lesson.js
+ *  Lesson scripts: the stage sequence as data. A script
+ *  (JSON or YAML) lists the steps the stage nav shows; each
+ *  declares its text, camera keyframes and timed actions,
+ *  and stages.js builds the GSAP timeline from it. The
+ *  built-in stages ship as lessons/default.json.
+ *
+ *  Format
+ *  ──────
+ *  title: Hydrolysis of a metal cation
+ *  steps:
+ *    - id: hydration                 # unique; quiz questions key on it
+ *      label: Hydration              # stage button text
+ *      description: Waters orient toward {ion} …
+ *      summary: …                    # screen-reader scene text
+ *      equation: 1                   # hydrolysis step in the equation bar
+ *      species: 0                    # speciation curve it shows (optional)
+ *      energy: { ts: 3.2, products: 4.8 }   # energy profile (optional)
+ *      camera:
+ *        - { at: 0, position: [4, 3, 5], target: [0, 0, 0], duration: 1 }
+ *      actions:
+ *        - { at: 0.3, do: move, atom: waters, rest: true, duration: 1.6, stagger: 0.15 }
+ *        - { at: 2.2, do: event, name: bonds form, message: Coordination bonds form. }
+ *
+ *  A step needs the cation to have a pKa for its `equation`
+ *  and `species`: with fewer (Na⁺ and Mg²⁺ list only pKa₁)
+ *  the viewer leaves it out.
+ *
+ *  Text fields fill {ion} {complex} {salt} {name} {species:k}
+ *  {pKa:k} {waters} and {waters:-k} (see fillTemplate). Any
+ *  text (label, description, summary, an event's name and
+ *  message, a label action's text) may instead be a map of
+ *  locale → text; the viewer's language picks one, falling
+ *  back to English:
+ *
+ *      label: { en: Hydration, es: Hidratación, fr: Hydratation }
+ *
+ *  Each step starts from where the last one left the atoms;
+ *  materials, labels, parents and visibility are reset.
+ *
+ *  Actions
+ *  ───────
+ *  `at` is seconds, or "+=s" after everything so far (default
+ *  the end). A move / rotate with duration 0 at time 0, and
+ *  any colour, label, reparent, show or hide at time 0, sets
+ *  the start state before the step plays.
+ *
+ *  move     atom, one of  to: [x,y,z] · by: [dx,dy,dz] ·
+ *           radial: r (along the atom's rest direction from
+ *           the metal) · rest: true;  duration, ease, stagger
+ *  rotate   atom, one of  to: [x,y,z] (degrees) · rest: true ·
+ *           random: amount (radians);  duration, ease, stagger
+ *  glow     atom, intensity (0–1, × the cation's polarising
+ *           strength unless byCharge: false), duration
+ *  color    atom, color ("#rrggbb")
+ *  reparent atom, to ("scene" or an atom path) — keeps the
+ *           world position, so the atom can move on its own
+ *  label    atom, text, class (label-o, label-h,
+ *           label-hydronium, …)
+ *  show / hide   atom
+ *  event    name, message — a transport marker + announcement
+ *  preset   name (dissolve-lattice · deprotonate · tetrahedral
+ *           · relay) — the built-in choreography stages.js
+ *           can't express as plain moves. deprotonate takes
+ *           water (index), acceptor: [x,y,z] and gone (waters
+ *           already deprotonated); relay a message
+ *
+ *  Energy profile
+ *  ──────────────
+ *  A step with `energy` shows the reaction-coordinate diagram
+ *  of its deprotonation (`equation`) beside the scene, its
+ *  marker following the timeline (energy-panel.js):
+ *
+ *  dG        ΔG° in kJ mol⁻¹ (default from the cation's pKa)
+ *  Ea        activation energy in kJ mol⁻¹ (default ΔG° plus
+ *            a small barrier for the reverse reaction)
+ *  ts        seconds into the step at the transition state
+ *            (default half the timeline)
+ *  products  seconds at which products are reached (default
+ *            the end of the timeline)
+ *
+ *  Atom paths: M (metal), complex, waters, w<i> (water i),
+ *  w<i>.O / .H1 / .H2, all (every atom and water of the
+ *  complex), free (the free water), free.O_free …, lattice.
+ *  A path that matches nothing (e.g. w5 in an imported
+ *  structure with four waters) skips the action.
+ * ========================================================= */
+
+import { parseYAML } from './yaml.js';
+import { createI18n } from './i18n.js';
+import {
+    formatIon,
+    complexFormula,
+    saltFormula,
+    speciesFormula,
+    maxSpecies,
+    HYDROLYSIS_STEPS,
+} from './cations.js';
+
+export const ACTIONS = ['move', 'rotate', 'glow', 'color', 'reparent', 'label', 'show', 'hide', 'event', 'preset'];
+export const PRESETS = ['dissolve-lattice', 'deprotonate', 'tetrahedral', 'relay'];
+
+// Action fields that must hold an [x, y, z] triple
+const VECTOR_FIELDS = ['to', 'by', 'position', 'target', 'acceptor'];
+
+// Action fields that hold (possibly localised) text
+const TEXT_FIELDS = ['name', 'message', 'text'];
+
+// fillTemplate() without a viewer's translator
+const ENGLISH = createI18n('en');
+
+/* ---------------------------------------------------------
+ *  parseLesson(text)
+ *  JSON when the text starts with "{", YAML otherwise.
+ *
+ *  @returns {object} a validated lesson
+ *  @throws {Error} with the line or step at fault
+ * --------------------------------------------------------- */
+export function parseLesson(text) {
+    let data;
+    if (text.trimStart().startsWith('{')) {
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Lesson JSON: ${err.message}`);
+        }
+    } else {
+        data = parseYAML(text);
+    }
+    return validateLesson(data);
+}
+
+/* ---------------------------------------------------------
+ *  validateLesson(data)
+ *
+ *  Checks the shape and fills defaults (camera and actions
+ *  empty, equation step 1). Returns a new object, so a
+ *  script object can be reused.
+ * --------------------------------------------------------- */
+export function validateLesson(data) {
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error('Lesson: needs a non-empty "steps" list');
+    }
+
+    const ids = new Set();
+    const steps = data.steps.map((step, i) => {
+        const where = `Lesson step ${i + 1}`;
+        if (!step || typeof step !== 'object') throw new Error(`${where}: not a mapping`);
+        const label = checkText(step.label, `${where}, label`);
+        if (!label) throw new Error(`${where}: needs a "label"`);
+
+        const id = String(step.id ?? `step-${i}`);
+        if (ids.has(id)) throw new Error(`${where}: duplicate id "${id}"`);
+        ids.add(id);
+
+        const camera = (step.camera ?? []).map((key, j) => {
+            checkVectors(key, `${where}, camera ${j + 1}`);
+            checkTime(key.at, `${where}, camera ${j + 1}`);
+            if (!key.position && !key.target) throw new Error(`${where}, camera ${j + 1}: needs "position" or "target"`);
+            return { ...key };
+        });
+
+        const actions = (step.actions ?? []).map((action, j) => {
+            const at = `${where}, action ${j + 1}`;
+            if (!ACTIONS.includes(action?.do)) {
+                throw new Error(`${at}: unknown "do: ${action?.do}" (one of ${ACTIONS.join(', ')})`);
+            }
+            if (action.do === 'preset' && !PRESETS.includes(action.name)) {
+                throw new Error(`${at}: unknown preset "${action.name}" (one of ${PRESETS.join(', ')})`);
+            }
+            if (!['event', 'preset'].includes(action.do) && typeof action.atom !== 'string') {
+                throw new Error(`${at}: needs an "atom" path`);
+            }
+            // (reparent's "to" is an atom path)
+            checkVectors(action, at, action.do === 'reparent' ? VECTOR_FIELDS.filter((f) => f !== 'to') : VECTOR_FIELDS);
+            checkTime(action.at, at);
+            // (a preset's "name" is its id)
+            const texts = {};
+            for (const field of TEXT_FIELDS) {
+                if (action[field] === undefined || (field === 'name' && action.do === 'preset')) continue;
+                texts[field] = checkText(action[field], `${at}, "${field}"`);
+            }
+            return { ...action, ...texts };
+        });
+
+        const equation = step.equation ?? 1;
+        if (!Number.isInteger(equation) || equation < 1 || equation > HYDROLYSIS_STEPS) {
+            throw new Error(`${where}: "equation" must be a hydrolysis step, 1 to ${HYDROLYSIS_STEPS}`);
+        }
+
+        return {
+            ...step,
+            id,
+            label,
+            description: checkText(step.description ?? '', `${where}, description`),
+            summary: checkText(step.summary ?? step.description ?? '', `${where}, summary`),
+            equation,
+            species: Number.isInteger(step.species) ? step.species : null,
+            energy: step.energy === undefined ? null : checkEnergy(step.energy, `${where}, energy`),
+            camera,
+            actions,
+        };
+    });
+
+    return { title: checkText(data.title ?? '', 'Lesson title'), steps };
+}
+
+// A string, or a { locale: string } map — trimmed either way
+function checkText(value, where) {
+    if (value === null || typeof value !== 'object') return String(value ?? '').trim();
+    const entries = Object.entries(value);
+    if (Array.isArray(value) || entries.length === 0 || entries.some(([, text]) => typeof text === 'object')) {
+        throw new Error(`${where}: must be text or a map of locale → text`);
+    }
+    return Object.fromEntries(entries.map(([locale, text]) => [locale, String(text ?? '').trim()]));
+}
+
+function checkTime(at, where) {
+    if (at === undefined || (typeof at === 'number' && at >= 0)) return;
+    if (typeof at === 'string' && /^\+=\d*\.?\d+$/.test(at)) return;
+    throw new Error(`${where}: "at" must be seconds or "+=seconds"`);
+}
+
+// { dG, Ea, ts, products }, each optional (null)
+function checkEnergy(energy, where) {
+    if (!energy || typeof energy !== 'object' || Array.isArray(energy)) {
+        throw new Error(`${where}: must be a mapping of dG, Ea, ts, products`);
+    }
+    const { dG = null, Ea = null, ts = null, products = null } = energy;
+    if (dG !== null && typeof dG !== 'number') throw new Error(`${where}: "dG" must be kJ/mol`);
+    for (const [field, value] of [['Ea', Ea], ['ts', ts], ['products', products]]) {
+        if (value !== null && !(typeof value === 'number' && value >= 0)) {
+            throw new Error(`${where}: "${field}" must be a number ≥ 0`);
+        }
+    }
+    if (dG !== null && Ea !== null && Ea < dG) throw new Error(`${where}: "Ea" must be at least "dG"`);
+    if (ts !== null && products !== null && products <= ts) throw new Error(`${where}: "products" must come after "ts"`);
+    return { dG, Ea, ts, products };
+}
+
+function checkVectors(obj, where, fields = VECTOR_FIELDS) {
+    for (const field of fields) {
+        const v = obj[field];
+        if (v === undefined) continue;
+        if (!Array.isArray(v) || v.length !== 3 || v.some((n) => typeof n !== 'number')) {
+            throw new Error(`${where}: "${field}" must be [x, y, z]`);
+        }
+    }
+}
+
+/* ---------------------------------------------------------
+ *  fillTemplate(text, cation, waters, i18n)
+ *
+ *  {ion} Al³⁺ · {complex} [Al(H₂O)₆]³⁺ · {salt} AlCl₃ ·
+ *  {name} Aluminium · {species:k} species after k protons ·
+ *  {pKa:k} pKaₖ (both — past the cation's pKa data) ·
+ *  {waters} count of waters in words · {waters:-k} k fewer.
+ *  Unknown fields are left as written.
+ *
+ *  `text` may be a locale map; names, numbers and count
+ *  words come in the translator's language (default
+ *  English), with formulas isolated in right-to-left text.
+ * --------------------------------------------------------- */
+export function fillTemplate(text, cation, waters, i18n = ENGLISH) {
+    const filled = i18n.localize(text).replace(/\{(\w+)(?::(-?\d+))?\}/g, (field, name, arg) => {
+        const k = arg === undefined ? 0 : Number(arg);
+        switch (name) {
+            case 'ion': return formatIon(cation);
+            case 'complex': return complexFormula(cation);
+            case 'salt': return saltFormula(cation);
+            case 'name': return i18n.t(`cation.${cation.symbol}`);
+            case 'species': return k < 0 || k > maxSpecies(cation) ? '—' : speciesFormula(cation, k);
+            case 'pKa': return cation.pKa[k - 1] === undefined ? '—' : i18n.number(cation.pKa[k - 1], 1);
+            case 'waters': {
+                const n = Math.max(0, waters + (k < 0 ? k : 0));
+                const word = i18n.t(`count.${n}`);
+                return word === `count.${n}` ? String(n) : word;
+            }
+            default: return field;
+        }
+    });
+    return i18n.bidi(filled);
+}
@@ -0,0 +1,274 @@
+/* =========================================================
+ *  locales/ar.js
+ *  Arabic messages (keys as in en.js). Right-to-left: the
+ *  translator isolates the formulas in each message, and
+ *  numbers stay in Western digits, as in the formulas.
+ * ========================================================= */
+
+export default {
+    // ── Title bar ──
+    'app.title': 'التحلل المائي لـ {complex}',
+    'app.subtitle': 'تصوّر تفاعلي ثلاثي الأبعاد',
+    'app.documentTitle': 'التحلل المائي لـ {ion} — تصوّر ثلاثي الأبعاد',
+    'app.language': 'اللغة',
+    'cation.label': 'الكاتيون',
+    'cation.select': 'الكاتيون الفلزي',
+    'cation.option': '{ion} — {name} (pKa₁ {pKa})',
+    'cation.Na': 'الصوديوم',
+    'cation.Mg': 'المغنيسيوم',
+    'cation.Zn': 'الخارصين',
+    'cation.Cu': 'النحاس (II)',
+    'cation.Fe': 'الحديد (III)',
+    'cation.Cr': 'الكروم (III)',
+    'cation.Al': 'الألومنيوم',
+
+    // ── Scene + stage nav ──
+    'scene.canvas': 'مشهد جزيئي ثلاثي الأبعاد. تنتقل مفاتيح الأسهم بين الذرات، ويلغي مفتاح Escape التحديد.',
+    'nav.stages': 'المراحل',
+    'nav.noData': 'لا توجد قيمة pKa لـ {ion} في هذه المرحلة',
+
+    // ── View options ──
+    'view.style': 'النمط',
+    'view.labels': 'التسميات',
+    'view.rotate': 'دوران تلقائي',
+    'view.solvent': 'الماء المحيط',
+    'view.orbitals': 'المدارات',
+    'view.relay': 'ترحيل H⁺',
+    'view.relayHops': 'قفزات البروتون (آلية غروتهوس) بعد تكوّن H₃O⁺',
+    'view.hopsOff': 'إيقاف',
+    'view.hops.zero': 'بلا قفزات',
+    'view.hops.one': 'قفزة واحدة',
+    'view.hops.two': 'قفزتان',
+    'view.hops.few': '{count} قفزات',
+    'view.hops.other': '{count} قفزة',
+    'view.copyLink': 'نسخ الرابط',
+    'view.linkCopied': 'نُسخ الرابط',
+    'view.linkManual': 'انسخ الرابط من شريط العنوان',
+    'view.representation': 'تمثيل {name}',
+    'view.solventHidden': 'أُخفي الماء المحيط',
+    'view.solventShown': 'الماء المحيط: {molecules} جزيء، و{bonds} رابطة هيدروجينية مع المعقّد',
+    'view.orbitalsHidden': 'أُخفيت المدارات',
+    'view.orbitalsShown': 'المدارات ظاهرة: زوجان حرّان على كل أكسجين في الماء، مقابل مدارات مستقبِلة فارغة على الفلز',
+    'representation.ball-and-stick': 'الكرات والعصي',
+    'representation.space-filling': 'ملء الفراغ',
+    'representation.licorice': 'العصي',
+    'representation.wireframe': 'الإطار السلكي',
+
+    // ── Structure import / export ──
+    'file.open': 'فتح بنية…',
+    'file.format': 'صيغة التصدير',
+    'file.export': 'تصدير',
+    'file.hint': 'أفلت ملف XYZ أو PDB أو MOL أو MOL2، أو نص درس، على المشهد',
+    'file.loaded': 'حُمّل {file} ({atoms} ذرة، {bonds} رابطة)',
+    'file.lessonLoaded': 'حُمّل الدرس {title} ({steps} خطوات)',
+    'file.exported': 'صُدّرت {atoms} ذرة بصيغة {format}',
+    'file.unsupported': 'نوع ملف غير مدعوم: {file}',
+    'file.failed': 'تعذّر تحميل {file}: {error}',
+
+    // ── Image + video capture ──
+    'capture.title': 'الالتقاط',
+    'capture.width': 'العرض',
+    'capture.height': 'الارتفاع',
+    'capture.size': 'حجم الصورة بالبكسل',
+    'capture.transparent': 'خلفية شفافة',
+    'capture.fps': 'معدل الإطارات',
+    'capture.fpsOption': '{fps} إطارًا/ث',
+    'capture.png': 'صورة PNG',
+    'capture.webm': 'فيديو WebM',
+    'capture.frames': 'إطارات PNG',
+    'capture.cancel': 'إلغاء',
+    'capture.progress': 'تقدّم التصدير',
+    'capture.saved': 'حُفظ {file}',
+    'capture.failed': 'تعذّر الالتقاط: {error}',
+    'capture.cancelled': 'أُلغي الالتقاط',
+
+    // ── Atom info + keyboard selection ──
+    'info.close': 'إغلاق لوحة المعلومات',
+    'info.element': 'العنصر',
+    'info.role': 'الدور',
+    'info.charge': 'الشحنة',
+    'info.cleared': 'أُلغي التحديد',
+    'info.atomCharge': 'الشحنة {charge}',
+    'info.atomPosition': '{atom}. الذرة {index} من {count}.',
+    'info.bondType': 'النوع',
+    'info.bondLength': 'الطول',
+
+    // ── Bonds (userData.bond.kind, see bonds.js) ──
+    'bond.coordinate': 'رابطة تناسقية (تساهمية تناسقية)',
+    'bond.covalent': 'رابطة تساهمية',
+    'bond.ionic': 'تماس أيوني',
+    'bond.coordinate.explain': 'يأتي الإلكترونان المشتركان كلاهما من زوج حر على {donor} يُمنح إلى مدار فارغ في {metal}: قاعدة لويس ترتبط بحمض لويس.',
+    'bond.covalent.explain': 'يتشارك {a} و{b} زوجًا من الإلكترونات، إلكترون من كل ذرة.',
+    'bond.covalent.OH': 'يسحب الفلز الكثافة الإلكترونية من رابطة O–H هذه، فتضعف ويمكن أن تنكسر محررةً H⁺.',
+    'bond.ionic.explain': 'يتماسك {a} و{b} كشحنتين متعاكستين في بلورة {salt}؛ لا إلكترونات مشتركة، لذا يستطيع الماء فصل الأيونات.',
+    'bond.length': '{length} Å',
+    'bond.stretched': '{length} Å (أطول بنسبة {percent} % من طولها في الراحة)',
+    'bond.broken': '{length} Å (مكسورة)',
+
+    // ── Atom roles ──
+    'role.metal': 'المركز الفلزي (حمض لويس)',
+    'role.donor': 'مانح زوج إلكترونات (قاعدة لويس)',
+    'role.proton': 'بروتون (قد ينفصل في التحلل المائي)',
+    'role.imported': 'ذرة مستوردة',
+    'role.latticeCation': 'كاتيون الشبكة (بلورة {salt})',
+    'role.chloride': 'أيون كلوريد مقابل (بلورة {salt})',
+    'role.freeWater': 'جزيء ماء حر',
+    'role.freeHydrogen': 'هيدروجين الماء الحر',
+
+    // ── Atom labels (element symbol + partial charge) ──
+    'label.O': 'O  δ−',
+    'label.H': 'H  δ+',
+
+    // ── Toggles ──
+    'toggle.on': 'تشغيل',
+    'toggle.off': 'إيقاف',
+
+    // ── Measurements ──
+    'measure.title': 'القياس',
+    'measure.kind': 'نوع القياس',
+    'measure.distance': 'مسافة (ذرتان)',
+    'measure.angle': 'زاوية (3 ذرات)',
+    'measure.dihedral': 'زاوية ثنائية السطوح (4 ذرات)',
+    'measure.clear': 'مسح الكل',
+    'measure.hint.off': 'شغّله للقياس بين الذرات',
+    'measure.hint.pick': 'اختر {count} ذرات',
+    'measure.hint.picked': 'اختر {count} ذرات · اختيرت {picked}: {atoms}',
+    'measure.remove': 'إزالة {kind} {atoms}',
+    'measure.added': '{kind} {atoms}: {value}',
+    'measure.kind.distance': 'المسافة',
+    'measure.kind.angle': 'الزاوية',
+    'measure.kind.dihedral': 'الزاوية ثنائية السطوح',
+
+    // ── Molecular surface ──
+    'surface.title': 'السطح',
+    'surface.colouring': 'تلوين السطح',
+    'surface.esp': 'الجهد الكهروستاتيكي',
+    'surface.density': 'الكثافة الإلكترونية فقط',
+    'surface.iso': 'القيمة المتساوية',
+    'surface.opacity': 'العتامة',
+    'surface.rich': 'غني بالإلكترونات',
+    'surface.poor': 'فقير بالإلكترونات',
+
+    // ── Field, dipoles and partial charges ──
+    'field.title': 'المجال والشحنات',
+    'field.mode': 'المجال الكهربائي',
+    'field.off': 'بلا مجال',
+    'field.lines': 'خطوط المجال',
+    'field.plane': 'مستوى شدة المجال',
+    'field.dipoles': 'ثنائيات القطب',
+    'field.charges': 'الشحنات الجزئية',
+    'field.unit': '{value} V/Å',
+    'field.dipoleNote': 'تشير الأسهم إلى الطرف السالب: البرتقالي لكل جزيء، والكهرماني لكل رابطة O–H.',
+
+    // ── Energy profile ──
+    'energy.title': 'مخطط الطاقة',
+    'energy.slider': 'تقدّم التفاعل (تحرّك مفاتيح الأسهم الرسوم المتحركة)',
+    'energy.hint': 'اسحب المؤشر للتنقل في الرسوم المتحركة',
+    'energy.axis': 'G (kJ mol⁻¹)',
+    'energy.coordinate': 'إحداثي التفاعل',
+    'energy.dG': 'ΔG° = {value} kJ mol⁻¹',
+    'energy.Ea': 'Eₐ = {value} kJ mol⁻¹',
+    'energy.reactants': 'المتفاعلات',
+    'energy.transition': 'الحالة الانتقالية',
+    'energy.products': 'النواتج',
+    'energy.progress': '{percent}٪ من الطريق إلى النواتج',
+
+    // ── Thermal motion (molecular dynamics) ──
+    'sim.toggle': 'الحركة الحرارية',
+    'sim.temperature': 'درجة الحرارة',
+    'sim.kelvin': '{value} K',
+    'sim.pause': 'إيقاف مؤقت',
+    'sim.resume': 'استئناف',
+    'sim.step': 'خطوة',
+    'sim.status': 't = {time} ps · T = {temperature} K',
+    'sim.started': 'الحركة الحرارية مفعّلة عند {temperature} K: توقفت المرحلة وتتحرك الذرات وفق مجال قوى بسيط',
+    'sim.stopped': 'الحركة الحرارية متوقفة: عادت الذرات إلى حيث تركتها المرحلة',
+
+    // ── Prediction quiz ──
+    'quiz.title': 'اختبار',
+    'quiz.score': 'النتيجة',
+    'quiz.hint': 'اختر مرحلة: ستتوقع ما يحدث قبل عرضها.',
+    'quiz.continue': 'متابعة',
+    'quiz.student': 'الاسم',
+    'quiz.format': 'صيغة النتائج',
+    'quiz.export': 'تصدير النتائج',
+    'quiz.reset': 'إعادة البدء',
+    'quiz.restarted': 'أُعيد بدء الاختبار',
+    'quiz.atomNote': 'انقر الذرة في المشهد، أو حدّدها بمفاتيح الأسهم واضغط Enter.',
+    'quiz.question': 'السؤال: {prompt}',
+    'quiz.correct': 'صحيح!',
+    'quiz.wrong': 'ليس تمامًا — الإجابة هي {answer}.',
+
+    'quiz.coordination-number.prompt': 'كم جزيء ماء سيرتبط مباشرة بـ {ion}؟',
+    'quiz.coordination-number.four': 'أربعة',
+    'quiz.coordination-number.six': 'ستة',
+    'quiz.coordination-number.eight': 'ثمانية',
+    'quiz.coordination-number.explain': 'تشغل ستة جزيئات ماء رؤوس ثماني سطوح حول {ion}، واحد على كل محور ±x و±y و±z.',
+
+    'quiz.chloride-fate.prompt': 'عندما تلتقي بلورة {salt} بالماء، ماذا يحدث لأيونات Cl⁻ فيها؟',
+    'quiz.chloride-fate.stay': 'تبقى مرتبطة بـ {ion}',
+    'quiz.chloride-fate.separate': 'تنفصل وتنتقل إلى المحلول',
+    'quiz.chloride-fate.oxidise': 'تفقد شحنتها وتكوّن Cl₂',
+    'quiz.chloride-fate.explain': 'يفكّك الماء الشبكة: ينفصل {ion} وCl⁻ ويحيط الماء بكل منهما. لا تنتقل أي إلكترونات.',
+
+    'quiz.electron-pair-donor.prompt': 'انقر الذرة التي ستمنح زوج إلكترونات لـ {ion}.',
+    'quiz.electron-pair-donor.answer': 'أكسجين جزيء ماء',
+    'quiz.electron-pair-donor.explain': 'يكوّن زوج حر على أكسجين كل جزيء ماء (δ−) الرابطة التناسقية: الأكسجين قاعدة لويس و{ion} حمض لويس.',
+
+    'quiz.leaving-atom.prompt': 'أي ذرة ستغادر المعقّد؟ انقرها.',
+    'quiz.leaving-atom.answer': 'هيدروجين على جزيء ماء متناسق',
+    'quiz.leaving-atom.explain': 'يسحب {ion} الكثافة الإلكترونية من روابط O–H في جزيئات الماء حوله، فيغادر أحد بروتوناتها (H⁺) ويلتقطه جزيء ماء حر مكوّنًا H₃O⁺.',
+
+    'quiz.ph-direction.prompt': 'بروتون ثانٍ على وشك المغادرة. هل سيرتفع pH المحلول أم ينخفض؟',
+    'quiz.ph-direction.up': 'يرتفع',
+    'quiz.ph-direction.down': 'ينخفض',
+    'quiz.ph-direction.same': 'يبقى كما هو',
+    'quiz.ph-direction.explain': 'كل بروتون يغادر يكوّن H₃O⁺ جديدًا، وزيادة H₃O⁺ تعني pH أقل: يصبح المحلول أكثر حمضية.',
+
+    'quiz.third-species.prompt': 'أي صنف يتكوّن بعد مغادرة البروتون الثالث؟',
+    'quiz.third-species.explain': 'أصبح كل من ثلاثة جزيئات ماء OH⁻، فينتج {species}.',
+
+    'quiz.final-shape.prompt': 'في قاعدة قوية يغادر بروتون رابع ويذهب جزيئا ماء. ما الشكل المتبقي حول الفلز؟',
+    'quiz.final-shape.octahedral': 'ثماني السطوح',
+    'quiz.final-shape.squarePlanar': 'مربع مستوٍ',
+    'quiz.final-shape.tetrahedral': 'رباعي السطوح',
+    'quiz.final-shape.explain': 'مع أربعة OH⁻ وبلا جزيئات ماء، تتباعد المرتبطات على شكل رباعي سطوح: {species}.',
+
+    // ── pH + speciation ──
+    'ph.title': 'pH والتوزّع النوعي',
+    'ph.concentration': 'تركيز الفلز الكلي (mol L⁻¹)',
+    'ph.chart': 'نسبة كل صنف مقابل pH',
+    'ph.none': 'pH = —',
+    'ph.readout': 'pH = {pH}  ·  غالبًا {species}',
+
+    // ── Timeline transport ──
+    'transport.group': 'تشغيل الرسوم المتحركة',
+    'transport.prev': 'الحدث السابق',
+    'transport.next': 'الحدث التالي',
+    'transport.play': 'تشغيل',
+    'transport.pause': 'إيقاف مؤقت',
+    'transport.position': 'الموضع على الخط الزمني',
+    'transport.speed': 'سرعة التشغيل',
+    'transport.time': '{time} / {duration} ث',
+    'transport.jump': 'انتقل إلى: {event}',
+
+    // ── Side-by-side comparison ──
+    'compare.title': 'مقارنة التحلل المائي',
+    'compare.canvas': 'مشهدان جزيئيان ثلاثيا الأبعاد جنبًا إلى جنب',
+    'compare.linkCameras': 'ربط الكاميرات',
+    'compare.replay': 'إعادة تشغيل المرحلة',
+    'compare.documentTitle': 'التحلل المائي لـ {left} مقابل {right} — مقارنة ثلاثية الأبعاد',
+
+    // ── Stage text ──
+    'stage.protonRelays': 'ترحيل البروتون',
+
+    'count.0': '0',
+    'count.1': '1',
+    'count.2': '2',
+    'count.3': '3',
+    'count.4': '4',
+    'count.5': '5',
+    'count.6': '6',
+    'count.7': '7',
+    'count.8': '8',
+};
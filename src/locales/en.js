@@ -0,0 +1,272 @@
+/* =========================================================
+ *  locales/en.js
+ *  English messages — the reference catalog every other
+ *  locale falls back to (see i18n.js). {name} marks a
+ *  parameter; formulas use Unicode sub/superscripts.
+ * ========================================================= */
+
+export default {
+    // ── Title bar ──
+    'app.title': '{complex} Hydrolysis',
+    'app.subtitle': 'Interactive 3D Visualization',
+    'app.documentTitle': '{ion} Hydrolysis — 3D Visualization',
+    'app.language': 'Language',
+    'cation.label': 'Cation',
+    'cation.select': 'Metal cation',
+    'cation.option': '{ion} — {name} (pKa₁ {pKa})',
+    'cation.Na': 'Sodium',
+    'cation.Mg': 'Magnesium',
+    'cation.Zn': 'Zinc',
+    'cation.Cu': 'Copper(II)',
+    'cation.Fe': 'Iron(III)',
+    'cation.Cr': 'Chromium(III)',
+    'cation.Al': 'Aluminium',
+
+    // ── Scene + stage nav ──
+    'scene.canvas': '3D molecular scene. Arrow keys step through atoms, Escape clears the selection.',
+    'nav.stages': 'Stages',
+    'nav.noData': 'No pKa data for {ion} at this step',
+
+    // ── View options ──
+    'view.style': 'Style',
+    'view.labels': 'Labels',
+    'view.rotate': 'Auto-rotate',
+    'view.solvent': 'Bulk water',
+    'view.orbitals': 'Orbitals',
+    'view.relay': 'H⁺ relay',
+    'view.relayHops': 'Grotthuss proton hops after H₃O⁺ forms',
+    'view.hopsOff': 'Off',
+    'view.hops.one': '{count} hop',
+    'view.hops.other': '{count} hops',
+    'view.copyLink': 'Copy link',
+    'view.linkCopied': 'Link copied',
+    'view.linkManual': 'Copy the link from the address bar',
+    'view.representation': '{name} representation',
+    'view.solventHidden': 'Bulk water hidden',
+    'view.solventShown': 'Bulk water: {molecules} molecules, {bonds} hydrogen bonds to the complex',
+    'view.orbitalsHidden': 'Orbitals hidden',
+    'view.orbitalsShown': 'Orbitals shown: two lone pairs on each water oxygen, facing empty acceptor orbitals on the metal',
+    'representation.ball-and-stick': 'Ball & stick',
+    'representation.space-filling': 'Space-filling',
+    'representation.licorice': 'Licorice',
+    'representation.wireframe': 'Wireframe',
+
+    // ── Structure import / export ──
+    'file.open': 'Open structure…',
+    'file.format': 'Export format',
+    'file.export': 'Export',
+    'file.hint': 'Drop an XYZ, PDB, MOL or MOL2 file, or a lesson script, onto the scene',
+    'file.loaded': 'Loaded {file} ({atoms} atoms, {bonds} bonds)',
+    'file.lessonLoaded': 'Loaded lesson {title} ({steps} steps)',
+    'file.exported': 'Exported {atoms} atoms as {format}',
+    'file.unsupported': 'Unsupported file type: {file}',
+    'file.failed': 'Could not load {file}: {error}',
+
+    // ── Image + video capture ──
+    'capture.title': 'Capture',
+    'capture.width': 'Width',
+    'capture.height': 'Height',
+    'capture.size': 'Image size in pixels',
+    'capture.transparent': 'Transparent background',
+    'capture.fps': 'Frame rate',
+    'capture.fpsOption': '{fps} fps',
+    'capture.png': 'PNG image',
+    'capture.webm': 'WebM video',
+    'capture.frames': 'PNG frames',
+    'capture.cancel': 'Cancel',
+    'capture.progress': 'Export progress',
+    'capture.saved': 'Saved {file}',
+    'capture.failed': 'Capture failed: {error}',
+    'capture.cancelled': 'Capture cancelled',
+
+    // ── Atom info + keyboard selection ──
+    'info.close': 'Close info panel',
+    'info.element': 'Element',
+    'info.role': 'Role',
+    'info.charge': 'Charge',
+    'info.cleared': 'Selection cleared',
+    'info.atomCharge': 'charge {charge}',
+    'info.atomPosition': '{atom}. Atom {index} of {count}.',
+    'info.bondType': 'Type',
+    'info.bondLength': 'Length',
+
+    // ── Bonds (userData.bond.kind, see bonds.js) ──
+    'bond.coordinate': 'Coordinate (dative) bond',
+    'bond.covalent': 'Covalent bond',
+    'bond.ionic': 'Ionic contact',
+    'bond.coordinate.explain': 'Both shared electrons come from a lone pair on {donor}, donated into an empty orbital of {metal}: a Lewis base bonding to a Lewis acid.',
+    'bond.covalent.explain': '{a} and {b} share a pair of electrons, one from each atom.',
+    'bond.covalent.OH': 'The metal pulls electron density away from this O–H bond, so it weakens and can break, releasing H⁺.',
+    'bond.ionic.explain': '{a} and {b} hold together as opposite charges in the {salt} crystal; no electrons are shared, so water can pull the ions apart.',
+    'bond.length': '{length} Å',
+    'bond.stretched': '{length} Å ({percent} % longer than at rest)',
+    'bond.broken': '{length} Å (broken)',
+
+    // ── Atom roles (userData.role) ──
+    'role.metal': 'Metal center (Lewis acid)',
+    'role.donor': 'Electron-pair donor (Lewis base)',
+    'role.proton': 'Proton (may dissociate in hydrolysis)',
+    'role.imported': 'Imported atom',
+    'role.latticeCation': 'Lattice cation ({salt} crystal)',
+    'role.chloride': 'Chloride counter-ion ({salt} crystal)',
+    'role.freeWater': 'Free water molecule',
+    'role.freeHydrogen': 'Free water hydrogen',
+
+    // ── Atom labels (element symbol + partial charge) ──
+    'label.O': 'O  δ−',
+    'label.H': 'H  δ+',
+
+    // ── Toggles ──
+    'toggle.on': 'On',
+    'toggle.off': 'Off',
+
+    // ── Measurements ──
+    'measure.title': 'Measure',
+    'measure.kind': 'Measurement type',
+    'measure.distance': 'Distance (2 atoms)',
+    'measure.angle': 'Angle (3 atoms)',
+    'measure.dihedral': 'Dihedral (4 atoms)',
+    'measure.clear': 'Clear all',
+    'measure.hint.off': 'Turn on to measure between atoms',
+    'measure.hint.pick': 'Pick {count} atoms',
+    'measure.hint.picked': 'Pick {count} atoms · {picked} picked: {atoms}',
+    'measure.remove': 'Remove {kind} {atoms}',
+    'measure.added': '{kind} {atoms}: {value}',
+    'measure.kind.distance': 'distance',
+    'measure.kind.angle': 'angle',
+    'measure.kind.dihedral': 'dihedral',
+
+    // ── Molecular surface ──
+    'surface.title': 'Surface',
+    'surface.colouring': 'Surface colouring',
+    'surface.esp': 'Electrostatic potential',
+    'surface.density': 'Electron density only',
+    'surface.iso': 'Isovalue',
+    'surface.opacity': 'Opacity',
+    'surface.rich': 'electron-rich',
+    'surface.poor': 'electron-poor',
+
+    // ── Field, dipoles and partial charges ──
+    'field.title': 'Field & charges',
+    'field.mode': 'Electric field',
+    'field.off': 'No field',
+    'field.lines': 'Field lines',
+    'field.plane': 'Field-strength plane',
+    'field.dipoles': 'Dipoles',
+    'field.charges': 'Partial charges',
+    'field.unit': '{value} V/Å',
+    'field.dipoleNote': 'Arrows point to the negative end: orange for each molecule, amber for each O–H bond.',
+
+    // ── Energy profile ──
+    'energy.title': 'Energy profile',
+    'energy.slider': 'Reaction progress (arrow keys scrub the animation)',
+    'energy.hint': 'Drag the marker to scrub the animation',
+    'energy.axis': 'G (kJ mol⁻¹)',
+    'energy.coordinate': 'Reaction coordinate',
+    'energy.dG': 'ΔG° = {value} kJ mol⁻¹',
+    'energy.Ea': 'Eₐ = {value} kJ mol⁻¹',
+    'energy.reactants': 'Reactants',
+    'energy.transition': 'Transition state',
+    'energy.products': 'Products',
+    'energy.progress': '{percent}% of the way to products',
+
+    // ── Thermal motion (molecular dynamics) ──
+    'sim.toggle': 'Thermal motion',
+    'sim.temperature': 'Temperature',
+    'sim.kelvin': '{value} K',
+    'sim.pause': 'Pause',
+    'sim.resume': 'Resume',
+    'sim.step': 'Step',
+    'sim.status': 't = {time} ps · T = {temperature} K',
+    'sim.started': 'Thermal motion on at {temperature} K: the stage is paused and the atoms move under a simple force field',
+    'sim.stopped': 'Thermal motion off: atoms back where the stage left them',
+
+    // ── Prediction quiz ──
+    'quiz.title': 'Quiz',
+    'quiz.score': 'Score',
+    'quiz.hint': 'Pick a stage: you\'ll predict what happens before it plays.',
+    'quiz.continue': 'Continue',
+    'quiz.student': 'Name',
+    'quiz.format': 'Results format',
+    'quiz.export': 'Export results',
+    'quiz.reset': 'Restart',
+    'quiz.restarted': 'Quiz restarted',
+    'quiz.atomNote': 'Click the atom in the scene, or select it with the arrow keys and press Enter.',
+    'quiz.question': 'Question: {prompt}',
+    'quiz.correct': 'Correct!',
+    'quiz.wrong': 'Not quite — the answer is {answer}.',
+
+    'quiz.coordination-number.prompt': 'How many water molecules will bind directly to {ion}?',
+    'quiz.coordination-number.four': 'Four',
+    'quiz.coordination-number.six': 'Six',
+    'quiz.coordination-number.eight': 'Eight',
+    'quiz.coordination-number.explain': 'Six waters sit at the corners of an octahedron around {ion}, one along each ±x, ±y, ±z axis.',
+
+    'quiz.chloride-fate.prompt': 'When the {salt} crystal meets water, what happens to its Cl⁻ ions?',
+    'quiz.chloride-fate.stay': 'They stay bonded to {ion}',
+    'quiz.chloride-fate.separate': 'They separate and move into solution',
+    'quiz.chloride-fate.oxidise': 'They lose their charge and form Cl₂',
+    'quiz.chloride-fate.explain': 'Water pulls the lattice apart: {ion} and Cl⁻ separate and each is surrounded by water. No electrons change hands.',
+
+    'quiz.electron-pair-donor.prompt': 'Click the atom that will donate an electron pair to {ion}.',
+    'quiz.electron-pair-donor.answer': 'a water oxygen',
+    'quiz.electron-pair-donor.explain': 'A lone pair on each water\'s oxygen (δ−) forms the coordination bond: oxygen is the Lewis base and {ion} the Lewis acid.',
+
+    'quiz.leaving-atom.prompt': 'Which atom will leave the complex? Click it.',
+    'quiz.leaving-atom.answer': 'a hydrogen on a coordinated water',
+    'quiz.leaving-atom.explain': '{ion} draws electron density out of the O–H bonds of its waters, so one of their protons (H⁺) leaves and a free water picks it up as H₃O⁺.',
+
+    'quiz.ph-direction.prompt': 'A second proton is about to leave. Will the pH of the solution go up or down?',
+    'quiz.ph-direction.up': 'Up',
+    'quiz.ph-direction.down': 'Down',
+    'quiz.ph-direction.same': 'It stays the same',
+    'quiz.ph-direction.explain': 'Each proton that leaves makes another H₃O⁺, and more H₃O⁺ means a lower pH: the solution gets more acidic.',
+
+    'quiz.third-species.prompt': 'Which species forms once a third proton has left?',
+    'quiz.third-species.explain': 'Three waters have each become OH⁻, giving {species}.',
+
+    'quiz.final-shape.prompt': 'In strong base a fourth proton leaves and two waters go. What shape is left around the metal?',
+    'quiz.final-shape.octahedral': 'Octahedral',
+    'quiz.final-shape.squarePlanar': 'Square planar',
+    'quiz.final-shape.tetrahedral': 'Tetrahedral',
+    'quiz.final-shape.explain': 'With four OH⁻ and no waters left, the ligands spread out into a tetrahedron: {species}.',
+
+    // ── pH + speciation ──
+    'ph.title': 'pH & Speciation',
+    'ph.concentration': 'Total metal (mol L⁻¹)',
+    'ph.chart': 'Species fraction against pH',
+    'ph.none': 'pH = —',
+    'ph.readout': 'pH = {pH}  ·  mostly {species}',
+
+    // ── Timeline transport ──
+    'transport.group': 'Animation playback',
+    'transport.prev': 'Previous event',
+    'transport.next': 'Next event',
+    'transport.play': 'Play',
+    'transport.pause': 'Pause',
+    'transport.position': 'Timeline position',
+    'transport.speed': 'Playback speed',
+    'transport.time': '{time} / {duration} s',
+    'transport.jump': 'Jump to: {event}',
+
+    // ── Side-by-side comparison ──
+    'compare.title': 'Compare Hydrolysis',
+    'compare.canvas': 'Two 3D molecular scenes side by side',
+    'compare.linkCameras': 'Link cameras',
+    'compare.replay': 'Replay stage',
+    'compare.documentTitle': '{left} vs {right} Hydrolysis — 3D Comparison',
+
+    // ── Stage text ──
+    'stage.protonRelays': 'proton relays',
+
+    // Lesson {waters} counts, in words
+    'count.0': 'no',
+    'count.1': 'one',
+    'count.2': 'two',
+    'count.3': 'three',
+    'count.4': 'four',
+    'count.5': 'five',
+    'count.6': 'six',
+    'count.7': 'seven',
+    'count.8': 'eight',
+};
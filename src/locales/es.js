@@ -0,0 +1,269 @@
+/* =========================================================
+ *  locales/es.js
+ *  Spanish messages (keys as in en.js).
+ * ========================================================= */
+
+export default {
+    // ── Title bar ──
+    'app.title': 'Hidrólisis de {complex}',
+    'app.subtitle': 'Visualización 3D interactiva',
+    'app.documentTitle': 'Hidrólisis de {ion} — Visualización 3D',
+    'app.language': 'Idioma',
+    'cation.label': 'Catión',
+    'cation.select': 'Catión metálico',
+    'cation.option': '{ion} — {name} (pKa₁ {pKa})',
+    'cation.Na': 'Sodio',
+    'cation.Mg': 'Magnesio',
+    'cation.Zn': 'Zinc',
+    'cation.Cu': 'Cobre(II)',
+    'cation.Fe': 'Hierro(III)',
+    'cation.Cr': 'Cromo(III)',
+    'cation.Al': 'Aluminio',
+
+    // ── Scene + stage nav ──
+    'scene.canvas': 'Escena molecular 3D. Las flechas recorren los átomos; Escape borra la selección.',
+    'nav.stages': 'Etapas',
+    'nav.noData': 'No hay datos de pKa de {ion} para esta etapa',
+
+    // ── View options ──
+    'view.style': 'Estilo',
+    'view.labels': 'Etiquetas',
+    'view.rotate': 'Rotación automática',
+    'view.solvent': 'Agua circundante',
+    'view.orbitals': 'Orbitales',
+    'view.relay': 'Relevo de H⁺',
+    'view.relayHops': 'Saltos de protón de Grotthuss tras formarse H₃O⁺',
+    'view.hopsOff': 'No',
+    'view.hops.one': '{count} salto',
+    'view.hops.other': '{count} saltos',
+    'view.copyLink': 'Copiar enlace',
+    'view.linkCopied': 'Enlace copiado',
+    'view.linkManual': 'Copia el enlace desde la barra de direcciones',
+    'view.representation': 'Representación {name}',
+    'view.solventHidden': 'Agua circundante oculta',
+    'view.solventShown': 'Agua circundante: {molecules} moléculas, {bonds} enlaces de hidrógeno con el complejo',
+    'view.orbitalsHidden': 'Orbitales ocultos',
+    'view.orbitalsShown': 'Orbitales visibles: dos pares libres en cada oxígeno del agua, frente a orbitales aceptores vacíos del metal',
+    'representation.ball-and-stick': 'Bolas y varillas',
+    'representation.space-filling': 'Espacio lleno',
+    'representation.licorice': 'Varillas',
+    'representation.wireframe': 'Alambre',
+
+    // ── Structure import / export ──
+    'file.open': 'Abrir estructura…',
+    'file.format': 'Formato de exportación',
+    'file.export': 'Exportar',
+    'file.hint': 'Suelta un archivo XYZ, PDB, MOL o MOL2, o un guion de lección, sobre la escena',
+    'file.loaded': '{file} cargado ({atoms} átomos, {bonds} enlaces)',
+    'file.lessonLoaded': 'Lección {title} cargada ({steps} pasos)',
+    'file.exported': '{atoms} átomos exportados como {format}',
+    'file.unsupported': 'Tipo de archivo no admitido: {file}',
+    'file.failed': 'No se pudo cargar {file}: {error}',
+
+    // ── Image + video capture ──
+    'capture.title': 'Capturar',
+    'capture.width': 'Ancho',
+    'capture.height': 'Alto',
+    'capture.size': 'Tamaño de la imagen en píxeles',
+    'capture.transparent': 'Fondo transparente',
+    'capture.fps': 'Fotogramas por segundo',
+    'capture.fpsOption': '{fps} fps',
+    'capture.png': 'Imagen PNG',
+    'capture.webm': 'Vídeo WebM',
+    'capture.frames': 'Fotogramas PNG',
+    'capture.cancel': 'Cancelar',
+    'capture.progress': 'Progreso de la exportación',
+    'capture.saved': 'Guardado {file}',
+    'capture.failed': 'No se pudo capturar: {error}',
+    'capture.cancelled': 'Captura cancelada',
+
+    // ── Atom info + keyboard selection ──
+    'info.close': 'Cerrar el panel de información',
+    'info.element': 'Elemento',
+    'info.role': 'Función',
+    'info.charge': 'Carga',
+    'info.cleared': 'Selección borrada',
+    'info.atomCharge': 'carga {charge}',
+    'info.atomPosition': '{atom}. Átomo {index} de {count}.',
+    'info.bondType': 'Tipo',
+    'info.bondLength': 'Longitud',
+
+    // ── Bonds (userData.bond.kind, see bonds.js) ──
+    'bond.coordinate': 'Enlace de coordinación (dativo)',
+    'bond.covalent': 'Enlace covalente',
+    'bond.ionic': 'Contacto iónico',
+    'bond.coordinate.explain': 'Los dos electrones compartidos proceden de un par libre de {donor}, cedido a un orbital vacío de {metal}: una base de Lewis unida a un ácido de Lewis.',
+    'bond.covalent.explain': '{a} y {b} comparten un par de electrones, uno de cada átomo.',
+    'bond.covalent.OH': 'El metal atrae densidad electrónica de este enlace O–H, que se debilita y puede romperse liberando H⁺.',
+    'bond.ionic.explain': '{a} y {b} se mantienen unidos como cargas opuestas en el cristal de {salt}; no comparten electrones, por eso el agua puede separar los iones.',
+    'bond.length': '{length} Å',
+    'bond.stretched': '{length} Å ({percent} % más largo que en reposo)',
+    'bond.broken': '{length} Å (roto)',
+
+    // ── Atom roles ──
+    'role.metal': 'Centro metálico (ácido de Lewis)',
+    'role.donor': 'Donador de un par de electrones (base de Lewis)',
+    'role.proton': 'Protón (puede disociarse en la hidrólisis)',
+    'role.imported': 'Átomo importado',
+    'role.latticeCation': 'Catión de la red (cristal de {salt})',
+    'role.chloride': 'Contraión cloruro (cristal de {salt})',
+    'role.freeWater': 'Molécula de agua libre',
+    'role.freeHydrogen': 'Hidrógeno del agua libre',
+
+    // ── Atom labels (element symbol + partial charge) ──
+    'label.O': 'O  δ−',
+    'label.H': 'H  δ+',
+
+    // ── Toggles ──
+    'toggle.on': 'Sí',
+    'toggle.off': 'No',
+
+    // ── Measurements ──
+    'measure.title': 'Medir',
+    'measure.kind': 'Tipo de medida',
+    'measure.distance': 'Distancia (2 átomos)',
+    'measure.angle': 'Ángulo (3 átomos)',
+    'measure.dihedral': 'Diedro (4 átomos)',
+    'measure.clear': 'Borrar todo',
+    'measure.hint.off': 'Actívalo para medir entre átomos',
+    'measure.hint.pick': 'Elige {count} átomos',
+    'measure.hint.picked': 'Elige {count} átomos · {picked} elegidos: {atoms}',
+    'measure.remove': 'Quitar {kind} {atoms}',
+    'measure.added': '{kind} {atoms}: {value}',
+    'measure.kind.distance': 'distancia',
+    'measure.kind.angle': 'ángulo',
+    'measure.kind.dihedral': 'diedro',
+
+    // ── Molecular surface ──
+    'surface.title': 'Superficie',
+    'surface.colouring': 'Color de la superficie',
+    'surface.esp': 'Potencial electrostático',
+    'surface.density': 'Solo densidad electrónica',
+    'surface.iso': 'Isovalor',
+    'surface.opacity': 'Opacidad',
+    'surface.rich': 'rica en electrones',
+    'surface.poor': 'pobre en electrones',
+
+    // ── Field, dipoles and partial charges ──
+    'field.title': 'Campo y cargas',
+    'field.mode': 'Campo eléctrico',
+    'field.off': 'Sin campo',
+    'field.lines': 'Líneas de campo',
+    'field.plane': 'Plano de intensidad del campo',
+    'field.dipoles': 'Dipolos',
+    'field.charges': 'Cargas parciales',
+    'field.unit': '{value} V/Å',
+    'field.dipoleNote': 'Las flechas apuntan al extremo negativo: naranja para cada molécula, ámbar para cada enlace O–H.',
+
+    // ── Energy profile ──
+    'energy.title': 'Perfil de energía',
+    'energy.slider': 'Avance de la reacción (las flechas recorren la animación)',
+    'energy.hint': 'Arrastra el marcador para recorrer la animación',
+    'energy.axis': 'G (kJ mol⁻¹)',
+    'energy.coordinate': 'Coordenada de reacción',
+    'energy.dG': 'ΔG° = {value} kJ mol⁻¹',
+    'energy.Ea': 'Eₐ = {value} kJ mol⁻¹',
+    'energy.reactants': 'Reactivos',
+    'energy.transition': 'Estado de transición',
+    'energy.products': 'Productos',
+    'energy.progress': '{percent} % del camino hacia los productos',
+
+    // ── Thermal motion (molecular dynamics) ──
+    'sim.toggle': 'Movimiento térmico',
+    'sim.temperature': 'Temperatura',
+    'sim.kelvin': '{value} K',
+    'sim.pause': 'Pausa',
+    'sim.resume': 'Reanudar',
+    'sim.step': 'Paso',
+    'sim.status': 't = {time} ps · T = {temperature} K',
+    'sim.started': 'Movimiento térmico activado a {temperature} K: la etapa se detiene y los átomos se mueven según un campo de fuerzas sencillo',
+    'sim.stopped': 'Movimiento térmico desactivado: los átomos vuelven a donde los dejó la etapa',
+
+    // ── Prediction quiz ──
+    'quiz.title': 'Cuestionario',
+    'quiz.score': 'Puntuación',
+    'quiz.hint': 'Elige una etapa: predecirás lo que ocurre antes de verla.',
+    'quiz.continue': 'Continuar',
+    'quiz.student': 'Nombre',
+    'quiz.format': 'Formato de resultados',
+    'quiz.export': 'Exportar resultados',
+    'quiz.reset': 'Reiniciar',
+    'quiz.restarted': 'Cuestionario reiniciado',
+    'quiz.atomNote': 'Haz clic en el átomo de la escena, o selecciónalo con las flechas y pulsa Intro.',
+    'quiz.question': 'Pregunta: {prompt}',
+    'quiz.correct': '¡Correcto!',
+    'quiz.wrong': 'No exactamente: la respuesta es {answer}.',
+
+    'quiz.coordination-number.prompt': '¿Cuántas moléculas de agua se unirán directamente al {ion}?',
+    'quiz.coordination-number.four': 'Cuatro',
+    'quiz.coordination-number.six': 'Seis',
+    'quiz.coordination-number.eight': 'Ocho',
+    'quiz.coordination-number.explain': 'Seis aguas ocupan los vértices de un octaedro alrededor del {ion}, una sobre cada eje ±x, ±y, ±z.',
+
+    'quiz.chloride-fate.prompt': 'Cuando el cristal de {salt} entra en contacto con el agua, ¿qué les pasa a sus iones Cl⁻?',
+    'quiz.chloride-fate.stay': 'Siguen unidos al {ion}',
+    'quiz.chloride-fate.separate': 'Se separan y pasan a la disolución',
+    'quiz.chloride-fate.oxidise': 'Pierden su carga y forman Cl₂',
+    'quiz.chloride-fate.explain': 'El agua desarma la red: el {ion} y el Cl⁻ se separan y cada uno queda rodeado de agua. Ningún electrón cambia de dueño.',
+
+    'quiz.electron-pair-donor.prompt': 'Haz clic en el átomo que cederá un par de electrones al {ion}.',
+    'quiz.electron-pair-donor.answer': 'un oxígeno de agua',
+    'quiz.electron-pair-donor.explain': 'Un par solitario del oxígeno de cada agua (δ−) forma el enlace de coordinación: el oxígeno es la base de Lewis y el {ion}, el ácido de Lewis.',
+
+    'quiz.leaving-atom.prompt': '¿Qué átomo saldrá del complejo? Haz clic en él.',
+    'quiz.leaving-atom.answer': 'un hidrógeno de un agua coordinada',
+    'quiz.leaving-atom.explain': 'El {ion} atrae densidad electrónica de los enlaces O–H de sus aguas, así que uno de sus protones (H⁺) sale y un agua libre lo capta como H₃O⁺.',
+
+    'quiz.ph-direction.prompt': 'Un segundo protón está a punto de salir. ¿El pH de la disolución subirá o bajará?',
+    'quiz.ph-direction.up': 'Subirá',
+    'quiz.ph-direction.down': 'Bajará',
+    'quiz.ph-direction.same': 'Se mantendrá igual',
+    'quiz.ph-direction.explain': 'Cada protón que sale forma otro H₃O⁺, y más H₃O⁺ significa un pH más bajo: la disolución se vuelve más ácida.',
+
+    'quiz.third-species.prompt': '¿Qué especie se forma cuando ha salido un tercer protón?',
+    'quiz.third-species.explain': 'Tres aguas se han convertido cada una en OH⁻, lo que da {species}.',
+
+    'quiz.final-shape.prompt': 'En base fuerte sale un cuarto protón y se van dos aguas. ¿Qué forma queda alrededor del metal?',
+    'quiz.final-shape.octahedral': 'Octaédrica',
+    'quiz.final-shape.squarePlanar': 'Plana cuadrada',
+    'quiz.final-shape.tetrahedral': 'Tetraédrica',
+    'quiz.final-shape.explain': 'Con cuatro OH⁻ y sin aguas, los ligandos se reparten en un tetraedro: {species}.',
+
+    // ── pH + speciation ──
+    'ph.title': 'pH y especiación',
+    'ph.concentration': 'Metal total (mol L⁻¹)',
+    'ph.chart': 'Fracción de cada especie frente al pH',
+    'ph.none': 'pH = —',
+    'ph.readout': 'pH = {pH}  ·  sobre todo {species}',
+
+    // ── Timeline transport ──
+    'transport.group': 'Reproducción de la animación',
+    'transport.prev': 'Evento anterior',
+    'transport.next': 'Evento siguiente',
+    'transport.play': 'Reproducir',
+    'transport.pause': 'Pausa',
+    'transport.position': 'Posición en la línea de tiempo',
+    'transport.speed': 'Velocidad de reproducción',
+    'transport.time': '{time} / {duration} s',
+    'transport.jump': 'Ir a: {event}',
+
+    // ── Side-by-side comparison ──
+    'compare.title': 'Comparar la hidrólisis',
+    'compare.canvas': 'Dos escenas moleculares 3D lado a lado',
+    'compare.linkCameras': 'Vincular cámaras',
+    'compare.replay': 'Repetir etapa',
+    'compare.documentTitle': 'Hidrólisis de {left} frente a {right} — comparación 3D',
+
+    // ── Stage text ──
+    'stage.protonRelays': 'relevo del protón',
+
+    'count.0': 'ninguna',
+    'count.1': 'una',
+    'count.2': 'dos',
+    'count.3': 'tres',
+    'count.4': 'cuatro',
+    'count.5': 'cinco',
+    'count.6': 'seis',
+    'count.7': 'siete',
+    'count.8': 'ocho',
+};
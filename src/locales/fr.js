@@ -0,0 +1,269 @@
+/* =========================================================
+ *  locales/fr.js
+ *  French messages (keys as in en.js).
+ * ========================================================= */
+
+export default {
+    // ── Title bar ──
+    'app.title': 'Hydrolyse de {complex}',
+    'app.subtitle': 'Visualisation 3D interactive',
+    'app.documentTitle': 'Hydrolyse de {ion} — Visualisation 3D',
+    'app.language': 'Langue',
+    'cation.label': 'Cation',
+    'cation.select': 'Cation métallique',
+    'cation.option': '{ion} — {name} (pKa₁ {pKa})',
+    'cation.Na': 'Sodium',
+    'cation.Mg': 'Magnésium',
+    'cation.Zn': 'Zinc',
+    'cation.Cu': 'Cuivre(II)',
+    'cation.Fe': 'Fer(III)',
+    'cation.Cr': 'Chrome(III)',
+    'cation.Al': 'Aluminium',
+
+    // ── Scene + stage nav ──
+    'scene.canvas': 'Scène moléculaire 3D. Les flèches parcourent les atomes, Échap efface la sélection.',
+    'nav.stages': 'Étapes',
+    'nav.noData': 'Pas de pKa connu pour {ion} à cette étape',
+
+    // ── View options ──
+    'view.style': 'Style',
+    'view.labels': 'Étiquettes',
+    'view.rotate': 'Rotation auto',
+    'view.solvent': 'Eau environnante',
+    'view.orbitals': 'Orbitales',
+    'view.relay': 'Relais H⁺',
+    'view.relayHops': 'Sauts de proton de Grotthuss après la formation de H₃O⁺',
+    'view.hopsOff': 'Non',
+    'view.hops.one': '{count} saut',
+    'view.hops.other': '{count} sauts',
+    'view.copyLink': 'Copier le lien',
+    'view.linkCopied': 'Lien copié',
+    'view.linkManual': 'Copiez le lien depuis la barre d\'adresse',
+    'view.representation': 'Représentation {name}',
+    'view.solventHidden': 'Eau environnante masquée',
+    'view.solventShown': 'Eau environnante : {molecules} molécules, {bonds} liaisons hydrogène avec le complexe',
+    'view.orbitalsHidden': 'Orbitales masquées',
+    'view.orbitalsShown': 'Orbitales affichées : deux doublets non liants sur chaque oxygène de l\'eau, face aux orbitales vides accepteuses du métal',
+    'representation.ball-and-stick': 'Boules et bâtonnets',
+    'representation.space-filling': 'Compacte',
+    'representation.licorice': 'Bâtonnets',
+    'representation.wireframe': 'Fil de fer',
+
+    // ── Structure import / export ──
+    'file.open': 'Ouvrir une structure…',
+    'file.format': 'Format d\'export',
+    'file.export': 'Exporter',
+    'file.hint': 'Déposez un fichier XYZ, PDB, MOL ou MOL2, ou un script de leçon, sur la scène',
+    'file.loaded': '{file} chargé ({atoms} atomes, {bonds} liaisons)',
+    'file.lessonLoaded': 'Leçon {title} chargée ({steps} étapes)',
+    'file.exported': '{atoms} atomes exportés en {format}',
+    'file.unsupported': 'Type de fichier non pris en charge : {file}',
+    'file.failed': 'Impossible de charger {file} : {error}',
+
+    // ── Image + video capture ──
+    'capture.title': 'Capture',
+    'capture.width': 'Largeur',
+    'capture.height': 'Hauteur',
+    'capture.size': 'Taille de l\'image en pixels',
+    'capture.transparent': 'Fond transparent',
+    'capture.fps': 'Images par seconde',
+    'capture.fpsOption': '{fps} i/s',
+    'capture.png': 'Image PNG',
+    'capture.webm': 'Vidéo WebM',
+    'capture.frames': 'Images PNG',
+    'capture.cancel': 'Annuler',
+    'capture.progress': 'Progression de l\'export',
+    'capture.saved': '{file} enregistré',
+    'capture.failed': 'Échec de la capture : {error}',
+    'capture.cancelled': 'Capture annulée',
+
+    // ── Atom info + keyboard selection ──
+    'info.close': 'Fermer le panneau d\'information',
+    'info.element': 'Élément',
+    'info.role': 'Rôle',
+    'info.charge': 'Charge',
+    'info.cleared': 'Sélection effacée',
+    'info.atomCharge': 'charge {charge}',
+    'info.atomPosition': '{atom}. Atome {index} sur {count}.',
+    'info.bondType': 'Type',
+    'info.bondLength': 'Longueur',
+
+    // ── Bonds (userData.bond.kind, see bonds.js) ──
+    'bond.coordinate': 'Liaison de coordination (dative)',
+    'bond.covalent': 'Liaison covalente',
+    'bond.ionic': 'Contact ionique',
+    'bond.coordinate.explain': 'Les deux électrons partagés viennent d’un doublet non liant de {donor}, cédé à une orbitale vide de {metal} : une base de Lewis liée à un acide de Lewis.',
+    'bond.covalent.explain': '{a} et {b} partagent une paire d’électrons, un de chaque atome.',
+    'bond.covalent.OH': 'Le métal attire la densité électronique de cette liaison O–H, qui s’affaiblit et peut se rompre en libérant H⁺.',
+    'bond.ionic.explain': '{a} et {b} restent liés comme charges opposées dans le cristal de {salt} ; aucun électron n’est partagé, l’eau peut donc séparer les ions.',
+    'bond.length': '{length} Å',
+    'bond.stretched': '{length} Å ({percent} % plus longue qu’au repos)',
+    'bond.broken': '{length} Å (rompue)',
+
+    // ── Atom roles ──
+    'role.metal': 'Centre métallique (acide de Lewis)',
+    'role.donor': 'Donneur de doublet d\'électrons (base de Lewis)',
+    'role.proton': 'Proton (peut se dissocier lors de l\'hydrolyse)',
+    'role.imported': 'Atome importé',
+    'role.latticeCation': 'Cation du réseau (cristal de {salt})',
+    'role.chloride': 'Contre-ion chlorure (cristal de {salt})',
+    'role.freeWater': 'Molécule d\'eau libre',
+    'role.freeHydrogen': 'Hydrogène de l\'eau libre',
+
+    // ── Atom labels (element symbol + partial charge) ──
+    'label.O': 'O  δ−',
+    'label.H': 'H  δ+',
+
+    // ── Toggles ──
+    'toggle.on': 'Oui',
+    'toggle.off': 'Non',
+
+    // ── Measurements ──
+    'measure.title': 'Mesurer',
+    'measure.kind': 'Type de mesure',
+    'measure.distance': 'Distance (2 atomes)',
+    'measure.angle': 'Angle (3 atomes)',
+    'measure.dihedral': 'Dièdre (4 atomes)',
+    'measure.clear': 'Tout effacer',
+    'measure.hint.off': 'Activez pour mesurer entre des atomes',
+    'measure.hint.pick': 'Choisissez {count} atomes',
+    'measure.hint.picked': 'Choisissez {count} atomes · {picked} choisis : {atoms}',
+    'measure.remove': 'Supprimer {kind} {atoms}',
+    'measure.added': '{kind} {atoms} : {value}',
+    'measure.kind.distance': 'distance',
+    'measure.kind.angle': 'angle',
+    'measure.kind.dihedral': 'dièdre',
+
+    // ── Molecular surface ──
+    'surface.title': 'Surface',
+    'surface.colouring': 'Coloration de la surface',
+    'surface.esp': 'Potentiel électrostatique',
+    'surface.density': 'Densité électronique seule',
+    'surface.iso': 'Isovaleur',
+    'surface.opacity': 'Opacité',
+    'surface.rich': 'riche en électrons',
+    'surface.poor': 'pauvre en électrons',
+
+    // ── Field, dipoles and partial charges ──
+    'field.title': 'Champ et charges',
+    'field.mode': 'Champ électrique',
+    'field.off': 'Pas de champ',
+    'field.lines': 'Lignes de champ',
+    'field.plane': 'Plan d’intensité du champ',
+    'field.dipoles': 'Dipôles',
+    'field.charges': 'Charges partielles',
+    'field.unit': '{value} V/Å',
+    'field.dipoleNote': 'Les flèches pointent vers l’extrémité négative : orange pour chaque molécule, ambre pour chaque liaison O–H.',
+
+    // ── Energy profile ──
+    'energy.title': 'Profil énergétique',
+    'energy.slider': 'Avancement de la réaction (les flèches parcourent l’animation)',
+    'energy.hint': 'Faites glisser le repère pour parcourir l’animation',
+    'energy.axis': 'G (kJ mol⁻¹)',
+    'energy.coordinate': 'Coordonnée de réaction',
+    'energy.dG': 'ΔG° = {value} kJ mol⁻¹',
+    'energy.Ea': 'Eₐ = {value} kJ mol⁻¹',
+    'energy.reactants': 'Réactifs',
+    'energy.transition': 'État de transition',
+    'energy.products': 'Produits',
+    'energy.progress': '{percent} % du chemin vers les produits',
+
+    // ── Thermal motion (molecular dynamics) ──
+    'sim.toggle': 'Agitation thermique',
+    'sim.temperature': 'Température',
+    'sim.kelvin': '{value} K',
+    'sim.pause': 'Pause',
+    'sim.resume': 'Reprendre',
+    'sim.step': 'Pas',
+    'sim.status': 't = {time} ps · T = {temperature} K',
+    'sim.started': 'Agitation thermique activée à {temperature} K : l’étape est en pause et les atomes bougent sous un champ de force simple',
+    'sim.stopped': 'Agitation thermique désactivée : les atomes reviennent là où l’étape les avait laissés',
+
+    // ── Prediction quiz ──
+    'quiz.title': 'Quiz',
+    'quiz.score': 'Score',
+    'quiz.hint': 'Choisissez une étape : vous prédirez ce qui se passe avant de la voir.',
+    'quiz.continue': 'Continuer',
+    'quiz.student': 'Nom',
+    'quiz.format': 'Format des résultats',
+    'quiz.export': 'Exporter les résultats',
+    'quiz.reset': 'Recommencer',
+    'quiz.restarted': 'Quiz recommencé',
+    'quiz.atomNote': 'Cliquez sur l\'atome dans la scène, ou sélectionnez-le avec les flèches et appuyez sur Entrée.',
+    'quiz.question': 'Question : {prompt}',
+    'quiz.correct': 'Correct !',
+    'quiz.wrong': 'Pas tout à fait : la réponse est {answer}.',
+
+    'quiz.coordination-number.prompt': 'Combien de molécules d\'eau vont se lier directement à {ion} ?',
+    'quiz.coordination-number.four': 'Quatre',
+    'quiz.coordination-number.six': 'Six',
+    'quiz.coordination-number.eight': 'Huit',
+    'quiz.coordination-number.explain': 'Six molécules d\'eau occupent les sommets d\'un octaèdre autour de {ion}, une sur chaque axe ±x, ±y, ±z.',
+
+    'quiz.chloride-fate.prompt': 'Quand le cristal de {salt} rencontre l\'eau, que deviennent ses ions Cl⁻ ?',
+    'quiz.chloride-fate.stay': 'Ils restent liés à {ion}',
+    'quiz.chloride-fate.separate': 'Ils se séparent et passent en solution',
+    'quiz.chloride-fate.oxidise': 'Ils perdent leur charge et forment Cl₂',
+    'quiz.chloride-fate.explain': 'L\'eau disloque le réseau : {ion} et Cl⁻ se séparent et chacun s\'entoure d\'eau. Aucun électron n\'est échangé.',
+
+    'quiz.electron-pair-donor.prompt': 'Cliquez sur l\'atome qui cédera un doublet d\'électrons à {ion}.',
+    'quiz.electron-pair-donor.answer': 'un oxygène d\'une molécule d\'eau',
+    'quiz.electron-pair-donor.explain': 'Un doublet non liant de l\'oxygène (δ−) de chaque eau forme la liaison de coordination : l\'oxygène est la base de Lewis et {ion} l\'acide de Lewis.',
+
+    'quiz.leaving-atom.prompt': 'Quel atome va quitter le complexe ? Cliquez dessus.',
+    'quiz.leaving-atom.answer': 'un hydrogène d\'une eau coordinée',
+    'quiz.leaving-atom.explain': '{ion} attire la densité électronique des liaisons O–H de ses molécules d\'eau : l\'un de leurs protons (H⁺) part et une eau libre le capte sous forme de H₃O⁺.',
+
+    'quiz.ph-direction.prompt': 'Un deuxième proton va partir. Le pH de la solution va-t-il monter ou baisser ?',
+    'quiz.ph-direction.up': 'Monter',
+    'quiz.ph-direction.down': 'Baisser',
+    'quiz.ph-direction.same': 'Il ne change pas',
+    'quiz.ph-direction.explain': 'Chaque proton qui part forme un H₃O⁺ de plus, et plus de H₃O⁺ signifie un pH plus bas : la solution devient plus acide.',
+
+    'quiz.third-species.prompt': 'Quelle espèce se forme une fois le troisième proton parti ?',
+    'quiz.third-species.explain': 'Trois molécules d\'eau sont chacune devenues OH⁻, ce qui donne {species}.',
+
+    'quiz.final-shape.prompt': 'En base forte, un quatrième proton part et deux molécules d\'eau s\'en vont. Quelle forme reste autour du métal ?',
+    'quiz.final-shape.octahedral': 'Octaédrique',
+    'quiz.final-shape.squarePlanar': 'Plan carré',
+    'quiz.final-shape.tetrahedral': 'Tétraédrique',
+    'quiz.final-shape.explain': 'Avec quatre OH⁻ et plus aucune eau, les ligands s\'écartent en tétraèdre : {species}.',
+
+    // ── pH + speciation ──
+    'ph.title': 'pH et spéciation',
+    'ph.concentration': 'Métal total (mol L⁻¹)',
+    'ph.chart': 'Fraction de chaque espèce en fonction du pH',
+    'ph.none': 'pH = —',
+    'ph.readout': 'pH = {pH}  ·  surtout {species}',
+
+    // ── Timeline transport ──
+    'transport.group': 'Lecture de l\'animation',
+    'transport.prev': 'Événement précédent',
+    'transport.next': 'Événement suivant',
+    'transport.play': 'Lire',
+    'transport.pause': 'Pause',
+    'transport.position': 'Position dans la chronologie',
+    'transport.speed': 'Vitesse de lecture',
+    'transport.time': '{time} / {duration} s',
+    'transport.jump': 'Aller à : {event}',
+
+    // ── Side-by-side comparison ──
+    'compare.title': 'Comparer l’hydrolyse',
+    'compare.canvas': 'Deux scènes moléculaires 3D côte à côte',
+    'compare.linkCameras': 'Lier les caméras',
+    'compare.replay': 'Rejouer l’étape',
+    'compare.documentTitle': 'Hydrolyse de {left} et de {right} — comparaison 3D',
+
+    // ── Stage text ──
+    'stage.protonRelays': 'relais du proton',
+
+    'count.0': 'aucune',
+    'count.1': 'une',
+    'count.2': 'deux',
+    'count.3': 'trois',
+    'count.4': 'quatre',
+    'count.5': 'cinq',
+    'count.6': 'six',
+    'count.7': 'sept',
+    'count.8': 'huit',
+};
@@ -1,162 +1,22 @@
 /* =========================================================
  *  main.js
- *  Entry point — Three.js scene, camera, lights, controls,
- *  and render loop for the [Al(H₂O)₆]³⁺ hydrolysis viz.
+ *  Entry point for the full-page app — one viewer filling
+ *  the window, with URL-hash deep links and window-wide
+ *  stage shortcuts. The viewer itself lives in viewer.js.
+ *
+ *  ?compare=Na,Al opens the side-by-side comparison of two
+ *  complexes instead (compare.js).
  * ========================================================= */
 
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { buildComplex } from './atoms.js';
-import { buildBonds } from './bonds.js';
-import { initInteraction } from './interaction.js';
-import { PALETTE } from './materials.js';
-import { initLabels, attachLabels, getLabelRenderer } from './labels.js';
-import { initStages, goToStage } from './stages.js';
+import { createViewer } from './viewer.js';
+import { createComparison } from './compare.js';
 
-// ═══════════════════════════════════════════════════════════
-//  1.  RENDERER
-// ═══════════════════════════════════════════════════════════
-const canvas = document.getElementById('webgl-canvas');
-const renderer = new THREE.WebGLRenderer({
-    canvas,
-    antialias: true,
-    alpha: false,
-});
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.2;
+const app = document.getElementById('app');
+const compare = new URLSearchParams(location.search).get('compare');
 
-// ═══════════════════════════════════════════════════════════
-//  2.  SCENE
-// ═══════════════════════════════════════════════════════════
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(PALETTE.background);
-
-// Subtle fog for depth cue
-scene.fog = new THREE.FogExp2(PALETTE.background, 0.06);
-
-// ═══════════════════════════════════════════════════════════
-//  3.  CAMERA
-// ═══════════════════════════════════════════════════════════
-const camera = new THREE.PerspectiveCamera(
-    50,                                       // fov
-    window.innerWidth / window.innerHeight,   // aspect
-    0.1,                                      // near
-    100,                                      // far
-);
-camera.position.set(4, 3, 5);
-camera.lookAt(0, 0, 0);
-
-// ═══════════════════════════════════════════════════════════
-//  4.  ORBIT CONTROLS  (360° rotation + zoom)
-// ═══════════════════════════════════════════════════════════
-const controls = new OrbitControls(camera, canvas);
-controls.enableDamping = true;
-controls.dampingFactor = 0.08;
-controls.minDistance = 2;
-controls.maxDistance = 15;
-controls.autoRotate = true;        // gentle idle rotation
-controls.autoRotateSpeed = 0.8;
-controls.target.set(0, 0, 0);
-controls.update();
-
-// ═══════════════════════════════════════════════════════════
-//  5.  LIGHTING
-// ═══════════════════════════════════════════════════════════
-
-// Soft ambient fill
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
-scene.add(ambientLight);
-
-// Key light — slightly warm
-const keyLight = new THREE.DirectionalLight(0xfff4e6, 1.0);
-keyLight.position.set(5, 8, 4);
-scene.add(keyLight);
-
-// Fill light — cool blue, opposite side
-const fillLight = new THREE.DirectionalLight(0xc4d9f5, 0.5);
-fillLight.position.set(-4, 2, -3);
-scene.add(fillLight);
-
-// Rim / back light
-const rimLight = new THREE.PointLight(0xffffff, 0.6, 20);
-rimLight.position.set(0, -4, -5);
-scene.add(rimLight);
-
-// ═══════════════════════════════════════════════════════════
-//  6.  BUILD THE MOLECULAR COMPLEX
-// ═══════════════════════════════════════════════════════════
-const { complex, al, waters } = buildComplex();
-scene.add(complex);
-
-// Build visual bonds and add to scene
-const bondsGroup = buildBonds(al, waters);
-scene.add(bondsGroup);
-
-// ═══════════════════════════════════════════════════════════
-//  7.  LABELS (CSS2DRenderer)
-// ═══════════════════════════════════════════════════════════
-const labelRenderer = initLabels();
-attachLabels(complex);
-
-// ═══════════════════════════════════════════════════════════
-//  8.  STAGE ANIMATION SYSTEM (GSAP)
-// ═══════════════════════════════════════════════════════════
-initStages(scene, camera, controls, complex, al, waters, bondsGroup);
-
-// ═══════════════════════════════════════════════════════════
-//  9.  RAYCASTER INTERACTION
-// ═══════════════════════════════════════════════════════════
-initInteraction(camera, scene, canvas);
-
-// ═══════════════════════════════════════════════════════════
-//  10. STAGE BUTTONS
-// ═══════════════════════════════════════════════════════════
-let currentStage = 0;
-
-document.querySelectorAll('.stage-btn').forEach((btn) => {
-    btn.addEventListener('click', () => {
-        const stage = parseInt(btn.dataset.stage, 10);
-        if (stage === currentStage) return;
-
-        currentStage = stage;
-
-        // Update active class
-        document.querySelectorAll('.stage-btn').forEach((b) => b.classList.remove('active'));
-        btn.classList.add('active');
-
-        // Trigger GSAP stage animation
-        goToStage(stage);
-    });
-});
-
-// ═══════════════════════════════════════════════════════════
-//  11. HELPERS (optional visual aids)
-// ═══════════════════════════════════════════════════════════
-
-// Axes helper — useful during development, disable for production
-// const axes = new THREE.AxesHelper(3);
-// scene.add(axes);
-
-// ═══════════════════════════════════════════════════════════
-//  12. RENDER LOOP
-// ═══════════════════════════════════════════════════════════
-function animate() {
-    controls.update();             // required when damping is enabled
-    renderer.render(scene, camera);
-    labelRenderer.render(scene, camera);  // CSS2D labels
-    requestAnimationFrame(animate);
+if (compare !== null) {
+    const [left, right] = compare.split(',');
+    createComparison(app, { left, right, page: true });
+} else {
+    createViewer(app, { page: true });
 }
-
-animate();
-
-// ═══════════════════════════════════════════════════════════
-//  13. RESIZE HANDLER
-// ═══════════════════════════════════════════════════════════
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    labelRenderer.setSize(window.innerWidth, window.innerHeight);
-});
@@ -18,18 +18,54 @@ export const PALETTE = {
     highlight: 0xffcc00,   // Gold   – Raycaster selection
     background: 0x0a0e17,   // Deep navy – scene background
     glow: 0xff6633,   // Orange-red – electron density
+    measure: 0x66ddff,   // Cyan   – measurement annotations
+    hbond: 0x7be0a8,   // Mint   – dashed hydrogen bonds
+    surface: 0x7fb2f0,   // Light blue – plain density surface
+    esp_negative: 0xe8413c,   // Red    – electron-rich (φ < 0)
+    esp_neutral: 0xf2f2f2,   // White  – φ ≈ 0
+    esp_positive: 0x3763e6,   // Blue   – electron-poor (φ > 0)
+    lone_pair: 0xb45cff,   // Violet – filled lone-pair lobes
+    orbital_empty: 0x9aa6bd,   // Slate  – empty acceptor orbitals
+    field_weak: 0x2a3f8f,   // Indigo – weak electric field
+    field_mid: 0x2fb8a6,   // Teal   – moderate field
+    field_strong: 0xffe14d,   // Yellow – strong field near ions
+    dipole: 0xff9f40,   // Orange – molecular dipole arrows
+    bond_dipole: 0xffd27f,   // Amber  – O–H bond dipole arrows
 };
 
+// CPK colours for elements that only appear in imported files
+export const ELEMENT_COLORS = {
+    C: 0x909090,
+    N: 0x3050f8,
+    F: 0x90e050,
+    S: 0xffff30,
+    P: 0xff8000,
+    Cl: 0x1ff01f,
+    Br: 0xa62929,
+    K: 0x8f40d4,
+    Ca: 0x3dff00,
+    Mn: 0x9c7ac7,
+    Co: 0xf090a0,
+    Ni: 0x50d050,
+};
+const FALLBACK_ELEMENT_COLOR = 0xff1493;   // CPK "unknown" pink
+
 // ── Atom Materials ──────────────────────────────────────────
 
-/** Al³⁺ centre – shiny metallic sphere */
-export const aluminumMaterial = new THREE.MeshStandardMaterial({
-    color: PALETTE.aluminum,
-    metalness: 0.7,
-    roughness: 0.25,
-    emissive: PALETTE.aluminum,
-    emissiveIntensity: 0.05,
-});
+/**
+ * Metal centre – shiny metallic sphere tinted per cation.
+ * A fresh material per build so Stage 3 can tween its emissive.
+ * @param {number} color  hex colour from the cation table
+ */
+export function createMetalMaterial(color = PALETTE.aluminum) {
+    return new THREE.MeshStandardMaterial({
+        color,
+        metalness: 0.7,
+        roughness: 0.25,
+        emissive: color,
+        emissiveIntensity: 0.05,
+    });
+}
 
 /** Oxygen atoms – slightly glossy red */
 export const oxygenMaterial = new THREE.MeshStandardMaterial({
@@ -45,6 +81,15 @@ export const hydrogenMaterial = new THREE.MeshStandardMaterial({
     roughness: 0.6,
 });
 
+/** Any other element – plain CPK-coloured sphere */
+export function createElementMaterial(element) {
+    return new THREE.MeshStandardMaterial({
+        color: ELEMENT_COLORS[element] ?? FALLBACK_ELEMENT_COLOR,
+        metalness: 0.1,
+        roughness: 0.5,
+    });
+}
+
 // ── Bond Materials ──────────────────────────────────────────
 
 /** Coordination bonds: Al ← O  (dashed) */
@@ -53,14 +98,101 @@ export const coordinationBondMaterial = new THREE.LineDashedMaterial({
     dashSize: 0.12,
     gapSize: 0.08,
     linewidth: 1,          // note: > 1 only works with WebGL2 + LineSegments2
+    transparent: true,     // fades as the bond stretches (bonds.js)
 });
 
 /** Covalent bonds: O–H  (solid) */
 export const covalentBondMaterial = new THREE.LineBasicMaterial({
     color: PALETTE.bond_covalent,
     linewidth: 1,
+    transparent: true,
 });
 
+// Two-texel alpha map: opaque / clear. Repeated along a bond
+// cylinder's length (bonds.js sets the repeat) it cuts the
+// coordination bonds into stripes, the solid-geometry
+// counterpart of the dashed lines above.
+const stripeAlphaMap = new THREE.DataTexture(
+    new Uint8Array([255, 255, 255, 255, 0, 0, 0, 255]), 1, 2,
+);
+stripeAlphaMap.wrapS = THREE.RepeatWrapping;
+stripeAlphaMap.wrapT = THREE.RepeatWrapping;
+stripeAlphaMap.needsUpdate = true;
+
+/** Coordination bond cylinders (ball-and-stick, licorice) – striped */
+export const coordinationCylinderMaterial = new THREE.MeshStandardMaterial({
+    color: PALETTE.bond_coord,
+    metalness: 0.1,
+    roughness: 0.5,
+    alphaMap: stripeAlphaMap,
+    alphaTest: 0.01,           // cuts the gaps; opacity still fades the rest
+    transparent: true,
+    side: THREE.DoubleSide,    // open-ended tube seen through the gaps
+});
+
+/** Covalent bond cylinders – solid */
+export const covalentCylinderMaterial = new THREE.MeshStandardMaterial({
+    color: PALETTE.bond_covalent,
+    metalness: 0.1,
+    roughness: 0.5,
+});
+
+/** Hydrogen bonds: O–H ··· O  (short dashes) */
+export const hydrogenBondMaterial = new THREE.LineDashedMaterial({
+    color: PALETTE.hbond,
+    dashSize: 0.06,
+    gapSize: 0.06,
+    transparent: true,
+    opacity: 0.9,
+});
+
+/** Measurement annotations – dashed, drawn over the atoms */
+export const measureLineMaterial = new THREE.LineDashedMaterial({
+    color: PALETTE.measure,
+    dashSize: 0.08,
+    gapSize: 0.06,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.9,
+});
+
+// ── Orbital Lobes ───────────────────────────────────────────
+
+/**
+ * Lone-pair / acceptor lobe from orbitals.js – translucent,
+ * one per lobe so each can fade and change colour.
+ * @param {number} color
+ * @param {number} opacity
+ */
+export function createOrbitalMaterial(color, opacity) {
+    return new THREE.MeshStandardMaterial({
+        color,
+        metalness: 0.0,
+        roughness: 0.6,
+        transparent: true,
+        opacity,
+        depthWrite: false,       // atoms stay visible through them
+    });
+}
+
+// ── Molecular Surface ───────────────────────────────────────
+
+/**
+ * Isosurface from surface.js – translucent, both faces lit.
+ * Colour per vertex (ESP) or flat PALETTE.surface.
+ */
+export function createSurfaceMaterial() {
+    return new THREE.MeshStandardMaterial({
+        color: PALETTE.surface,
+        metalness: 0.0,
+        roughness: 0.45,
+        transparent: true,
+        opacity: 0.6,
+        depthWrite: false,       // atoms stay visible inside
+        side: THREE.DoubleSide,
+    });
+}
+
 // ── Highlight (Raycaster selection) ─────────────────────────
 export const highlightMaterial = new THREE.MeshStandardMaterial({
     color: PALETTE.highlight,
@@ -70,7 +202,64 @@ export const highlightMaterial = new THREE.MeshStandardMaterial({
     emissiveIntensity: 0.35,
 });
 
+// Highlighted atom → the material it shows when deselected
+const restingMaterials = new WeakMap();
+
+/**
+ * Swap in the highlight, remembering the atom's own material.
+ * @param {THREE.Mesh} mesh
+ */
+export function highlightAtom(mesh) {
+    if (!restingMaterials.has(mesh)) restingMaterials.set(mesh, mesh.material);
+    mesh.material = highlightMaterial;
+}
+
+/**
+ * Put back whatever material the atom should show now —
+ * the last one setAtomMaterial() gave it, not necessarily
+ * the one it had when highlighted.
+ * @param {THREE.Mesh} mesh
+ */
+export function unhighlightAtom(mesh) {
+    if (!restingMaterials.has(mesh)) return;
+    mesh.material = restingMaterials.get(mesh);
+    restingMaterials.delete(mesh);
+}
+
+/**
+ * The atom's own material, looking past a highlight.
+ * @param {THREE.Mesh} mesh
+ */
+export function restingMaterial(mesh) {
+    return restingMaterials.get(mesh) ?? mesh.material;
+}
+
+/**
+ * Give an atom a new material (stage glow, tint, reset). A
+ * highlighted atom keeps the highlight and shows the new
+ * material once deselected.
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.Material} material
+ */
+export function setAtomMaterial(mesh, material) {
+    if (restingMaterials.has(mesh)) restingMaterials.set(mesh, material);
+    else mesh.material = material;
+}
+
 // ── Utility ─────────────────────────────────────────────────
+/**
+ * Faded copy of a material for the bulk solvent, so the
+ * complex stays the focus.
+ * @param {THREE.Material} baseMat
+ */
+export function createSolventVariant(baseMat, opacity = 0.35) {
+    const mat = baseMat.clone();
+    mat.transparent = true;
+    mat.opacity = opacity;
+    mat.depthWrite = false;
+    return mat;
+}
+
 /**
  * Clone a material and tint its emissive to simulate
  * electron-density "heat map" intensity.
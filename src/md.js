@@ -0,0 +1,336 @@
+/* =========================================================
+ *  md.js
+ *  A small molecular-dynamics engine: classical force field
+ *  + velocity-Verlet integrator with a Berendsen thermostat.
+ *
+ *  Pure — plain numbers and typed arrays, no three.js and no
+ *  DOM — so it runs (and can be tested) in Node as well as
+ *  behind the viewer's simulation mode (simulation.js).
+ *
+ *  Units
+ *  ─────
+ *  Å, fs, amu (g mol⁻¹), e, K; energies in kJ mol⁻¹.
+ *
+ *  Force field
+ *  ───────────
+ *      bonds     ½ k (r − r₀)²
+ *      angles    ½ k (θ − θ₀)²          (θ in radians)
+ *      Coulomb   COULOMB qᵢ qⱼ / r
+ *      LJ        4 ε [(σ/r)¹² − (σ/r)⁶]  (Lorentz–Berthelot
+ *                mixing: σ mean, ε geometric mean)
+ *
+ *  Non-bonded terms skip atoms joined by a bond or an angle
+ *  (1-2, 1-3) and are scaled by ONE_FOUR_SCALE three bonds
+ *  apart (1-4), as in common biomolecular force fields.
+ *
+ *  Topology
+ *  ────────
+ *  {
+ *    positions: [x0, y0, z0, x1, …]   (copied)
+ *    masses:    [m0, m1, …]
+ *    charges:   [q0, q1, …]            (default 0)
+ *    sigma:     [σ0, σ1, …]            (Å, default 0: no LJ)
+ *    epsilon:   [ε0, ε1, …]            (kJ mol⁻¹)
+ *    bonds:     [{ a, b, length, stiffness }]
+ *    angles:    [{ a, b, c, angle, stiffness }]   b the vertex
+ *  }
+ * ========================================================= */
+
+export const BOLTZMANN = 0.0083144626;     // kJ mol⁻¹ K⁻¹
+export const COULOMB = 1389.35458;         // kJ mol⁻¹ Å e⁻²
+
+const ACCELERATION = 1e-4;                 // (kJ mol⁻¹ Å⁻¹) / amu → Å fs⁻²
+const ONE_FOUR_SCALE = 0.5;
+const MIN_DISTANCE_SQ = 0.25;              // Å² — softens overlapping atoms
+const MIN_SINE = 1e-6;                     // keeps linear angles finite
+const MAX_RESCALE = 1.25;                  // per-step thermostat limit
+
+/* ---------------------------------------------------------
+ *  createMD(topology, options)
+ *
+ *  @param {object} topology — see above
+ *  @param {object}  [options]
+ *  @param {number}  [options.temperature=298] — K, thermostat
+ *         target and the starting Maxwell–Boltzmann velocities
+ *  @param {number}  [options.timestep=0.5]   — fs
+ *  @param {number}  [options.coupling=100]   — fs, thermostat
+ *         relaxation time (Infinity: constant energy)
+ *  @param {() => number} [options.random=Math.random] — for
+ *         reproducible starting velocities
+ *  @returns {{ positions, velocities, forces, step,
+ *              setTemperature, getTemperature, temperature,
+ *              kineticEnergy, potentialEnergy, getTime }}
+ * --------------------------------------------------------- */
+export function createMD(topology, {
+    temperature = 298,
+    timestep = 0.5,
+    coupling = 100,
+    random = Math.random,
+} = {}) {
+    const n = topology.masses.length;
+    if (topology.positions.length !== 3 * n) {
+        throw new Error('MD: positions must hold x, y, z for every mass');
+    }
+    if (n === 0) throw new Error('MD: needs at least one atom');
+
+    // ── State ──
+    const positions = Float64Array.from(topology.positions);
+    const velocities = new Float64Array(3 * n);
+    const forces = new Float64Array(3 * n);
+    const masses = Float64Array.from(topology.masses);
+    const charges = Float64Array.from(topology.charges ?? new Array(n).fill(0));
+    const sigma = Float64Array.from(topology.sigma ?? new Array(n).fill(0));
+    const epsilon = Float64Array.from(topology.epsilon ?? new Array(n).fill(0));
+    const bonds = (topology.bonds ?? []).map((b) => ({ ...b }));
+    const angles = (topology.angles ?? []).map((a) => ({ ...a }));
+    const pairs = nonBondedPairs(n, bonds, angles);
+
+    let target = Math.max(0, temperature);
+    let time = 0;
+    let potential = computeForces();
+
+    // Free motion less the centre of mass
+    const degrees = Math.max(1, 3 * n - 3);
+
+    seedVelocities();
+
+    /* -----------------------------------------------------
+     *  step(count)
+     *  `count` velocity-Verlet steps, each followed by the
+     *  thermostat.
+     * ----------------------------------------------------- */
+    function step(count = 1) {
+        const half = 0.5 * timestep * ACCELERATION;
+        for (let s = 0; s < count; s++) {
+            for (let i = 0; i < n; i++) {
+                const k = half / masses[i];
+                for (let d = 0; d < 3; d++) {
+                    velocities[3 * i + d] += k * forces[3 * i + d];
+                    positions[3 * i + d] += timestep * velocities[3 * i + d];
+                }
+            }
+            potential = computeForces();
+            for (let i = 0; i < n; i++) {
+                const k = half / masses[i];
+                for (let d = 0; d < 3; d++) velocities[3 * i + d] += k * forces[3 * i + d];
+            }
+            thermostat();
+            time += timestep;
+        }
+    }
+
+    // Berendsen: scale velocities towards the target
+    function thermostat() {
+        if (!Number.isFinite(coupling)) return;
+        const current = getInstantTemperature();
+        if (current === 0) return;
+        const scale = Math.sqrt(Math.max(0, 1 + (timestep / coupling) * (target / current - 1)));
+        const lambda = Math.min(MAX_RESCALE, scale);
+        for (let i = 0; i < 3 * n; i++) velocities[i] *= lambda;
+    }
+
+    /* -----------------------------------------------------
+     *  computeForces()
+     *  Fills `forces` and returns the potential energy.
+     * ----------------------------------------------------- */
+    function computeForces() {
+        forces.fill(0);
+        let energy = 0;
+
+        for (const { a, b, length, stiffness } of bonds) {
+            const dx = positions[3 * b] - positions[3 * a];
+            const dy = positions[3 * b + 1] - positions[3 * a + 1];
+            const dz = positions[3 * b + 2] - positions[3 * a + 2];
+            const r = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-9;
+            const stretch = r - length;
+            energy += 0.5 * stiffness * stretch * stretch;
+            const f = (-stiffness * stretch) / r;     // along a → b, on b
+            addForce(b, f * dx, f * dy, f * dz);
+            addForce(a, -f * dx, -f * dy, -f * dz);
+        }
+
+        for (const { a, b, c, angle, stiffness } of angles) {
+            const ux = positions[3 * a] - positions[3 * b];
+            const uy = positions[3 * a + 1] - positions[3 * b + 1];
+            const uz = positions[3 * a + 2] - positions[3 * b + 2];
+            const vx = positions[3 * c] - positions[3 * b];
+            const vy = positions[3 * c + 1] - positions[3 * b + 1];
+            const vz = positions[3 * c + 2] - positions[3 * b + 2];
+            const lu = Math.sqrt(ux * ux + uy * uy + uz * uz) || 1e-9;
+            const lv = Math.sqrt(vx * vx + vy * vy + vz * vz) || 1e-9;
+            const cos = Math.min(1, Math.max(-1, (ux * vx + uy * vy + uz * vz) / (lu * lv)));
+            const theta = Math.acos(cos);
+            const bend = theta - angle;
+            energy += 0.5 * stiffness * bend * bend;
+
+            // F = −dE/dθ · dθ/dx, with dθ = −d(cos θ) / sin θ
+            const k = (stiffness * bend) / Math.max(MIN_SINE, Math.sin(theta));
+            const fax = k * (vx / (lu * lv) - (cos * ux) / (lu * lu));
+            const fay = k * (vy / (lu * lv) - (cos * uy) / (lu * lu));
+            const faz = k * (vz / (lu * lv) - (cos * uz) / (lu * lu));
+            const fcx = k * (ux / (lu * lv) - (cos * vx) / (lv * lv));
+            const fcy = k * (uy / (lu * lv) - (cos * vy) / (lv * lv));
+            const fcz = k * (uz / (lu * lv) - (cos * vz) / (lv * lv));
+            addForce(a, fax, fay, faz);
+            addForce(c, fcx, fcy, fcz);
+            addForce(b, -fax - fcx, -fay - fcy, -faz - fcz);
+        }
+
+        for (const { i, j, scale } of pairs) {
+            const dx = positions[3 * j] - positions[3 * i];
+            const dy = positions[3 * j + 1] - positions[3 * i + 1];
+            const dz = positions[3 * j + 2] - positions[3 * i + 2];
+            const r2 = Math.max(MIN_DISTANCE_SQ, dx * dx + dy * dy + dz * dz);
+            const r = Math.sqrt(r2);
+
+            // −dE/dr ÷ r, so f · (dx, dy, dz) is the force on j
+            let f = 0;
+            const qq = COULOMB * charges[i] * charges[j] * scale;
+            energy += qq / r;
+            f += qq / (r2 * r);
+
+            const s = 0.5 * (sigma[i] + sigma[j]);
+            const e = Math.sqrt(epsilon[i] * epsilon[j]) * scale;
+            if (s > 0 && e > 0) {
+                const s6 = (s * s / r2) ** 3;
+                energy += 4 * e * (s6 * s6 - s6);
+                f += (24 * e * (2 * s6 * s6 - s6)) / r2;
+            }
+            addForce(j, f * dx, f * dy, f * dz);
+            addForce(i, -f * dx, -f * dy, -f * dz);
+        }
+
+        return energy;
+    }
+
+    function addForce(i, fx, fy, fz) {
+        forces[3 * i] += fx;
+        forces[3 * i + 1] += fy;
+        forces[3 * i + 2] += fz;
+    }
+
+    // Maxwell–Boltzmann at the target, no net momentum, then
+    // rescaled so the start is exactly on temperature
+    function seedVelocities() {
+        for (let i = 0; i < n; i++) {
+            const spread = Math.sqrt((BOLTZMANN * target) / masses[i] * ACCELERATION);
+            for (let d = 0; d < 3; d++) velocities[3 * i + d] = spread * gaussian(random);
+        }
+        removeDrift();
+        const current = getInstantTemperature();
+        if (current > 0) {
+            const scale = Math.sqrt(target / current);
+            for (let i = 0; i < 3 * n; i++) velocities[i] *= scale;
+        }
+    }
+
+    function removeDrift() {
+        let total = 0;
+        const momentum = [0, 0, 0];
+        for (let i = 0; i < n; i++) {
+            total += masses[i];
+            for (let d = 0; d < 3; d++) momentum[d] += masses[i] * velocities[3 * i + d];
+        }
+        for (let i = 0; i < n; i++) {
+            for (let d = 0; d < 3; d++) velocities[3 * i + d] -= momentum[d] / total;
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  kineticEnergy() / potentialEnergy() (kJ mol⁻¹)
+     *  temperature() — instantaneous, from the kinetic energy
+     * ----------------------------------------------------- */
+    function kineticEnergy() {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            const vx = velocities[3 * i];
+            const vy = velocities[3 * i + 1];
+            const vz = velocities[3 * i + 2];
+            sum += masses[i] * (vx * vx + vy * vy + vz * vz);
+        }
+        return (0.5 * sum) / ACCELERATION;
+    }
+
+    function potentialEnergy() {
+        return potential;
+    }
+
+    function getInstantTemperature() {
+        return (2 * kineticEnergy()) / (degrees * BOLTZMANN);
+    }
+
+    /* -----------------------------------------------------
+     *  setTemperature(kelvin) / getTemperature()
+     *  The thermostat target; 0 K lets the system cool and
+     *  settle into its nearest minimum.
+     * ----------------------------------------------------- */
+    function setTemperature(kelvin) {
+        target = Math.max(0, kelvin);
+        // A system at rest has nothing for the thermostat to scale
+        if (target > 0 && getInstantTemperature() === 0) seedVelocities();
+    }
+
+    function getTemperature() {
+        return target;
+    }
+
+    function getTime() {
+        return time;
+    }
+
+    return {
+        positions,
+        velocities,
+        forces,
+        step,
+        setTemperature,
+        getTemperature,
+        temperature: getInstantTemperature,
+        kineticEnergy,
+        potentialEnergy,
+        getTime,
+    };
+}
+
+// Every atom pair with its non-bonded scale: 1-2 and 1-3
+// pairs are left out, 1-4 pairs scaled
+function nonBondedPairs(n, bonds, angles) {
+    const neighbours = Array.from({ length: n }, () => new Set());
+    for (const { a, b } of bonds) {
+        neighbours[a].add(b);
+        neighbours[b].add(a);
+    }
+
+    const excluded = new Set();
+    const oneFour = new Set();
+    const key = (i, j) => (i < j ? i * n + j : j * n + i);
+    for (const { a, c } of angles) excluded.add(key(a, c));
+    for (let i = 0; i < n; i++) {
+        for (const j of neighbours[i]) {
+            excluded.add(key(i, j));
+            for (const k of neighbours[j]) {
+                if (k === i) continue;
+                excluded.add(key(i, k));
+                for (const l of neighbours[k]) {
+                    if (l !== i && l !== j) oneFour.add(key(i, l));
+                }
+            }
+        }
+    }
+
+    const pairs = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const id = key(i, j);
+            if (excluded.has(id)) continue;
+            pairs.push({ i, j, scale: oneFour.has(id) ? ONE_FOUR_SCALE : 1 });
+        }
+    }
+    return pairs;
+}
+
+// Standard normal deviate (Box–Muller)
+function gaussian(random) {
+    const u = Math.max(Number.EPSILON, random());
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
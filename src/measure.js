@@ -0,0 +1,263 @@
+/* =========================================================
+ *  measure.js
+ *  Distance, angle and dihedral measurements between atoms.
+ *
+ *  In measure mode a click (or Enter on the keyboard-selected
+ *  atom) picks the atom instead of selecting it. Two picks
+ *  make a distance, three an angle (at the middle atom) and
+ *  four a dihedral (about the 2nd–3rd atom axis). Each
+ *  measurement draws a dashed line through its atoms with a
+ *  CSS2D label; update() re-reads world positions every frame
+ *  so the values follow the stage animations (watch O–H
+ *  stretch as the proton leaves).
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { measureLineMaterial } from './materials.js';
+import { isDisplayed } from './atoms.js';
+
+// Atoms needed per measurement kind
+export const MEASURE_KINDS = { distance: 2, angle: 3, dihedral: 4 };
+
+const LABEL_OFFSET = 0.25;     // Å above the centroid
+
+// ── Geometry  (world-space Vector3 in; Å or degrees out) ────
+export function distance(a, b) {
+    return a.distanceTo(b);
+}
+
+export function angle(a, b, c) {
+    const ba = new THREE.Vector3().subVectors(a, b);
+    const bc = new THREE.Vector3().subVectors(c, b);
+    return THREE.MathUtils.radToDeg(ba.angleTo(bc));
+}
+
+/* ---------------------------------------------------------
+ *  dihedral(a, b, c, d)
+ *  Signed torsion about b→c in (−180°, 180°], IUPAC sign:
+ *  positive when a turns clockwise onto d, looking b → c.
+ * --------------------------------------------------------- */
+export function dihedral(a, b, c, d) {
+    const b1 = new THREE.Vector3().subVectors(b, a);
+    const b2 = new THREE.Vector3().subVectors(c, b);
+    const b3 = new THREE.Vector3().subVectors(d, c);
+    const n1 = new THREE.Vector3().crossVectors(b1, b2);
+    const n2 = new THREE.Vector3().crossVectors(b2, b3);
+    const y = b2.length() * b1.dot(n2);
+    const x = n1.dot(n2);
+    return THREE.MathUtils.radToDeg(Math.atan2(y, x));
+}
+
+const MEASURE_FN = {
+    distance: ([a, b]) => distance(a, b),
+    angle: ([a, b, c]) => angle(a, b, c),
+    dihedral: ([a, b, c, d]) => dihedral(a, b, c, d),
+};
+
+export function formatMeasurement(kind, value) {
+    const text = kind === 'distance' ? `${value.toFixed(2)} Å` : `${value.toFixed(1)}°`;
+    return text.replace('-', '−');
+}
+
+/* ---------------------------------------------------------
+ *  createMeasurements({ scene, root, a11y, i18n })
+ *
+ *  @param {Document|ShadowRoot} root — holds #measure-*
+ *  @param {{ announce }} a11y — from createA11y()
+ *  @param {object} i18n — from createI18n()
+ *  @returns {{ pick, update, clear, isActive, setActive,
+ *              relocalize, dispose }}
+ * --------------------------------------------------------- */
+export function createMeasurements({ scene, root, a11y, i18n }) {
+
+    // ── State ──
+    let active = false;
+    let pending = [];          // atoms picked for the next measurement
+    const items = [];
+
+    // ── DOM refs ──
+    const toggleBtn = root.getElementById('measure-toggle');
+    const kindSelect = root.getElementById('measure-kind');
+    const hint = root.getElementById('measure-hint');
+    const list = root.getElementById('measure-list');
+    const clearBtn = root.getElementById('measure-clear');
+
+    toggleBtn?.addEventListener('click', () => setActive(!active));
+    kindSelect?.addEventListener('change', () => {
+        pending = [];
+        updateHint();
+    });
+    clearBtn?.addEventListener('click', clear);
+    updateHint();
+
+    /* -----------------------------------------------------
+     *  pick(mesh)
+     *  Returns true when measure mode consumed the click.
+     * ----------------------------------------------------- */
+    function pick(mesh) {
+        if (!active || !mesh?.userData.element) return false;
+        if (pending.includes(mesh)) return true;
+
+        pending.push(mesh);
+        const kind = kindSelect?.value || 'distance';
+        if (pending.length === MEASURE_KINDS[kind]) {
+            addMeasurement(kind, pending);
+            pending = [];
+        }
+        updateHint();
+        return true;
+    }
+
+    /* -----------------------------------------------------
+     *  addMeasurement(kind, atoms)
+     *  Dashed polyline a → b (→ c → d) + label + list entry.
+     * ----------------------------------------------------- */
+    function addMeasurement(kind, atoms) {
+        const group = new THREE.Group();
+        group.name = 'Measurement';
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(atoms.length * 3), 3));
+        const line = new THREE.Line(geo, measureLineMaterial.clone());
+        line.renderOrder = 10;          // over the atoms (depthTest off)
+        line.frustumCulled = false;     // vertices move every frame
+        group.add(line);
+
+        const div = document.createElement('div');
+        div.className = 'atom-label label-measure';
+        const label = new CSS2DObject(div);
+        group.add(label);
+        scene.add(group);
+
+        const li = document.createElement('li');
+        const text = document.createElement('span');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'measure-remove';
+        removeBtn.textContent = '✕';
+        li.append(text, removeBtn);
+        list?.appendChild(li);
+
+        const name = atoms.map((a) => a.userData.element).join('–');
+        const item = { kind, atoms: [...atoms], name, group, line, label, li, text, value: '' };
+        item.removeBtn = removeBtn;
+        removeBtn.addEventListener('click', () => removeMeasurement(item));
+        items.push(item);
+
+        updateItem(item);
+        labelRemoveButton(item);
+        a11y.announce(capitalize(i18n.t('measure.added', { kind: kindName(kind), atoms: name, value: item.value })));
+    }
+
+    function labelRemoveButton(item) {
+        item.removeBtn.setAttribute('aria-label', i18n.t('measure.remove', { kind: kindName(item.kind), atoms: item.name }));
+    }
+
+    function kindName(kind) {
+        return i18n.t(`measure.kind.${kind}`);
+    }
+
+    function removeMeasurement(item) {
+        item.label.removeFromParent();       // also drops its DOM element
+        scene.remove(item.group);
+        item.line.geometry.dispose();
+        item.line.material.dispose();
+        item.li.remove();
+        items.splice(items.indexOf(item), 1);
+    }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Called from the render loop.
+     * ----------------------------------------------------- */
+    function update() {
+        for (const item of items) updateItem(item);
+    }
+
+    function updateItem(item) {
+        // Hide while any atom is hidden (e.g. a proton that left)
+        const shown = item.atoms.every((a) => a.parent && isDisplayed(a));
+        item.group.visible = shown;
+        if (!shown) return;
+
+        const points = item.atoms.map((a) => {
+            a.updateWorldMatrix(true, false);
+            return a.getWorldPosition(new THREE.Vector3());
+        });
+
+        const pos = item.line.geometry.attributes.position;
+        points.forEach((p, i) => pos.setXYZ(i, p.x, p.y, p.z));
+        pos.needsUpdate = true;
+        item.line.computeLineDistances();
+
+        const centroid = new THREE.Vector3();
+        for (const p of points) centroid.add(p);
+        centroid.divideScalar(points.length);
+        item.label.position.set(centroid.x, centroid.y + LABEL_OFFSET, centroid.z);
+
+        const value = formatMeasurement(item.kind, MEASURE_FN[item.kind](points));
+        if (value !== item.value) {
+            item.value = value;
+            item.label.element.textContent = value;
+            item.text.textContent = `${item.name}  ${value}`;
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  clear()
+     *  Removes every measurement (also used when the complex
+     *  is rebuilt, since the measured atoms go away).
+     * ----------------------------------------------------- */
+    function clear() {
+        while (items.length) removeMeasurement(items[items.length - 1]);
+        pending = [];
+        updateHint();
+    }
+
+    function isActive() {
+        return active;
+    }
+
+    function setActive(on) {
+        active = on;
+        pending = [];
+        if (toggleBtn) {
+            toggleBtn.textContent = i18n.t(on ? 'toggle.on' : 'toggle.off');
+            toggleBtn.setAttribute('aria-pressed', String(on));
+            toggleBtn.classList.toggle('active', on);
+        }
+        updateHint();
+    }
+
+    function updateHint() {
+        if (!hint) return;
+        if (!active) {
+            hint.textContent = i18n.t('measure.hint.off');
+            return;
+        }
+        const kind = kindSelect?.value || 'distance';
+        const atoms = pending.map((a) => a.userData.element).join('–');
+        const count = MEASURE_KINDS[kind];
+        hint.textContent = atoms
+            ? i18n.t('measure.hint.picked', { count, picked: pending.length, atoms })
+            : i18n.t('measure.hint.pick', { count });
+    }
+
+    /* -----------------------------------------------------
+     *  relocalize()
+     *  Re-renders the toggle, hint and list buttons after a
+     *  language change.
+     * ----------------------------------------------------- */
+    function relocalize() {
+        if (toggleBtn) toggleBtn.textContent = i18n.t(active ? 'toggle.on' : 'toggle.off');
+        items.forEach(labelRemoveButton);
+        updateHint();
+    }
+
+    return { pick, update, clear, isActive, setActive, relocalize, dispose: clear };
+}
+
+function capitalize(text) {
+    return text[0].toUpperCase() + text.slice(1);
+}
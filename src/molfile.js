@@ -0,0 +1,309 @@
+/* =========================================================
+ *  molfile.js
+ *  Read / write molecular geometry as XYZ, PDB, MDL MOL
+ *  (V2000) and Tripos MOL2, plus covalent-radius bond
+ *  inference.
+ *
+ *  Molecule shape shared by every parser and writer:
+ *    { title: string,
+ *      atoms: [{ element: 'O', x, y, z }],
+ *      bonds: [[i, j], …] }          (0-based atom indices)
+ *
+ *  Parsers ignore any bonds stored in the file — bonds are
+ *  always re-inferred from geometry so coordination bonds
+ *  (rarely written by QM codes) come out consistently.
+ *  No DOM access: plain string handling only.
+ * ========================================================= */
+
+// ── Element data ────────────────────────────────────────────
+// Index = atomic number (for XYZ files that use numbers)
+const ELEMENT_SYMBOLS = [
+    '', 'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne',
+    'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar', 'K', 'Ca',
+    'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn',
+    'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr', 'Rb', 'Sr', 'Y', 'Zr',
+    'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn',
+    'Sb', 'Te', 'I', 'Xe', 'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd',
+    'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb',
+    'Lu', 'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg',
+    'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn', 'Fr', 'Ra', 'Ac', 'Th',
+    'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf', 'Es', 'Fm',
+    'Md', 'No', 'Lr', 'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds',
+    'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og',
+];
+const ELEMENTS = new Set(ELEMENT_SYMBOLS.slice(1));
+
+// Covalent radii (Å), Cordero et al. 2008
+export const COVALENT_RADII = {
+    H: 0.31, B: 0.84, C: 0.76, N: 0.71, O: 0.66, F: 0.57,
+    Na: 1.66, Mg: 1.41, Al: 1.21, Si: 1.11, P: 1.07, S: 1.05, Cl: 1.02,
+    K: 2.03, Ca: 1.76, Cr: 1.39, Mn: 1.39, Fe: 1.32, Co: 1.26,
+    Ni: 1.24, Cu: 1.32, Zn: 1.22, Br: 1.20, I: 1.39,
+};
+const DEFAULT_COVALENT_RADIUS = 1.5;
+
+const NONMETALS = new Set([
+    'H', 'He', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Si', 'P', 'S', 'Cl', 'Ar', 'Br', 'I',
+]);
+
+// A pair is bonded when  d < rᵢ + rⱼ + BOND_TOLERANCE
+const BOND_TOLERANCE = 0.45;
+
+export const FORMATS = ['xyz', 'pdb', 'mol', 'mol2'];
+
+/* ---------------------------------------------------------
+ *  normalizeElement(raw)
+ *  'AL' / 'al' / '13' / 'O.3' → 'Al' / 'Al' / 'Al' / 'O'
+ *  '' when the result is not an element symbol.
+ * --------------------------------------------------------- */
+export function normalizeElement(raw) {
+    const token = String(raw ?? '').trim().split('.')[0];
+    if (/^\d+$/.test(token)) return ELEMENT_SYMBOLS[parseInt(token, 10)] ?? '';
+    const letters = token.replace(/[^A-Za-z]/g, '');
+    if (!letters) return '';
+    const symbol = letters[0].toUpperCase() + letters.slice(1, 2).toLowerCase();
+    return ELEMENTS.has(symbol) ? symbol : '';
+}
+
+export function isMetal(element) {
+    return !NONMETALS.has(element);
+}
+
+/* ---------------------------------------------------------
+ *  inferBonds(atoms)
+ *
+ *  Distance test against summed covalent radii. Metal–H
+ *  pairs are skipped: in aqua complexes the water H atoms
+ *  sit close to the cation without bonding to it.
+ *
+ *  @returns {Array<[number, number]>}
+ * --------------------------------------------------------- */
+export function inferBonds(atoms) {
+    const bonds = [];
+    for (let i = 0; i < atoms.length; i++) {
+        const a = atoms[i];
+        const ra = COVALENT_RADII[a.element] ?? DEFAULT_COVALENT_RADIUS;
+        for (let j = i + 1; j < atoms.length; j++) {
+            const b = atoms[j];
+            if ((a.element === 'H' && isMetal(b.element)) || (b.element === 'H' && isMetal(a.element))) continue;
+
+            const rb = COVALENT_RADII[b.element] ?? DEFAULT_COVALENT_RADIUS;
+            const d = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+            if (d > 0.1 && d < ra + rb + BOND_TOLERANCE) bonds.push([i, j]);
+        }
+    }
+    return bonds;
+}
+
+/* ---------------------------------------------------------
+ *  formatFromName(filename)
+ *  Extension → format id, or null when unsupported.
+ * --------------------------------------------------------- */
+export function formatFromName(filename) {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (ext === 'ent') return 'pdb';
+    if (ext === 'sdf') return 'mol';
+    return FORMATS.includes(ext) ? ext : null;
+}
+
+/* ---------------------------------------------------------
+ *  parseMolecule(text, format)
+ *  Dispatches to the format-specific parser.
+ * --------------------------------------------------------- */
+export function parseMolecule(text, format) {
+    const parse = { xyz: parseXYZ, pdb: parsePDB, mol: parseMOL, mol2: parseMOL2 }[format];
+    if (!parse) throw new Error(`Unsupported format "${format}"`);
+
+    const mol = parse(text);
+    if (mol.atoms.length === 0) throw new Error('No atoms found in file');
+    mol.bonds = inferBonds(mol.atoms);
+    return mol;
+}
+
+/* ---------------------------------------------------------
+ *  writeMolecule(mol, format)
+ * --------------------------------------------------------- */
+export function writeMolecule(mol, format) {
+    const write = { xyz: writeXYZ, pdb: writePDB, mol: writeMOL, mol2: writeMOL2 }[format];
+    if (!write) throw new Error(`Unsupported format "${format}"`);
+    return write(mol);
+}
+
+// ═══════════════════════════════════════════════════════════
+//  PARSERS
+// ═══════════════════════════════════════════════════════════
+
+function parseXYZ(text) {
+    const lines = text.split(/\r?\n/);
+    const count = parseInt(lines[0], 10);
+    if (Number.isNaN(count)) throw new Error('XYZ: first line must be the atom count');
+
+    const atoms = [];
+    for (let i = 2; i < 2 + count; i++) {
+        if (!lines[i]?.trim()) throw new Error(`XYZ line ${i + 1}: missing atom ${i - 1} of ${count}`);
+        const [el, x, y, z] = lines[i].trim().split(/\s+/);
+        atoms.push(checkAtom(`XYZ line ${i + 1}`, el, +x, +y, +z));
+    }
+    return { title: (lines[1] || '').trim(), atoms, bonds: [] };
+}
+
+function parsePDB(text) {
+    const atoms = [];
+    let title = '';
+    text.split(/\r?\n/).forEach((line, i) => {
+        const record = line.slice(0, 6).trim();
+        if ((record === 'TITLE' || record === 'COMPND') && !title) {
+            title = line.slice(10).trim();
+        }
+        if (record !== 'ATOM' && record !== 'HETATM') return;
+
+        // Element columns 77–78; fall back to the atom name (13–16)
+        const el = line.slice(76, 78).trim() || pdbNameElement(line.slice(12, 16));
+        atoms.push(checkAtom(
+            `PDB line ${i + 1}`, el,
+            parseFloat(line.slice(30, 38)),
+            parseFloat(line.slice(38, 46)),
+            parseFloat(line.slice(46, 54)),
+        ));
+    });
+    return { title, atoms, bonds: [] };
+}
+
+// PDB atom names right-justify one-letter elements: a blank
+// column 13 means the element is column 14 alone (' OW ',
+// ' HW1'), otherwise columns 13–14 ('FE  ', '1HB ' → H)
+function pdbNameElement(name) {
+    const symbol = name[0] === ' ' ? name.slice(1, 2) : name.slice(0, 2).replace(/\d/g, '');
+    return normalizeElement(symbol) ? symbol : symbol.slice(0, 1);
+}
+
+function parseMOL(text) {
+    const lines = text.split(/\r?\n/);
+    const counts = lines[3] || '';
+    if (!/V2000/.test(counts)) throw new Error('MOL: only V2000 connection tables are supported');
+
+    const count = parseInt(counts.slice(0, 3), 10);
+    if (Number.isNaN(count)) throw new Error('MOL line 4: no atom count');
+    const atoms = [];
+    for (let i = 4; i < 4 + count; i++) {
+        if (!lines[i]?.trim()) throw new Error(`MOL line ${i + 1}: missing atom ${i - 3} of ${count}`);
+        const line = lines[i];
+        atoms.push(checkAtom(
+            `MOL line ${i + 1}`, line.slice(31, 34),
+            parseFloat(line.slice(0, 10)),
+            parseFloat(line.slice(10, 20)),
+            parseFloat(line.slice(20, 30)),
+        ));
+    }
+    return { title: lines[0].trim(), atoms, bonds: [] };
+}
+
+function parseMOL2(text) {
+    const atoms = [];
+    let title = '';
+    let section = '';
+    let sectionLine = 0;
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.startsWith('@<TRIPOS>')) {
+            section = line.slice(9).trim();
+            sectionLine = 0;
+            return;
+        }
+        sectionLine++;
+        if (section === 'MOLECULE' && sectionLine === 1) title = line.trim();
+        if (section !== 'ATOM' || !line.trim()) return;
+
+        // id  name  x  y  z  type  [subst_id subst_name charge]
+        const [, , x, y, z, type] = line.trim().split(/\s+/);
+        atoms.push(checkAtom(`MOL2 line ${i + 1}`, type, +x, +y, +z));
+    });
+    return { title, atoms, bonds: [] };
+}
+
+// One atom record, or an error naming the line at fault
+function checkAtom(where, raw, x, y, z) {
+    const element = normalizeElement(raw);
+    if (!element) throw new Error(`${where}: unknown element "${String(raw ?? '').trim()}"`);
+    if (![x, y, z].every(Number.isFinite)) throw new Error(`${where}: coordinates must be numbers`);
+    return { element, x, y, z };
+}
+
+// ═══════════════════════════════════════════════════════════
+//  WRITERS
+// ═══════════════════════════════════════════════════════════
+
+const padL = (v, n) => String(v).padStart(n);
+const padR = (v, n) => String(v).padEnd(n);
+const fix = (v, d, n) => padL(v.toFixed(d), n);
+
+function writeXYZ({ title, atoms }) {
+    const body = atoms.map((a) =>
+        `${padR(a.element, 2)} ${fix(a.x, 5, 11)} ${fix(a.y, 5, 11)} ${fix(a.z, 5, 11)}`);
+    return [String(atoms.length), title, ...body, ''].join('\n');
+}
+
+function writePDB({ title, atoms, bonds }) {
+    const lines = [`TITLE     ${title}`];
+    atoms.forEach((a, i) => {
+        const name = `${a.element}${i + 1}`.slice(0, 4);
+        lines.push(
+            'HETATM' + padL(i + 1, 5) + ' ' + padR(name, 4) + ' ' + 'MOL' + ' A' + padL(1, 4) +
+            '    ' + fix(a.x, 3, 8) + fix(a.y, 3, 8) + fix(a.z, 3, 8) +
+            fix(1, 2, 6) + fix(0, 2, 6) + ' '.repeat(10) + padL(a.element.toUpperCase(), 2),
+        );
+    });
+
+    // CONECT lists every partner of each atom
+    const partners = atoms.map(() => []);
+    for (const [i, j] of bonds) {
+        partners[i].push(j + 1);
+        partners[j].push(i + 1);
+    }
+    partners.forEach((list, i) => {
+        for (let k = 0; k < list.length; k += 4) {
+            lines.push('CONECT' + padL(i + 1, 5) + list.slice(k, k + 4).map((n) => padL(n, 5)).join(''));
+        }
+    });
+    lines.push('END', '');
+    return lines.join('\n');
+}
+
+function writeMOL({ title, atoms, bonds }) {
+    const lines = [
+        title,
+        '  hydrolysis-3d',
+        '',
+        padL(atoms.length, 3) + padL(bonds.length, 3) + '  0  0  0  0  0  0  0  0999 V2000',
+    ];
+    for (const a of atoms) {
+        lines.push(fix(a.x, 4, 10) + fix(a.y, 4, 10) + fix(a.z, 4, 10) + ' ' + padR(a.element, 3) +
+            ' 0  0  0  0  0  0  0  0  0  0  0  0');
+    }
+    for (const [i, j] of bonds) {
+        lines.push(padL(i + 1, 3) + padL(j + 1, 3) + '  1  0');
+    }
+    lines.push('M  END', '');
+    return lines.join('\n');
+}
+
+function writeMOL2({ title, atoms, bonds }) {
+    const lines = [
+        '@<TRIPOS>MOLECULE',
+        title,
+        `${atoms.length} ${bonds.length} 1`,
+        'SMALL',
+        'NO_CHARGES',
+        '',
+        '@<TRIPOS>ATOM',
+    ];
+    atoms.forEach((a, i) => {
+        lines.push(`${padL(i + 1, 6)} ${padR(`${a.element}${i + 1}`, 6)} ${fix(a.x, 4, 10)} ${fix(a.y, 4, 10)} ${fix(a.z, 4, 10)} ${padR(a.element, 5)} 1 MOL`);
+    });
+    lines.push('@<TRIPOS>BOND');
+    bonds.forEach(([i, j], k) => {
+        lines.push(`${padL(k + 1, 6)} ${padL(i + 1, 5)} ${padL(j + 1, 5)} 1`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
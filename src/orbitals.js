@@ -0,0 +1,215 @@
+/* =========================================================
+ *  orbitals.js
+ *  Optional orbital layer: the lone pairs the coordinated
+ *  waters donate, and the empty metal orbitals that accept
+ *  them.
+ *
+ *  • Lone pairs:  two violet sp³ lobes on each water oxygen,
+ *                 along the directions createWaterMolecule()
+ *                 keeps in the water's frame (userData.
+ *                 lonePairs), so they turn with the water
+ *  • Acceptors:   six pale sp³d² lobes on the metal, one
+ *                 towards each water's resting oxygen
+ *
+ *  Like the bonds, the lobes are re-fitted to the atoms every
+ *  frame. A water that sits near its resting M–O distance
+ *  with its lone pairs facing the metal counts as bound: its
+ *  lone pairs lean in and lengthen, and the acceptor lobe
+ *  opposite grows and fills with the lone-pair colour until
+ *  the two overlap — so in Stage 2 the overlap builds as the
+ *  waters arrive and turn. A proton that leaves its water
+ *  leaves the O–H bonding pair behind as a third lone pair
+ *  on the hydroxide.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { PALETTE, createOrbitalMaterial } from './materials.js';
+import { isDisplayed } from './atoms.js';
+import { bondStrength } from './bonds.js';
+
+// ── Lobe sizes (Å) ──────────────────────────────────────────
+const LONE_PAIR_LENGTH = 0.75;
+const LONE_PAIR_WIDTH = 0.2;
+const ACCEPTOR_LENGTH = 0.9;
+const ACCEPTOR_WIDTH = 0.24;
+const LOBE_SEGMENTS = 20;
+
+// ── Bound water (0 → 1) ─────────────────────────────────────
+const LEAN = 0.5;              // share of the turn towards the metal
+const REACH = 0.35;            // extra lone-pair length
+const ACCEPTOR_REACH = 0.6;    // extra acceptor length
+const LONE_PAIR_OPACITY = 0.5;
+const EMPTY_OPACITY = 0.15;
+const FILLED_OPACITY = 0.45;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const EMPTY_COLOR = new THREE.Color(PALETTE.orbital_empty);
+const FILLED_COLOR = new THREE.Color(PALETTE.lone_pair);
+
+/* ---------------------------------------------------------
+ *  createOrbitals({ scene })
+ *
+ *  @returns {{ build, clear, update, setVisible, isVisible,
+ *              dispose }}
+ * --------------------------------------------------------- */
+export function createOrbitals({ scene }) {
+
+    // ── State ──
+    let current = null;        // { group, geometry, metal, ligands } once built
+    let visible = false;
+
+    const _m = new THREE.Vector3();
+    const _o = new THREE.Vector3();
+    const _h = new THREE.Vector3();
+    const _q = new THREE.Quaternion();
+    const _toMetal = new THREE.Vector3();
+    const _dir = new THREE.Vector3();
+
+    /* -----------------------------------------------------
+     *  build(structure)
+     *  Lobes for { metal, waters } — call with the complex
+     *  at rest, which fixes each acceptor's direction.
+     * ----------------------------------------------------- */
+    function build({ metal, waters }) {
+        clear();
+
+        const group = new THREE.Group();
+        group.name = 'Orbitals';
+        group.visible = visible;
+
+        // Unit-length lobe with its base at the origin, along +y
+        const geometry = new THREE.SphereGeometry(0.5, LOBE_SEGMENTS, LOBE_SEGMENTS / 2).translate(0, 0.5, 0);
+        const lobe = (color, opacity) => {
+            const mesh = new THREE.Mesh(geometry, createOrbitalMaterial(color, opacity));
+            mesh.renderOrder = 1;      // after the opaque atoms
+            group.add(mesh);
+            return mesh;
+        };
+
+        metal.updateWorldMatrix(true, false);
+        metal.getWorldPosition(_m);
+
+        const ligands = [];
+        for (const water of waters) {
+            const o = water.children.find((c) => c.userData.element === 'O');
+            const directions = water.userData.lonePairs;
+            if (!o || !directions) continue;
+
+            o.updateWorldMatrix(true, false);
+            o.getWorldPosition(_o);
+            const rest = _o.distanceTo(_m);
+
+            ligands.push({
+                water,
+                o,
+                rest,
+                bisector: directions[0].clone().add(directions[1]).normalize(),
+                lonePairs: directions.map((dir) => ({ dir, mesh: lobe(PALETTE.lone_pair, LONE_PAIR_OPACITY) })),
+                // Each proton's bonding pair, shown once it has gone
+                protons: water.children
+                    .filter((c) => c.userData.element === 'H')
+                    .map((h) => ({
+                        h,
+                        rest: h.position.distanceTo(o.position),
+                        dir: h.position.clone().sub(o.position).normalize(),
+                        mesh: lobe(PALETTE.lone_pair, LONE_PAIR_OPACITY),
+                    })),
+                acceptor: {
+                    dir: _o.clone().sub(_m).normalize(),
+                    mesh: lobe(PALETTE.orbital_empty, EMPTY_OPACITY),
+                },
+            });
+        }
+
+        current = { group, geometry, metal, ligands };
+        scene.add(group);
+        update();
+    }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Called from the render loop while the layer is shown.
+     * ----------------------------------------------------- */
+    function update() {
+        if (!current || !visible) return;
+        const { metal, ligands } = current;
+        const metalShown = isDisplayed(metal);
+        metal.getWorldPosition(_m);
+
+        for (const { water, o, rest, bisector, lonePairs, protons, acceptor } of ligands) {
+            const shown = isDisplayed(o);
+            o.getWorldPosition(_o);
+            water.getWorldQuaternion(_q);
+
+            _toMetal.subVectors(_m, _o);
+            const distance = _toMetal.length();
+            _toMetal.divideScalar(distance || 1);
+
+            // Bound: near the resting distance, lone pairs facing M
+            const facing = THREE.MathUtils.clamp(_dir.copy(bisector).applyQuaternion(_q).dot(_toMetal), 0, 1);
+            const bound = shown && metalShown ? bondStrength(distance / rest) * facing : 0;
+
+            for (const { dir, mesh } of lonePairs) {
+                mesh.visible = shown;
+                _dir.copy(dir).applyQuaternion(_q).lerp(_toMetal, LEAN * bound).normalize();
+                fitLobe(mesh, _o, _dir, LONE_PAIR_LENGTH * (1 + REACH * bound), LONE_PAIR_WIDTH);
+            }
+
+            for (const proton of protons) {
+                // Grows as the O–H bond stretches and breaks
+                const gone = isDisplayed(proton.h)
+                    ? 1 - bondStrength(proton.h.getWorldPosition(_h).distanceTo(_o) / proton.rest)
+                    : 1;
+                proton.mesh.visible = shown && gone > 0.01;
+                if (!proton.mesh.visible) continue;
+                _dir.copy(proton.dir).applyQuaternion(_q);
+                fitLobe(proton.mesh, _o, _dir, LONE_PAIR_LENGTH * gone, LONE_PAIR_WIDTH);
+            }
+
+            acceptor.mesh.visible = metalShown;
+            // (towards the oxygen; straight there if it has swung
+            // round to the far side)
+            _dir.copy(acceptor.dir).lerp(_toMetal.negate(), bound);
+            if (_dir.lengthSq() < 1e-6) _dir.copy(_toMetal);
+            _dir.normalize();
+            fitLobe(acceptor.mesh, _m, _dir, ACCEPTOR_LENGTH * (1 + ACCEPTOR_REACH * bound), ACCEPTOR_WIDTH);
+            acceptor.mesh.material.opacity = THREE.MathUtils.lerp(EMPTY_OPACITY, FILLED_OPACITY, bound);
+            acceptor.mesh.material.color.lerpColors(EMPTY_COLOR, FILLED_COLOR, bound);
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  setVisible(on) / isVisible()
+     * ----------------------------------------------------- */
+    function setVisible(on) {
+        visible = on;
+        if (current) current.group.visible = on;
+        update();
+    }
+
+    function isVisible() {
+        return visible;
+    }
+
+    /* -----------------------------------------------------
+     *  clear()
+     *  Removes the lobes (also before every rebuild).
+     * ----------------------------------------------------- */
+    function clear() {
+        if (!current) return;
+        const { group, geometry } = current;
+        scene.remove(group);
+        group.traverse((obj) => obj.material?.dispose());
+        geometry.dispose();
+        current = null;
+    }
+
+    return { build, clear, update, setVisible, isVisible, dispose: clear };
+}
+
+// Lobe from `origin` along unit `dir`
+function fitLobe(mesh, origin, dir, length, width) {
+    mesh.position.copy(origin);
+    mesh.quaternion.setFromUnitVectors(UP, dir);
+    mesh.scale.set(width, length, width);
+}
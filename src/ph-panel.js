@@ -0,0 +1,247 @@
+/* =========================================================
+ *  ph-panel.js
+ *  pH + speciation panel: the user enters total metal
+ *  concentration, the panel shows the equilibrium pH and a
+ *  distribution diagram (αₖ vs pH) for the current cation.
+ *
+ *  Clicking a curve or legend entry jumps the 3D scene to
+ *  the lesson step that forms that species; step changes
+ *  made elsewhere highlight the matching curve.
+ * ========================================================= */
+
+import { speciesFormula } from './cations.js';
+import {
+    PH_MIN,
+    PH_MAX,
+    equilibriumPH,
+    speciesFractions,
+    distributionCurves,
+} from './speciation.js';
+
+// ── Chart styling ───────────────────────────────────────────
+const SPECIES_COLORS = ['#4a90e2', '#ff6633', '#ffcc00', '#66ddff', '#e23c3c'];
+const AXIS_COLOR = 'rgba(224, 230, 240, 0.45)';
+const TEXT_COLOR = 'rgba(224, 230, 240, 0.75)';
+const PAD = { left: 28, right: 8, top: 8, bottom: 22 };
+const PICK_TOLERANCE = 0.2;     // max |Δα| for a click to hit a curve
+
+/* ---------------------------------------------------------
+ *  createPhPanel(root, i18n, onSelectSpecies)
+ *
+ *  @param {Document|ShadowRoot} root — holds the panel
+ *  @param {object} i18n — from createI18n()
+ *  @param {(k: number) => void} onSelectSpecies — called
+ *         with the species (protons lost) the user picks on
+ *         the chart/legend
+ *  @returns {{ setCation, highlightSpecies, redraw,
+ *              relocalize }}
+ * --------------------------------------------------------- */
+export function createPhPanel(root, i18n, onSelectSpecies) {
+
+    // ── State ──
+    let _cation = null;
+    let _curves = null;
+    let _pH = NaN;
+    let _activeSpecies = 0;
+
+    // ── DOM refs ──
+    const concInput = root.getElementById('conc-input');
+    const phReadout = root.getElementById('ph-readout');
+    const chartCanvas = root.getElementById('speciation-chart');
+    const legend = root.getElementById('species-legend');
+
+    concInput?.addEventListener('input', () => {
+        recomputePH();
+        drawChart();
+    });
+
+    chartCanvas?.addEventListener('click', (event) => {
+        const k = pickSpecies(event);
+        if (k !== null) selectSpecies(k);
+    });
+
+    /* -----------------------------------------------------
+     *  setCation(cation)
+     *  Recomputes curves, legend and pH for a new cation.
+     * ----------------------------------------------------- */
+    function setCation(cation) {
+        _cation = cation;
+        _curves = distributionCurves(cation.pKa);
+        if (_activeSpecies !== null) _activeSpecies = Math.min(_activeSpecies, cation.pKa.length);
+        buildLegend();
+        recomputePH();
+        drawChart();
+    }
+
+    /* -----------------------------------------------------
+     *  highlightSpecies(k)
+     *  Keeps the chart in sync with the 3D stage buttons;
+     *  null (a lesson step showing no species) highlights
+     *  nothing.
+     * ----------------------------------------------------- */
+    function highlightSpecies(k) {
+        _activeSpecies = k;
+        updateLegendState();
+        drawChart();
+    }
+
+    /* -----------------------------------------------------
+     *  selectSpecies(k)
+     * ----------------------------------------------------- */
+    function selectSpecies(k) {
+        onSelectSpecies(k);
+    }
+
+    /* -----------------------------------------------------
+     *  recomputePH()
+     * ----------------------------------------------------- */
+    function recomputePH() {
+        if (!_cation) return;
+        const conc = parseFloat(concInput?.value);
+        _pH = equilibriumPH(_cation.pKa, conc);
+
+        if (!phReadout) return;
+        if (Number.isNaN(_pH)) {
+            phReadout.textContent = i18n.t('ph.none');
+            return;
+        }
+        // Report the dominant species at the equilibrium pH
+        const fractions = speciesFractions(_cation.pKa, _pH);
+        const major = fractions.indexOf(Math.max(...fractions));
+        phReadout.textContent = i18n.t('ph.readout', { pH: i18n.number(_pH, 2), species: speciesFormula(_cation, major) });
+    }
+
+    /* -----------------------------------------------------
+     *  buildLegend()
+     *  One button per species so keyboard users can pick too.
+     * ----------------------------------------------------- */
+    function buildLegend() {
+        if (!legend) return;
+        legend.replaceChildren();
+
+        for (let k = 0; k <= _cation.pKa.length; k++) {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'species-btn';
+            btn.dataset.species = String(k);
+            btn.style.setProperty('--species-color', SPECIES_COLORS[k % SPECIES_COLORS.length]);
+            btn.textContent = speciesFormula(_cation, k);
+            btn.addEventListener('click', () => selectSpecies(k));
+            li.appendChild(btn);
+            legend.appendChild(li);
+        }
+        updateLegendState();
+    }
+
+    function updateLegendState() {
+        legend?.querySelectorAll('.species-btn').forEach((btn) => {
+            btn.classList.toggle('active', Number(btn.dataset.species) === _activeSpecies);
+        });
+    }
+
+    /* -----------------------------------------------------
+     *  drawChart()
+     *  Plain 2D-canvas plot — DPR-aware, redrawn on change and
+     *  when the viewer resizes.
+     * ----------------------------------------------------- */
+    function drawChart() {
+        if (!chartCanvas || !_curves) return;
+
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const width = chartCanvas.clientWidth;
+        const height = chartCanvas.clientHeight;
+        chartCanvas.width = width * dpr;
+        chartCanvas.height = height * dpr;
+
+        const ctx = chartCanvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const plotW = width - PAD.left - PAD.right;
+        const plotH = height - PAD.top - PAD.bottom;
+        const xOf = (pH) => PAD.left + ((pH - PH_MIN) / (PH_MAX - PH_MIN)) * plotW;
+        const yOf = (a) => PAD.top + (1 - a) * plotH;
+
+        // ── Axes + ticks ──
+        ctx.strokeStyle = AXIS_COLOR;
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.lineWidth = 1;
+        ctx.font = '10px Inter, "Segoe UI", system-ui, sans-serif';
+        ctx.beginPath();
+        ctx.moveTo(PAD.left, PAD.top);
+        ctx.lineTo(PAD.left, PAD.top + plotH);
+        ctx.lineTo(PAD.left + plotW, PAD.top + plotH);
+        ctx.stroke();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let pH = PH_MIN; pH <= PH_MAX; pH += 2) {
+            ctx.fillText(String(pH), xOf(pH), PAD.top + plotH + 4);
+        }
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const a of [0, 0.5, 1]) {
+            ctx.fillText(String(a), PAD.left - 4, yOf(a));
+        }
+
+        // ── Distribution curves (active one drawn thicker) ──
+        _curves.fractions.forEach((series, k) => {
+            ctx.strokeStyle = SPECIES_COLORS[k % SPECIES_COLORS.length];
+            ctx.lineWidth = k === _activeSpecies ? 3 : 1.5;
+            ctx.globalAlpha = k === _activeSpecies ? 1 : 0.7;
+            ctx.beginPath();
+            series.forEach((a, i) => {
+                const x = xOf(_curves.pH[i]);
+                const y = yOf(a);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+
+        // ── Equilibrium pH marker ──
+        if (!Number.isNaN(_pH)) {
+            const x = xOf(_pH);
+            ctx.strokeStyle = TEXT_COLOR;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, PAD.top);
+            ctx.lineTo(x, PAD.top + plotH);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  pickSpecies(event)
+     *
+     *  Converts a click to (pH, α) and returns the species whose
+     *  curve passes closest, or null if none is within tolerance.
+     * ----------------------------------------------------- */
+    function pickSpecies(event) {
+        if (!_cation) return null;
+
+        const rect = chartCanvas.getBoundingClientRect();
+        const plotW = rect.width - PAD.left - PAD.right;
+        const plotH = rect.height - PAD.top - PAD.bottom;
+        const pH = PH_MIN + ((event.clientX - rect.left - PAD.left) / plotW) * (PH_MAX - PH_MIN);
+        const a = 1 - (event.clientY - rect.top - PAD.top) / plotH;
+        if (pH < PH_MIN || pH > PH_MAX) return null;
+
+        const fractions = speciesFractions(_cation.pKa, pH);
+        let best = null;
+        let bestDist = PICK_TOLERANCE;
+        fractions.forEach((f, k) => {
+            const d = Math.abs(f - a);
+            if (d < bestDist) {
+                bestDist = d;
+                best = k;
+            }
+        });
+        return best;
+    }
+
+    return { setCation, highlightSpecies, redraw: drawChart, relocalize: recomputePH };
+}
@@ -0,0 +1,47 @@
+/* =========================================================
+ *  pickers.js
+ *  The language and cation <select> menus shared by the
+ *  viewer (viewer.js) and the comparison (compare.js).
+ * ========================================================= */
+
+import { LOCALES } from './i18n.js';
+import { CATIONS, getCation, formatIon } from './cations.js';
+
+/* ---------------------------------------------------------
+ *  fillLocaleSelect(select)
+ *  One option per catalog, named in its own language.
+ * --------------------------------------------------------- */
+export function fillLocaleSelect(select) {
+    for (const [code, locale] of Object.entries(LOCALES)) {
+        const opt = document.createElement('option');
+        opt.value = code;
+        opt.lang = code;
+        opt.textContent = locale.name;
+        select.appendChild(opt);
+    }
+}
+
+/* ---------------------------------------------------------
+ *  fillCationSelect(select) / localizeCationOptions(select, i18n)
+ *  One option per cation; its text ("Al³⁺ — Aluminium
+ *  (pKa₁ 5.0)") is written, and rewritten on a language
+ *  change, by localizeCationOptions().
+ * --------------------------------------------------------- */
+export function fillCationSelect(select) {
+    for (const cation of Object.values(CATIONS)) {
+        const opt = document.createElement('option');
+        opt.value = cation.symbol;
+        select.appendChild(opt);
+    }
+}
+
+export function localizeCationOptions(select, i18n) {
+    for (const opt of select?.options ?? []) {
+        const cation = getCation(opt.value);
+        opt.textContent = i18n.t('cation.option', {
+            ion: formatIon(cation),
+            name: i18n.t(`cation.${cation.symbol}`),
+            pKa: i18n.number(cation.pKa[0], 1),
+        });
+    }
+}
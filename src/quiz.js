@@ -0,0 +1,418 @@
+/* =========================================================
+ *  quiz.js
+ *  Prediction quiz: before a stage plays, the student is
+ *  asked what will happen in it. Questions belong to lesson
+ *  steps by id (lessons/default.json), so a custom lesson
+ *  gets them wherever it reuses those ids.
+ *
+ *  Question kinds
+ *  ──────────────
+ *  choice   multiple choice, answered with the option buttons
+ *  atom     answered by clicking an atom in the scene — the
+ *           viewer hands its raycaster picks (interaction.js
+ *           onPick) to pick() first, so the keyboard path
+ *           (arrow keys + Enter) answers too
+ *
+ *  Each question is asked once per cation. Answers are final:
+ *  the feedback names the right answer and why, then
+ *  Continue plays the stage. Responses keep a running score
+ *  and export as JSON or CSV for a gradebook.
+ * ========================================================= */
+
+import {
+    getCation,
+    formatIon,
+    saltFormula,
+    speciesFormula,
+    maxSpecies,
+} from './cations.js';
+import { download } from './fileio.js';
+import { atomRole } from './atoms.js';
+
+// ── Atom targets (mesh, { waters }) → correct? ──────────────
+// Only atoms of the coordinated waters count, not the free
+// water, the bulk solvent or the dissolution lattice
+const ATOM_TARGETS = {
+    donor: (mesh, { waters }) => mesh.userData.element === 'O' && waters.includes(mesh.parent),
+    proton: (mesh, { waters }) => mesh.userData.element === 'H' && waters.includes(mesh.parent),
+};
+
+// ── Question bank: one prediction per default lesson step ───
+// Text entries receive the current cation and the viewer's
+// translator (message keys quiz.<id>.*); `species` is the
+// deprotonation the question needs pKa data for
+export const QUIZ_QUESTIONS = [
+    {
+        id: 'coordination-number',
+        step: 'complex',
+        kind: 'choice',
+        prompt: (c, t) => t('quiz.coordination-number.prompt', { ion: formatIon(c) }),
+        choices: (c, t) => [
+            { text: t('quiz.coordination-number.four'), correct: false },
+            { text: t('quiz.coordination-number.six'), correct: true },
+            { text: t('quiz.coordination-number.eight'), correct: false },
+        ],
+        explain: (c, t) => t('quiz.coordination-number.explain', { ion: formatIon(c) }),
+    },
+    {
+        id: 'chloride-fate',
+        step: 'dissolution',
+        kind: 'choice',
+        prompt: (c, t) => t('quiz.chloride-fate.prompt', { salt: saltFormula(c) }),
+        choices: (c, t) => [
+            { text: t('quiz.chloride-fate.stay', { ion: formatIon(c) }), correct: false },
+            { text: t('quiz.chloride-fate.separate'), correct: true },
+            { text: t('quiz.chloride-fate.oxidise'), correct: false },
+        ],
+        explain: (c, t) => t('quiz.chloride-fate.explain', { ion: formatIon(c) }),
+    },
+    {
+        id: 'electron-pair-donor',
+        step: 'hydration',
+        kind: 'atom',
+        prompt: (c, t) => t('quiz.electron-pair-donor.prompt', { ion: formatIon(c) }),
+        target: 'donor',
+        answerText: (c, t) => t('quiz.electron-pair-donor.answer'),
+        explain: (c, t) => t('quiz.electron-pair-donor.explain', { ion: formatIon(c) }),
+    },
+    {
+        id: 'leaving-atom',
+        step: 'hydrolysis-1',
+        kind: 'atom',
+        prompt: (c, t) => t('quiz.leaving-atom.prompt'),
+        target: 'proton',
+        answerText: (c, t) => t('quiz.leaving-atom.answer'),
+        explain: (c, t) => t('quiz.leaving-atom.explain', { ion: formatIon(c) }),
+    },
+    {
+        id: 'ph-direction',
+        step: 'hydrolysis-2',
+        kind: 'choice',
+        prompt: (c, t) => t('quiz.ph-direction.prompt'),
+        choices: (c, t) => [
+            { text: t('quiz.ph-direction.up'), correct: false },
+            { text: t('quiz.ph-direction.down'), correct: true },
+            { text: t('quiz.ph-direction.same'), correct: false },
+        ],
+        explain: (c, t) => t('quiz.ph-direction.explain'),
+    },
+    {
+        id: 'third-species',
+        step: 'hydrolysis-3',
+        species: 3,
+        kind: 'choice',
+        prompt: (c, t) => t('quiz.third-species.prompt'),
+        choices: (c) => [2, 3, 4]
+            .filter((k) => k <= maxSpecies(c))
+            .map((k) => ({ text: speciesFormula(c, k), correct: k === 3 })),
+        explain: (c, t) => t('quiz.third-species.explain', { species: speciesFormula(c, 3) }),
+    },
+    {
+        id: 'final-shape',
+        step: 'tetrahedral',
+        species: 4,
+        kind: 'choice',
+        prompt: (c, t) => t('quiz.final-shape.prompt'),
+        choices: (c, t) => [
+            { text: t('quiz.final-shape.octahedral'), correct: false },
+            { text: t('quiz.final-shape.squarePlanar'), correct: false },
+            { text: t('quiz.final-shape.tetrahedral'), correct: true },
+        ],
+        explain: (c, t) => t('quiz.final-shape.explain', { species: speciesFormula(c, 4) }),
+    },
+];
+
+// ── Export columns (CSV header order) ───────────────────────
+const CSV_COLUMNS = ['student', 'cation', 'stage', 'question', 'prompt', 'response', 'correct', 'time'];
+
+/* ---------------------------------------------------------
+ *  resultsToJSON(results) / resultsToCSV(results)
+ *
+ *  @param {{ student, score, total, responses }} results —
+ *         from getResults()
+ *  @returns {string}
+ * --------------------------------------------------------- */
+export function resultsToJSON(results) {
+    return JSON.stringify(results, null, 2);
+}
+
+export function resultsToCSV({ student, responses }) {
+    const rows = responses.map((r) => CSV_COLUMNS.map((key) => (key === 'student' ? student : r[key])));
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quoted when it holds a comma, quote or line break (RFC 4180).
+// Text that a spreadsheet would run as a formula (=, +, -, @,
+// tab, CR) gets a leading ' so the gradebook shows it as typed.
+function csvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* ---------------------------------------------------------
+ *  createQuiz({ root, a11y, i18n, getCation, getStructure, onAnswer })
+ *
+ *  @param {Document|ShadowRoot} root — holds #quiz-*
+ *  @param {{ announce }} a11y — from createA11y()
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => object} getCation — the displayed cation
+ *  @param {() => { waters }} getStructure — the displayed
+ *         complex, for atom questions
+ *  @param {(response: object) => void} [onAnswer] — called
+ *         with each recorded response
+ *  @returns {{ intercept, pick, close, isActive, setActive,
+ *              getResults, reset, relocalize, dispose }}
+ * --------------------------------------------------------- */
+export function createQuiz({ root, a11y, i18n, getCation: currentCation = getCation, getStructure, onAnswer = () => {} }) {
+
+    // ── State ──
+    let active = false;
+    let pending = null;        // { question, cation, stage, proceed, answered, correct }
+    const responses = [];
+    const asked = new Set();   // `${cation}:${question id}`
+
+    // ── DOM refs ──
+    const toggleBtn = root.getElementById('quiz-toggle');
+    const body = root.getElementById('quiz-body');
+    const scoreEl = root.getElementById('quiz-score');
+    const hint = root.getElementById('quiz-hint');
+    const card = root.getElementById('quiz-question');
+    const promptEl = root.getElementById('quiz-prompt');
+    const optionsEl = root.getElementById('quiz-options');
+    const feedback = root.getElementById('quiz-feedback');
+    const continueBtn = root.getElementById('quiz-continue');
+    const studentInput = root.getElementById('quiz-student');
+    const formatSelect = root.getElementById('quiz-format');
+    const exportBtn = root.getElementById('quiz-export');
+    const resetBtn = root.getElementById('quiz-reset');
+
+    toggleBtn?.addEventListener('click', () => setActive(!active));
+    continueBtn?.addEventListener('click', proceed);
+    resetBtn?.addEventListener('click', reset);
+    exportBtn?.addEventListener('click', () => {
+        const format = formatSelect?.value || 'json';
+        const results = getResults();
+        const name = (results.student || 'student').replace(/[^\w-]+/g, '_');
+        download(
+            `quiz-${name}.${format}`,
+            format === 'csv' ? resultsToCSV(results) : resultsToJSON(results),
+            format === 'csv' ? 'text/csv' : 'application/json',
+        );
+    });
+    updateScore();
+
+    /* -----------------------------------------------------
+     *  intercept(stage, stepId, proceed)
+     *
+     *  Called before every stage transition, with the lesson
+     *  step's id. Returns true when the quiz holds the
+     *  transition back to ask its question; `proceed` runs it
+     *  once the student continues.
+     * ----------------------------------------------------- */
+    function intercept(stage, stepId, proceed) {
+        if (!active) return false;
+        const cation = currentCation();
+        const question = QUIZ_QUESTIONS.find((q) => q.step === stepId
+            && (q.species ?? 0) <= maxSpecies(cation)
+            && !asked.has(`${cation.symbol}:${q.id}`));
+
+        // A different stage picked over an open question drops it
+        if (!question) {
+            closeQuestion();
+            return false;
+        }
+
+        pending = { question, cation, stage, proceed, answered: false };
+        showQuestion();
+        return true;
+    }
+
+    function showQuestion() {
+        const { question, cation } = pending;
+        const prompt = question.prompt(cation, i18n.t);
+        if (hint) hint.hidden = true;
+        if (card) card.hidden = false;
+        if (promptEl) promptEl.textContent = prompt;
+        if (feedback) {
+            feedback.textContent = '';
+            feedback.className = '';
+        }
+        if (continueBtn) continueBtn.hidden = true;
+
+        optionsEl?.replaceChildren();
+        if (question.kind === 'choice') {
+            for (const choice of question.choices(cation, i18n.t)) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'quiz-option';
+                btn.textContent = choice.text;
+                btn.addEventListener('click', () => answer(choice.text, choice.correct, btn));
+                optionsEl?.appendChild(btn);
+            }
+            optionsEl?.querySelector('button')?.focus();
+        } else {
+            const note = document.createElement('p');
+            note.className = 'quiz-note';
+            note.textContent = i18n.t('quiz.atomNote');
+            optionsEl?.appendChild(note);
+        }
+        a11y.announce(i18n.t('quiz.question', { prompt }));
+    }
+
+    /* -----------------------------------------------------
+     *  pick(mesh)
+     *  Returns true when an atom question consumed the click.
+     * ----------------------------------------------------- */
+    function pick(mesh) {
+        if (!pending || pending.answered || pending.question.kind !== 'atom') return false;
+        if (!mesh?.userData.element) return false;
+
+        const correct = ATOM_TARGETS[pending.question.target](mesh, getStructure());
+        const role = atomRole(mesh, i18n);
+        answer(`${mesh.name || mesh.userData.element}${role ? ` — ${role}` : ''}`, correct);
+        return true;
+    }
+
+    function answer(response, correct, button) {
+        if (!pending || pending.answered) return;
+        const { question, cation, stage } = pending;
+        pending.answered = true;
+        asked.add(`${cation.symbol}:${question.id}`);
+
+        const record = {
+            question: question.id,
+            stage,
+            cation: cation.symbol,
+            prompt: question.prompt(cation, i18n.t),
+            response,
+            correct,
+            time: new Date().toISOString(),
+        };
+        responses.push(record);
+        updateScore();
+        onAnswer(record);
+
+        // Mark the buttons: the pick, and the right one if missed
+        optionsEl?.querySelectorAll('.quiz-option').forEach((btn) => {
+            btn.disabled = true;
+            const right = question.choices(cation, i18n.t).find((c) => c.text === btn.textContent)?.correct;
+            btn.classList.toggle('correct', !!right);
+            btn.classList.toggle('wrong', btn === button && !correct);
+        });
+
+        pending.correct = correct;
+        showFeedback();
+        if (continueBtn) {
+            continueBtn.hidden = false;
+            continueBtn.focus();
+        }
+        a11y.announce(verdictText());
+    }
+
+    function verdictText() {
+        const { question, cation, correct } = pending;
+        const rightAnswer = question.kind === 'atom'
+            ? question.answerText(cation, i18n.t)
+            : question.choices(cation, i18n.t).find((c) => c.correct).text;
+        const verdict = correct ? i18n.t('quiz.correct') : i18n.t('quiz.wrong', { answer: rightAnswer });
+        return `${verdict} ${question.explain(cation, i18n.t)}`;
+    }
+
+    function showFeedback() {
+        if (!feedback) return;
+        feedback.textContent = verdictText();
+        feedback.className = pending.correct ? 'correct' : 'wrong';
+    }
+
+    // Plays the stage the question held back
+    function proceed() {
+        if (!pending) return;
+        const run = pending.proceed;
+        closeQuestion();
+        run();
+    }
+
+    function closeQuestion() {
+        pending = null;
+        if (card) card.hidden = true;
+        if (hint) hint.hidden = false;
+        optionsEl?.replaceChildren();
+    }
+
+    function updateScore() {
+        const score = responses.filter((r) => r.correct).length;
+        if (scoreEl) scoreEl.textContent = `${score} / ${responses.length}`;
+    }
+
+    /* -----------------------------------------------------
+     *  getResults()
+     *  Everything answered so far, as exported.
+     * ----------------------------------------------------- */
+    function getResults() {
+        return {
+            student: studentInput?.value.trim() || '',
+            score: responses.filter((r) => r.correct).length,
+            total: responses.length,
+            responses: responses.map((r) => ({ ...r })),
+        };
+    }
+
+    /* -----------------------------------------------------
+     *  reset()
+     *  Clears the score so every question is asked again.
+     * ----------------------------------------------------- */
+    function reset() {
+        responses.length = 0;
+        asked.clear();
+        closeQuestion();
+        updateScore();
+        a11y.announce(i18n.t('quiz.restarted'));
+    }
+
+    function isActive() {
+        return active;
+    }
+
+    // Switching off drops an open question; its stage stays put
+    function setActive(on) {
+        active = on;
+        if (!on) closeQuestion();
+        if (body) body.hidden = !on;
+        if (toggleBtn) {
+            toggleBtn.textContent = i18n.t(on ? 'toggle.on' : 'toggle.off');
+            toggleBtn.setAttribute('aria-pressed', String(on));
+            toggleBtn.classList.toggle('active', on);
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  relocalize()
+     *
+     *  After a language change: the toggle, and an open
+     *  question asked again in the new language (answered
+     *  ones keep their buttons and show the new feedback).
+     * ----------------------------------------------------- */
+    function relocalize() {
+        if (toggleBtn) toggleBtn.textContent = i18n.t(active ? 'toggle.on' : 'toggle.off');
+        if (!pending) return;
+        if (!pending.answered) {
+            showQuestion();
+            return;
+        }
+        const { question, cation } = pending;
+        if (promptEl) promptEl.textContent = question.prompt(cation, i18n.t);
+        const choices = question.kind === 'choice' ? question.choices(cation, i18n.t) : [];
+        optionsEl?.querySelectorAll('.quiz-option').forEach((btn, i) => {
+            if (choices[i]) btn.textContent = choices[i].text;
+        });
+        const note = optionsEl?.querySelector('.quiz-note');
+        if (note) note.textContent = i18n.t('quiz.atomNote');
+        showFeedback();
+    }
+
+    return {
+        intercept, pick, close: closeQuestion, isActive, setActive, getResults, reset, relocalize,
+        dispose: closeQuestion,
+    };
+}
@@ -0,0 +1,66 @@
+/* =========================================================
+ *  representations.js
+ *  Molecular display styles. Each entry says how big the atom
+ *  spheres are and how bonds are drawn; atoms.js and bonds.js
+ *  read it when the complex is (re)built.
+ *
+ *  atoms   display — teaching radii (RADII in atoms.js)
+ *          vdw     — true van der Waals radii (metal ions use
+ *                    their ionic radius; a cation has no vdW
+ *                    shell of its own)
+ *          stick   — same radius as the bonds
+ *          point   — tiny spheres, kept only for picking
+ *  bonds   cylinder — coordination bonds striped
+ *          line     — 1-pixel lines, coordination bonds dashed
+ *          none     — spheres overlap, nothing to draw
+ * ========================================================= */
+
+export const REPRESENTATIONS = {
+    'ball-and-stick': {
+        id: 'ball-and-stick', name: 'Ball & stick',
+        atoms: 'display', bonds: 'cylinder', bondRadius: 0.06,
+    },
+    'space-filling': {
+        id: 'space-filling', name: 'Space-filling',
+        atoms: 'vdw', bonds: 'none',
+    },
+    licorice: {
+        id: 'licorice', name: 'Licorice',
+        atoms: 'stick', bonds: 'cylinder', bondRadius: 0.14,
+    },
+    wireframe: {
+        id: 'wireframe', name: 'Wireframe',
+        atoms: 'point', bonds: 'line',
+    },
+};
+
+export const DEFAULT_REPRESENTATION = 'ball-and-stick';
+
+// ── van der Waals radii (Å, Bondi 1964; alkali / alkaline-earth
+//    from Mantina et al. 2009) ─────────────────────────────────
+export const VDW_RADII = {
+    H: 1.20,
+    C: 1.70,
+    N: 1.55,
+    O: 1.52,
+    F: 1.47,
+    Na: 2.27,
+    Mg: 1.73,
+    Si: 2.10,
+    P: 1.80,
+    S: 1.80,
+    Cl: 1.75,
+    K: 2.75,
+    Ca: 2.31,
+    Br: 1.85,
+    I: 1.98,
+};
+export const DEFAULT_VDW_RADIUS = 2.0;
+
+// Sphere radius for the 'point' atom style
+export const POINT_RADIUS = 0.07;
+
+/** Look up a representation, falling back to the default */
+export function getRepresentation(id = DEFAULT_REPRESENTATION) {
+    return REPRESENTATIONS[id] || REPRESENTATIONS[DEFAULT_REPRESENTATION];
+}
@@ -0,0 +1,57 @@
+/* =========================================================
+ *  scene.js
+ *  Scene setup shared by the viewer (viewer.js) and the
+ *  side-by-side comparison (compare.js): backdrop, fog and
+ *  light rig, and freeing a built complex.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { PALETTE } from './materials.js';
+
+/* ---------------------------------------------------------
+ *  createScene()
+ *  Empty scene on the palette background, with a subtle
+ *  fog for depth cue. Lights are added by addLighting().
+ * --------------------------------------------------------- */
+export function createScene() {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(PALETTE.background);
+    scene.fog = new THREE.FogExp2(PALETTE.background, 0.06);
+    return scene;
+}
+
+/* ---------------------------------------------------------
+ *  addLighting(scene)
+ *  Key, fill and rim lights over a soft ambient fill.
+ * --------------------------------------------------------- */
+export function addLighting(scene) {
+    // Soft ambient fill
+    scene.add(new THREE.AmbientLight(0xffffff, 0.4));
+
+    // Key light — slightly warm
+    const keyLight = new THREE.DirectionalLight(0xfff4e6, 1.0);
+    keyLight.position.set(5, 8, 4);
+    scene.add(keyLight);
+
+    // Fill light — cool blue, opposite side
+    const fillLight = new THREE.DirectionalLight(0xc4d9f5, 0.5);
+    fillLight.position.set(-4, 2, -3);
+    scene.add(fillLight);
+
+    // Rim / back light
+    const rimLight = new THREE.PointLight(0xffffff, 0.6, 20);
+    rimLight.position.set(0, -4, -5);
+    scene.add(rimLight);
+}
+
+/* ---------------------------------------------------------
+ *  disposeTree(root)
+ *  Frees the GPU buffers under `root` — every atom and bond
+ *  owns a cloned material.
+ * --------------------------------------------------------- */
+export function disposeTree(root) {
+    root.traverse((obj) => {
+        obj.geometry?.dispose();
+        obj.material?.dispose();
+    });
+}
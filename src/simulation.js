@@ -0,0 +1,268 @@
+/* =========================================================
+ *  simulation.js
+ *  Simulation mode: thermal motion of the atoms on screen,
+ *  integrated by the molecular-dynamics engine in md.js.
+ *
+ *  Turning it on freezes the stage timeline where it is and
+ *  hands the atom meshes to the integrator:
+ *
+ *  • Bonds     every bonded pair (covalent-radius test, as in
+ *              charges.js — so it works without drawn bonds)
+ *              is a harmonic spring, at rest at its current
+ *              length (the covalent-radius sum if stretched)
+ *  • Angles    every pair of bonds sharing an atom, at rest at
+ *              the current angle — except near-linear ones at
+ *              a metal (trans ligands)
+ *  • Charges   the point charges of charges.js
+ *  • LJ        per-element σ / ε (SPC oxygen, Dang chloride)
+ *
+ *  The temperature slider sets the thermostat target; pause
+ *  holds the atoms where they are and step advances one
+ *  frame's worth of time. Turning it off — or playing /
+ *  scrubbing the stage, or changing stage — puts the atoms
+ *  back where the stage left them.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { createMD } from './md.js';
+import { collectAtoms, findPairs, assignCharges } from './charges.js';
+import { COVALENT_RADII } from './molfile.js';
+
+// ── Integration ─────────────────────────────────────────────
+const TIMESTEP = 0.5;              // fs — resolves the O–H stretch
+const STEPS_PER_FRAME = 20;        // 10 fs of motion per frame
+const DEFAULT_TEMPERATURE = 298;   // K
+const STATUS_INTERVAL = 250;       // ms between readout updates
+
+// ── Force field ─────────────────────────────────────────────
+const BOND_WEIGHT = 0.5;           // pairs at least this bonded are springs
+const BOND_STIFFNESS = { 'H-O': 4431.5 };   // kJ mol⁻¹ Å⁻² (SPC/Fw)
+const DEFAULT_BOND_STIFFNESS = 1000;
+const ANGLE_STIFFNESS = 317.6;     // kJ mol⁻¹ rad⁻² (SPC/Fw H–O–H)
+const METAL_ANGLE_STIFFNESS = 150;
+const MAX_METAL_ANGLE = THREE.MathUtils.degToRad(150);
+
+// σ (Å), ε (kJ mol⁻¹)
+const LJ_PARAMS = {
+    H: [1.0, 0.08],                // small core so a loose proton can't sit on an O
+    C: [3.4, 0.36],
+    N: [3.25, 0.71],
+    O: [3.166, 0.65],
+    Cl: [4.4, 0.42],
+};
+const METAL_LJ = [2.0, 0.3];
+const DEFAULT_LJ = [3.0, 0.4];
+
+const ATOMIC_MASSES = {
+    H: 1.008, C: 12.011, N: 14.007, O: 15.999, F: 18.998, Na: 22.99,
+    Mg: 24.305, Al: 26.982, Si: 28.085, P: 30.974, S: 32.06, Cl: 35.45,
+    K: 39.098, Ca: 40.078, Cr: 51.996, Mn: 54.938, Fe: 55.845, Co: 58.933,
+    Ni: 58.693, Cu: 63.546, Zn: 65.38, Br: 79.904, I: 126.9,
+};
+const DEFAULT_MASS = 20;
+
+/* ---------------------------------------------------------
+ *  createSimulation({ scene, root, a11y, i18n, getTimeline })
+ *
+ *  @param {Document|ShadowRoot} root — holds #toggle-simulation
+ *         and #simulation-controls
+ *  @param {() => gsap.core.Timeline|null} getTimeline —
+ *         the active stage timeline
+ *  @returns {{ start, stop, isRunning, update, setTemperature,
+ *              setPaused, stepOnce, relocalize }}
+ * --------------------------------------------------------- */
+export function createSimulation({ scene, root, a11y, i18n, getTimeline }) {
+
+    // ── State ──
+    let run = null;            // { md, atoms, saved, timeline, time } while on
+    let paused = false;
+    let temperature = DEFAULT_TEMPERATURE;
+    let lastStatus = -Infinity;
+
+    const _v = new THREE.Vector3();
+
+    // ── DOM refs ──
+    const toggle = root.getElementById('toggle-simulation');
+    const controls = root.getElementById('simulation-controls');
+    const slider = root.getElementById('sim-temperature');
+    const sliderValue = root.getElementById('sim-temperature-value');
+    const pauseBtn = root.getElementById('sim-pause');
+    const stepBtn = root.getElementById('sim-step');
+    const status = root.getElementById('sim-status');
+
+    toggle?.addEventListener('change', () => (toggle.checked ? start() : stop()));
+    slider?.addEventListener('input', () => setTemperature(parseFloat(slider.value)));
+    pauseBtn?.addEventListener('click', () => setPaused(!paused));
+    stepBtn?.addEventListener('click', stepOnce);
+    syncControls();
+
+    /* -----------------------------------------------------
+     *  start() / stop()
+     * ----------------------------------------------------- */
+    function start() {
+        if (run) return;
+        const timeline = getTimeline();
+        timeline?.pause();
+
+        const atoms = collectAtoms(scene);
+        if (atoms.length === 0) {
+            syncControls();
+            return;
+        }
+        const saved = new Map(atoms.map(({ mesh }) => [mesh, mesh.position.clone()]));
+        run = {
+            md: createMD(buildTopology(atoms), { temperature, timestep: TIMESTEP }),
+            atoms,
+            saved,
+            timeline,
+            time: timeline?.time() ?? 0,
+        };
+        paused = false;
+        lastStatus = -Infinity;
+        syncControls();
+        a11y.announce(i18n.t('sim.started', { temperature: i18n.number(temperature, 0) }));
+    }
+
+    function stop() {
+        if (!run) {
+            syncControls();
+            return;
+        }
+        for (const [mesh, position] of run.saved) mesh.position.copy(position);
+        run = null;
+        syncControls();
+        a11y.announce(i18n.t('sim.stopped'));
+    }
+
+    function isRunning() {
+        return !!run;
+    }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Called from the render loop before the scene follows
+     *  the atoms. Playing or scrubbing the stage ends the
+     *  simulation and re-applies the timeline where it is.
+     * ----------------------------------------------------- */
+    function update() {
+        if (!run) return;
+        const tl = getTimeline();
+        if (tl !== run.timeline || (tl && (!tl.paused() || tl.time() !== run.time))) {
+            stop();
+            tl?.render(tl.totalTime(), false, true);
+            return;
+        }
+        if (!paused) advance();
+    }
+
+    function stepOnce() {
+        if (!run) return;
+        setPaused(true);
+        advance();
+    }
+
+    function advance() {
+        run.md.step(STEPS_PER_FRAME);
+        const { positions } = run.md;
+        run.atoms.forEach(({ mesh }, i) => {
+            _v.set(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]);
+            mesh.parent.worldToLocal(_v);
+            mesh.position.copy(_v);
+        });
+
+        const now = performance.now();
+        if (status && now - lastStatus >= STATUS_INTERVAL) {
+            lastStatus = now;
+            status.textContent = i18n.t('sim.status', {
+                time: i18n.number(run.md.getTime() / 1000, 2),
+                temperature: i18n.number(run.md.temperature(), 0),
+            });
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  setTemperature(kelvin) / setPaused(on)
+     * ----------------------------------------------------- */
+    function setTemperature(kelvin) {
+        if (!Number.isFinite(kelvin)) return;
+        temperature = THREE.MathUtils.clamp(kelvin, parseFloat(slider?.min ?? 0), parseFloat(slider?.max ?? 1000));
+        run?.md.setTemperature(temperature);
+        syncControls();
+    }
+
+    function setPaused(on) {
+        paused = on;
+        syncControls();
+    }
+
+    function syncControls() {
+        if (toggle) toggle.checked = !!run;
+        if (controls) controls.hidden = !run;
+        if (slider) slider.value = String(temperature);
+        if (sliderValue) sliderValue.textContent = i18n.t('sim.kelvin', { value: i18n.number(temperature, 0) });
+        if (pauseBtn) {
+            pauseBtn.textContent = i18n.t(paused ? 'sim.resume' : 'sim.pause');
+            pauseBtn.setAttribute('aria-pressed', String(paused));
+        }
+        if (status && !run) status.textContent = '';
+    }
+
+    function relocalize() {
+        lastStatus = -Infinity;
+        syncControls();
+    }
+
+    return { start, stop, isRunning, update, setTemperature, setPaused, stepOnce, relocalize };
+}
+
+/* ---------------------------------------------------------
+ *  buildTopology(atoms)
+ *  md.js topology for atoms from collectAtoms(), at rest in
+ *  their current arrangement.
+ * --------------------------------------------------------- */
+function buildTopology(atoms) {
+    const pairs = findPairs(atoms);
+    assignCharges(atoms, pairs, { atom: null, amount: 0 });
+    const index = new Map(atoms.map((atom, i) => [atom, i]));
+
+    const bonds = [];
+    const bonded = atoms.map(() => []);
+    for (const { a, b, weight } of pairs) {
+        if (weight < BOND_WEIGHT) continue;
+        const length = weight >= 1
+            ? a.position.distanceTo(b.position)
+            : (COVALENT_RADII[a.element] ?? 1.5) + (COVALENT_RADII[b.element] ?? 1.5);
+        const key = [a.element, b.element].sort().join('-');
+        const i = index.get(a);
+        const j = index.get(b);
+        bonds.push({ a: i, b: j, length, stiffness: BOND_STIFFNESS[key] ?? DEFAULT_BOND_STIFFNESS });
+        bonded[i].push(j);
+        bonded[j].push(i);
+    }
+
+    const angles = [];
+    bonded.forEach((neighbours, b) => {
+        const vertex = atoms[b];
+        for (let x = 0; x < neighbours.length; x++) {
+            for (let y = x + 1; y < neighbours.length; y++) {
+                const a = neighbours[x];
+                const c = neighbours[y];
+                const angle = atoms[a].position.clone().sub(vertex.position)
+                    .angleTo(atoms[c].position.clone().sub(vertex.position));
+                if (vertex.isMetal && angle > MAX_METAL_ANGLE) continue;
+                angles.push({ a, b, c, angle, stiffness: vertex.isMetal ? METAL_ANGLE_STIFFNESS : ANGLE_STIFFNESS });
+            }
+        }
+    });
+
+    const lj = atoms.map(({ element, isMetal }) => LJ_PARAMS[element] ?? (isMetal ? METAL_LJ : DEFAULT_LJ));
+    return {
+        positions: atoms.flatMap(({ position }) => [position.x, position.y, position.z]),
+        masses: atoms.map(({ element }) => ATOMIC_MASSES[element] ?? DEFAULT_MASS),
+        charges: atoms.map(({ charge }) => charge),
+        sigma: lj.map(([s]) => s),
+        epsilon: lj.map(([, e]) => e),
+        bonds,
+        angles,
+    };
+}
@@ -0,0 +1,520 @@
+/* =========================================================
+ *  solvent.js
+ *  Optional bulk-water box around the complex, and the
+ *  hydrogen bonds its coordinated waters donate into it.
+ *
+ *  • Second shell: one water accepting an H-bond along each
+ *                  coordinated O–H (O···O 2.75 Å), lone pairs
+ *                  facing the proton; where two would overlap
+ *                  a single water bridges both
+ *  • Bulk:         a jittered lattice at liquid density
+ *                  (0.0334 molecules Å⁻³), randomly oriented,
+ *                  with nothing closer than a contact distance
+ *
+ *  Positions come from a seeded generator, so the same complex
+ *  always gets the same box. A few hundred molecules are drawn
+ *  as three instanced meshes (O, H, O–H bonds), faded so the
+ *  complex stays the focus.
+ *
+ *  Hydrogen bonds are found geometrically every frame — H···O
+ *  within HBOND_MAX and an O–H···O angle of at least
+ *  HBOND_MIN_ANGLE — so they follow, break and re-form as the
+ *  stage animations move the coordinated waters.
+ *
+ *  generateRelayChain() lays out the H-bonded wire of waters
+ *  the Grotthuss relay in stages.js hands the proton along.
+ * ========================================================= */
+
+import * as THREE from 'three';
+import {
+    oxygenMaterial,
+    hydrogenMaterial,
+    covalentBondMaterial,
+    covalentCylinderMaterial,
+    hydrogenBondMaterial,
+    createSolventVariant,
+} from './materials.js';
+import { atomRadius, isDisplayed } from './atoms.js';
+import { getRepresentation } from './representations.js';
+
+// Water geometry in its own frame: O at the origin, H–O–H in
+// the xy plane, lone pairs towards −y (shared with the free
+// water in stages.js)
+export const WATER_HYDROGENS = [
+    new THREE.Vector3(0.76, 0.58, 0),
+    new THREE.Vector3(-0.76, 0.58, 0),
+];
+
+// ── Box ─────────────────────────────────────────────────────
+const WATER_DENSITY = 0.0334;          // molecules / Å³ at 25 °C
+const LATTICE = Math.cbrt(1 / WATER_DENSITY);   // ≈ 3.1 Å
+const CELLS = 7;                       // per side → 343 sites
+const JITTER = 0.35;                   // Å
+const SHELL_O_O = 2.75;                // second-shell O···O along each O–H
+const SHELL_TWISTS = 8;                // orientations tried per site
+const SEED = 0x5eed;
+
+// Closest allowed approach (Å) between a solvent atom and any
+// other atom. H···O is short enough to allow an H-bond.
+const CONTACT = { OO: 2.6, HO: 1.6, HH: 1.8, metal: 3.4 };
+
+// ── Hydrogen-bond criteria ──────────────────────────────────
+const HBOND_MAX = 2.5;                 // Å  H···O
+const HBOND_MIN = 1.3;                 // Å  closer is a covalent bond
+const HBOND_MIN_ANGLE = 120;           // °  O–H···O
+const OH_MAX = 1.25;                   // Å  donor O–H still bonded
+
+// ── Proton wire (Grotthuss relay) ───────────────────────────
+const RELAY_O_O = 2.6;                 // Å — short, strong H-bonds along the wire
+const RELAY_TURN = THREE.MathUtils.degToRad(180 - 109.5);  // O···O···O near tetrahedral
+
+const SPHERE_SEGMENTS = 16;
+const CYLINDER_SEGMENTS = 8;
+const UP = new THREE.Vector3(0, 1, 0);
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+/* ---------------------------------------------------------
+ *  generateSolvent(atoms, donors, random)
+ *
+ *  @param {Array<{ element, position, isMetal }>} atoms —
+ *         the complex, world space
+ *  @param {Array<{ o: Vector3, h: Vector3 }>} donors —
+ *         coordinated O–H bonds to seed the second shell
+ *  @param {() => number} random — uniform in [0, 1)
+ *  @returns {Array<{ o, h: Vector3[], quaternion }>}
+ * --------------------------------------------------------- */
+export function generateSolvent(atoms, donors, random) {
+    const molecules = [];
+    const centre = new THREE.Vector3();
+    for (const atom of atoms) centre.add(atom.position);
+    if (atoms.length) centre.divideScalar(atoms.length);
+
+    // ── Second shell: an acceptor along each coordinated O–H.
+    //    Two that would overlap merge into one water accepting
+    //    from both protons. ──
+    const sites = [];
+    for (const { o, h } of donors) {
+        const position = o.clone().addScaledVector(new THREE.Vector3().subVectors(h, o).normalize(), SHELL_O_O);
+        const near = sites.find((site) => site.protons.length === 1
+            && site.position.distanceTo(position) < CONTACT.OO);
+        if (near) {
+            near.position.add(position).multiplyScalar(0.5);
+            near.protons.push(h);
+        } else {
+            sites.push({ position, protons: [h] });
+        }
+    }
+
+    // Lone pairs (local −y) face the protons; turn about that
+    // axis until the acceptor's own protons fit
+    const twist = new THREE.Quaternion();
+    for (const { position, protons } of sites) {
+        const away = position.clone();
+        for (const h of protons) away.addScaledVector(h, -1 / protons.length);
+        away.normalize();
+        const start = random() * Math.PI * 2;
+        for (let attempt = 0; attempt < SHELL_TWISTS; attempt++) {
+            const quaternion = new THREE.Quaternion().setFromUnitVectors(UP, away)
+                .premultiply(twist.setFromAxisAngle(away, start + attempt * Math.PI * 2 / SHELL_TWISTS));
+            if (tryPlace(molecules, atoms, position, quaternion)) break;
+        }
+    }
+
+    // ── Bulk: jittered lattice, random orientations ──
+    const start = -(CELLS - 1) / 2 * LATTICE;
+    for (let i = 0; i < CELLS; i++) {
+        for (let j = 0; j < CELLS; j++) {
+            for (let k = 0; k < CELLS; k++) {
+                const o = new THREE.Vector3(
+                    start + i * LATTICE + (random() * 2 - 1) * JITTER,
+                    start + j * LATTICE + (random() * 2 - 1) * JITTER,
+                    start + k * LATTICE + (random() * 2 - 1) * JITTER,
+                ).add(centre);
+                tryPlace(molecules, atoms, o, randomQuaternion(random));
+            }
+        }
+    }
+
+    return molecules;
+}
+
+function tryPlace(molecules, atoms, o, quaternion) {
+    const h = WATER_HYDROGENS.map((p) => p.clone().applyQuaternion(quaternion).add(o));
+    const candidate = [{ element: 'O', position: o }, ...h.map((p) => ({ element: 'H', position: p }))];
+
+    for (const atom of atoms) {
+        for (const c of candidate) {
+            if (c.position.distanceTo(atom.position) < contact(c.element, atom)) return false;
+        }
+    }
+    for (const other of molecules) {
+        if (other.o.distanceTo(o) > CONTACT.OO + 2) continue;
+        const atomsOf = [{ element: 'O', position: other.o }, ...other.h.map((p) => ({ element: 'H', position: p }))];
+        for (const atom of atomsOf) {
+            for (const c of candidate) {
+                if (c.position.distanceTo(atom.position) < contact(c.element, atom)) return false;
+            }
+        }
+    }
+
+    molecules.push({ o, h, quaternion });
+    return true;
+}
+
+function contact(element, atom) {
+    if (atom.isMetal) return CONTACT.metal;
+    if (element === 'H' && atom.element === 'H') return CONTACT.HH;
+    if (element === 'H' || atom.element === 'H') return CONTACT.HO;
+    return CONTACT.OO;
+}
+
+// Uniform random rotation (Shoemake 1992)
+function randomQuaternion(random) {
+    const u1 = random(), u2 = random() * Math.PI * 2, u3 = random() * Math.PI * 2;
+    const a = Math.sqrt(1 - u1), b = Math.sqrt(u1);
+    return new THREE.Quaternion(a * Math.sin(u2), a * Math.cos(u2), b * Math.sin(u3), b * Math.cos(u3));
+}
+
+// Small seeded generator (mulberry32)
+function seededRandom(seed) {
+    let s = seed >>> 0;
+    return () => {
+        s = (s + 0x6d2b79f5) >>> 0;
+        let t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/* ---------------------------------------------------------
+ *  generateRelayChain(origin, direction, count)
+ *
+ *  A zig-zag wire of `count` waters leading away from the
+ *  oxygen at `origin`, the first along `direction` (the O–H
+ *  of the hydronium that passes the proton on). Each water
+ *  takes an H-bond from the one before on its lone-pair side
+ *  and points its first proton (WATER_HYDROGENS[0]) at the
+ *  next, ready to hand it on.
+ *
+ *  @returns {Array<{ position, quaternion }>}
+ * --------------------------------------------------------- */
+export function generateRelayChain(origin, direction, count) {
+    const chain = [];
+    const dir = direction.clone().normalize();
+    const axis = new THREE.Vector3().crossVectors(dir, UP);
+    if (axis.lengthSq() < 1e-6) axis.set(1, 0, 0);
+    axis.normalize();
+
+    const position = origin.clone();
+    for (let i = 0; i < count; i++) {
+        position.addScaledVector(dir, RELAY_O_O);
+        const back = dir.clone().negate();
+        dir.applyAxisAngle(axis, i % 2 ? -RELAY_TURN : RELAY_TURN);
+        chain.push({ position: position.clone(), quaternion: orientWater(dir, back) });
+    }
+    return chain;
+}
+
+// Rotation taking the template's first O–H onto `forward`, with
+// its lone pairs (−y) turned toward `back`
+function orientWater(forward, back) {
+    const lu = WATER_HYDROGENS[0].clone().normalize();
+    const lv = new THREE.Vector3(0, -1, 0).addScaledVector(lu, lu.y).normalize();
+    const local = new THREE.Matrix4().makeBasis(lu, lv, new THREE.Vector3().crossVectors(lu, lv));
+
+    const wv = back.clone().addScaledVector(forward, -back.dot(forward)).normalize();
+    const world = new THREE.Matrix4().makeBasis(forward, wv, new THREE.Vector3().crossVectors(forward, wv));
+
+    return new THREE.Quaternion().setFromRotationMatrix(world.multiply(local.transpose()));
+}
+
+/* ---------------------------------------------------------
+ *  findHydrogenBond(o, h, acceptors)
+ *
+ *  Index of the acceptor O nearest to `h` that meets the
+ *  geometric criteria, or −1.
+ *
+ *  @param {THREE.Vector3}   o, h — donor oxygen and its proton
+ *  @param {Array<THREE.Vector3|null>} acceptors — candidate
+ *         oxygens (null entries are skipped)
+ * --------------------------------------------------------- */
+const _ho = new THREE.Vector3();
+const _ha = new THREE.Vector3();
+const MIN_COS = Math.cos(THREE.MathUtils.degToRad(HBOND_MIN_ANGLE));
+
+export function findHydrogenBond(o, h, acceptors) {
+    let best = -1;
+    let bestDistance = HBOND_MAX;
+    _ho.subVectors(o, h);
+    const hoLength = _ho.length();
+    if (hoLength === 0 || hoLength > OH_MAX) return -1;
+
+    acceptors.forEach((a, i) => {
+        if (!a) return;
+        _ha.subVectors(a, h);
+        const d = _ha.length();
+        if (d < HBOND_MIN || d >= bestDistance) return;
+        // Angle at H between O_donor and O_acceptor
+        if (_ho.dot(_ha) / (hoLength * d) > MIN_COS) return;
+        best = i;
+        bestDistance = d;
+    });
+    return best;
+}
+
+/* ---------------------------------------------------------
+ *  createSolvent({ scene })
+ *
+ *  @returns {{ build, clear, update, findAcceptor, makeRoom,
+ *              getStats, dispose }}
+ * --------------------------------------------------------- */
+export function createSolvent({ scene }) {
+
+    // ── State ──
+    let current = null;        // { group, molecules, acceptors, donors, … } while shown
+    let hbondCount = 0;
+
+    const _o = new THREE.Vector3();
+    const _h = new THREE.Vector3();
+
+    /* -----------------------------------------------------
+     *  build(structure, representation)
+     *  (Re)fills the box around { complex, waters } — call
+     *  with the complex at rest.
+     * ----------------------------------------------------- */
+    function build({ complex, waters }, representation = getRepresentation()) {
+        clear();
+
+        complex.updateWorldMatrix(true, true);
+        const atoms = [];
+        complex.traverse((obj) => {
+            if (!obj.isMesh || !obj.userData.element) return;
+            atoms.push({
+                element: obj.userData.element,
+                isMetal: !!obj.userData.isMetal,
+                position: obj.getWorldPosition(new THREE.Vector3()),
+            });
+        });
+
+        // Every coordinated O–H donates into the second shell
+        const donors = [];
+        for (const water of waters) {
+            const o = water.children.find((c) => c.userData.element === 'O');
+            if (!o) continue;
+            for (const h of water.children.filter((c) => c.userData.element === 'H')) {
+                donors.push({ o, h });
+            }
+        }
+        const molecules = generateSolvent(atoms, donors.map(({ o, h }) => ({
+            o: o.getWorldPosition(new THREE.Vector3()),
+            h: h.getWorldPosition(new THREE.Vector3()),
+        })), seededRandom(SEED));
+
+        const group = new THREE.Group();
+        group.name = 'Solvent';
+        current = {
+            group,
+            molecules,
+            donors,
+            acceptors: molecules.map((m) => m.o),    // null while moved aside
+            claimed: new Set(),                      // stood in for by the free water
+            ...buildMeshes(group, molecules, representation),
+            hbonds: buildHydrogenBondLines(group, donors.length),
+        };
+        scene.add(group);
+        update();
+    }
+
+    function buildMeshes(group, molecules, representation) {
+        const n = molecules.length;
+        const oxygens = new THREE.InstancedMesh(
+            new THREE.SphereGeometry(atomRadius('O', representation), SPHERE_SEGMENTS, SPHERE_SEGMENTS),
+            createSolventVariant(oxygenMaterial), n);
+        const hydrogens = new THREE.InstancedMesh(
+            new THREE.SphereGeometry(atomRadius('H', representation), SPHERE_SEGMENTS, SPHERE_SEGMENTS),
+            createSolventVariant(hydrogenMaterial), n * 2);
+        oxygens.name = 'SolventO';
+        hydrogens.name = 'SolventH';
+        group.add(oxygens, hydrogens);
+
+        let bonds = null;
+        if (representation.bonds === 'cylinder') {
+            const r = representation.bondRadius;
+            bonds = new THREE.InstancedMesh(
+                new THREE.CylinderGeometry(r, r, 1, CYLINDER_SEGMENTS, 1, true),
+                createSolventVariant(covalentCylinderMaterial), n * 2);
+        } else if (representation.bonds === 'line') {
+            const geo = new THREE.BufferGeometry();
+            geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * 4 * 3), 3));
+            bonds = new THREE.LineSegments(geo, createSolventVariant(covalentBondMaterial));
+        }
+        if (bonds) {
+            bonds.name = 'SolventBonds';
+            group.add(bonds);
+        }
+
+        const meshes = { oxygens, hydrogens, bonds };
+        molecules.forEach((m, i) => setMolecule(meshes, m, i, true));
+        oxygens.computeBoundingSphere();
+        hydrogens.computeBoundingSphere();
+        bonds?.computeBoundingSphere();
+        return meshes;
+    }
+
+    const _m = new THREE.Matrix4();
+    const _q = new THREE.Quaternion();
+    const _mid = new THREE.Vector3();
+    const _dir = new THREE.Vector3();
+    const _scale = new THREE.Vector3();
+
+    // Writes (or collapses) molecule i's instances
+    function setMolecule({ oxygens, hydrogens, bonds }, m, i, shown) {
+        oxygens.setMatrixAt(i, shown ? _m.makeTranslation(m.o) : HIDDEN);
+        m.h.forEach((h, j) => {
+            hydrogens.setMatrixAt(i * 2 + j, shown ? _m.makeTranslation(h) : HIDDEN);
+
+            if (bonds?.isInstancedMesh) {
+                _dir.subVectors(h, m.o);
+                const length = _dir.length();
+                _q.setFromUnitVectors(UP, _dir.divideScalar(length));
+                _mid.addVectors(m.o, h).multiplyScalar(0.5);
+                bonds.setMatrixAt(i * 2 + j, shown ? _m.compose(_mid, _q, _scale.set(1, length, 1)) : HIDDEN);
+            } else if (bonds) {
+                const pos = bonds.geometry.attributes.position;
+                const end = shown ? h : m.o;
+                pos.setXYZ(i * 4 + j * 2, m.o.x, m.o.y, m.o.z);
+                pos.setXYZ(i * 4 + j * 2 + 1, end.x, end.y, end.z);
+            }
+        });
+        oxygens.instanceMatrix.needsUpdate = true;
+        hydrogens.instanceMatrix.needsUpdate = true;
+        if (bonds?.isInstancedMesh) bonds.instanceMatrix.needsUpdate = true;
+        else if (bonds) bonds.geometry.attributes.position.needsUpdate = true;
+    }
+
+    function buildHydrogenBondLines(group, capacity) {
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(Math.max(1, capacity) * 2 * 3), 3));
+        const lines = new THREE.LineSegments(geo, hydrogenBondMaterial.clone());
+        lines.name = 'HydrogenBonds';
+        lines.frustumCulled = false;    // endpoints move every frame
+        group.add(lines);
+        return lines;
+    }
+
+    /* -----------------------------------------------------
+     *  update()
+     *  Called from the render loop: re-detects the hydrogen
+     *  bonds from the coordinated waters into the solvent.
+     * ----------------------------------------------------- */
+    function update() {
+        if (!current) return;
+        const { donors, acceptors, hbonds } = current;
+        const pos = hbonds.geometry.attributes.position;
+
+        let count = 0;
+        for (const { o, h } of donors) {
+            if (!isDisplayed(o) || !isDisplayed(h)) continue;
+            o.getWorldPosition(_o);
+            h.getWorldPosition(_h);
+            const i = findHydrogenBond(_o, _h, acceptors);
+            if (i < 0) continue;
+            const a = acceptors[i];
+            pos.setXYZ(count * 2, _h.x, _h.y, _h.z);
+            pos.setXYZ(count * 2 + 1, a.x, a.y, a.z);
+            count++;
+        }
+        pos.needsUpdate = true;
+        hbonds.geometry.setDrawRange(0, count * 2);
+        hbonds.computeLineDistances();  // required for dashes to render
+        hbondCount = count;
+    }
+
+    /* -----------------------------------------------------
+     *  findAcceptor(h)
+     *
+     *  The solvent water a coordinated proton is H-bonded to,
+     *  or null (no box shown, or no H-bond). claim() hides the
+     *  molecule so the stage's own free water can take its
+     *  place; release() shows it again.
+     *
+     *  @param {THREE.Mesh} h — a proton of a coordinated water
+     *  @returns {{ position, quaternion, claim, release } | null}
+     * ----------------------------------------------------- */
+    function findAcceptor(h) {
+        if (!current) return null;
+        const donor = current.donors.find((d) => d.h === h);
+        if (!donor) return null;
+        const i = findHydrogenBond(donor.o.getWorldPosition(_o), h.getWorldPosition(_h), current.acceptors);
+        if (i < 0) return null;
+
+        const owner = current;
+        const m = owner.molecules[i];
+        const show = (shown) => {
+            if (current !== owner) return;
+            if (shown) owner.claimed.delete(i);
+            else owner.claimed.add(i);
+            setMolecule(owner, m, i, shown);
+        };
+        return {
+            position: m.o.clone(),
+            quaternion: m.quaternion.clone(),
+            claim: () => show(false),
+            release: () => show(true),
+        };
+    }
+
+    /* -----------------------------------------------------
+     *  makeRoom(points, radius)
+     *
+     *  Hides the solvent waters whose O lies within `radius`
+     *  of any point, e.g. where the relay chain goes, and
+     *  drops them as H-bond acceptors.
+     *
+     *  @returns {() => void} puts them back
+     * ----------------------------------------------------- */
+    function makeRoom(points, radius = CONTACT.OO) {
+        if (!current) return () => {};
+        const owner = current;
+        const moved = [];
+        owner.molecules.forEach((m, i) => {
+            if (!owner.acceptors[i] || owner.claimed.has(i)) return;
+            if (!points.some((p) => p.distanceTo(m.o) < radius)) return;
+            owner.acceptors[i] = null;
+            setMolecule(owner, m, i, false);
+            moved.push(i);
+        });
+        return () => {
+            if (current !== owner) return;
+            for (const i of moved) {
+                owner.acceptors[i] = owner.molecules[i].o;
+                setMolecule(owner, owner.molecules[i], i, true);
+            }
+        };
+    }
+
+    /** { molecules, hydrogenBonds } currently shown */
+    function getStats() {
+        return { molecules: current?.molecules.length ?? 0, hydrogenBonds: current ? hbondCount : 0 };
+    }
+
+    /* -----------------------------------------------------
+     *  clear()
+     *  Removes the box (also before every rebuild).
+     * ----------------------------------------------------- */
+    function clear() {
+        if (!current) return;
+        const { group } = current;
+        scene.remove(group);
+        group.traverse((obj) => {
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+            if (obj.isInstancedMesh) obj.dispose();
+        });
+        current = null;
+        hbondCount = 0;
+    }
+
+    return { build, clear, update, findAcceptor, makeRoom, getStats, dispose: clear };
+}
@@ -0,0 +1,101 @@
+/* =========================================================
+ *  speciation.js
+ *  Acid–base equilibrium maths for a hydrolysing cation.
+ *
+ *  Model
+ *  ─────
+ *  • Species k (0 … n) has lost k protons:
+ *      [M(H₂O)₆]ⁿ⁺ ⇌ [M(H₂O)₅OH] + H⁺ ⇌ …   (Ka₁ … Kaₙ)
+ *  • Fractions:  αₖ ∝ (Ka₁·…·Kaₖ) / [H⁺]ᵏ,   Σ αₖ = 1
+ *  • Equilibrium pH of the pure salt solution from the
+ *    charge balance  [H⁺] = Kw/[H⁺] + C·n̄,  n̄ = Σ k·αₖ
+ *
+ *  Monomeric species only — polynuclear ions and hydroxide
+ *  precipitation are ignored, as in the introductory unit.
+ *  No DOM access: everything here is plain arithmetic.
+ * ========================================================= */
+
+// ── Constants ───────────────────────────────────────────────
+export const PKW = 14.0;              // water at 25 °C
+export const PH_MIN = 0;
+export const PH_MAX = 14;
+
+const BISECTION_STEPS = 60;
+
+/* ---------------------------------------------------------
+ *  speciesFractions(pKa, pH)
+ *
+ *  @param {number[]} pKa — stepwise pKa₁ … pKaₙ
+ *  @param {number}   pH
+ *  @returns {number[]} α₀ … αₙ (sums to 1)
+ * --------------------------------------------------------- */
+export function speciesFractions(pKa, pH) {
+    // Work in log space so pH 0 / pKa 14 never overflows
+    const logTerms = [0];
+    let cumulative = 0;
+    for (let k = 0; k < pKa.length; k++) {
+        cumulative += pH - pKa[k];          // log(Kaₖ / [H⁺])
+        logTerms.push(cumulative);
+    }
+
+    const maxLog = Math.max(...logTerms);
+    const terms = logTerms.map((t) => Math.pow(10, t - maxLog));
+    const total = terms.reduce((a, b) => a + b, 0);
+    return terms.map((t) => t / total);
+}
+
+/* ---------------------------------------------------------
+ *  meanProtonsReleased(pKa, pH)
+ *  n̄ = Σ k·αₖ — protons released per metal ion.
+ * --------------------------------------------------------- */
+export function meanProtonsReleased(pKa, pH) {
+    return speciesFractions(pKa, pH).reduce((sum, a, k) => sum + k * a, 0);
+}
+
+/* ---------------------------------------------------------
+ *  equilibriumPH(pKa, concentration)
+ *
+ *  Solves the charge balance by bisection. The residual
+ *  falls monotonically with pH, so the root is unique.
+ *
+ *  @param {number[]} pKa
+ *  @param {number}   concentration — total metal, mol L⁻¹
+ *  @returns {number} pH, or NaN for a non-positive input
+ * --------------------------------------------------------- */
+export function equilibriumPH(pKa, concentration) {
+    if (!(concentration > 0)) return NaN;
+
+    const residual = (pH) => {
+        const h = Math.pow(10, -pH);
+        const oh = Math.pow(10, pH - PKW);
+        return h - oh - concentration * meanProtonsReleased(pKa, pH);
+    };
+
+    let lo = PH_MIN;
+    let hi = PH_MAX;
+    for (let i = 0; i < BISECTION_STEPS; i++) {
+        const mid = (lo + hi) / 2;
+        if (residual(mid) > 0) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/* ---------------------------------------------------------
+ *  distributionCurves(pKa, samples)
+ *
+ *  Samples αₖ(pH) across PH_MIN … PH_MAX for plotting.
+ *  @returns {{ pH: number[], fractions: number[][] }}
+ *           fractions[k][i] is αₖ at pH[i]
+ * --------------------------------------------------------- */
+export function distributionCurves(pKa, samples = 141) {
+    const pH = [];
+    const fractions = Array.from({ length: pKa.length + 1 }, () => []);
+
+    for (let i = 0; i < samples; i++) {
+        const x = PH_MIN + (PH_MAX - PH_MIN) * (i / (samples - 1));
+        pH.push(x);
+        speciesFractions(pKa, x).forEach((a, k) => fractions[k].push(a));
+    }
+    return { pH, fractions };
+}
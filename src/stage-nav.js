@@ -0,0 +1,87 @@
+/* =========================================================
+ *  stage-nav.js
+ *  The row of stage buttons under a viewer or comparison:
+ *  one button per lesson step, the active one marked, steps
+ *  without pKa data switched off, and the digit keys as
+ *  shortcuts.
+ * ========================================================= */
+
+/* ---------------------------------------------------------
+ *  createStageNav({ root, nav, i18n, getLesson, getStage,
+ *                   missingData, onSelect, keyTarget, signal })
+ *
+ *  @param {Document|ShadowRoot} root — holds the buttons
+ *  @param {HTMLElement|null} nav — the #stage-controls element
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => object} getLesson — the running lesson
+ *  @param {() => number} getStage — the active step index
+ *  @param {(stage: number) => string[]} missingData — ions
+ *         with no pKa data for the step (empty: available)
+ *  @param {(stage: number) => void} onSelect — a button click
+ *         or digit key
+ *  @param {EventTarget} keyTarget — where digit keys count
+ *         (the window in page mode, else the shadow root)
+ *  @param {AbortSignal} signal — removes the key listener
+ *  @returns {{ render, sync }}
+ * --------------------------------------------------------- */
+export function createStageNav({ root, nav, i18n, getLesson, getStage, missingData, onSelect, keyTarget, signal }) {
+    let buttons = [];
+
+    /* -----------------------------------------------------
+     *  render()
+     *  Rebuilds the buttons from the lesson's steps — after a
+     *  lesson or language change.
+     * ----------------------------------------------------- */
+    function render() {
+        if (!nav) return;
+        const lesson = getLesson();
+        buttons = lesson.steps.map((step, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'stage-btn';
+            btn.dataset.stage = String(i);
+            if (i < 10) btn.setAttribute('aria-keyshortcuts', String(i));
+
+            const num = document.createElement('span');
+            num.className = 'stage-num';
+            num.textContent = String(i);
+            const label = document.createElement('span');
+            label.className = 'stage-label';
+            label.textContent = i18n.bidi(i18n.localize(step.label));
+            btn.append(num, label);
+
+            btn.addEventListener('click', () => onSelect(i));
+            return btn;
+        });
+        nav.replaceChildren(...buttons);
+        nav.setAttribute('aria-label', i18n.localize(lesson.title) || i18n.t('nav.stages'));
+        sync();
+    }
+
+    /* -----------------------------------------------------
+     *  sync()
+     *  Marks the active button and switches off steps the
+     *  cation has no pKa for, naming the ion in the tooltip.
+     * ----------------------------------------------------- */
+    function sync() {
+        const current = getStage();
+        for (const btn of buttons) {
+            const stage = parseInt(btn.dataset.stage, 10);
+            const ions = missingData(stage);
+            btn.classList.toggle('active', stage === current);
+            btn.disabled = ions.length > 0;
+            btn.title = ions.length ? i18n.t('nav.noData', { ion: ions.join(', ') }) : '';
+        }
+    }
+
+    // Digit keys pick a stage
+    keyTarget.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        // composedPath()[0] sees through the shadow boundary
+        if (event.composedPath()[0]?.closest?.('input, select, textarea')) return;
+        if (root.querySelector(`.stage-btn[data-stage="${event.key}"]`)) {
+            onSelect(parseInt(event.key, 10));
+        }
+    }, { signal });
+
+    return { render, sync };
+}
@@ -2,374 +2,1190 @@
  *  stages.js
  *  GSAP-driven stage animations for progressive disclosure.
  *
- *  State machine
- *  ─────────────
- *  Stage 0 — Complex     Show the [Al(H₂O)₆]³⁺ complex
- *  Stage 1 — Dissolution Explode lattice ions outward
- *  Stage 2 — Hydration   Waters converge onto Al³⁺
+ *  The stage sequence is a lesson script (lesson.js): each
+ *  step lists its text, camera keyframes and timed actions,
+ *  and goToStage() builds that step's timeline from them.
+ *  The built-in lesson (lessons/default.json) runs:
+ *
+ *  Stage 0 — Complex     Show the [M(H₂O)₆]ⁿ⁺ complex
+ *  Stage 1 — Dissolution MClₙ crystal fragment breaks apart as
+ *                        water arrives (lattice.js)
+ *  Stage 2 — Hydration   Waters converge onto Mⁿ⁺
  *  Stage 3 — Hydrolysis  Polarisation glow → H⁺ detaches → H₃O⁺
+ *  Stage 4 — 2nd proton  A cis water deprotonates → [M(H₂O)₄(OH)₂]
+ *  Stage 5 — 3rd proton  fac-M(OH)₃(H₂O)₃, the neutral hydroxide
+ *  Stage 6 — Tetrahedral 4th proton leaves, two waters depart and
+ *                        the octahedron collapses to [M(OH)₄]
+ *
+ *  Choreography that plain moves can't express is built in
+ *  as presets: the lattice breaking up, a deprotonation
+ *  (earlier protons already gone — steps are cumulative),
+ *  the tetrahedral fold and the Grotthuss relay, which runs
+ *  once proton hops are set (see setProtonHops). The
+ *  polarisation glow scales with the cation's charge
+ *  density, so Na⁺ barely glows while Al³⁺ / Fe³⁺ blaze.
+ *
+ *  createStages() returns one state machine per viewer.
  * ========================================================= */
 
 import * as THREE from 'three';
 import { gsap } from 'gsap';
-import { PALETTE, createElectronDensityVariant, oxygenMaterial } from './materials.js';
-import { createFreeLabel } from './labels.js';
+import {
+    PALETTE,
+    createElectronDensityVariant,
+    oxygenMaterial,
+    restingMaterial,
+    setAtomMaterial,
+} from './materials.js';
+import { prefersReducedMotion } from './a11y.js';
+import { atomRadius } from './atoms.js';
+import { createBond } from './bonds.js';
+import { getRepresentation } from './representations.js';
+import { WATER_HYDROGENS, generateRelayChain } from './solvent.js';
+import { buildLattice } from './lattice.js';
+import { validateLesson, fillTemplate } from './lesson.js';
+import {
+    getCation,
+    formatIon,
+    hydrolysisEquation,
+    polarisingStrength,
+    maxSpecies,
+} from './cations.js';
 
-// ── Saved initial state ─────────────────────────────────────
-const savedPositions = new Map();    // mesh → { x, y, z }
-const savedMaterials = new Map();    // mesh → material
+// Peak emissive intensities for the strongest cation in the table
+const MAX_O_GLOW = 0.8;
+const MAX_METAL_GLOW = 0.3;
 
-// ── References (set once by init) ───────────────────────────
-let _scene, _camera, _controls, _complex, _al, _waters, _bondsGroup;
-let _freeWater = null;     // the extra H₂O that becomes H₃O⁺
-let _activeTimeline = null;
+// O–H length of the new bond as the proton lands on the acceptor
+const R_O_H = 0.96;
 
-// ── Stage description element ───────────────────────────────
-const stageDesc = document.getElementById('stage-desc');
+// Dissolution: lattice ions end ION_SPREAD × as far from the
+// metal (± ION_JITTER Å) — past bonds.js' break stretch for
+// every contact
+const ION_SPREAD = 2.5;
+const ION_JITTER = 0.4;
 
-const STAGE_DESCRIPTIONS = [
-    'The octahedral aqua complex [Al(H₂O)₆]³⁺ — six water molecules coordinate to the Al³⁺ center via lone pairs on oxygen.',
-    'The ionic lattice breaks apart. Ions separate and enter solution as individual species.',
-    'Water molecules orient with their oxygen (δ−) toward the highly charged Al³⁺ cation, forming coordination bonds.',
-    'The intense electric field of Al³⁺ polarises an O–H bond. The weakened proton transfers to a nearby water molecule, forming H₃O⁺.',
-];
+// Lesson action defaults
+const DEFAULT_DURATION = 1.0;
+const DEFAULT_CAMERA_DURATION = 1.2;
+const DEFAULT_EASE = 'power2.inOut';
+
+// ── Grotthuss relay ─────────────────────────────────────────
+export const MAX_PROTON_HOPS = 6;
+const HOP_INTERVAL = 0.9;      // s between hops
+const HOP_DURATION = 0.5;      // s for one proton to cross its H-bond
+
+// ── Tetrahedral rearrangement (Stage 6) ─────────────────────
+// The four OH ligands (+x, −x, +y, +z) bend ~35° each onto a
+// tetrahedron; the −y and −z waters leave into solution.
+const TETRA_TARGETS = new Map([
+    [0, new THREE.Vector3(2, -1, -1).normalize()],
+    [1, new THREE.Vector3(-2, -1, -1).normalize()],
+    [2, new THREE.Vector3(0, 1 + Math.SQRT2, 1 - Math.SQRT2).normalize()],
+    [4, new THREE.Vector3(0, 1 - Math.SQRT2, 1 + Math.SQRT2).normalize()],
+]);
+const LEAVING_WATERS = [3, 5];
+const LEAVING_DIST = 3.5;
 
 /* ---------------------------------------------------------
- *  initStages(scene, camera, controls, complex, al, waters, bondsGroup)
+ *  createStages({ scene, camera, controls, root, labels, a11y,
+ *                 i18n, lesson, findAcceptor, onComplete })
  *
- *  Must be called once after the scene is built.
- *  Snapshots initial positions for reset.
+ *  @param {Document|ShadowRoot} root — holds #stage-desc and
+ *         the equation bar
+ *  @param {object} labels — from createLabels()
+ *  @param {object} a11y   — from createA11y()
+ *  @param {object} i18n   — from createI18n(); step text and
+ *         events are read in its language as each step plays
+ *  @param {object} lesson — a lesson script (lesson.js)
+ *  @param {(h: THREE.Mesh) => object|null} [findAcceptor] —
+ *         the bulk water H-bonded to a leaving proton (see
+ *         createSolvent().findAcceptor)
+ *  @param {(points: THREE.Vector3[]) => () => void} [makeRoom] —
+ *         clears bulk water from where the relay chain goes;
+ *         returns a function that puts it back
+ *  @param {(stage: number) => void} [onComplete] — called when
+ *         a stage timeline reaches its end
+ *  @returns {{ init, goToStage, setLesson, getLesson, getStep,
+ *              isStageAvailable, firstAvailableStage,
+ *              stageForSpecies, speciesForStage,
+ *              hasProtonRelay, getActiveTimeline,
+ *              getPolarisation, setProtonHops, getProtonHops,
+ *              dispose }}
  * --------------------------------------------------------- */
-export function initStages(scene, camera, controls, complex, al, waters, bondsGroup) {
-    _scene = scene;
-    _camera = camera;
-    _controls = controls;
-    _complex = complex;
-    _al = al;
-    _waters = waters;
-    _bondsGroup = bondsGroup;
-
-    // Snapshot every mesh position
-    _complex.traverse((obj) => {
-        if (obj.isMesh || obj.isGroup) {
-            savedPositions.set(obj, obj.position.clone());
+export function createStages({
+    scene, camera, controls, root, labels, a11y, i18n, lesson,
+    findAcceptor = () => null,
+    makeRoom = () => () => {},
+    onComplete = () => {},
+}) {
+
+    // ── Saved initial state ──
+    const savedPositions = new Map();    // mesh → { x, y, z }
+    const savedMaterials = new Map();    // mesh → material
+    const detachedAtoms = new Map();     // mesh → original parent
+    const removedProtons = new Set();    // protons hidden by earlier steps
+    const formedBonds = [];              // O–H bonds made to a moving proton
+    const appliedToggles = new Set();    // undo functions of applied lesson actions
+    const stepMaterials = [];            // glow / colour materials of the current step
+    let claimedAcceptor = null;          // bulk water standing in as the acceptor
+    let relay = null;                    // { group, putBack } of the Grotthuss chain
+
+    // ── References (complex ones set by init) ──
+    const _scene = scene;
+    const _camera = camera;
+    const _controls = controls;
+    let _complex, _metal, _waters, _cation;
+    let _lesson = validateLesson(lesson);
+    let _metalBaseEmissive = 0;
+    const _polarisation = { atom: null, amount: 0 };   // see getPolarisation()
+    let _freeWater = null;     // the extra H₂O that becomes H₃O⁺
+    let _lattice = null;       // { group, ions } — dissolution crystal (lattice.js)
+    let _freeWaterStyle = null;    // representation it was built in
+    let _activeTimeline = null;
+    let _protonHops = 0;       // Grotthuss hops after H₃O⁺ forms (0 = off)
+
+    // ── Stage description + equation elements ──
+    const stageDesc = root.getElementById('stage-desc');
+    const equationEl = root.querySelector('#equation-bar p');
+
+    /* -----------------------------------------------------
+     *  init(complex, metal, waters, cation, representation)
+     *
+     *  Must be called after the scene is built, and again each
+     *  time the complex is rebuilt for a different cation or
+     *  representation. Snapshots initial positions for reset.
+     * ----------------------------------------------------- */
+    function init(complex, metal, waters, cation = getCation(), representation = getRepresentation()) {
+        // Drop any proton left detached from a previous complex
+        if (_activeTimeline) {
+            _activeTimeline.kill();
+            _activeTimeline = null;
         }
-        if (obj.isMesh) {
-            savedMaterials.set(obj, obj.material);
+        clearStep();
+        savedPositions.clear();
+        savedMaterials.clear();
+
+        _complex = complex;
+        _metal = metal;
+        _waters = waters;
+        _cation = cation;
+        _metalBaseEmissive = restingMaterial(metal).emissiveIntensity;
+
+        // Snapshot every mesh position
+        _complex.traverse((obj) => {
+            if (obj.isMesh || obj.isGroup) {
+                savedPositions.set(obj, obj.position.clone());
+            }
+            if (obj.isMesh) {
+                savedMaterials.set(obj, restingMaterial(obj));
+            }
+        });
+
+        // Build the free water molecule once per representation
+        // (hidden, positioned off-screen)
+        if (_freeWater && _freeWaterStyle !== representation) {
+            labels.detachLabels(_freeWater);
+            _scene.remove(_freeWater);
+            _freeWater.traverse((obj) => {
+                obj.geometry?.dispose();
+                obj.material?.dispose();
+            });
+            _freeWater = null;
+        }
+        if (!_freeWater) {
+            _freeWater = buildFreeWater(labels, representation);
+            _freeWater.visible = false;
+            _freeWaterStyle = representation;
+            _scene.add(_freeWater);
         }
-    });
 
-    // Build the free water molecule (hidden, positioned off-screen)
-    _freeWater = buildFreeWater();
-    _freeWater.visible = false;
-    _scene.add(_freeWater);
+        // Crystal fragment around this metal, per cation and representation
+        disposeLattice();
+        _lattice = buildLattice(cation, metal, representation);
+        _lattice.group.visible = false;
+        _scene.add(_lattice.group);
 
-    // Show stage 0 description
-    updateDescription(0);
-}
+        // Show the first description this cation has data for
+        updateDescription(Math.max(firstAvailableStage(), 0));
+    }
 
-/* ---------------------------------------------------------
- *  goToStage(stage)
- *
- *  Main entry point called by the button handler.
- * --------------------------------------------------------- */
-export function goToStage(stage) {
-    // Kill any running timeline
-    if (_activeTimeline) {
-        _activeTimeline.kill();
+    function disposeLattice() {
+        if (!_lattice) return;
+        _scene.remove(_lattice.group);
+        _lattice.group.traverse((obj) => {
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+        });
+        _lattice = null;
+    }
+
+    /* -----------------------------------------------------
+     *  setLesson(lesson) / getLesson() / getStep(stage)
+     *
+     *  Swaps the lesson script (raw or from parseLesson) and
+     *  returns it validated; the viewer rebuilds its stage
+     *  nav from its steps. Throws on an invalid script,
+     *  keeping the current one.
+     * ----------------------------------------------------- */
+    function setLesson(lesson) {
+        const next = validateLesson(lesson);
+        _activeTimeline?.kill();
         _activeTimeline = null;
+        clearStep();
+        _lesson = next;
+        // Replace the old script's text even if no step can run
+        if (_cation) updateDescription(Math.max(firstAvailableStage(), 0));
+        return _lesson;
     }
 
-    updateDescription(stage);
+    function getLesson() {
+        return _lesson;
+    }
 
-    switch (stage) {
-        case 0: stageComplex(); break;
-        case 1: stageDissolution(); break;
-        case 2: stageHydration(); break;
-        case 3: stageHydrolysis(); break;
+    function getStep(stage) {
+        return _lesson.steps[stage] ?? null;
     }
-}
 
-/* ─────────────────────────────────────────────────────────
- *  STAGE 0 — COMPLEX  (reset to original positions)
- * ───────────────────────────────────────────────────────── */
-function stageComplex() {
-    const tl = gsap.timeline();
-    _activeTimeline = tl;
-
-    // Restore visibility
-    _complex.visible = true;
-    _bondsGroup.visible = true;
-    _freeWater.visible = false;
-
-    // Animate all meshes back to saved positions
-    _complex.traverse((obj) => {
-        if ((obj.isMesh || obj.isGroup) && savedPositions.has(obj)) {
-            const saved = savedPositions.get(obj);
-            tl.to(obj.position, {
-                x: saved.x,
-                y: saved.y,
-                z: saved.z,
-                duration: 1.0,
-                ease: 'power2.inOut',
-            }, 0);
+    /* -----------------------------------------------------
+     *  isStageAvailable(stage)
+     *  Whether the cation has a pKa for the step's equation
+     *  and species — Na⁺ and Mg²⁺ stop after the first
+     *  hydrolysis step.
+     * ----------------------------------------------------- */
+    function isStageAvailable(stage) {
+        const step = _lesson.steps[stage];
+        if (!step) return false;
+        if (!_cation) return true;
+        return Math.max(step.equation, step.species ?? 0) <= maxSpecies(_cation);
+    }
+
+    // First stage isStageAvailable() allows, or −1 if none
+    function firstAvailableStage() {
+        return _lesson.steps.findIndex((_, stage) => isStageAvailable(stage));
+    }
+
+    /* -----------------------------------------------------
+     *  stageForSpecies(k) / speciesForStage(stage)
+     *
+     *  Map between hydrolysis species k (protons lost) and
+     *  the first step that shows it (-1 if none does), and
+     *  back (null for a step without a species).
+     * ----------------------------------------------------- */
+    function stageForSpecies(k) {
+        return _lesson.steps.findIndex((step) => step.species === k);
+    }
+
+    function speciesForStage(stage) {
+        return _lesson.steps[stage]?.species ?? null;
+    }
+
+    /* -----------------------------------------------------
+     *  hasProtonRelay(stage)
+     *  Whether the step ends in a Grotthuss relay, so a
+     *  change of proton hops should replay it.
+     * ----------------------------------------------------- */
+    function hasProtonRelay(stage) {
+        return !!_lesson.steps[stage]?.actions.some((a) => a.do === 'preset' && a.name === 'relay');
+    }
+
+    /* -----------------------------------------------------
+     *  getActiveTimeline()
+     *  The running stage timeline, for the transport bar.
+     * ----------------------------------------------------- */
+    function getActiveTimeline() {
+        return _activeTimeline;
+    }
+
+    /* -----------------------------------------------------
+     *  getPolarisation()
+     *  The oxygen being polarised by a deprotonation and how
+     *  far (0 → the cation's polarisingStrength()), as
+     *  animated by the active timeline; atom is null otherwise.
+     * ----------------------------------------------------- */
+    function getPolarisation() {
+        return _polarisation;
+    }
+
+    /* -----------------------------------------------------
+     *  setProtonHops(n) / getProtonHops()
+     *  How many waters the excess proton relays through once
+     *  H₃O⁺ forms (0 – MAX_PROTON_HOPS). Takes effect the next
+     *  time a hydrolysis stage starts.
+     * ----------------------------------------------------- */
+    function setProtonHops(n) {
+        _protonHops = THREE.MathUtils.clamp(Math.round(n) || 0, 0, MAX_PROTON_HOPS);
+    }
+
+    function getProtonHops() {
+        return _protonHops;
+    }
+
+    /* -----------------------------------------------------
+     *  goToStage(stage)
+     *
+     *  Main entry point called by the viewer's stage buttons:
+     *  resets the scene, then builds the step's timeline —
+     *  camera keyframes first, then the actions in order.
+     * ----------------------------------------------------- */
+    function goToStage(stage) {
+        const step = _lesson.steps[stage];
+        if (!step || !isStageAvailable(stage)) return;
+
+        // Kill any running timeline
+        if (_activeTimeline) {
+            _activeTimeline.kill();
+            _activeTimeline = null;
         }
-        // Restore materials
-        if (obj.isMesh && savedMaterials.has(obj)) {
-            obj.material = savedMaterials.get(obj);
+
+        updateDescription(stage);
+        clearStep();
+        a11y.announce(stageDesc?.textContent || localText(step.label));
+
+        const tl = gsap.timeline();
+        _activeTimeline = tl;
+        const build = { view: addCamera(tl, step.camera), deprotonated: false };
+        for (const action of step.actions) {
+            const at = actionTime(tl, action.at);
+            if (action.do === 'preset') PRESETS[action.name](tl, at, action, build);
+            else ACTIONS[action.do](tl, at, action);
         }
-    });
 
-    // Reset complex scale
-    tl.to(_complex.scale, { x: 1, y: 1, z: 1, duration: 0.8, ease: 'power2.inOut' }, 0);
+        tl.eventCallback('onComplete', () => onComplete(stage));
 
-    // Camera back to default
-    tl.to(_camera.position, { x: 4, y: 3, z: 5, duration: 1.2, ease: 'power2.inOut' }, 0);
-    tl.to(_controls.target, {
-        x: 0, y: 0, z: 0, duration: 1.2, ease: 'power2.inOut',
-        onUpdate: () => _controls.update(),
-    }, 0);
-}
+        // Reduced motion: show the end state instead of animating
+        // (events suppressed so the announcements don't pile up)
+        if (prefersReducedMotion()) {
+            tl.progress(1, true);
+            onComplete(stage);
+        }
+    }
 
-/* ─────────────────────────────────────────────────────────
- *  STAGE 1 — DISSOLUTION  (explode outward)
- * ───────────────────────────────────────────────────────── */
-function stageDissolution() {
-    const tl = gsap.timeline();
-    _activeTimeline = tl;
+    /* -----------------------------------------------------
+     *  clearStep()
+     *
+     *  Undoes whatever the last step left behind: lesson
+     *  toggles, detached protons, the crystal, the free water
+     *  and any swapped materials. Positions are not reset —
+     *  each step moves atoms on from where they are.
+     * ----------------------------------------------------- */
+    function clearStep() {
+        [...appliedToggles].reverse().forEach((undo) => undo());
+        restoreDetachedAtoms();
+        resetLattice();
+        if (_freeWater) _freeWater.visible = false;
+        if (_complex) _complex.visible = true;
+        for (const [mesh, material] of savedMaterials) setAtomMaterial(mesh, material);
+        stepMaterials.forEach((material) => material.dispose());
+        stepMaterials.length = 0;
+    }
 
-    _freeWater.visible = false;
+    // "at" of an action: seconds, "+=s" after the timeline so
+    // far, or (unset) its end
+    function actionTime(tl, at) {
+        if (typeof at === 'number') return at;
+        if (typeof at === 'string' && at.startsWith('+=')) return tl.duration() + (parseFloat(at.slice(2)) || 0);
+        return tl.duration();
+    }
 
-    // Restore materials first
-    _complex.traverse((obj) => {
-        if (obj.isMesh && savedMaterials.has(obj)) {
-            obj.material = savedMaterials.get(obj);
+    /* ─────────────────────────────────────────────────────────
+     *  addCamera(tl, keyframes)
+     *
+     *  Tweens the camera and its orbit target through the
+     *  step's keyframes. Returns the view they end on, which
+     *  the relay preset backs away from.
+     * ───────────────────────────────────────────────────────── */
+    function addCamera(tl, keyframes) {
+        const view = { camera: _camera.position.clone(), target: _controls.target.clone() };
+        for (const key of [...keyframes].sort((a, b) => (a.at ?? 0) - (b.at ?? 0))) {
+            const at = key.at ?? 0;
+            const duration = key.duration ?? DEFAULT_CAMERA_DURATION;
+            const ease = key.ease ?? DEFAULT_EASE;
+            if (key.position) {
+                const [x, y, z] = key.position;
+                tl.to(_camera.position, { x, y, z, duration, ease }, at);
+                view.camera.set(x, y, z);
+            }
+            if (key.target) {
+                const [x, y, z] = key.target;
+                tl.to(_controls.target, {
+                    x, y, z, duration, ease,
+                    onUpdate: () => _controls.update(),
+                }, at);
+                view.target.set(x, y, z);
+            }
         }
-    });
+        return view;
+    }
 
-    // Phase 1 — slight shake to suggest instability
-    tl.to(_complex.position, {
-        x: '+=0.05', duration: 0.08, repeat: 5, yoyo: true, ease: 'none',
-    }, 0);
-
-    // Phase 2 — each water group explodes outward along its axis
-    _waters.forEach((water, i) => {
-        // Get the direction this water sits in (normalised O position)
-        const oxygen = water.children.find(c => c.name === 'O');
-        if (!oxygen) return;
-
-        const dir = oxygen.position.clone().normalize();
-        const explodeDist = 3.5 + Math.random() * 1.5;
-
-        tl.to(water.position, {
-            x: dir.x * explodeDist,
-            y: dir.y * explodeDist,
-            z: dir.z * explodeDist,
-            duration: 1.4,
-            ease: 'power3.out',
-        }, 0.5 + i * 0.08);
-
-        // Slight tumble rotation
-        tl.to(water.rotation, {
-            x: (Math.random() - 0.5) * 2,
-            y: (Math.random() - 0.5) * 2,
-            duration: 1.4,
-            ease: 'power2.out',
-        }, 0.5 + i * 0.08);
-    });
+    /* ─────────────────────────────────────────────────────────
+     *  resolveAtoms(path)
+     *
+     *  The objects a lesson atom path names (see lesson.js);
+     *  empty when nothing matches, e.g. a water an imported
+     *  structure doesn't have — the action is then skipped.
+     * ───────────────────────────────────────────────────────── */
+    function resolveAtoms(path) {
+        switch (path) {
+            case 'M': return [_metal];
+            case 'complex': return [_complex];
+            case 'waters': return [..._waters];
+            case 'free': return [_freeWater];
+            case 'lattice': return _lattice ? [_lattice.group] : [];
+            case 'all': return [...savedPositions.keys()];
+        }
+        const [group, name] = path.split('.');
+        const parent = group === 'free'
+            ? _freeWater
+            : /^w\d+$/.test(group) ? _waters[parseInt(group.slice(1), 10)] : null;
+        if (!parent) return [];
+        if (!name) return [parent];
+        const atom = parent.children.find((c) => c.name === name);
+        return atom ? [atom] : [];
+    }
 
-    // Fade bonds
-    tl.to(_bondsGroup, { visible: true, duration: 0 }, 0);
-    tl.call(() => { _bondsGroup.visible = false; }, null, 1.0);
+    // Every mesh in the objects a path names
+    function resolveMeshes(path) {
+        const meshes = [];
+        for (const obj of resolveAtoms(path)) {
+            obj.traverse((o) => { if (o.isMesh && !o.isCSS2DObject) meshes.push(o); });
+        }
+        return meshes;
+    }
 
-    // Camera pull back
-    tl.to(_camera.position, { x: 6, y: 5, z: 8, duration: 1.6, ease: 'power2.inOut' }, 0.3);
-}
+    // Unit vector from the metal to an object at rest — for a
+    // water, along its oxygen; null for the metal itself
+    function restDirection(obj) {
+        const oxygen = obj.children.find((c) => c.name === 'O');
+        const rest = oxygen ? oxygen.position : savedPositions.get(obj) ?? obj.position;
+        return rest.lengthSq() > 1e-6 ? rest.clone().normalize() : null;
+    }
 
-/* ─────────────────────────────────────────────────────────
- *  STAGE 2 — HYDRATION  (waters converge onto Al³⁺)
- * ───────────────────────────────────────────────────────── */
-function stageHydration() {
-    const tl = gsap.timeline();
-    _activeTimeline = tl;
+    // Sets (duration 0) or tweens `target` to `values`; a set at
+    // time 0 applies right away, as the step's start state
+    function place(tl, target, values, at, duration, ease) {
+        if (duration > 0) {
+            tl.to(target, { ...values, duration, ease: ease ?? DEFAULT_EASE }, at);
+        } else if (at === 0) {
+            gsap.set(target, values);
+        } else {
+            tl.set(target, values, at);
+        }
+    }
 
-    _freeWater.visible = false;
-    _complex.visible = true;
+    /* ─────────────────────────────────────────────────────────
+     *  addLessonToggle(tl, at, apply, revert)
+     *
+     *  addToggle() for a lesson action, remembered so the next
+     *  step (or dispose) can undo it. At time 0 it applies
+     *  right away, as part of the step's start state.
+     * ───────────────────────────────────────────────────────── */
+    function addLessonToggle(tl, at, apply, revert) {
+        const undo = () => {
+            appliedToggles.delete(undo);
+            revert();
+        };
+        const on = () => {
+            apply();
+            appliedToggles.add(undo);
+        };
+        if (at === 0) on();
+        else addToggle(tl, at, on, undo);
+    }
 
-    // Restore materials
-    _complex.traverse((obj) => {
-        if (obj.isMesh && savedMaterials.has(obj)) {
-            obj.material = savedMaterials.get(obj);
-        }
-    });
+    // ── Lesson actions (see lesson.js for the fields) ───────
+    const ACTIONS = {
+        move(tl, at, action) {
+            const duration = action.duration ?? DEFAULT_DURATION;
+            resolveAtoms(action.atom).forEach((obj, i) => {
+                let values = null;
+                if (action.to) {
+                    const [x, y, z] = action.to;
+                    values = { x, y, z };
+                } else if (action.by) {
+                    const [x, y, z] = action.by.map((d) => `${d < 0 ? '-' : '+'}=${Math.abs(d)}`);
+                    values = { x, y, z };
+                } else if (action.radial !== undefined) {
+                    const dir = restDirection(obj);
+                    if (dir) values = { x: dir.x * action.radial, y: dir.y * action.radial, z: dir.z * action.radial };
+                } else if (action.rest && savedPositions.has(obj)) {
+                    const { x, y, z } = savedPositions.get(obj);
+                    values = { x, y, z };
+                }
+                if (values) place(tl, obj.position, values, at + i * (action.stagger ?? 0), duration, action.ease);
+            });
+        },
 
-    // First scatter waters outward (as if they start far away)
-    _waters.forEach((water) => {
-        const oxygen = water.children.find(c => c.name === 'O');
-        if (!oxygen) return;
-        const dir = oxygen.position.clone().normalize();
-        water.position.copy(dir.multiplyScalar(5));
-        water.rotation.set(
-            (Math.random() - 0.5) * 3,
-            (Math.random() - 0.5) * 3,
-            (Math.random() - 0.5) * 3,
-        );
-    });
-    _bondsGroup.visible = false;
-
-    // Camera reset
-    tl.to(_camera.position, { x: 4, y: 3, z: 5, duration: 1.0, ease: 'power2.inOut' }, 0);
-
-    // Animate each water converging to its octahedral position
-    _waters.forEach((water, i) => {
-        const saved = savedPositions.get(water) || new THREE.Vector3();
-
-        // Move toward saved position
-        tl.to(water.position, {
-            x: saved.x,
-            y: saved.y,
-            z: saved.z,
-            duration: 1.6,
-            ease: 'power2.inOut',
-        }, 0.3 + i * 0.15);
-
-        // Correct rotation (O faces Al)
-        tl.to(water.rotation, {
-            x: 0, y: 0, z: 0,
-            duration: 1.2,
-            ease: 'power2.inOut',
-        }, 0.5 + i * 0.15);
-    });
+        rotate(tl, at, action) {
+            const duration = action.duration ?? DEFAULT_DURATION;
+            resolveAtoms(action.atom).forEach((obj, i) => {
+                let values = null;
+                if (action.to) {
+                    const [x, y, z] = action.to.map((d) => THREE.MathUtils.degToRad(d));
+                    values = { x, y, z };
+                } else if (action.random !== undefined) {
+                    const turn = () => (Math.random() - 0.5) * action.random;
+                    values = { x: turn(), y: turn(), z: turn() };
+                } else if (action.rest) {
+                    values = { x: 0, y: 0, z: 0 };
+                }
+                if (values) place(tl, obj.rotation, values, at + i * (action.stagger ?? 0), duration, action.ease);
+            });
+        },
 
-    // Show bonds after waters arrive
-    tl.call(() => { _bondsGroup.visible = true; }, null, 2.2);
-}
+        glow(tl, at, action) {
+            const peak = (action.intensity ?? 1)
+                * (action.byCharge === false ? 1 : polarisingStrength(_cation));
+            for (const mesh of resolveMeshes(action.atom)) {
+                const resting = restingMaterial(mesh);
+                const glowMat = createElectronDensityVariant(resting, 0);
+                stepMaterials.push(glowMat);
+                addLessonToggle(tl, at,
+                    () => setAtomMaterial(mesh, glowMat),
+                    () => setAtomMaterial(mesh, resting));
+                place(tl, glowMat, { emissiveIntensity: peak }, at, action.duration ?? DEFAULT_DURATION, action.ease ?? 'power1.in');
+            }
+        },
 
-/* ─────────────────────────────────────────────────────────
- *  STAGE 3 — HYDROLYSIS  (the "Aha!" moment)
- *
- *  1. Electron density glow intensifies on target O
- *  2. One H detaches from the complex
- *  3. H moves to the free water → becomes H₃O⁺
- * ───────────────────────────────────────────────────────── */
-function stageHydrolysis() {
-    const tl = gsap.timeline();
-    _activeTimeline = tl;
-
-    // ── Reset to complex state first ──
-    _complex.traverse((obj) => {
-        if ((obj.isMesh || obj.isGroup) && savedPositions.has(obj)) {
-            const saved = savedPositions.get(obj);
-            obj.position.copy(saved);
+        color(tl, at, action) {
+            for (const mesh of resolveMeshes(action.atom)) {
+                const resting = restingMaterial(mesh);
+                const tinted = resting.clone();
+                tinted.color?.set(action.color);
+                stepMaterials.push(tinted);
+                addLessonToggle(tl, at,
+                    () => setAtomMaterial(mesh, tinted),
+                    () => setAtomMaterial(mesh, resting));
+            }
+        },
+
+        // attach() keeps the world transform in both directions
+        reparent(tl, at, action) {
+            const newParent = action.to === 'scene' ? _scene : resolveAtoms(action.to ?? '')[0];
+            if (!newParent) return;
+            for (const atom of resolveAtoms(action.atom)) {
+                const parent = atom.parent;
+                addLessonToggle(tl, at,
+                    () => {
+                        if (!detachedAtoms.has(atom)) detachedAtoms.set(atom, parent);
+                        newParent.attach(atom);
+                    },
+                    () => {
+                        detachedAtoms.delete(atom);
+                        parent.attach(atom);
+                    });
+            }
+        },
+
+        // Replaces the atom's labels; the old ones come back on undo
+        label(tl, at, action) {
+            for (const atom of resolveAtoms(action.atom)) {
+                let stash = [];
+                addLessonToggle(tl, at,
+                    () => {
+                        stash = atom.children.filter((c) => c.isCSS2DObject);
+                        stash.forEach((label) => label.removeFromParent());
+                        if (action.text) labels.createFreeLabel(atom, localText(action.text), action.class);
+                    },
+                    () => {
+                        labels.detachLabels(atom);
+                        stash.forEach((label) => atom.add(label));
+                    });
+            }
+        },
+
+        show(tl, at, action) {
+            setVisible(tl, at, action.atom, true);
+        },
+
+        hide(tl, at, action) {
+            setVisible(tl, at, action.atom, false);
+        },
+
+        event(tl, at, action) {
+            addEvent(tl, localText(action.name ?? 'event'), at, localText(action.message));
+        },
+    };
+
+    function setVisible(tl, at, path, visible) {
+        for (const obj of resolveAtoms(path)) {
+            let was = obj.visible;
+            addLessonToggle(tl, at,
+                () => {
+                    was = obj.visible;
+                    obj.visible = visible;
+                },
+                () => { obj.visible = was; });
         }
-        if (obj.isGroup && obj.name === 'Water') {
-            obj.rotation.set(0, 0, 0);
+    }
+
+    // ── Presets: built-in choreography ──────────────────────
+    const PRESETS = {
+        'dissolve-lattice': addLatticeBreakup,
+        deprotonate: addDeprotonation,
+        tetrahedral: (tl, at) => addTetrahedralCollapse(tl, at),
+        relay: (tl, at, action, build) => {
+            if (build.deprotonated && _protonHops > 0) addProtonRelay(tl, at, build.view, localText(action.message));
+        },
+    };
+
+    /* ─────────────────────────────────────────────────────────
+     *  addLatticeBreakup(tl, at)  — preset "dissolve-lattice"
+     *
+     *  The metal starts as one site of an MClₙ crystal fragment.
+     *  The lattice shakes and its ions drift apart — the M–Cl
+     *  bonds stretch and break — leaving the free cation. The
+     *  lesson moves the waters in around it.
+     * ───────────────────────────────────────────────────────── */
+    function addLatticeBreakup(tl, at) {
+        if (!_lattice) return;
+        _lattice.group.visible = true;
+
+        // Slight shake to suggest instability
+        tl.to([_lattice.group.position, _metal.position], {
+            x: '+=0.05', duration: 0.08, repeat: 5, yoyo: true, ease: 'none',
+        }, at);
+
+        // The fragment swells apart about the metal, so every
+        // M–Cl contact stretches past breaking (bonds.js)
+        _lattice.ions.forEach(({ mesh, home }, i) => {
+            const drift = home.clone().multiplyScalar(ION_SPREAD).add(
+                new THREE.Vector3().randomDirection().multiplyScalar(ION_JITTER),
+            );
+            tl.to(mesh.position, {
+                x: drift.x,
+                y: drift.y,
+                z: drift.z,
+                duration: 1.8,
+                ease: 'power2.out',
+            }, at + 1.2 + (i % 6) * 0.05);
+        });
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  resetLattice()
+     *  Hides the crystal with every ion (and the shaken metal)
+     *  back on its site.
+     * ───────────────────────────────────────────────────────── */
+    function resetLattice() {
+        if (!_lattice) return;
+        if (savedPositions.has(_metal)) _metal.position.copy(savedPositions.get(_metal));
+        _metal.getWorldPosition(_lattice.group.position);
+        _lattice.group.visible = false;
+        for (const { mesh, home } of _lattice.ions) mesh.position.copy(home);
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  addDeprotonation(tl, at, action, build)  — preset
+     *  "deprotonate" (the "Aha!" moment, repeated)
+     *
+     *  Snaps the complex back to rest, hides the protons of
+     *  the `gone` waters (earlier steps), then:
+     *  1. Electron density glow intensifies on the target O
+     *  2. H1 of water `water` detaches from the complex
+     *  3. H moves to the free water → becomes H₃O⁺
+     *
+     *  The free water stands in for the bulk water the proton
+     *  is H-bonded to, or waits at `acceptor` without solvent.
+     * ───────────────────────────────────────────────────────── */
+    function addDeprotonation(tl, at, { water, acceptor, gone = [] }, build) {
+        // ── Reset to complex state first ──
+        _complex.traverse((obj) => {
+            if ((obj.isMesh || obj.isGroup) && savedPositions.has(obj)) {
+                const saved = savedPositions.get(obj);
+                obj.position.copy(saved);
+            }
+            if (obj.isGroup && obj.name === 'Water') {
+                obj.rotation.set(0, 0, 0);
+            }
+        });
+        _complex.position.set(0, 0, 0);
+
+        // Protons from earlier steps have already left
+        for (const i of gone) {
+            const proton = findProton(i);
+            if (!proton) continue;
+            proton.visible = false;
+            removedProtons.add(proton);
         }
-        if (obj.isMesh && savedMaterials.has(obj)) {
-            obj.material = savedMaterials.get(obj);
+
+        // The target water's H1
+        // (imported structures may have fewer than six waters)
+        const targetO = _waters[water]?.children.find(c => c.name === 'O');
+        const targetH = findProton(water);
+        if (!targetO || !targetH) return;
+
+        // Show and position free water molecule (back to plain H₂O):
+        // in place of the solvent water the proton is H-bonded to,
+        // or at the step's fixed spot when no bulk water is shown
+        const bulk = findAcceptor(targetH);
+        _freeWater.visible = true;
+        if (bulk) {
+            bulk.claim();
+            claimedAcceptor = bulk;
+            _freeWater.position.copy(bulk.position);
+            _freeWater.quaternion.copy(bulk.quaternion);
+        } else {
+            _freeWater.position.copy(acceptor
+                ? new THREE.Vector3(...acceptor)
+                : restDirection(_waters[water]).multiplyScalar(4.5));
+            _freeWater.quaternion.identity();
         }
-    });
-    _complex.position.set(0, 0, 0);
-    _bondsGroup.visible = true;
-
-    // Pick the target water (index 0 = +x direction) and its H1
-    const targetWater = _waters[0];
-    const targetO = targetWater.children.find(c => c.name === 'O');
-    const targetH = targetWater.children.find(c => c.name === 'H1');
-    if (!targetO || !targetH) return;
-
-    // Show and position free water molecule
-    _freeWater.visible = true;
-    _freeWater.position.set(4.5, 0.3, 0.5);
-
-    // Camera: zoom in on the +x water
-    tl.to(_camera.position, {
-        x: 3.5, y: 1.5, z: 3,
-        duration: 1.5,
-        ease: 'power2.inOut',
-    }, 0);
-    tl.to(_controls.target, {
-        x: 1.5, y: 0, z: 0,
-        duration: 1.5,
-        ease: 'power2.inOut',
-        onUpdate: () => _controls.update(),
-    }, 0);
-
-    // ── Phase 1: Electron density glow builds on target O ──
-    const glowMat = createElectronDensityVariant(oxygenMaterial, 0);
-    tl.call(() => { targetO.material = glowMat; }, null, 1.0);
-
-    // Animate emissive intensity from 0 → 0.8
-    tl.to(glowMat, {
-        emissiveIntensity: 0.8,
-        duration: 2.0,
-        ease: 'power1.in',
-    }, 1.2);
-
-    // Also pulse the Al emissive to show it's "pulling"
-    const alMat = _al.material;
-    tl.to(alMat, {
-        emissiveIntensity: 0.3,
-        duration: 1.5,
-        ease: 'power1.in',
-    }, 1.5);
-
-    // ── Phase 2: H detaches from the complex ──
-    // Record H's world position before detaching
-    const hWorldPos = new THREE.Vector3();
-    tl.call(() => {
-        targetH.getWorldPosition(hWorldPos);
-        // Reparent H to scene so it can move independently
-        _scene.attach(targetH);
-    }, null, 3.2);
-
-    // Move H toward the free water
-    const freeWaterOxygen = _freeWater.children.find(c => c.name === 'O_free');
-    const freeOPos = new THREE.Vector3();
-
-    tl.call(() => {
+        relabelFreeWater('H₂O', 'label-o');
+        build.deprotonated = true;
+
+        // ── Phase 1: Electron density glow builds on target O ──
+        // Glow strength follows charge density: weak for Na⁺, strong for Al³⁺
+        const strength = polarisingStrength(_cation);
+        const glowMat = createElectronDensityVariant(oxygenMaterial, 0);
+        stepMaterials.push(glowMat);
+        const restingMat = savedMaterials.get(targetO);
+        addToggle(tl, at + 1.0,
+            () => setAtomMaterial(targetO, glowMat),
+            () => setAtomMaterial(targetO, restingMat));
+
+        // Animate emissive intensity from 0 → peak
+        tl.to(glowMat, {
+            emissiveIntensity: MAX_O_GLOW * strength,
+            duration: 2.0,
+            ease: 'power1.in',
+        }, at + 1.2);
+
+        // Same build-up drives the density / ESP surface (surface.js)
+        _polarisation.atom = targetO;
+        tl.to(_polarisation, {
+            amount: strength,
+            duration: 2.0,
+            ease: 'power1.in',
+        }, at + 1.2);
+
+        // Also pulse the metal emissive to show it's "pulling"
+        tl.to(restingMaterial(_metal), {
+            emissiveIntensity: Math.max(_metalBaseEmissive, MAX_METAL_GLOW * strength),
+            duration: 1.5,
+            ease: 'power1.in',
+        }, at + 1.5);
+
+        // ── Phase 2: H detaches from the complex ──
+        // Reparent H to scene so it can move independently;
+        // attach() keeps the world transform in both directions
+        const waterGroup = targetH.parent;
+        addToggle(tl, at + 3.2,
+            () => {
+                detachedAtoms.set(targetH, waterGroup);
+                _scene.attach(targetH);
+            },
+            () => {
+                detachedAtoms.delete(targetH);
+                waterGroup.attach(targetH);
+            });
+
+        // Move H toward the free water (already placed above),
+        // landing one O–H length out along the line it came in on
+        const freeWaterOxygen = _freeWater.children.find(c => c.name === 'O_free');
+        const freeOPos = new THREE.Vector3();
         if (freeWaterOxygen) {
             freeWaterOxygen.getWorldPosition(freeOPos);
         } else {
             freeOPos.copy(_freeWater.position);
         }
-    }, null, 3.3);
-
-    tl.to(targetH.position, {
-        x: () => freeOPos.x + 0.5,
-        y: () => freeOPos.y + 0.4,
-        z: () => freeOPos.z,
-        duration: 1.2,
-        ease: 'power2.in',
-    }, 3.4);
-
-    // ── Phase 3: Label the products ──
-    tl.call(() => {
-        // Label the free water as H₃O⁺
+        const landing = targetH.getWorldPosition(new THREE.Vector3())
+            .sub(freeOPos).setLength(R_O_H).add(freeOPos);
+
+        // New O–H bond on the acceptor — hidden while the proton
+        // is far off, it forms as the proton arrives (bonds.js)
+        if (freeWaterOxygen) {
+            const freeH = _freeWater.children.find(c => c.name === 'H_free_1');
+            const rest = freeH?.position.distanceTo(freeWaterOxygen.position);
+            const bond = createBond(freeWaterOxygen, targetH, false, _freeWaterStyle, rest);
+            if (bond) {
+                _freeWater.add(bond);
+                formedBonds.push(bond);
+            }
+        }
+
+        tl.to(targetH.position, {
+            x: landing.x,
+            y: landing.y,
+            z: landing.z,
+            duration: 1.2,
+            ease: 'power2.in',
+        }, at + 3.4);
+
+        // ── Phase 3: Label the products ──
+        addToggle(tl, at + 4.8,
+            () => relabelFreeWater('H₃O⁺', 'label-hydronium'),
+            () => relabelFreeWater('H₂O', 'label-o'));
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  addProtonRelay(tl, at, view, message)  — preset "relay"
+     *
+     *  Appends the Grotthuss mechanism to `tl`: a wire of
+     *  H-bonded waters leads away from the new H₃O⁺, and the
+     *  excess charge hops along it. Each hop is a *different*
+     *  proton crossing one H-bond; the bond it leaves snaps and
+     *  the one it lands on forms (bonds.js), and the H₃O⁺ label
+     *  moves to the receiving oxygen.
+     *
+     *  @param {{ camera, target }} view — where the camera is
+     *         when the relay starts (sets the viewing direction)
+     * ───────────────────────────────────────────────────────── */
+    function addProtonRelay(tl, at, view, message) {
         const freeO = _freeWater.children.find(c => c.name === 'O_free');
-        if (freeO) {
-            // Remove existing label if any
-            const oldLabel = freeO.children.find(c => c.name === 'label');
-            if (oldLabel) freeO.remove(oldLabel);
-            createFreeLabel(freeO, 'H₃O⁺', 'label-hydronium');
+        if (!freeO) return;
+        const origin = freeO.getWorldPosition(new THREE.Vector3());
+
+        // The hydronium passes on whichever of its own protons
+        // points furthest from the metal
+        const outward = origin.clone().sub(_metal.getWorldPosition(new THREE.Vector3())).normalize();
+        const direction = new THREE.Vector3();
+        let first = null;
+        let best = -Infinity;
+        for (const h of _freeWater.children.filter(c => c.name.startsWith('H_free'))) {
+            const dir = h.getWorldPosition(new THREE.Vector3()).sub(origin).normalize();
+            if (dir.dot(outward) > best) {
+                best = dir.dot(outward);
+                first = h;
+                direction.copy(dir);
+            }
         }
-    }, null, 4.8);
+        if (!first) return;
+
+        // The wire of waters, clear of any bulk water
+        const chain = generateRelayChain(origin, direction, _protonHops);
+        const group = new THREE.Group();
+        group.name = 'ProtonRelay';
+        const waters = chain.map(({ position, quaternion }) => {
+            const water = buildFreeWater(labels, _freeWaterStyle, false);
+            water.name = 'RelayWater';
+            water.position.copy(position);
+            water.quaternion.copy(quaternion);
+            group.add(water);
+            return water;
+        });
+        group.visible = false;
+        _scene.add(group);
+        group.updateMatrixWorld(true);
+        relay = { group, putBack: makeRoom(chain.map(c => c.position)) };
+
+        addToggle(tl, at,
+            () => { group.visible = true; },
+            () => { group.visible = false; });
+        addEvent(tl, i18n.t('stage.protonRelays'), at + 0.3, message);
+
+        // Camera: back off along the current viewing direction
+        // until the whole wire is in frame
+        const middle = origin.clone().add(chain[chain.length - 1].position).multiplyScalar(0.5);
+        const span = origin.distanceTo(chain[chain.length - 1].position);
+        const eye = view.camera.clone().sub(view.target)
+            .setLength(THREE.MathUtils.clamp(span * 1.6, 5, _controls.maxDistance))
+            .add(middle);
+        tl.to(_camera.position, { x: eye.x, y: eye.y, z: eye.z, duration: 1.2, ease: 'power2.inOut' }, at);
+        tl.to(_controls.target, {
+            x: middle.x, y: middle.y, z: middle.z, duration: 1.2, ease: 'power2.inOut',
+            onUpdate: () => _controls.update(),
+        }, at);
+
+        // ── Hops ──
+        let donorO = freeO;
+        let proton = first;
+        waters.forEach((water, i) => {
+            const acceptorO = water.children.find(c => c.name === 'O_free');
+            const hopAt = at + 0.6 + i * HOP_INTERVAL;
+
+            // New O–H on the receiving water, formed as the proton lands
+            const bond = createBond(acceptorO, proton, false, _freeWaterStyle, R_O_H);
+            if (bond) water.add(bond);
+
+            // Land one O–H length out along the H-bond
+            const oPos = acceptorO.getWorldPosition(new THREE.Vector3());
+            const landing = proton.getWorldPosition(new THREE.Vector3())
+                .sub(oPos).setLength(R_O_H).add(oPos);
+            proton.parent.worldToLocal(landing);
+            tl.to(proton.position, {
+                x: landing.x,
+                y: landing.y,
+                z: landing.z,
+                duration: HOP_DURATION,
+                ease: 'power2.inOut',
+            }, hopAt);
+
+            // The H₃O⁺ label follows the charge; the free water
+            // goes back to H₂O, relay waters to unlabelled
+            const from = donorO;
+            const fromText = i === 0 ? 'H₂O' : null;
+            addToggle(tl, hopAt + HOP_DURATION,
+                () => {
+                    relabelAtom(from, fromText, 'label-o');
+                    relabelAtom(acceptorO, 'H₃O⁺', 'label-hydronium');
+                },
+                () => {
+                    relabelAtom(acceptorO, null);
+                    relabelAtom(from, 'H₃O⁺', 'label-hydronium');
+                });
+
+            // This water hands on its own first proton next
+            donorO = acceptorO;
+            proton = water.children.find(c => c.name === 'H_free_1');
+        });
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  clearRelay()
+     *  Removes the Grotthuss chain and puts the free water's
+     *  protons back (the relay moves one of them).
+     * ───────────────────────────────────────────────────────── */
+    function clearRelay() {
+        if (relay) {
+            labels.detachLabels(relay.group);
+            _scene.remove(relay.group);
+            relay.group.traverse((obj) => {
+                obj.geometry?.dispose();
+                obj.material?.dispose();
+            });
+            relay.putBack();
+            relay = null;
+        }
+        _freeWater?.children
+            .filter(c => c.name.startsWith('H_free'))
+            .forEach((h, i) => h.position.copy(WATER_HYDROGENS[i]));
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  addTetrahedralCollapse(tl, at)  — preset "tetrahedral"
+     *
+     *  Appends the Stage 6 rearrangement to `tl`: the two
+     *  remaining waters drift into solution while each OH group
+     *  swings (quaternion slerp) and shortens onto its
+     *  tetrahedral direction. Bonds follow the fold; those to
+     *  the leaving waters fade.
+     * ───────────────────────────────────────────────────────── */
+    function addTetrahedralCollapse(tl, at) {
+        const rTetra = _cation.rMOTetra || _cation.rMO;
+
+        // Departing waters
+        for (const i of LEAVING_WATERS) {
+            const water = _waters[i];
+            const oxygen = water?.children.find(c => c.name === 'O');
+            if (!oxygen) continue;
+            const dir = oxygen.position.clone().normalize();
+            tl.to(water.position, {
+                x: dir.x * LEAVING_DIST,
+                y: dir.y * LEAVING_DIST,
+                z: dir.z * LEAVING_DIST,
+                duration: 1.6,
+                ease: 'power2.out',
+            }, at);
+        }
+
+        // Remaining OH ligands fold onto the tetrahedron
+        for (const [i, tetraDir] of TETRA_TARGETS) {
+            const ligand = _waters[i];
+            const oxygen = ligand?.children.find(c => c.name === 'O');
+            if (!oxygen) continue;
+
+            const octaDir = oxygen.position.clone().normalize();
+            const rOcta = oxygen.position.length();
+            const from = new THREE.Quaternion();
+            const to = new THREE.Quaternion().setFromUnitVectors(octaDir, tetraDir);
+            const shift = tetraDir.clone().multiplyScalar(rTetra - rOcta);
+            const fold = { t: 0 };
+
+            tl.to(fold, {
+                t: 1,
+                duration: 1.8,
+                ease: 'power2.inOut',
+                onUpdate: () => {
+                    ligand.quaternion.slerpQuaternions(from, to, fold.t);
+                    ligand.position.copy(shift).multiplyScalar(fold.t);
+                },
+            }, at + 0.3);
+        }
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  addEvent(tl, name, at, message)
+     *
+     *  Labels a moment on the timeline (transport markers step
+     *  between labels) and announces it to screen readers.
+     * ───────────────────────────────────────────────────────── */
+    function addEvent(tl, name, at, message = name) {
+        tl.addLabel(name, at);
+        tl.call(() => a11y.announce(message), null, at);
+    }
+
+    // Lesson text (a string or locale map) in the current language
+    function localText(text) {
+        return text === undefined ? undefined : i18n.bidi(i18n.localize(text));
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  findProton(water)
+     *  The H that leaves when water `water` deprotonates.
+     * ───────────────────────────────────────────────────────── */
+    function findProton(water) {
+        return _waters[water]?.children.find(c => c.name === 'H1');
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  relabelFreeWater(text, cssClass)
+     *  Swaps the free water's label between H₂O and H₃O⁺.
+     * ───────────────────────────────────────────────────────── */
+    function relabelFreeWater(text, cssClass) {
+        const freeO = _freeWater.children.find(c => c.name === 'O_free');
+        if (!freeO) return;
+        relabelAtom(freeO, text, cssClass);
+    }
+
+    // Replaces an atom's free label; null text just removes it
+    function relabelAtom(atom, text, cssClass) {
+        labels.detachLabels(atom);
+        if (text) labels.createFreeLabel(atom, text, cssClass);
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  restoreDetachedAtoms()
+     *
+     *  Returns any atom reparented (or proton hidden) by the
+     *  last step to its parent, drops the bond formed to it and
+     *  any relay chain, gives back the bulk water the free water
+     *  stood in for and settles the metal glow back to rest.
+     * ───────────────────────────────────────────────────────── */
+    function restoreDetachedAtoms() {
+        for (const [atom, parent] of detachedAtoms) {
+            parent.add(atom);
+            if (savedPositions.has(atom)) atom.position.copy(savedPositions.get(atom));
+        }
+        detachedAtoms.clear();
+
+        for (const atom of removedProtons) atom.visible = true;
+        removedProtons.clear();
+
+        for (const bond of formedBonds) {
+            bond.removeFromParent();
+            bond.geometry.dispose();
+            bond.material.dispose();
+        }
+        formedBonds.length = 0;
+
+        clearRelay();
+        claimedAcceptor?.release();
+        claimedAcceptor = null;
+
+        if (_metal) {
+            const metalMaterial = restingMaterial(_metal);
+            gsap.killTweensOf(metalMaterial);
+            metalMaterial.emissiveIntensity = _metalBaseEmissive;
+        }
+        _polarisation.atom = null;
+        _polarisation.amount = 0;
+    }
+
+    /* ─────────────────────────────────────────────────────────
+     *  updateDescription(stage)
+     *  The step's text, filled in for the current cation.
+     * ───────────────────────────────────────────────────────── */
+    function updateDescription(stage) {
+        const step = _lesson.steps[stage];
+        if (!step) return;
+        if (!isStageAvailable(stage)) {
+            // No pKa for this step's equation or species
+            const text = i18n.t('nav.noData', { ion: formatIon(_cation) });
+            if (stageDesc) {
+                stageDesc.textContent = text;
+                stageDesc.classList.remove('hidden');
+            }
+            if (equationEl) equationEl.textContent = '—';
+            a11y.setSceneSummary(text);
+            return;
+        }
+        const n = _waters.length;
+        if (stageDesc) {
+            stageDesc.textContent = fillTemplate(step.description, _cation, n, i18n);
+            stageDesc.classList.remove('hidden');
+        }
+        if (equationEl) {
+            equationEl.textContent = hydrolysisEquation(_cation, step.equation);
+        }
+        // Text alternative for the canvas
+        a11y.setSceneSummary(fillTemplate(step.summary, _cation, n, i18n));
+    }
+
+    /* -----------------------------------------------------
+     *  dispose()
+     *
+     *  Stops the running timeline and puts every atom back on
+     *  its own material, so the viewer's scene traversal frees
+     *  the lot.
+     * ----------------------------------------------------- */
+    function dispose() {
+        _activeTimeline?.kill();
+        _activeTimeline = null;
+        gsap.killTweensOf([_camera.position, _controls.target]);
+        clearStep();
+        disposeLattice();
+    }
+
+    return {
+        init,
+        goToStage,
+        setLesson,
+        getLesson,
+        getStep,
+        isStageAvailable,
+        firstAvailableStage,
+        stageForSpecies,
+        speciesForStage,
+        hasProtonRelay,
+        getActiveTimeline,
+        getPolarisation,
+        setProtonHops,
+        getProtonHops,
+        dispose,
+    };
 }
 
 /* ─────────────────────────────────────────────────────────
- *  buildFreeWater()
+ *  addToggle(tl, at, apply, revert)
  *
- *  Creates a standalone water molecule (not coordinated to Al).
- *  Used as the proton acceptor in Stage 3.
+ *  A discrete state change (reparenting, material or label
+ *  swap, visibility) that scrubbing can undo. tl.call() only
+ *  fires going forward; instead a 0 → 1 tween drives a
+ *  setter, and GSAP re-renders tween values on every seek
+ *  in either direction, so revert() runs when the playhead
+ *  moves back before `at`.
  * ───────────────────────────────────────────────────────── */
-function buildFreeWater() {
+function addToggle(tl, at, apply, revert) {
+    let applied = false;
+    const proxy = {
+        get state() { return applied ? 1 : 0; },
+        set state(v) {
+            const on = v >= 1;
+            if (on === applied) return;
+            applied = on;
+            if (on) apply();
+            else revert();
+        },
+    };
+    tl.fromTo(proxy, { state: 0 }, { state: 1, duration: 0.001, ease: 'none', immediateRender: false }, at);
+}
+
+/* ─────────────────────────────────────────────────────────
+ *  buildFreeWater(labels, representation, labelled)
+ *
+ *  Creates a standalone water molecule (not coordinated to the metal).
+ *  Used as the proton acceptor of a deprotonation, and for the waters of
+ *  the Grotthuss relay (unlabelled).
+ * ───────────────────────────────────────────────────────── */
+function buildFreeWater(labels, representation, labelled = true) {
     const group = new THREE.Group();
     group.name = 'FreeWater';
 
     const SPHERE_SEGMENTS = 32;
 
     // Oxygen
-    const oGeo = new THREE.SphereGeometry(0.30, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+    const oGeo = new THREE.SphereGeometry(atomRadius('O', representation), SPHERE_SEGMENTS, SPHERE_SEGMENTS);
     const oMat = new THREE.MeshStandardMaterial({
         color: PALETTE.oxygen,
         metalness: 0.1,
@@ -377,16 +1193,12 @@ function buildFreeWater() {
     });
     const oMesh = new THREE.Mesh(oGeo, oMat);
     oMesh.name = 'O_free';
-    oMesh.userData = { element: 'O', role: 'Free water molecule', charge: 'δ−' };
+    oMesh.userData = { element: 'O', role: 'role.freeWater', charge: 'δ−' };
     group.add(oMesh);
 
     // Two hydrogens
-    const hPositions = [
-        new THREE.Vector3(0.76, 0.58, 0),
-        new THREE.Vector3(-0.76, 0.58, 0),
-    ];
-    hPositions.forEach((pos, i) => {
-        const hGeo = new THREE.SphereGeometry(0.18, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+    WATER_HYDROGENS.forEach((pos, i) => {
+        const hGeo = new THREE.SphereGeometry(atomRadius('H', representation), SPHERE_SEGMENTS, SPHERE_SEGMENTS);
         const hMat = new THREE.MeshStandardMaterial({
             color: 0xffffff,
             metalness: 0.0,
@@ -395,22 +1207,16 @@ function buildFreeWater() {
         const hMesh = new THREE.Mesh(hGeo, hMat);
         hMesh.position.copy(pos);
         hMesh.name = `H_free_${i + 1}`;
-        hMesh.userData = { element: 'H', role: 'Free water hydrogen', charge: 'δ+' };
+        hMesh.userData = { element: 'H', role: 'role.freeHydrogen', charge: 'δ+' };
         group.add(hMesh);
+
+        // O–H bond (moves with the group)
+        const bond = createBond(oMesh, hMesh, false, representation);
+        if (bond) group.add(bond);
     });
 
     // Label it as H₂O initially
-    createFreeLabel(oMesh, 'H₂O', 'label-o');
+    if (labelled) labels.createFreeLabel(oMesh, 'H₂O', 'label-o');
 
     return group;
 }
-
-/* ─────────────────────────────────────────────────────────
- *  updateDescription(stage)
- * ───────────────────────────────────────────────────────── */
-function updateDescription(stage) {
-    if (stageDesc) {
-        stageDesc.textContent = STAGE_DESCRIPTIONS[stage] || '';
-        stageDesc.classList.remove('hidden');
-    }
-}
@@ -0,0 +1,311 @@
+/* =========================================================
+ *  surface.js
+ *  Molecular surface: a marching-cubes isosurface of a simple
+ *  electron-density model of the shown atoms, coloured by the
+ *  electrostatic potential (ESP) of point charges.
+ *
+ *  Density model  (arbitrary units, isovalue ≈ 0.5)
+ *  ─────────────
+ *  ρ(r) = Σ atoms  exp(−|r − rᵢ|² / 2σᵢ²)    σᵢ = ATOM_SIGMA × radius
+ *       + Σ bonds  w · BOND_WEIGHT · exp(−|r − mᵢⱼ|² / 2σ_b²)
+ *  mᵢⱼ is the bond midpoint; w fades with stretch like the
+ *  drawn bonds (bonds.js), so bond density goes as the
+ *  proton leaves.
+ *
+ *  ESP model
+ *  ─────────
+ *  φ(r) = Σ qᵢ / |r − rᵢ|  (e/Å) — the point charges of
+ *  charges.js (TIP3P water, formal ion charges). Colours are
+ *  scaled to the largest |φ| on the surface, so a cationic
+ *  complex (all φ > 0) still shows where it is most
+ *  electron-poor.
+ *
+ *  Polarisation (stages.getPolarisation(), Stages 3–6) moves
+ *  density from the target oxygen's O–H bonds onto its M–O
+ *  bond, and charge from the metal to the protons (see
+ *  charges.js), so the surface shifts toward the cation as
+ *  Stage 3 plays. The field is recomputed whenever the atoms
+ *  move (at most every RECOMPUTE_INTERVAL ms).
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { MarchingCubes } from 'three/addons/objects/MarchingCubes.js';
+import { PALETTE, createSurfaceMaterial } from './materials.js';
+import { collectAtoms as collectCharges, findPairs, assignCharges } from './charges.js';
+import { VDW_RADII, DEFAULT_VDW_RADIUS } from './representations.js';
+import { COVALENT_RADII } from './molfile.js';
+
+// ── Grid ────────────────────────────────────────────────────
+const RESOLUTION = 48;             // cells per side
+const MAX_POLYS = 40000;
+const PADDING = 2.5;               // Å of grid around the outermost atoms
+const CUTOFF_SIGMAS = 3;           // each Gaussian is splatted out to 3σ
+const RECOMPUTE_INTERVAL = 150;    // ms
+
+// ── Density model ───────────────────────────────────────────
+const ATOM_SIGMA = 0.6;            // Gaussian width ÷ atom radius
+const BOND_SIGMA = 0.35;           // Å
+const BOND_WEIGHT = 0.6;
+const POLARISED_GAIN = 1.5;        // extra M–O bond density at full polarisation
+
+// ── ESP model ───────────────────────────────────────────────
+const MIN_ESP_RANGE = 0.05;        // e/Å — floor for the colour scale
+const MIN_ESP_DISTANCE = 0.3;      // Å, softens 1/r at the nuclei
+
+const ESP_NEGATIVE = new THREE.Color(PALETTE.esp_negative);
+const ESP_NEUTRAL = new THREE.Color(PALETTE.esp_neutral);
+const ESP_POSITIVE = new THREE.Color(PALETTE.esp_positive);
+
+/* ---------------------------------------------------------
+ *  createSurface({ scene, root, i18n, getPolarisation })
+ *
+ *  @param {Document|ShadowRoot} root — holds #surface-*
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => { atom, amount }} getPolarisation — from
+ *         createStages()
+ *  @returns {{ update, setVisible, isVisible, relocalize,
+ *              dispose }}
+ * --------------------------------------------------------- */
+export function createSurface({ scene, root, i18n, getPolarisation }) {
+
+    // ── State ──
+    let visible = false;
+    let colouring = 'esp';
+    let lastKey = '';
+    let lastCompute = -Infinity;
+
+    const material = createSurfaceMaterial();
+    const mesh = new MarchingCubes(RESOLUTION, material, false, true, MAX_POLYS);
+    mesh.name = 'MolecularSurface';
+    mesh.isolation = 0.5;
+    mesh.visible = false;
+    scene.add(mesh);
+
+    // ── DOM refs ──
+    const toggleBtn = root.getElementById('surface-toggle');
+    const colourSelect = root.getElementById('surface-color');
+    const isoInput = root.getElementById('surface-iso');
+    const isoOutput = root.getElementById('surface-iso-value');
+    const opacityInput = root.getElementById('surface-opacity');
+    const opacityOutput = root.getElementById('surface-opacity-value');
+    const legend = root.getElementById('esp-legend');
+
+    toggleBtn?.addEventListener('click', () => setVisible(!visible));
+    colourSelect?.addEventListener('change', () => setColouring(colourSelect.value));
+    isoInput?.addEventListener('input', () => {
+        mesh.isolation = parseFloat(isoInput.value);
+        if (isoOutput) isoOutput.textContent = mesh.isolation.toFixed(2);
+    });
+    opacityInput?.addEventListener('input', () => {
+        material.opacity = parseFloat(opacityInput.value);
+        if (opacityOutput) opacityOutput.textContent = material.opacity.toFixed(2);
+    });
+
+    if (isoInput) mesh.isolation = parseFloat(isoInput.value);
+    if (opacityInput) material.opacity = parseFloat(opacityInput.value);
+    setColouring(colourSelect?.value || colouring);
+
+    /* -----------------------------------------------------
+     *  update(force)
+     *  Called from the render loop; recomputes only when the
+     *  atoms, polarisation or settings changed. `force` skips
+     *  the RECOMPUTE_INTERVAL wait (exported frames, see
+     *  capture.js).
+     * ----------------------------------------------------- */
+    function update(force = false) {
+        if (!visible) return;
+        const now = performance.now();
+        if (!force && now - lastCompute < RECOMPUTE_INTERVAL) return;
+
+        const atoms = collectAtoms(scene);
+        const polarisation = getPolarisation();
+        const key = signature(atoms, polarisation, mesh.isolation, colouring);
+        if (key === lastKey) return;
+        lastKey = key;
+        lastCompute = now;
+
+        mesh.visible = atoms.length > 0;
+        if (atoms.length > 0) recompute(atoms, polarisation);
+    }
+
+    function recompute(atoms, polarisation) {
+        const pairs = findPairs(atoms);
+        assignCharges(atoms, pairs, polarisation);
+        polariseDensity(atoms, pairs, polarisation);
+
+        // Cube around the atoms
+        const box = new THREE.Box3().setFromPoints(atoms.map((a) => a.position));
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const half = Math.max(size.x, size.y, size.z) / 2 + PADDING;
+
+        mesh.position.copy(center);
+        mesh.scale.setScalar(half);
+
+        fillField(mesh, atoms, pairs, center, half);
+        mesh.update();
+        if (colouring === 'esp') colourByPotential(mesh, atoms, center, half);
+    }
+
+    function setVisible(on) {
+        visible = on;
+        lastKey = '';
+        mesh.visible = on;
+        if (toggleBtn) {
+            toggleBtn.textContent = i18n.t(on ? 'toggle.on' : 'toggle.off');
+            toggleBtn.setAttribute('aria-pressed', String(on));
+            toggleBtn.classList.toggle('active', on);
+        }
+        if (on) {
+            lastCompute = -Infinity;
+            update();
+        }
+    }
+
+    function isVisible() {
+        return visible;
+    }
+
+    // The toggle text, after a language change
+    function relocalize() {
+        if (toggleBtn) toggleBtn.textContent = i18n.t(visible ? 'toggle.on' : 'toggle.off');
+    }
+
+    // 'esp' — vertex colours; 'density' — flat PALETTE.surface
+    function setColouring(mode) {
+        colouring = mode;
+        material.vertexColors = mode === 'esp';
+        material.color.set(mode === 'esp' ? 0xffffff : PALETTE.surface);
+        material.needsUpdate = true;
+        if (legend) legend.hidden = mode !== 'esp';
+    }
+
+    function dispose() {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        material.dispose();
+    }
+
+    return { update, setVisible, isVisible, relocalize, dispose };
+}
+
+/* ---------------------------------------------------------
+ *  collectAtoms(scene)
+ *  Shown atoms with world position, radius and charge.
+ * --------------------------------------------------------- */
+function collectAtoms(scene) {
+    const atoms = collectCharges(scene);
+    for (const atom of atoms) atom.sigma = ATOM_SIGMA * densityRadius(atom.element, atom.isMetal);
+    return atoms;
+}
+
+// A cation's density is far tighter than a neutral atom's vdW
+// shell — its covalent radius is the closer size
+function densityRadius(element, isMetal) {
+    if (isMetal) return COVALENT_RADII[element] ?? DEFAULT_VDW_RADIUS / 2;
+    return VDW_RADII[element] ?? DEFAULT_VDW_RADIUS;
+}
+
+/* ---------------------------------------------------------
+ *  polariseDensity(atoms, pairs, { atom, amount })
+ *  Shifts bond density from the polarised oxygen's O–H
+ *  bonds onto its M–O bond.
+ * --------------------------------------------------------- */
+function polariseDensity(atoms, pairs, { atom, amount }) {
+    const target = atoms.find((a) => a.mesh === atom);
+    if (!target || amount <= 0) return;
+
+    for (const pair of pairs) {
+        if (pair.a !== target && pair.b !== target) continue;
+        const other = pair.a === target ? pair.b : pair.a;
+        if (other.element === 'H') pair.weight *= 1 - amount;
+        else if (other.isMetal) pair.weight *= 1 + amount * POLARISED_GAIN;
+    }
+}
+
+/* ---------------------------------------------------------
+ *  fillField(mc, atoms, pairs, center, half)
+ *  Writes ρ into the MarchingCubes grid, which spans
+ *  center ± half on each axis.
+ * --------------------------------------------------------- */
+function fillField(mc, atoms, pairs, center, half) {
+    mc.reset();
+    const cellsPerAngstrom = mc.size / 2 / half;
+
+    for (const atom of atoms) {
+        splat(mc, atom.position, atom.sigma, 1, center, cellsPerAngstrom);
+    }
+
+    const mid = new THREE.Vector3();
+    for (const { a, b, weight } of pairs) {
+        mid.addVectors(a.position, b.position).multiplyScalar(0.5);
+        splat(mc, mid, BOND_SIGMA, BOND_WEIGHT * weight, center, cellsPerAngstrom);
+    }
+}
+
+function splat(mc, p, sigma, weight, center, cellsPerAngstrom) {
+    const n = mc.size;
+    const field = mc.field;
+    const cx = (p.x - center.x) * cellsPerAngstrom + n / 2;
+    const cy = (p.y - center.y) * cellsPerAngstrom + n / 2;
+    const cz = (p.z - center.z) * cellsPerAngstrom + n / 2;
+    const s = sigma * cellsPerAngstrom;          // σ in cells
+    const reach = CUTOFF_SIGMAS * s;
+    const k = 1 / (2 * s * s);
+
+    const x0 = Math.max(0, Math.ceil(cx - reach));
+    const x1 = Math.min(n - 1, Math.floor(cx + reach));
+    const y0 = Math.max(0, Math.ceil(cy - reach));
+    const y1 = Math.min(n - 1, Math.floor(cy + reach));
+    const z0 = Math.max(0, Math.ceil(cz - reach));
+    const z1 = Math.min(n - 1, Math.floor(cz + reach));
+
+    for (let z = z0; z <= z1; z++) {
+        const dz = z - cz;
+        for (let y = y0; y <= y1; y++) {
+            const dy = y - cy;
+            const row = z * n * n + y * n;
+            for (let x = x0; x <= x1; x++) {
+                const dx = x - cx;
+                field[row + x] += weight * Math.exp(-(dx * dx + dy * dy + dz * dz) * k);
+            }
+        }
+    }
+}
+
+/* ---------------------------------------------------------
+ *  colourByPotential(mc, atoms, center, half)
+ *  φ at each surface vertex → red (−) / white / blue (+).
+ * --------------------------------------------------------- */
+function colourByPotential(mc, atoms, center, half) {
+    const pos = mc.positionArray;
+    const col = mc.colorArray;
+    const colour = new THREE.Color();
+    const r = new THREE.Vector3();
+
+    const phi = new Float32Array(mc.count);
+    let range = MIN_ESP_RANGE;
+
+    for (let i = 0; i < mc.count; i++) {
+        r.set(pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]).multiplyScalar(half).add(center);
+        for (const atom of atoms) {
+            phi[i] += atom.charge / Math.max(MIN_ESP_DISTANCE, r.distanceTo(atom.position));
+        }
+        range = Math.max(range, Math.abs(phi[i]));
+    }
+
+    for (let i = 0; i < mc.count; i++) {
+        const t = phi[i] / range;
+        if (t < 0) colour.lerpColors(ESP_NEUTRAL, ESP_NEGATIVE, -t);
+        else colour.lerpColors(ESP_NEUTRAL, ESP_POSITIVE, t);
+        colour.toArray(col, i * 3);
+    }
+    mc.geometry.getAttribute('color').needsUpdate = true;
+}
+
+// Changes whenever the surface would look different
+function signature(atoms, polarisation, isovalue, colouring) {
+    const parts = atoms.map((a) => `${a.position.x.toFixed(3)},${a.position.y.toFixed(3)},${a.position.z.toFixed(3)}`);
+    parts.push(polarisation.atom ? polarisation.amount.toFixed(3) : '-', isovalue, colouring);
+    return parts.join(';');
+}
@@ -0,0 +1,169 @@
+/* =========================================================
+ *  transport.js
+ *  Play / pause, scrubber, playback speed and step-to-event
+ *  controls for the active stage timeline (stages.js).
+ *
+ *  Event markers come from the GSAP labels each stage adds
+ *  ("glow builds", "H detaches", "H₃O⁺ forms" …). Stage
+ *  timelines make every discrete change reversible, so the
+ *  scrubber can move backwards safely.
+ * ========================================================= */
+
+// ── Config ──────────────────────────────────────────────────
+export const SPEEDS = [0.25, 0.5, 1, 1.5, 2];
+const SCRUB_STEPS = 1000;
+const LABEL_EPSILON = 0.01;     // s — "already at this label"
+
+/* ---------------------------------------------------------
+ *  createTransport(root, i18n, getTimeline)
+ *
+ *  Wires the transport bar of one viewer.
+ *
+ *  @param {Document|ShadowRoot} root — holds #transport-*
+ *  @param {object} i18n — from createI18n()
+ *  @param {() => gsap.core.Timeline|null} getTimeline —
+ *         the active stage timeline
+ *  @returns {{ update }} — call update() every frame
+ * --------------------------------------------------------- */
+export function createTransport(root, i18n, getTimeline) {
+
+    // ── State ──
+    let _timeline = null;
+    let _speed = 1;
+    let _scrubbing = false;
+
+    // ── DOM refs ──
+    const playBtn = root.getElementById('transport-play');
+    const prevBtn = root.getElementById('transport-prev');
+    const nextBtn = root.getElementById('transport-next');
+    const scrubber = root.getElementById('transport-scrubber');
+    const markers = root.getElementById('transport-markers');
+    const timeReadout = root.getElementById('transport-time');
+    const speedSelect = root.getElementById('transport-speed');
+
+    // ── Wire the controls ──
+    if (scrubber) scrubber.max = String(SCRUB_STEPS);
+
+    if (speedSelect) {
+        for (const speed of SPEEDS) {
+            const opt = document.createElement('option');
+            opt.value = String(speed);
+            opt.textContent = `${speed}×`;
+            speedSelect.appendChild(opt);
+        }
+        speedSelect.value = String(_speed);
+        speedSelect.addEventListener('change', () => {
+            _speed = parseFloat(speedSelect.value);
+            _timeline?.timeScale(_speed);
+        });
+    }
+
+    playBtn?.addEventListener('click', togglePlay);
+    prevBtn?.addEventListener('click', () => stepToLabel(-1));
+    nextBtn?.addEventListener('click', () => stepToLabel(+1));
+
+    scrubber?.addEventListener('pointerdown', () => { _scrubbing = true; });
+    scrubber?.addEventListener('pointerup', () => { _scrubbing = false; });
+    scrubber?.addEventListener('input', () => {
+        if (!_timeline) return;
+        _timeline.pause();
+        // suppressEvents = false so every tween re-renders
+        _timeline.progress(parseInt(scrubber.value, 10) / SCRUB_STEPS, false);
+    });
+
+    /* -----------------------------------------------------
+     *  update()
+     *
+     *  Called from the render loop. Picks up a new timeline
+     *  when the stage changes and keeps the scrubber / button
+     *  synced.
+     * ----------------------------------------------------- */
+    function update() {
+        const tl = getTimeline();
+        if (tl !== _timeline) {
+            _timeline = tl;
+            _timeline?.timeScale(_speed);
+            buildMarkers();
+        }
+        if (!_timeline) return;
+
+        if (scrubber && !_scrubbing) {
+            scrubber.value = String(Math.round(_timeline.progress() * SCRUB_STEPS));
+        }
+        if (timeReadout) {
+            timeReadout.textContent = i18n.t('transport.time', {
+                time: i18n.number(_timeline.time(), 1),
+                duration: i18n.number(_timeline.duration(), 1),
+            });
+        }
+        if (playBtn) {
+            const playing = !_timeline.paused() && _timeline.progress() < 1;
+            playBtn.textContent = playing ? '❚❚' : '▶';
+            playBtn.setAttribute('aria-label', i18n.t(playing ? 'transport.pause' : 'transport.play'));
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  togglePlay()
+     *  Pauses, resumes, or replays a finished timeline.
+     * ----------------------------------------------------- */
+    function togglePlay() {
+        if (!_timeline) return;
+        if (_timeline.progress() >= 1) {
+            _timeline.restart();
+        } else {
+            _timeline.paused(!_timeline.paused());
+        }
+    }
+
+    /* -----------------------------------------------------
+     *  stepToLabel(direction)
+     *  Jumps to the next (+1) or previous (−1) labelled event
+     *  and pauses there.
+     * ----------------------------------------------------- */
+    function stepToLabel(direction) {
+        if (!_timeline) return;
+        const now = _timeline.time();
+        const times = sortedLabels().map(([, t]) => t);
+
+        const target = direction > 0
+            ? times.find((t) => t > now + LABEL_EPSILON) ?? _timeline.duration()
+            : [...times].reverse().find((t) => t < now - LABEL_EPSILON) ?? 0;
+
+        _timeline.pause();
+        _timeline.time(target, false);
+    }
+
+    function sortedLabels() {
+        return Object.entries(_timeline?.labels || {}).sort((a, b) => a[1] - b[1]);
+    }
+
+    /* -----------------------------------------------------
+     *  buildMarkers()
+     *  One clickable tick per label, positioned along the
+     *  scrubber track.
+     * ----------------------------------------------------- */
+    function buildMarkers() {
+        if (!markers) return;
+        markers.replaceChildren();
+        if (!_timeline) return;
+
+        const duration = _timeline.duration() || 1;
+        for (const [name, time] of sortedLabels()) {
+            const tick = document.createElement('button');
+            tick.type = 'button';
+            tick.className = 'transport-marker';
+            tick.style.left = `${(time / duration) * 100}%`;
+            tick.title = name;
+            tick.setAttribute('aria-label', i18n.t('transport.jump', { event: name }));
+            tick.textContent = name;
+            tick.addEventListener('click', () => {
+                _timeline.pause();
+                _timeline.time(time, false);
+            });
+            markers.appendChild(tick);
+        }
+    }
+
+    return { update };
+}
@@ -0,0 +1,826 @@
+/* =========================================================
+ *  viewer.js
+ *  createViewer(container, options) — one self-contained
+ *  [M(H₂O)₆]ⁿ⁺ hydrolysis viewer: its own renderer, scene,
+ *  camera, controls, labels, stage machine and UI, mounted
+ *  in a shadow root on `container`. Any number of viewers
+ *  can share a page (see hydrolysis-viewer.js for the
+ *  <hydrolysis-viewer> element).
+ *
+ *  Events (dispatched on `container`; bubble, composed)
+ *  ──────
+ *  stagechange       detail: { stage }
+ *  atomselect        detail: { atom: { name, element, role,
+ *                              charge, path } | null } — role
+ *                    in the viewer's language
+ *  bondselect        detail: { bond: { kind, atoms: [path,
+ *                              path], length } | null } — kind
+ *                    coordinate, covalent or ionic; length Å
+ *  timelinecomplete  detail: { stage }
+ *  quizanswer        detail: { response } (see quiz.js)
+ *  localechange      detail: { locale }
+ * ========================================================= */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import template from './viewer.html?raw';
+import styles from './styles.css?inline';
+import { buildComplex, buildFromMolecule, atomRole } from './atoms.js';
+import { buildBonds, buildBondsFromPairs, updateBonds, bondLength } from './bonds.js';
+import { createInteraction } from './interaction.js';
+import { createMeasurements } from './measure.js';
+import { createSurface } from './surface.js';
+import { createField } from './field.js';
+import { createSolvent } from './solvent.js';
+import { createOrbitals } from './orbitals.js';
+import { createSimulation } from './simulation.js';
+import { createScene, addLighting, disposeTree } from './scene.js';
+import { createLabels } from './labels.js';
+import { createStages, MAX_PROTON_HOPS } from './stages.js';
+import { parseLesson } from './lesson.js';
+import defaultLesson from './lessons/default.json';
+import { createPhPanel } from './ph-panel.js';
+import { createQuiz } from './quiz.js';
+import { createFileIO } from './fileio.js';
+import { createTransport } from './transport.js';
+import { createEnergyPanel } from './energy-panel.js';
+import { createCapture } from './capture.js';
+import { encodeViewState, decodeViewState, atomPath, resolveAtomPath } from './deeplink.js';
+import { createA11y, prefersReducedMotion } from './a11y.js';
+import { createI18n } from './i18n.js';
+import { createStageNav } from './stage-nav.js';
+import { fillLocaleSelect, fillCationSelect, localizeCationOptions } from './pickers.js';
+import { REPRESENTATIONS, getRepresentation } from './representations.js';
+import {
+    CATIONS,
+    DEFAULT_CATION,
+    getCation,
+    formatIon,
+    complexFormula,
+} from './cations.js';
+
+/* ---------------------------------------------------------
+ *  createViewer(container, options)
+ *
+ *  @param {HTMLElement} container — gets the shadow root;
+ *         the viewer fills it (min-height 360px)
+ *  @param {object}  [options]
+ *  @param {string}  [options.cation]     — initial cation id
+ *  @param {number}  [options.stage]      — initial stage (step
+ *         index of the lesson; 0–6 in the default one)
+ *  @param {object|string} [options.lesson] — lesson script
+ *         to run instead of lessons/default.json: an object,
+ *         or JSON / YAML text (see lesson.js)
+ *  @param {string}  [options.representation] — 'ball-and-stick'
+ *         (default), 'space-filling', 'licorice' or 'wireframe'
+ *  @param {boolean} [options.autoRotate] — default: on unless
+ *         the user prefers reduced motion
+ *  @param {boolean} [options.solvent]    — show the bulk-water
+ *         box and its hydrogen bonds (default off)
+ *  @param {boolean} [options.orbitals]   — show the lone-pair
+ *         and metal acceptor orbitals (default off)
+ *  @param {number}  [options.protonHops] — Grotthuss hops after
+ *         H₃O⁺ forms in hydrolysis steps (default 0, off)
+ *  @param {boolean} [options.quiz]       — start in quiz mode:
+ *         a prediction question before each stage
+ *  @param {string}  [options.locale]     — UI language: en, es,
+ *         fr or ar (any BCP 47 tag; default the browser's)
+ *  @param {boolean} [options.page]       — full-page mode: URL
+ *         hash deep links, document title and window-wide
+ *         digit shortcuts (one viewer per page only)
+ *  @returns {object} viewer API (see the end of this function)
+ * --------------------------------------------------------- */
+export function createViewer(container, options = {}) {
+    const root = container.shadowRoot || container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${styles}</style>${template}`;
+
+    // Window-level listeners, removed together on dispose()
+    const abort = new AbortController();
+    const { signal } = abort;
+
+    function emit(type, detail) {
+        container.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  1.  RENDERER
+    // ═══════════════════════════════════════════════════════
+    const canvas = root.getElementById('webgl-canvas');
+    const renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        alpha: true,           // transparent captures (capture.js)
+    });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.2;
+
+    // ═══════════════════════════════════════════════════════
+    //  2.  SCENE
+    // ═══════════════════════════════════════════════════════
+    const scene = createScene();     // background + depth-cue fog
+
+    // ═══════════════════════════════════════════════════════
+    //  3.  CAMERA  (aspect set by resize() below)
+    // ═══════════════════════════════════════════════════════
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+    camera.position.set(4, 3, 5);
+    camera.lookAt(0, 0, 0);
+
+    // ═══════════════════════════════════════════════════════
+    //  4.  ORBIT CONTROLS  (360° rotation + zoom)
+    // ═══════════════════════════════════════════════════════
+    const controls = new OrbitControls(camera, canvas);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = 2;
+    controls.maxDistance = 15;
+    controls.autoRotate = options.autoRotate ?? !prefersReducedMotion();   // gentle idle rotation
+    controls.autoRotateSpeed = 0.8;
+    controls.target.set(0, 0, 0);
+    controls.update();
+
+    // ═══════════════════════════════════════════════════════
+    //  5.  LIGHTING  (key, fill and rim — see scene.js)
+    // ═══════════════════════════════════════════════════════
+    addLighting(scene);
+
+    // ═══════════════════════════════════════════════════════
+    //  6.  LOCALE + LABELS (CSS2DRenderer) + SCREEN-READER TEXT
+    // ═══════════════════════════════════════════════════════
+    const i18n = createI18n(options.locale ?? navigator.language);
+    const labels = createLabels(root, i18n);
+    const a11y = createA11y(root);
+
+    // ═══════════════════════════════════════════════════════
+    //  7.  STAGE ANIMATIONS (GSAP) + BULK SOLVENT + ORBITALS
+    //      + THERMAL MOTION
+    // ═══════════════════════════════════════════════════════
+    // Built per structure by showStructure() while switched on
+    const solvent = createSolvent({ scene });
+
+    // Built with every structure; drawn while switched on
+    const orbitals = createOrbitals({ scene });
+    orbitals.setVisible(!!options.orbitals);
+
+    const stages = createStages({
+        scene, camera, controls, root, labels, a11y, i18n,
+        lesson: defaultLesson,
+        findAcceptor: solvent.findAcceptor,
+        makeRoom: solvent.makeRoom,
+        onComplete: (stage) => emit('timelinecomplete', { stage }),
+    });
+
+    // Molecular dynamics on the shown atoms; pauses the stage
+    const simulation = createSimulation({ scene, root, a11y, i18n, getTimeline: stages.getActiveTimeline });
+
+    // ═══════════════════════════════════════════════════════
+    //  8.  RAYCASTER INTERACTION, MEASUREMENTS, SURFACE + FIELD
+    // ═══════════════════════════════════════════════════════
+    const measurements = createMeasurements({ scene, root, a11y, i18n });
+    const surface = createSurface({ scene, root, i18n, getPolarisation: stages.getPolarisation });
+    const field = createField({ scene, root, i18n, getPolarisation: stages.getPolarisation });
+
+    const interaction = createInteraction({
+        camera, scene, canvas, root, a11y, i18n,
+        onSelect: (mesh) => emit('atomselect', { atom: mesh ? describeAtom(mesh) : null }),
+        onSelectBond: (bond) => emit('bondselect', { bond: bond ? describeBond(bond) : null }),
+        onPick: (mesh) => quiz.pick(mesh) || measurements.pick(mesh),
+    });
+
+    function describeAtom(mesh) {
+        const { element, charge } = mesh.userData;
+        const role = atomRole(mesh, i18n);
+        return { name: mesh.name, element, role, charge, path: atomPath(mesh, structure?.waters || []) };
+    }
+
+    function describeBond(bond) {
+        const { a, b, kind } = bond.userData.bond;
+        const waters = structure?.waters || [];
+        return { kind, atoms: [atomPath(a, waters), atomPath(b, waters)], length: bondLength(bond).length };
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  9.  STAGE BUTTONS + SHORTCUTS + PREDICTION QUIZ
+    // ═══════════════════════════════════════════════════════
+    let currentStage = 0;
+
+    // One button per lesson step; digit keys window-wide in
+    // page mode, otherwise only while focus is inside this viewer
+    const stageNav = createStageNav({
+        root, i18n,
+        nav: root.getElementById('stage-controls'),
+        getLesson: stages.getLesson,
+        getStage: () => currentStage,
+        // Steps the cation has no pKa for are switched off
+        missingData: (stage) => (stages.isStageAvailable(stage) || !shownCation ? [] : [formatIon(shownCation)]),
+        onSelect: selectStage,
+        keyTarget: options.page ? window : root,
+        signal,
+    });
+
+    // Quiz mode asks its prediction before selectStage() moves on
+    const quiz = createQuiz({
+        root, a11y, i18n,
+        getCation: () => getCation(cationSelect?.value),
+        getStructure: () => structure,
+        onAnswer: (response) => emit('quizanswer', { response }),
+    });
+    quiz.setActive(!!options.quiz);
+
+    // Shared by the stage buttons, the speciation chart and the API
+    function selectStage(stage) {
+        // (not while a recording steps the current timeline)
+        if (stage === currentStage || capture.isBusy() || !stages.isStageAvailable(stage)) return;
+        if (quiz.intercept(stage, stages.getStep(stage)?.id, () => showStage(stage))) return;
+        showStage(stage);
+    }
+
+    // The transition itself — deep links restore through here,
+    // past the quiz
+    function showStage(stage) {
+        if (stage === currentStage || !stages.isStageAvailable(stage)) return;
+
+        currentStage = stage;
+        stageNav.sync();
+
+        // Trigger GSAP stage animation (from where the stage
+        // left the atoms, not where thermal motion took them)
+        simulation.stop();
+        stages.goToStage(stage);
+        phPanel.highlightSpecies(stages.speciesForStage(stage));
+        energyPanel.setStep(stages.getStep(stage));
+        emit('stagechange', { stage });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  10. pH + SPECIATION PANEL
+    // ═══════════════════════════════════════════════════════
+    const phPanel = createPhPanel(root, i18n, (k) => {
+        const stage = stages.stageForSpecies(k);
+        if (stage !== -1) selectStage(stage);
+    });
+
+    // ═══════════════════════════════════════════════════════
+    //  11. FILE IMPORT / EXPORT  (XYZ, PDB, MOL, MOL2, lessons)
+    // ═══════════════════════════════════════════════════════
+    const fileIO = createFileIO({ root, host: container, canvas, scene, i18n, onLoad: loadMolecule, onLesson: loadLesson });
+
+    /* -----------------------------------------------------
+     *  loadLesson(source)
+     *
+     *  Runs a lesson script (an object, or JSON / YAML text)
+     *  in place of the current one: rebuilds the stage nav
+     *  and starts on its first step the cation has pKa data
+     *  for. Throws on an invalid script, leaving the current
+     *  lesson running.
+     *
+     *  @returns {object} the validated lesson
+     * ----------------------------------------------------- */
+    function loadLesson(source) {
+        const lesson = stages.setLesson(typeof source === 'string' ? parseLesson(source) : source);
+        quiz.close();
+        currentStage = -1;
+        stageNav.render();
+        showStage(stages.firstAvailableStage());
+        return lesson;
+    }
+
+    // A lesson that failed to arrive from elsewhere (the
+    // element's lesson URL): said in the file status and aloud
+    function reportLessonError(source, error) {
+        const message = i18n.t('file.failed', { file: source, error: error.message });
+        fileIO.setStatus(message, true);
+        a11y.announce(message);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  12. TIMELINE TRANSPORT + ENERGY PROFILE
+    //      (play / pause / scrub / speed; the reaction marker
+    //      follows and scrubs the same timeline)
+    // ═══════════════════════════════════════════════════════
+    const transport = createTransport(root, i18n, stages.getActiveTimeline);
+    const energyPanel = createEnergyPanel(root, i18n, stages.getActiveTimeline);
+
+    // ═══════════════════════════════════════════════════════
+    //  13. IMAGE + VIDEO CAPTURE  (PNG, WebM, PNG frames)
+    // ═══════════════════════════════════════════════════════
+    const capture = createCapture({
+        root, renderer, scene, camera, i18n,
+        getTimeline: stages.getActiveTimeline,
+        getName: () => `${cationSelect?.value || 'structure'}-${stages.getStep(currentStage)?.id ?? currentStage}`,
+        update: () => {
+            camera.lookAt(controls.target);
+            updateScene(true);
+        },
+        render,
+    });
+
+    // ═══════════════════════════════════════════════════════
+    //  14. BUILD THE MOLECULAR COMPLEX  (rebuilt per cation / file)
+    // ═══════════════════════════════════════════════════════
+    let complex = null;
+    let bondsGroup = null;
+    let structure = null;      // { metal, waters } of the displayed complex
+    let source = null;         // { cation } or { mol } — what to rebuild from
+    let shownCation = null;    // the cation the title and stage text name
+    let representation = getRepresentation(options.representation);
+    let solventShown = !!options.solvent;
+
+    const titleEl = root.querySelector('#title-bar h1');
+    const cationSelect = root.getElementById('cation-select');
+
+    function loadCation(id) {
+        const cation = getCation(id);
+        const built = buildComplex(cation, representation);
+        showStructure(built, buildBonds(built.metal, built.waters, representation), cation);
+        source = { cation: cation.symbol };
+    }
+
+    // Imported XYZ / PDB / MOL / MOL2 geometry (see fileio.js)
+    function loadMolecule(mol) {
+        const built = buildFromMolecule(mol, representation);
+        const bonds = buildBondsFromPairs(built.atomMeshes, mol.bonds, representation);
+        showStructure(built, bonds, built.cation || getCation());
+        if (built.cation && cationSelect) cationSelect.value = built.cation.symbol;
+        source = { mol };
+    }
+
+    function showStructure(built, bonds, cation) {
+        simulation.stop();
+
+        // Tear down the previous complex
+        if (complex) {
+            interaction.deselectAtom();
+            measurements.clear();
+            labels.detachLabels(complex);
+            scene.remove(complex, bondsGroup);
+            disposeTree(complex);
+            disposeTree(bondsGroup);
+        }
+
+        complex = built.complex;
+        structure = built;
+        scene.add(complex);
+
+        // Visual bonds
+        bondsGroup = bonds;
+        scene.add(bondsGroup);
+
+        labels.attachLabels(complex);
+
+        // Stage animation system (GSAP) — re-snapshots the new complex
+        stages.init(complex, built.metal, built.waters, cation, representation);
+
+        // Bulk water around the complex at rest, before any stage moves it
+        if (solventShown) solvent.build(built, representation);
+        else solvent.clear();
+        orbitals.build(built);
+
+        // Title follows the chosen ion (stages.js owns the equation bar)
+        shownCation = cation;
+        renderTitle();
+
+        // Speciation chart uses this cation's pKa values
+        phPanel.setCation(cation);
+        energyPanel.setCation(cation);
+
+        // Replay whichever stage the student was on for comparison,
+        // or the last (else first) one this cation has pKa data for
+        stageNav.sync();
+        if (!stages.isStageAvailable(currentStage)) {
+            let stage = currentStage;
+            while (stage > 0 && !stages.isStageAvailable(stage)) stage--;
+            if (!stages.isStageAvailable(stage)) stage = stages.firstAvailableStage();
+            showStage(stage);
+        } else if (currentStage !== 0) {
+            stages.goToStage(currentStage);
+        }
+    }
+
+    function renderTitle() {
+        if (!shownCation) return;
+        if (titleEl) titleEl.textContent = i18n.t('app.title', { complex: complexFormula(shownCation) });
+        if (options.page) document.title = i18n.t('app.documentTitle', { ion: formatIon(shownCation) });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  15. CATION PICKER
+    // ═══════════════════════════════════════════════════════
+    const initialCation = CATIONS[options.cation] ? options.cation : DEFAULT_CATION;
+
+    if (cationSelect) {
+        fillCationSelect(cationSelect);
+        cationSelect.value = initialCation;
+        cationSelect.addEventListener('change', () => loadCation(cationSelect.value));
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  16. REPRESENTATION  (ball-and-stick, space-filling, …)
+    // ═══════════════════════════════════════════════════════
+    const representationSelect = root.getElementById('representation-select');
+
+    if (representationSelect) {
+        for (const rep of Object.values(REPRESENTATIONS)) {
+            const opt = document.createElement('option');
+            opt.value = rep.id;
+            representationSelect.appendChild(opt);
+        }
+        representationSelect.value = representation.id;
+        representationSelect.addEventListener('change', () => setRepresentation(representationSelect.value));
+    }
+
+    function setRepresentation(id) {
+        const next = getRepresentation(id);
+        if (representationSelect) representationSelect.value = next.id;
+        if (next === representation) return;
+        representation = next;
+        rebuildStructure();
+        a11y.announce(i18n.t('view.representation', { name: representationName(next) }));
+    }
+
+    // Catalog name, or the table's for a representation it lacks
+    function representationName(rep) {
+        const key = `representation.${rep.id}`;
+        const name = i18n.t(key);
+        return name === key ? rep.name : name;
+    }
+
+    /* -----------------------------------------------------
+     *  rebuildStructure()
+     *  Rebuilds the displayed complex in the current
+     *  representation, keeping the stage (at the same point
+     *  of its timeline), the camera and the selected atom.
+     * ----------------------------------------------------- */
+    function rebuildStructure() {
+        const selection = atomPath(interaction.getSelectedAtom(), structure.waters);
+
+        keepTimelinePlace(() => {
+            if (source.mol) loadMolecule(source.mol);
+            else loadCation(source.cation);
+        });
+
+        const mesh = resolveAtomPath(selection, { ...structure, scene });
+        if (mesh) interaction.selectAtom(mesh);
+    }
+
+    /* -----------------------------------------------------
+     *  keepTimelinePlace(replay)
+     *  Runs `replay`, which restarts the stage timeline, then
+     *  returns the new timeline to the same time and play
+     *  state and the camera to where it was.
+     * ----------------------------------------------------- */
+    function keepTimelinePlace(replay) {
+        const timeline = stages.getActiveTimeline();
+        const time = timeline?.time();
+        const paused = timeline?.paused();
+        const view = { camera: camera.position.clone(), target: controls.target.clone() };
+
+        replay();
+
+        const next = stages.getActiveTimeline();
+        if (next && time !== undefined) {
+            next.time(Math.min(time, next.duration()), true);
+            next.paused(paused);
+        }
+        camera.position.copy(view.camera);
+        controls.target.copy(view.target);
+        controls.update();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  17. VIEW OPTIONS + SHAREABLE DEEP LINKS
+    // ═══════════════════════════════════════════════════════
+    const labelsToggle = root.getElementById('toggle-labels');
+    const rotateToggle = root.getElementById('toggle-rotate');
+    const solventToggle = root.getElementById('toggle-solvent');
+    const orbitalsToggle = root.getElementById('toggle-orbitals');
+    const hopsSelect = root.getElementById('proton-hops');
+    const copyLinkBtn = root.getElementById('copy-link');
+    const linkStatus = root.getElementById('link-status');
+
+    if (rotateToggle) rotateToggle.checked = controls.autoRotate;
+    labelsToggle?.addEventListener('change', () => labels.setLabelsVisible(labelsToggle.checked));
+    rotateToggle?.addEventListener('change', () => { controls.autoRotate = rotateToggle.checked; });
+    if (solventToggle) solventToggle.checked = solventShown;
+    solventToggle?.addEventListener('change', () => setSolventShown(solventToggle.checked));
+    if (orbitalsToggle) orbitalsToggle.checked = orbitals.isVisible();
+    orbitalsToggle?.addEventListener('change', () => setOrbitalsShown(orbitalsToggle.checked));
+
+    if (hopsSelect) {
+        for (let n = 0; n <= MAX_PROTON_HOPS; n++) {
+            const opt = document.createElement('option');
+            opt.value = String(n);
+            hopsSelect.appendChild(opt);
+        }
+        hopsSelect.addEventListener('change', () => setProtonHops(parseInt(hopsSelect.value, 10)));
+    }
+    stages.setProtonHops(options.protonHops ?? 0);
+    if (hopsSelect) hopsSelect.value = String(stages.getProtonHops());
+
+    // Only the page-level viewer owns the URL
+    if (copyLinkBtn) copyLinkBtn.hidden = !options.page;
+
+    copyLinkBtn?.addEventListener('click', () => {
+        const url = location.href.split('#')[0] + encodeViewState(currentViewState());
+        history.replaceState(null, '', url);
+        navigator.clipboard?.writeText(url).then(
+            () => { if (linkStatus) linkStatus.textContent = i18n.t('view.linkCopied'); },
+            () => { if (linkStatus) linkStatus.textContent = i18n.t('view.linkManual'); },
+        );
+    });
+
+    function currentViewState() {
+        return {
+            cation: cationSelect?.value,
+            representation: representation.id,
+            stage: currentStage,
+            camera: camera.position,
+            target: controls.target,
+            selection: atomPath(interaction.getSelectedAtom(), structure.waters) || undefined,
+            labels: labels.getLabelsVisible(),
+            rotate: controls.autoRotate,
+            solvent: solventShown,
+            orbitals: orbitals.isVisible(),
+            hops: stages.getProtonHops(),
+        };
+    }
+
+    // Restores only the keys present in the hash
+    function applyViewState(state) {
+        if (state.cation && CATIONS[state.cation] && cationSelect?.value !== state.cation) {
+            if (cationSelect) cationSelect.value = state.cation;
+            loadCation(state.cation);
+        }
+        if (state.representation) setRepresentation(state.representation);
+        if (state.solvent !== undefined) setSolventShown(state.solvent);
+        if (state.orbitals !== undefined) setOrbitalsShown(state.orbitals);
+        if (state.hops !== undefined) setProtonHops(state.hops);
+        if (state.stage !== undefined && stages.isStageAvailable(state.stage)) {
+            showStage(state.stage);
+            // Jump to the stage's end state instead of animating
+            stages.getActiveTimeline()?.progress(1, true);
+        }
+        if (state.camera) camera.position.set(state.camera.x, state.camera.y, state.camera.z);
+        if (state.target) controls.target.set(state.target.x, state.target.y, state.target.z);
+        controls.update();
+
+        if (state.rotate !== undefined) setAutoRotate(state.rotate);
+        if (state.labels !== undefined) setLabelsVisible(state.labels);
+        if (state.selection) {
+            const mesh = resolveAtomPath(state.selection, { ...structure, scene });
+            if (mesh) interaction.selectAtom(mesh);
+        }
+    }
+
+    function setAutoRotate(on) {
+        controls.autoRotate = on;
+        if (rotateToggle) rotateToggle.checked = on;
+    }
+
+    function setLabelsVisible(visible) {
+        labels.setLabelsVisible(visible);
+        if (labelsToggle) labelsToggle.checked = visible;
+    }
+
+    // Rebuilt with the complex so the box is cut around it at
+    // rest and the running stage re-picks its proton acceptor
+    function setSolventShown(on) {
+        if (solventToggle) solventToggle.checked = on;
+        if (on === solventShown) return;
+        solventShown = on;
+        rebuildStructure();
+        if (!on) {
+            a11y.announce(i18n.t('view.solventHidden'));
+            return;
+        }
+        const { molecules, hydrogenBonds } = solvent.getStats();
+        a11y.announce(i18n.t('view.solventShown', { molecules, bonds: hydrogenBonds }));
+    }
+
+    function setOrbitalsShown(on) {
+        if (orbitalsToggle) orbitalsToggle.checked = on;
+        if (on === orbitals.isVisible()) return;
+        orbitals.setVisible(on);
+        a11y.announce(i18n.t(on ? 'view.orbitalsShown' : 'view.orbitalsHidden'));
+    }
+
+    // Replays a running hydrolysis stage so the relay shows up
+    function setProtonHops(n) {
+        const before = stages.getProtonHops();
+        stages.setProtonHops(n);
+        const hops = stages.getProtonHops();
+        if (hopsSelect) hopsSelect.value = String(hops);
+        if (hops === before) return;
+        if (stages.hasProtonRelay(currentStage)) stages.goToStage(currentStage);
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  18. LANGUAGE  (catalogs in locales/, see i18n.js)
+    // ═══════════════════════════════════════════════════════
+    const localeSelect = root.getElementById('locale-select');
+    const localized = ['ui-overlay', 'webgl-canvas', 'scene-summary', 'a11y-live']
+        .map((id) => root.getElementById(id))
+        .filter(Boolean);
+
+    if (localeSelect) {
+        fillLocaleSelect(localeSelect);
+        localeSelect.addEventListener('change', () => setLocale(localeSelect.value));
+    }
+
+    /* -----------------------------------------------------
+     *  setLocale(tag)
+     *
+     *  Switches the viewer's language: re-renders every
+     *  label, then replays the stage at the same point so its
+     *  text and event markers follow.
+     *
+     *  @param {string} [tag] — BCP 47; default the browser's
+     *  @returns {string} the locale now in use
+     * ----------------------------------------------------- */
+    function setLocale(tag) {
+        const before = i18n.getLocale();
+        const locale = i18n.setLocale(tag ?? navigator.language);
+        if (localeSelect) localeSelect.value = locale;
+        if (locale === before) return locale;
+
+        localizeUI();
+        keepTimelinePlace(() => stages.goToStage(currentStage));
+        emit('localechange', { locale });
+        return locale;
+    }
+
+    // Everything that isn't the stage timeline
+    function localizeUI() {
+        for (const el of localized) {
+            el.lang = i18n.getLocale();
+            el.dir = i18n.getDir();
+        }
+        if (localeSelect) localeSelect.value = i18n.getLocale();
+        i18n.translateDOM(root);
+
+        renderTitle();
+        localizeCationOptions(cationSelect, i18n);
+        for (const opt of representationSelect?.options ?? []) {
+            opt.textContent = representationName(getRepresentation(opt.value));
+        }
+        for (const opt of hopsSelect?.options ?? []) {
+            const n = parseInt(opt.value, 10);
+            opt.textContent = n === 0 ? i18n.t('view.hopsOff') : i18n.t('view.hops', { count: n });
+        }
+        stageNav.render();
+
+        labels.relocalize();
+        interaction.relocalize();
+        measurements.relocalize();
+        surface.relocalize();
+        field.relocalize();
+        capture.relocalize();
+        quiz.relocalize();
+        phPanel.relocalize();
+        energyPanel.relocalize();
+        simulation.relocalize();
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  19. INITIAL STATE
+    // ═══════════════════════════════════════════════════════
+    localizeUI();
+    loadCation(initialCation);
+    if (options.lesson) loadLesson(options.lesson);
+    if (Number.isInteger(options.stage)) showStage(options.stage);
+
+    if (options.page) {
+        applyViewState(decodeViewState(location.hash));
+        window.addEventListener('hashchange', () => applyViewState(decodeViewState(location.hash)), { signal });
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  20. RESIZE  (follows the container, not the window)
+    // ═══════════════════════════════════════════════════════
+    function resize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (width === 0 || height === 0) return;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
+        labels.renderer.setSize(width, height);
+        phPanel.redraw();
+        energyPanel.redraw();
+    }
+
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(container);
+    resize();
+
+    // ═══════════════════════════════════════════════════════
+    //  21. RENDER LOOP
+    // ═══════════════════════════════════════════════════════
+    let frame = 0;
+
+    function animate() {
+        transport.update();            // sync scrubber with the stage timeline
+        energyPanel.update();          // and the energy-profile marker
+        // A recording steps the timeline and draws its own frames
+        if (!capture.isBusy()) {
+            controls.update();         // required when damping is enabled
+            simulation.update();       // thermal motion, while on
+            updateScene();
+            render();
+        }
+        frame = requestAnimationFrame(animate);
+    }
+
+    // Everything that follows the atoms (`force`: no throttling)
+    function updateScene(force = false) {
+        updateBonds(scene);            // bonds stretch, break and form
+        interaction.update();          // selected bond's live length
+        measurements.update();         // annotations follow moving atoms
+        solvent.update();              // H-bonds into the bulk water
+        orbitals.update();             // lone pairs lean into the metal
+        surface.update(force);         // density / ESP surface, throttled
+        field.update(force);           // field, dipoles + partial charges
+    }
+
+    function render() {
+        renderer.render(scene, camera);
+        labels.renderer.render(scene, camera);  // CSS2D labels
+    }
+
+    animate();
+
+    /* -----------------------------------------------------
+     *  dispose()
+     *
+     *  Stops the loop, removes listeners and frees every
+     *  geometry, material and the WebGL context. The viewer
+     *  can't be used afterwards.
+     * ----------------------------------------------------- */
+    function dispose() {
+        cancelAnimationFrame(frame);
+        resizeObserver.disconnect();
+        abort.abort();
+
+        simulation.stop();
+        stages.dispose();
+        quiz.dispose();
+        interaction.deselectAtom();
+        measurements.dispose();
+        surface.dispose();
+        field.dispose();
+        solvent.dispose();
+        orbitals.dispose();
+        controls.dispose();
+        labels.dispose();
+
+        disposeTree(scene);
+        renderer.dispose();
+        renderer.forceContextLoss();
+
+        root.replaceChildren();
+        container.classList.remove('drop-active');
+    }
+
+    // ═══════════════════════════════════════════════════════
+    //  PUBLIC API
+    // ═══════════════════════════════════════════════════════
+    return {
+        element: container,
+        scene,
+        camera,
+        controls,
+        renderer,
+        goToStage: selectStage,
+        getStage: () => currentStage,
+        setCation(id) {
+            if (!CATIONS[id]) return;
+            if (cationSelect) cationSelect.value = id;
+            loadCation(id);
+        },
+        getCation: () => cationSelect?.value,
+        setRepresentation,
+        getRepresentation: () => representation.id,
+        loadMolecule,
+        loadLesson,
+        reportLessonError,
+        getLesson: stages.getLesson,
+        setAutoRotate,
+        setLabelsVisible,
+        setSolventShown,
+        setOrbitalsShown,
+        setSimulationRunning: (on) => (on ? simulation.start() : simulation.stop()),
+        setTemperature: simulation.setTemperature,
+        setProtonHops,
+        setQuizActive: quiz.setActive,
+        setLocale,
+        getLocale: i18n.getLocale,
+        getQuizResults: quiz.getResults,
+        getTimeline: stages.getActiveTimeline,
+        captureImage: capture.snapshot,
+        recordStage: capture.record,
+        play: () => stages.getActiveTimeline()?.play(),
+        pause: () => stages.getActiveTimeline()?.pause(),
+        dispose,
+    };
+}
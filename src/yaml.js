@@ -0,0 +1,251 @@
+/* =========================================================
+ *  yaml.js
+ *  A small YAML reader — enough for hand-written lesson
+ *  scripts (see lesson.js), with no dependency.
+ *
+ *  Supported
+ *  ─────────
+ *  • block mappings and sequences by indentation (spaces),
+ *    including "- key: value" items and a sequence at the
+ *    same indent as its parent key
+ *  • flow collections on one line: [1, 2, 3], { at: 0 }
+ *  • scalars: "double" (JSON escapes), 'single', numbers,
+ *    true / false, null / ~, plain text
+ *  • block text: | (keeps line breaks) and > (folds them)
+ *  • # comments, a leading --- document marker
+ *
+ *  Anchors, tags, multi-document files and multi-line flow
+ *  collections are not supported.
+ * ========================================================= */
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const KEY_LINE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{}:,-][^#:]*?|-[^\s#:][^#:]*?)\s*:(?:\s+(.*))?$/;
+
+/* ---------------------------------------------------------
+ *  parseYAML(text)
+ *
+ *  @param {string} text
+ *  @returns {*} the document's value
+ *  @throws {Error} "YAML line n: …" on text it can't read
+ * --------------------------------------------------------- */
+export function parseYAML(text) {
+    const lines = text.split(/\r?\n/).map((raw, i) => {
+        const indent = raw.match(/^ */)[0].length;
+        if (raw[indent] === '\t') throw new Error(`YAML line ${i + 1}: indent with spaces, not tabs`);
+        return { raw, n: i + 1, indent, text: stripComment(raw.slice(indent)).trimEnd() };
+    });
+
+    let pos = 0;
+
+    // Next line with content, or null at the end
+    function peek() {
+        while (pos < lines.length && (lines[pos].text === '' || lines[pos].text === '---')) pos++;
+        return lines[pos] ?? null;
+    }
+
+    function isSeqItem(line) {
+        return line.text === '-' || line.text.startsWith('- ');
+    }
+
+    // Any value nested under `parentIndent`
+    function parseBlock(parentIndent) {
+        const line = peek();
+        if (!line || line.indent <= parentIndent) return null;
+        if (isSeqItem(line)) return parseSeq(line.indent);
+        if (KEY_LINE.test(line.text)) return parseMap(line.indent);
+        pos++;
+        return parseInline(line.text, line.n);
+    }
+
+    function parseMap(indent) {
+        const map = {};
+        for (let line = peek(); line && line.indent === indent && !isSeqItem(line); line = peek()) {
+            const match = line.text.match(KEY_LINE);
+            if (!match) throw new Error(`YAML line ${line.n}: expected "key: value"`);
+            const key = parseScalar(match[1]);
+            const rest = match[2] ?? '';
+            pos++;
+            map[key] = parseValue(rest, indent, line.n);
+        }
+        return map;
+    }
+
+    function parseSeq(indent) {
+        const seq = [];
+        for (let line = peek(); line && line.indent === indent && isSeqItem(line); line = peek()) {
+            const rest = line.text.slice(1).trimStart();
+            if (rest === '') {
+                pos++;
+                seq.push(parseBlock(indent));
+            } else if (KEY_LINE.test(rest) && !/^[[{]/.test(rest)) {
+                // "- key: value" opens a mapping at the key's column
+                const column = line.indent + line.text.length - rest.length;
+                lines[pos] = { ...line, indent: column, text: rest };
+                seq.push(parseMap(column));
+            } else {
+                pos++;
+                seq.push(parseValue(rest, indent, line.n));
+            }
+        }
+        return seq;
+    }
+
+    // The text after "key:" or "- "
+    function parseValue(rest, indent, n) {
+        if (/^[|>][-+]?$/.test(rest)) return parseBlockText(rest, indent);
+        if (rest !== '') return parseInline(rest, n);
+
+        // Nested block, or a sequence level with its key
+        const next = peek();
+        if (next && next.indent === indent && isSeqItem(next)) return parseSeq(indent);
+        return parseBlock(indent);
+    }
+
+    function parseBlockText(header, indent) {
+        const body = [];
+        let blockIndent = null;
+        while (pos < lines.length) {
+            const { raw } = lines[pos];
+            const lineIndent = raw.match(/^ */)[0].length;
+            if (raw.trim() !== '') {
+                if (lineIndent <= indent) break;
+                blockIndent ??= lineIndent;
+                if (lineIndent < blockIndent) break;
+            }
+            body.push(raw.slice(blockIndent ?? lineIndent));
+            pos++;
+        }
+        while (body.length && body[body.length - 1].trim() === '') body.pop();
+
+        const text = header[0] === '|' ? body.join('\n') : fold(body);
+        return header.endsWith('-') ? text : `${text}\n`;
+    }
+
+    const value = parseBlock(-1);
+    const extra = peek();
+    if (extra) throw new Error(`YAML line ${extra.n}: unexpected indentation`);
+    return value;
+}
+
+// > text: lines join with spaces, each blank line is a break
+function fold(lines) {
+    let text = '';
+    let joinable = false;
+    for (const line of lines) {
+        if (line.trim() === '') {
+            text += '\n';
+            joinable = false;
+        } else {
+            text += (joinable ? ' ' : '') + line;
+            joinable = true;
+        }
+    }
+    return text;
+}
+
+// ── Inline values ───────────────────────────────────────────
+
+function parseInline(text, n) {
+    if (!/^[[{]/.test(text)) return parseScalar(text);
+
+    let i = 0;
+    const fail = (what) => { throw new Error(`YAML line ${n}: ${what}`); };
+    const skip = () => { while (text[i] === ' ') i++; };
+
+    function value() {
+        skip();
+        if (text[i] === '[') return list();
+        if (text[i] === '{') return map();
+        if (text[i] === '"' || text[i] === "'") return quoted();
+        const start = i;
+        while (i < text.length && !',]}'.includes(text[i])) i++;
+        return parseScalar(text.slice(start, i).trim());
+    }
+
+    function quoted() {
+        const q = text[i];
+        const start = i++;
+        while (i < text.length) {
+            if (q === '"' && text[i] === '\\') i += 2;
+            else if (text[i] === q && q === "'" && text[i + 1] === "'") i += 2;
+            else if (text[i] === q) break;
+            else i++;
+        }
+        if (text[i] !== q) fail('unterminated string');
+        i++;
+        return parseScalar(text.slice(start, i));
+    }
+
+    function list() {
+        const out = [];
+        i++;
+        skip();
+        if (text[i] === ']') { i++; return out; }
+        for (;;) {
+            out.push(value());
+            skip();
+            if (text[i] === ',') { i++; continue; }
+            if (text[i] === ']') { i++; return out; }
+            fail('expected "," or "]"');
+        }
+    }
+
+    function map() {
+        const out = {};
+        i++;
+        skip();
+        if (text[i] === '}') { i++; return out; }
+        for (;;) {
+            skip();
+            let key;
+            if (text[i] === '"' || text[i] === "'") {
+                key = quoted();
+            } else {
+                const start = i;
+                while (i < text.length && !':,}'.includes(text[i])) i++;
+                key = text.slice(start, i).trim();
+            }
+            skip();
+            if (text[i] !== ':') fail(`expected ":" after "${key}"`);
+            i++;
+            out[key] = value();
+            skip();
+            if (text[i] === ',') { i++; continue; }
+            if (text[i] === '}') { i++; return out; }
+            fail('expected "," or "}"');
+        }
+    }
+
+    const result = value();
+    skip();
+    if (i < text.length) fail(`unexpected "${text.slice(i)}"`);
+    return result;
+}
+
+function parseScalar(text) {
+    if (text.startsWith('"')) return JSON.parse(text);
+    if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (NUMBER.test(text)) return Number(text);
+    return text;
+}
+
+// Drops a # comment that isn't inside quotes
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === '\\' && quote === '"') i++;
+            else if (c === "'" && quote === "'" && text[i + 1] === "'") i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            if (i === 0 || /[\s[{:,-]/.test(text[i - 1])) quote = c;
+        } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
@@ -0,0 +1,90 @@
+/* =========================================================
+ *  zip.js
+ *  A minimal ZIP writer — enough to bundle exported PNG
+ *  frames (see capture.js) into one download, with no
+ *  dependency.
+ *
+ *  Entries are stored uncompressed (PNG data is compressed
+ *  already) with UTF-8 names. No ZIP64: fewer than 65 535
+ *  entries and under 4 GB in total.
+ * ========================================================= */
+
+// ── CRC-32 (IEEE 802.3) lookup table ────────────────────────
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+const UTF8_NAMES = 0x0800;     // general-purpose flag bit 11
+
+/* ---------------------------------------------------------
+ *  createZip(files)
+ *
+ *  @param {{ name: string, data: Uint8Array }[]} files
+ *  @param {Date} [date] — modification time of every entry
+ *  @returns {Blob} application/zip
+ * --------------------------------------------------------- */
+export function createZip(files, date = new Date()) {
+    if (files.length > 0xffff) throw new Error('ZIP: too many files');
+
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        // Local file header, then the data
+        const local = header(30 + name.length, [
+            [4, 0x04034b50], [2, 20], [2, UTF8_NAMES], [2, 0], [2, time], [2, day],
+            [4, crc], [4, size], [4, size], [2, name.length], [2, 0],
+        ]);
+        local.set(name, 30);
+        parts.push(local, file.data);
+
+        // Central directory entry
+        const entry = header(46 + name.length, [
+            [4, 0x02014b50], [2, 20], [2, 20], [2, UTF8_NAMES], [2, 0], [2, time], [2, day],
+            [4, crc], [4, size], [4, size], [2, name.length], [2, 0], [2, 0], [2, 0], [2, 0],
+            [4, 0], [4, offset],
+        ]);
+        entry.set(name, 46);
+        central.push(entry);
+
+        offset += local.length + size;
+    }
+
+    const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+    const end = header(22, [
+        [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length],
+        [4, centralSize], [4, offset], [2, 0],
+    ]);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Little-endian fields ([bytes, value] pairs) into a new buffer
+function header(length, fields) {
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+    for (const [size, value] of fields) {
+        if (size === 2) view.setUint16(pos, value, true);
+        else view.setUint32(pos, value >>> 0, true);
+        pos += size;
+    }
+    return bytes;
+}
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
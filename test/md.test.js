@@ -0,0 +1,96 @@
+/* =========================================================
+ *  md.test.js
+ *  Drives the molecular-dynamics engine (src/md.js) directly
+ *  in Node:  npm test
+ *
+ *  Two flexible SPC-like waters a hydrogen bond apart —
+ *  bonds, angles, Coulomb and LJ all contribute.
+ * ========================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMD } from '../src/md.js';
+
+// ── Fixture ─────────────────────────────────────────────────
+const OH = 1.0;                          // Å
+const HOH = (109.47 * Math.PI) / 180;    // rad
+
+function twoWaters() {
+    const h = OH * Math.sin(HOH / 2);
+    const z = OH * Math.cos(HOH / 2);
+    const positions = [
+        0, 0, 0, h, 0, z, -h, 0, z,                   // water 1
+        0, 0, -2.8, 0, h, -2.8 - z, 0, -h, -2.8 - z,  // water 2, 2.8 Å below
+    ];
+    const bonds = [];
+    const angles = [];
+    for (const o of [0, 3]) {
+        bonds.push({ a: o, b: o + 1, length: OH, stiffness: 4431.5 });
+        bonds.push({ a: o, b: o + 2, length: OH, stiffness: 4431.5 });
+        angles.push({ a: o + 1, b: o, c: o + 2, angle: HOH, stiffness: 317.6 });
+    }
+    return {
+        positions,
+        masses: [15.999, 1.008, 1.008, 15.999, 1.008, 1.008],
+        charges: [-0.82, 0.41, 0.41, -0.82, 0.41, 0.41],
+        sigma: [3.166, 0, 0, 3.166, 0, 0],
+        epsilon: [0.65, 0, 0, 0.65, 0, 0],
+        bonds,
+        angles,
+    };
+}
+
+// Reproducible starting velocities (mulberry32)
+function seeded(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const totalEnergy = (md) => md.kineticEnergy() + md.potentialEnergy();
+
+function meanTemperature(md, steps) {
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        md.step();
+        sum += md.temperature();
+    }
+    return sum / steps;
+}
+
+// ── Tests ───────────────────────────────────────────────────
+test('conserves total energy with the thermostat off', () => {
+    const md = createMD(twoWaters(), { temperature: 300, timestep: 0.25, coupling: Infinity, random: seeded(1) });
+    md.step();
+    const start = totalEnergy(md);
+    const kinetic = md.kineticEnergy();
+
+    let worst = 0;
+    for (let i = 0; i < 40; i++) {
+        md.step(100);            // 1 ps in all
+        worst = Math.max(worst, Math.abs(totalEnergy(md) - start));
+    }
+    assert.ok(md.potentialEnergy() !== 0, 'the force field contributes');
+    assert.ok(worst < 0.02 * kinetic, `drift ${worst.toFixed(4)} kJ/mol against ${kinetic.toFixed(2)} kJ/mol kinetic`);
+});
+
+test('Berendsen thermostat relaxes to setTemperature()', () => {
+    const md = createMD(twoWaters(), { temperature: 300, timestep: 0.5, coupling: 50, random: seeded(2) });
+    for (const target of [100, 500]) {
+        md.setTemperature(target);
+        assert.equal(md.getTemperature(), target);
+        md.step(2000);                           // 20 coupling times
+        const mean = meanTemperature(md, 2000);
+        assert.ok(Math.abs(mean - target) < 0.1 * target, `mean ${mean.toFixed(1)} K for a ${target} K target`);
+    }
+});
+
+test('cools to rest at 0 K', () => {
+    const md = createMD(twoWaters(), { temperature: 300, timestep: 0.5, coupling: 50, random: seeded(3) });
+    md.setTemperature(0);
+    md.step(4000);
+    assert.ok(md.temperature() < 1, `${md.temperature().toFixed(3)} K left`);
+});
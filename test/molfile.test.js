@@ -0,0 +1,68 @@
+/* =========================================================
+ *  molfile.test.js
+ *  File parsers (src/molfile.js) on well-formed and broken
+ *  input:  npm test
+ * ========================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMolecule, normalizeElement, isMetal } from '../src/molfile.js';
+
+// ── Fixture ─────────────────────────────────────────────────
+const XYZ = ['3', 'water', 'O 0 0 0', 'H 0.757 0.586 0', 'H -0.757 0.586 0', ''].join('\n');
+
+// GROMACS-style names, element columns 77–78 left blank
+const PDB_NO_ELEMENT = [
+    'TITLE     water',
+    'ATOM      1  OW  SOL     1       0.000   0.000   0.000  1.00  0.00',
+    'ATOM      2  HW1 SOL     1       0.757   0.586   0.000  1.00  0.00',
+    'ATOM      3  HW2 SOL     1      -0.757   0.586   0.000  1.00  0.00',
+    'HETATM    4 NA    NA     2       0.000   0.000   2.400  1.00  0.00',
+    'END',
+].join('\n');
+
+const MOL = [
+    'water', '  test', '',
+    '  3  0  0  0  0  0  0  0  0  0999 V2000',
+    '    0.0000    0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+    '    0.7570    0.5860    0.0000 H   0  0  0  0  0  0  0  0  0  0  0  0',
+    '   -0.7570    0.5860    0.0000 H   0  0  0  0  0  0  0  0  0  0  0  0',
+    'M  END',
+].join('\n');
+
+// ── Tests ───────────────────────────────────────────────────
+test('reads well-formed XYZ and MOL', () => {
+    for (const [text, format] of [[XYZ, 'xyz'], [MOL, 'mol']]) {
+        const mol = parseMolecule(text, format);
+        assert.deepEqual(mol.atoms.map((a) => a.element), ['O', 'H', 'H']);
+        assert.equal(mol.bonds.length, 2);
+    }
+});
+
+test('rejects short files and bad atom lines with the line number', () => {
+    const short = XYZ.replace(/^3/, '5');
+    assert.throws(() => parseMolecule(short, 'xyz'), /^Error: XYZ line 6: missing atom 4 of 5$/);
+    assert.throws(() => parseMolecule(XYZ.replace('0.757', 'abc'), 'xyz'), /XYZ line 4: coordinates/);
+    assert.throws(() => parseMolecule(XYZ.replace('O 0', 'Qq 0'), 'xyz'), /XYZ line 3: unknown element "Qq"/);
+    assert.throws(() => parseMolecule(MOL.replace('  3  0', '  4  0'), 'mol'), /MOL line 8: unknown element/);
+    assert.throws(() => parseMolecule(MOL.split('\n').slice(0, 6).join('\n'), 'mol'), /MOL line 7: missing atom 3 of 3/);
+    assert.throws(
+        () => parseMolecule(PDB_NO_ELEMENT.replace('0.586   0.000', '0.586   x.xxx'), 'pdb'),
+        /PDB line 3: coordinates/,
+    );
+});
+
+test('takes a one-letter element from a PDB name with blank column 13', () => {
+    const mol = parseMolecule(PDB_NO_ELEMENT, 'pdb');
+    assert.deepEqual(mol.atoms.map((a) => a.element), ['O', 'H', 'H', 'Na']);
+    assert.deepEqual(mol.atoms.filter((a) => isMetal(a.element)).map((a) => a.element), ['Na']);
+});
+
+test('normalizeElement returns "" for anything but an element', () => {
+    assert.equal(normalizeElement('AL'), 'Al');
+    assert.equal(normalizeElement('13'), 'Al');
+    assert.equal(normalizeElement('O.3'), 'O');
+    assert.equal(normalizeElement('Ow'), '');
+    assert.equal(normalizeElement('200'), '');
+    assert.equal(normalizeElement(''), '');
+});
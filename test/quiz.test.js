@@ -0,0 +1,50 @@
+/* =========================================================
+ *  quiz.test.js
+ *  Gradebook export of quiz results (src/quiz.js):
+ *  npm test
+ * ========================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resultsToCSV } from '../src/quiz.js';
+
+const response = (fields) => ({
+    cation: 'Al',
+    stage: 3,
+    question: 'first-proton',
+    prompt: 'Which atom leaves?',
+    response: 'H',
+    correct: true,
+    time: '2026-10-19T09:00:00.000Z',
+    ...fields,
+});
+
+const rows = (csv) => csv.trimEnd().split('\r\n');
+
+test('writes a header and one row per response', () => {
+    const csv = resultsToCSV({ student: 'Ana', responses: [response()] });
+    assert.deepEqual(rows(csv), [
+        'student,cation,stage,question,prompt,response,correct,time',
+        'Ana,Al,3,first-proton,Which atom leaves?,H,true,2026-10-19T09:00:00.000Z',
+    ]);
+});
+
+test('quotes commas, quotes and line breaks', () => {
+    const csv = resultsToCSV({ student: 'Doe, "Jo"', responses: [response({ response: 'a\nb' })] });
+    assert.match(csv, /^student,.*\r\n"Doe, ""Jo""",Al,3,first-proton,Which atom leaves\?,"a\nb",true,/);
+});
+
+test('defuses text a spreadsheet would run as a formula', () => {
+    for (const lead of ['=', '+', '-', '@']) {
+        const csv = resultsToCSV({ student: `${lead}SUM(A1:A9)`, responses: [response({ response: `${lead}1+1` })] });
+        assert.equal(rows(csv)[1].split(',')[0], `'${lead}SUM(A1:A9)`);
+        assert.equal(rows(csv)[1].split(',')[5], `'${lead}1+1`);
+    }
+    const quoted = resultsToCSV({ student: '=HYPERLINK("x","y")', responses: [response()] });
+    assert.match(quoted, /\r\n"'=HYPERLINK\(""x"",""y""\)",Al,/);
+});
+
+test('leaves numbers alone, negative ones included', () => {
+    const csv = resultsToCSV({ student: 'Ana', responses: [response({ stage: -1 })] });
+    assert.equal(rows(csv)[1].split(',')[2], '-1');
+});
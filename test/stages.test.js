@@ -0,0 +1,86 @@
+/* =========================================================
+ *  stages.test.js
+ *  Runs the stage machine (src/stages.js) against a real
+ *  complex in Node:  npm test
+ *
+ *  The page elements it writes to are plain stand-ins;
+ *  labels and announcements go nowhere.
+ * ========================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+// a11y.js reads window.matchMedia when it loads
+globalThis.window ??= globalThis;
+
+const { createStages } = await import('../src/stages.js');
+const { buildComplex } = await import('../src/atoms.js');
+const { getCation } = await import('../src/cations.js');
+const { createI18n } = await import('../src/i18n.js');
+
+// ── Fixture ─────────────────────────────────────────────────
+function element() {
+    return { textContent: '', classList: { add() {}, remove() {}, toggle() {} } };
+}
+
+function createHarness(lesson) {
+    const stageDesc = element();
+    const equation = element();
+    const summaries = [];
+    const stages = createStages({
+        scene: new THREE.Scene(),
+        camera: new THREE.PerspectiveCamera(),
+        controls: { target: new THREE.Vector3(), update() {} },
+        root: {
+            getElementById: (id) => (id === 'stage-desc' ? stageDesc : null),
+            querySelector: (selector) => (selector === '#equation-bar p' ? equation : null),
+        },
+        labels: { attachLabels() {}, detachLabels() {}, createFreeLabel() {} },
+        a11y: { announce() {}, setSceneSummary: (text) => summaries.push(text) },
+        i18n: createI18n('en'),
+        lesson,
+    });
+    return { stages, stageDesc, equation, summaries };
+}
+
+function load(stages, id) {
+    const cation = getCation(id);
+    const { complex, metal, waters } = buildComplex(cation);
+    stages.init(complex, metal, waters, cation);
+}
+
+const step = (id, equation) => ({ id, label: id, description: `Step ${id}`, equation });
+
+// ── Tests ───────────────────────────────────────────────────
+test('opens on the first step the cation has pKa data for', () => {
+    const { stages, stageDesc, equation } = createHarness({
+        title: 'Second step first',
+        steps: [step('second', 2), step('first', 1)],
+    });
+
+    assert.doesNotThrow(() => load(stages, 'Na'));
+    assert.equal(stages.isStageAvailable(0), false);
+    assert.equal(stages.firstAvailableStage(), 1);
+    assert.equal(stageDesc.textContent, 'Step first');
+    assert.match(equation.textContent, /⇌/);
+
+    load(stages, 'Al');
+    assert.equal(stages.firstAvailableStage(), 0);
+    assert.equal(stageDesc.textContent, 'Step second');
+});
+
+test('a lesson with no step for the cation replaces the old text', () => {
+    const { stages, stageDesc, equation, summaries } = createHarness({
+        title: 'Default',
+        steps: [step('first', 1)],
+    });
+    load(stages, 'Na');
+
+    stages.setLesson({ title: 'Too deep', steps: [step('fourth', 4)] });
+    assert.equal(stages.firstAvailableStage(), -1);
+    assert.notEqual(stageDesc.textContent, 'Step first');
+    assert.match(stageDesc.textContent, /Na⁺/);
+    assert.equal(equation.textContent, '—');
+    assert.equal(summaries.at(-1), stageDesc.textContent);
+});
@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite';
+import { resolve } from 'node:path';
 
 export default defineConfig({
     base: '/metal-cation-hydrolysis-3d-visualization/',
@@ -11,5 +12,18 @@ export default defineConfig({
     build: {
         outDir: 'dist',
         assetsDir: 'assets',
+        rollupOptions: {
+            input: {
+                main: resolve(__dirname, 'index.html'),
+                embed: resolve(__dirname, 'embed.html'),
+                // Stable file name for <script src> embeds on other sites
+                'hydrolysis-viewer': resolve(__dirname, 'src/hydrolysis-viewer.js'),
+            },
+            output: {
+                entryFileNames: (chunk) => (chunk.name === 'hydrolysis-viewer'
+                    ? 'hydrolysis-viewer.js'
+                    : 'assets/[name]-[hash].js'),
+            },
+        },
     },
 });